@@ -0,0 +1,99 @@
+/**
+ * Build app icons from the logo
+ * Reads src/public/assets/logo.png and writes square PNG icons for the web
+ * app manifest to src/public/assets/icons. Uses only Node built-ins.
+ *
+ * Usage: npm run build:icons (runs as part of npm run build)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodePng, encodePng } = require('./png');
+
+const SOURCE = path.join(__dirname, '..', 'src', 'public', 'assets', 'logo.png');
+const OUTPUT_DIR = path.join(__dirname, '..', 'src', 'public', 'assets', 'icons');
+
+// size: output width/height, scale: share of the square the logo fills,
+// background: RGBA fill (null keeps transparency)
+const ICONS = [
+    { file: 'icon-192.png', size: 192, scale: 0.9, background: null },
+    { file: 'icon-512.png', size: 512, scale: 0.9, background: null },
+    // Maskable icons must keep the logo inside the central 80% safe zone
+    { file: 'maskable-512.png', size: 512, scale: 0.7, background: [255, 255, 255, 255] },
+    { file: 'apple-touch-icon.png', size: 180, scale: 0.8, background: [255, 255, 255, 255] }
+];
+
+// Scale the logo into a centred square icon using box averaging
+function renderIcon(image, { size, scale, background }) {
+    const pixels = Buffer.alloc(size * size * 4);
+    const fit = size * scale / Math.max(image.width, image.height);
+    const drawWidth = Math.round(image.width * fit);
+    const drawHeight = Math.round(image.height * fit);
+    const left = Math.floor((size - drawWidth) / 2);
+    const top = Math.floor((size - drawHeight) / 2);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            const dx = x - left;
+            const dy = y - top;
+
+            if (dx >= 0 && dy >= 0 && dx < drawWidth && dy < drawHeight) {
+                const x0 = Math.floor(dx / fit);
+                const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((dx + 1) / fit)));
+                const y0 = Math.floor(dy / fit);
+                const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((dy + 1) / fit)));
+                let count = 0;
+
+                // Average with premultiplied alpha so transparent edges stay clean
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) {
+                        const i = (sy * image.width + sx) * 4;
+                        const alpha = image.pixels[i + 3];
+                        r += image.pixels[i] * alpha;
+                        g += image.pixels[i + 1] * alpha;
+                        b += image.pixels[i + 2] * alpha;
+                        a += alpha;
+                        count++;
+                    }
+                }
+
+                if (a > 0) {
+                    r /= a;
+                    g /= a;
+                    b /= a;
+                }
+                a /= count;
+            }
+
+            const i = (y * size + x) * 4;
+            if (background) {
+                const alpha = a / 255;
+                pixels[i] = Math.round(r * alpha + background[0] * (1 - alpha));
+                pixels[i + 1] = Math.round(g * alpha + background[1] * (1 - alpha));
+                pixels[i + 2] = Math.round(b * alpha + background[2] * (1 - alpha));
+                pixels[i + 3] = background[3];
+            } else {
+                pixels[i] = Math.round(r);
+                pixels[i + 1] = Math.round(g);
+                pixels[i + 2] = Math.round(b);
+                pixels[i + 3] = Math.round(a);
+            }
+        }
+    }
+
+    return pixels;
+}
+
+function main() {
+    const logo = decodePng(fs.readFileSync(SOURCE));
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    ICONS.forEach(icon => {
+        const pixels = renderIcon(logo, icon);
+        fs.writeFileSync(path.join(OUTPUT_DIR, icon.file), encodePng(icon.size, icon.size, pixels));
+        console.log(`Wrote assets/icons/${icon.file} (${icon.size}x${icon.size})`);
+    });
+}
+
+main();
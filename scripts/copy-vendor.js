@@ -0,0 +1,41 @@
+/**
+ * Copy browser libraries into the public folder
+ * The dashboards load Leaflet and the QR code generator from /vendor so
+ * tracking maps and delivery codes work without a CDN. Copies the dist files
+ * from node_modules to src/public/vendor.
+ *
+ * Usage: npm run build:vendor (runs as part of npm run build)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const NODE_MODULES = path.join(__dirname, '..', 'node_modules');
+const OUTPUT_DIR = path.join(__dirname, '..', 'src', 'public', 'vendor');
+
+// package: folder in node_modules, from: path inside the package, to: folder under vendor/
+const LIBRARIES = [
+    { package: 'leaflet', from: 'dist', to: 'leaflet', files: ['leaflet.js', 'leaflet.css', 'images'] },
+    { package: 'qrcode-generator', from: 'dist', to: 'qrcode', files: ['qrcode.js'] }
+];
+
+function main() {
+    LIBRARIES.forEach(library => {
+        const source = path.join(NODE_MODULES, library.package, library.from);
+        const target = path.join(OUTPUT_DIR, library.to);
+
+        if (!fs.existsSync(source)) {
+            console.error(`Missing ${library.package} - run npm install first`);
+            process.exitCode = 1;
+            return;
+        }
+
+        fs.mkdirSync(target, { recursive: true });
+        library.files.forEach(file => {
+            fs.cpSync(path.join(source, file), path.join(target, file), { recursive: true });
+        });
+        console.log(`Copied ${library.package} to vendor/${library.to}`);
+    });
+}
+
+main();
@@ -0,0 +1,139 @@
+/**
+ * Minimal PNG helpers
+ * Decodes and encodes 8-bit RGBA PNGs with Node built-ins only. Used by
+ * build-icons.js and the tracking stand-in server's placeholder map tiles.
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC32 lookup table for PNG chunks
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Decode an 8-bit RGBA, non-interlaced PNG into { width, height, pixels }
+function decodePng(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let offset = 8;
+    let header = null;
+    const idat = [];
+
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        offset += length + 12;
+    }
+
+    if (!header || header.bitDepth !== 8 || header.colorType !== 6 || header.interlace !== 0) {
+        throw new Error('Only 8-bit RGBA non-interlaced PNGs are supported');
+    }
+
+    const { width, height } = header;
+    const bpp = 4;
+    const stride = width * bpp;
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const pixels = Buffer.alloc(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = y * stride;
+        const prev = out - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const a = x >= bpp ? pixels[out + x - bpp] : 0;
+            const b = y > 0 ? pixels[prev + x] : 0;
+            const c = x >= bpp && y > 0 ? pixels[prev + x - bpp] : 0;
+            let value = line[x];
+
+            switch (filter) {
+                case 1: value += a; break;
+                case 2: value += b; break;
+                case 3: value += (a + b) >> 1; break;
+                case 4: {
+                    const p = a + b - c;
+                    const pa = Math.abs(p - a);
+                    const pb = Math.abs(p - b);
+                    const pc = Math.abs(p - c);
+                    value += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+                    break;
+                }
+            }
+
+            pixels[out + x] = value & 0xff;
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+// Encode RGBA pixels as a PNG
+function encodePng(width, height, pixels) {
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;  // bit depth
+    ihdr[9] = 6;  // RGBA
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = { decodePng, encodePng };
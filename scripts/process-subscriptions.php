@@ -0,0 +1,38 @@
+<?php
+/**
+ * Recurring Orders Runner
+ * Sends the pre-confirmation reminders and places the recurring orders that
+ * are due today. Run it once a day from cron (see SETUP.md):
+ *
+ *   15 6 * * * php /var/www/html/scripts/process-subscriptions.php >> /var/log/krishighor-subscriptions.log 2>&1
+ *
+ * Prints one summary line plus a line per subscription that could not be
+ * ordered; exits with 1 only when the run itself failed.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+require_once __DIR__ . '/../src/config/app.php';
+require_once __DIR__ . '/../src/config/database.php';
+require_once __DIR__ . '/../src/controllers/OrderController.php';
+
+$today = date('Y-m-d');
+
+try {
+    $controller = new OrderController();
+    $result = $controller->runDueSubscriptions($today);
+} catch (Exception $e) {
+    error_log("Process subscriptions error: " . $e->getMessage());
+    fwrite(STDERR, date('Y-m-d H:i:s') . " Recurring orders run failed: " . $e->getMessage() . PHP_EOL);
+    exit(1);
+}
+
+echo date('Y-m-d H:i:s') . " Recurring orders for {$today}: {$result['reminded']} reminded, "
+    . count($result['placed']) . " placed, " . count($result['failed']) . " failed" . PHP_EOL;
+
+foreach ($result['failed'] as $failure) {
+    echo "  subscription #{$failure['subscription_id']}: {$failure['error']}" . PHP_EOL;
+}
@@ -0,0 +1,268 @@
+/**
+ * Local tracking stand-in server
+ * Serves src/public and fakes the tracking endpoints so the push channel
+ * (js/tracking-channel.js) can be tested without the PHP backend:
+ *
+ *   POST /api/transport/stream-ticket   ticket for opening the stream
+ *   GET /api/transport/stream?ids=1,2   Server-Sent Events, one `tracking` event per transport per tick
+ *   GET /api/transport/{id}/tracking    JSON snapshot (used by the polling fallback)
+ *
+ * Every other /api request is proxied to BACKEND_URL when set, otherwise 404.
+ * Vehicles move along a straight line from pickup to drop-off; any token or ticket is accepted.
+ * Map tiles come from src/public/tiles; missing tiles get a plain grid
+ * placeholder so the tracking map can be tested without a tile set or network.
+ *
+ * Usage: npm run tracking:server
+ *   PORT=8081            port to listen on
+ *   TICK_MS=3000         time between simulated updates
+ *   DROP_AFTER_MS=0      close each stream after this long (tests reconnect/backoff)
+ *   PUSH_DISABLED=1      answer the stream with 503 (tests the polling fallback)
+ *   BACKEND_URL=http://localhost:8000   forward other API calls here
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { encodePng } = require('./png');
+
+const PORT = parseInt(process.env.PORT || '8081', 10);
+const TICK_MS = parseInt(process.env.TICK_MS || '3000', 10);
+const DROP_AFTER_MS = parseInt(process.env.DROP_AFTER_MS || '0', 10);
+const PUSH_DISABLED = process.env.PUSH_DISABLED === '1';
+const BACKEND_URL = process.env.BACKEND_URL || '';
+const PUBLIC_DIR = path.join(__dirname, '..', 'src', 'public');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4'
+};
+
+// Dhaka-area routes the fake vehicles drive along
+const ROUTES = [
+    { pickup: [23.8103, 90.4125, 'কারওয়ান বাজার, ঢাকা'], dropoff: [23.7465, 90.3760, 'ধানমন্ডি, ঢাকা'] },
+    { pickup: [23.9999, 90.4203, 'গাজীপুর'], dropoff: [23.8759, 90.3795, 'উত্তরা, ঢাকা'] },
+    { pickup: [23.6238, 90.5000, 'নারায়ণগঞ্জ'], dropoff: [23.7104, 90.4074, 'পুরান ঢাকা'] }
+];
+
+const STEPS = 40;
+const vehicles = new Map();
+
+// Simulated state per transport id, created on first request
+function getVehicle(id) {
+    if (!vehicles.has(id)) {
+        const route = ROUTES[id % ROUTES.length];
+        vehicles.set(id, { id, route, step: 0, history: [] });
+    }
+    return vehicles.get(id);
+}
+
+// Every known vehicle moves one step per tick, whether it is streamed or polled
+setInterval(() => {
+    vehicles.forEach(vehicle => {
+        if (vehicle.step < STEPS) {
+            vehicle.step++;
+        }
+    });
+}, TICK_MS);
+
+// Same shape the tracking modals and cards read
+function snapshot(vehicle) {
+    const { id, route, step } = vehicle;
+    const progress = step / STEPS;
+    const latitude = route.pickup[0] + (route.dropoff[0] - route.pickup[0]) * progress;
+    const longitude = route.pickup[1] + (route.dropoff[1] - route.pickup[1]) * progress;
+    const delivered = step >= STEPS;
+    const speed = delivered ? 0 : Math.round(20 + Math.random() * 25);
+    const now = new Date();
+    const remainingKm = Math.round(distanceKm([latitude, longitude], route.dropoff) * 10) / 10;
+    const remainingMinutes = delivered ? 0 : Math.round(remainingKm / Math.max(speed, 1) * 60);
+
+    const last = vehicle.history[vehicle.history.length - 1];
+    if (!last || last.latitude !== latitude || last.longitude !== longitude) {
+        vehicle.history.push({
+            message: delivered ? 'ডেলিভারি সম্পন্ন' : `গাড়ি চলছে (${speed} km/h)`,
+            timestamp: now.toISOString(),
+            latitude,
+            longitude
+        });
+        vehicle.history = vehicle.history.slice(-20);
+    }
+
+    return {
+        transport_id: id,
+        order_id: 1000 + id,
+        tracking_number: `KG-TEST-${String(id).padStart(4, '0')}`,
+        current_status: delivered ? 'delivered' : step === 0 ? 'picked_up' : 'in_transit',
+        current_speed: speed,
+        bearing: Math.round(bearing([latitude, longitude], route.dropoff)),
+        current_location: {
+            latitude,
+            longitude,
+            accuracy: 10,
+            updated_at: now.toISOString()
+        },
+        pickup_location: { latitude: route.pickup[0], longitude: route.pickup[1], address: route.pickup[2] },
+        delivery_location: { latitude: route.dropoff[0], longitude: route.dropoff[1], address: route.dropoff[2] },
+        eta_prediction: {
+            estimated_arrival: new Date(now.getTime() + remainingMinutes * 60000).toISOString(),
+            remaining_distance: remainingKm,
+            estimated_duration_minutes: remainingMinutes,
+            confidence_level: 85
+        },
+        driver_info: {
+            name: 'রহিম উদ্দিন',
+            phone: '01700000000',
+            vehicle_number: 'ঢাকা মেট্রো ট-১১-২২৩৩'
+        },
+        recent_updates: [...vehicle.history].reverse(),
+        last_updated: now.toISOString()
+    };
+}
+
+function distanceKm([lat1, lon1], [lat2, lon2]) {
+    const rad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * rad;
+    const dLon = (lon2 - lon1) * rad;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function bearing([lat1, lon1], [lat2, lon2]) {
+    const rad = Math.PI / 180;
+    const y = Math.sin((lon2 - lon1) * rad) * Math.cos(lat2 * rad);
+    const x = Math.cos(lat1 * rad) * Math.sin(lat2 * rad) -
+              Math.sin(lat1 * rad) * Math.cos(lat2 * rad) * Math.cos((lon2 - lon1) * rad);
+    return (Math.atan2(y, x) / rad + 360) % 360;
+}
+
+// Light grid drawn in place of a missing map tile
+const PLACEHOLDER_TILE = (() => {
+    const size = 256;
+    const pixels = Buffer.alloc(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const i = (y * size + x) * 4;
+            const edge = x === 0 || y === 0;
+            const grid = x % 32 === 0 || y % 32 === 0;
+            const shade = edge ? 190 : grid ? 225 : 242;
+            pixels[i] = shade;
+            pixels[i + 1] = shade + (edge ? 0 : 4);
+            pixels[i + 2] = shade - 8;
+            pixels[i + 3] = 255;
+        }
+    }
+    return encodePng(size, size, pixels);
+})();
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function handleStream(req, res, url) {
+    if (PUSH_DISABLED) {
+        sendJson(res, 503, { error: 'Push disabled' });
+        return;
+    }
+
+    const ids = (url.searchParams.get('ids') || '')
+        .split(',')
+        .map(id => parseInt(id, 10))
+        .filter(id => id > 0);
+
+    if (ids.length === 0) {
+        sendJson(res, 400, { error: 'Transport ids are required' });
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+    console.log(`stream opened for transports ${ids.join(', ')}`);
+
+    const send = () => {
+        ids.forEach(id => {
+            res.write(`event: tracking\ndata: ${JSON.stringify(snapshot(getVehicle(id)))}\n\n`);
+        });
+    };
+
+    send();
+    const timer = setInterval(send, TICK_MS);
+    const dropTimer = DROP_AFTER_MS ? setTimeout(() => res.end(), DROP_AFTER_MS) : null;
+
+    req.on('close', () => {
+        clearInterval(timer);
+        clearTimeout(dropTimer);
+        console.log(`stream closed for transports ${ids.join(', ')}`);
+    });
+}
+
+function proxy(req, res) {
+    const target = new URL(req.url, BACKEND_URL);
+    const upstream = http.request(target, { method: req.method, headers: { ...req.headers, host: target.host } }, (response) => {
+        res.writeHead(response.statusCode, response.headers);
+        response.pipe(res);
+    });
+    upstream.on('error', () => sendJson(res, 502, { error: 'Backend unavailable' }));
+    req.pipe(upstream);
+}
+
+function serveStatic(res, pathname) {
+    const candidates = [pathname, `${pathname}.html`, path.join(pathname, 'index.html')];
+
+    for (const candidate of candidates) {
+        const file = path.join(PUBLIC_DIR, path.normalize(candidate));
+        if (!file.startsWith(PUBLIC_DIR)) break;
+
+        if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+            fs.createReadStream(file).pipe(res);
+            return;
+        }
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<h1>404 - Page Not Found</h1>');
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const trackingMatch = url.pathname.match(/^\/api\/transport\/(\d+)\/tracking$/);
+
+    if (url.pathname === '/api/transport/stream-ticket' && req.method === 'POST') {
+        sendJson(res, 200, { ticket: 'local', expires_in: 30 });
+    } else if (url.pathname === '/api/transport/stream') {
+        handleStream(req, res, url);
+    } else if (trackingMatch) {
+        sendJson(res, 200, snapshot(getVehicle(parseInt(trackingMatch[1], 10))));
+    } else if (/^\/tiles\/\d+\/\d+\/\d+\.png$/.test(url.pathname) &&
+               !fs.existsSync(path.join(PUBLIC_DIR, url.pathname))) {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(PLACEHOLDER_TILE);
+    } else if (url.pathname.startsWith('/api/')) {
+        if (BACKEND_URL) {
+            proxy(req, res);
+        } else {
+            sendJson(res, 404, { error: 'Endpoint not found' });
+        }
+    } else {
+        serveStatic(res, url.pathname === '/' ? '/home.html' : url.pathname);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Tracking stand-in server on http://localhost:${PORT}`);
+    console.log(`  push: ${PUSH_DISABLED ? 'disabled (polling fallback)' : `every ${TICK_MS}ms`}` +
+        (DROP_AFTER_MS ? `, streams dropped after ${DROP_AFTER_MS}ms` : ''));
+});
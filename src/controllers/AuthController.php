@@ -41,7 +41,7 @@ class AuthController {
         }
         
         // Validate role
-        $allowedRoles = ['farmer', 'buyer', 'admin'];
+        $allowedRoles = ['farmer', 'buyer', 'driver', 'admin'];
         if (!in_array($data['role'], $allowedRoles)) {
             $this->sendResponse(400, ['error' => 'Invalid role']);
             return;
@@ -166,6 +166,41 @@ class AuthController {
         $this->sendResponse(200, ['message' => 'Logout successful']);
     }
     
+    public function refresh() {
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->sendResponse(405, ['error' => 'Method not allowed']);
+            return;
+        }
+        
+        // The current token must still be valid; an expired one means logging in again
+        $payload = $this->getCurrentUser();
+        if (!$payload) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        try {
+            $user = $this->userModel->findById($payload['user_id']);
+            
+            if (!$user) {
+                $this->sendResponse(401, ['error' => 'Unauthorized']);
+                return;
+            }
+            
+            unset($user['password']);
+            
+            $this->sendResponse(200, [
+                'message' => 'Token refreshed',
+                'token' => $this->generateJWT($user),
+                'user' => $user
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Token refresh error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
     public function resetPassword() {
         if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
             $this->sendResponse(405, ['error' => 'Method not allowed']);
@@ -6,16 +6,72 @@
 
 require_once __DIR__ . '/../models/Transport.php';
 require_once __DIR__ . '/../models/Order.php';
+require_once __DIR__ . '/../models/OrderItem.php';
 require_once __DIR__ . '/../models/Product.php';
+require_once __DIR__ . '/../models/TransportIssue.php';
+require_once __DIR__ . '/../models/TransportMessage.php';
+require_once __DIR__ . '/../models/TransportRating.php';
+require_once __DIR__ . '/../models/DeliveryProof.php';
+require_once __DIR__ . '/../models/HandoverCode.php';
+require_once __DIR__ . '/../models/TransportStop.php';
+require_once __DIR__ . '/../models/RouteAnomaly.php';
+require_once __DIR__ . '/../models/EtaHistory.php';
+require_once __DIR__ . '/../services/InvoiceService.php';
+require_once __DIR__ . '/../services/TransportCostService.php';
+require_once __DIR__ . '/../services/TransportAnalyticsService.php';
 require_once __DIR__ . '/../services/ETAPredictionService.php';
 require_once __DIR__ . '/../services/RouteAnomalyService.php';
 require_once __DIR__ . '/../services/PerishabilityRiskService.php';
 require_once __DIR__ . '/../services/DeliveryTrackingService.php';
 
 class TransportController {
+    // Seconds a tracking stream stays open, and between checks for new data
+    const STREAM_DURATION = 55;
+    const STREAM_POLL_SECONDS = 10;
+    // Seconds a stream ticket can be used to open the stream
+    const STREAM_TICKET_TTL = 30;
+    
+    // Photo limits for issue reports and chat
+    const MAX_ISSUE_PHOTOS = 3;
+    const MAX_PHOTO_BYTES = 5242880;
+    
+    // Next statuses a driver or farmer may move a transport to; admins may set any status
+    const STATUS_FLOW = [
+        'assigned' => ['picked_up'],
+        'pickup_pending' => ['picked_up'],
+        'picked_up' => ['in_transit'],
+        'in_transit' => ['delivered'],
+        'delayed' => ['in_transit', 'delivered']
+    ];
+    
+    // Delivery handover codes: lifetime in seconds and wrong entries allowed
+    const HANDOVER_CODE_TTL = 43200;
+    const MAX_HANDOVER_ATTEMPTS = 5;
+    
+    // Orders one multi-stop transport may combine
+    const MAX_TRANSPORT_STOPS = 8;
+    
+    // Difference (BDT) between estimate and final quote that needs the farmer's confirmation
+    const QUOTE_TOLERANCE = 1;
+    
+    // Longest note a buyer or farmer can attach when escalating a route anomaly
+    const MAX_ESCALATION_NOTE = 500;
+    
     private $transportModel;
     private $orderModel;
+    private $orderItemModel;
     private $productModel;
+    private $issueModel;
+    private $messageModel;
+    private $ratingModel;
+    private $proofModel;
+    private $handoverModel;
+    private $stopModel;
+    private $anomalyModel;
+    private $etaHistoryModel;
+    private $invoiceService;
+    private $costService;
+    private $analyticsService;
     private $etaService;
     private $routeAnomalyService;
     private $perishabilityService;
@@ -24,7 +80,19 @@ class TransportController {
     public function __construct() {
         $this->transportModel = new Transport();
         $this->orderModel = new Order();
+        $this->orderItemModel = new OrderItem();
         $this->productModel = new Product();
+        $this->issueModel = new TransportIssue();
+        $this->messageModel = new TransportMessage();
+        $this->ratingModel = new TransportRating();
+        $this->proofModel = new DeliveryProof();
+        $this->handoverModel = new HandoverCode();
+        $this->stopModel = new TransportStop();
+        $this->anomalyModel = new RouteAnomaly();
+        $this->etaHistoryModel = new EtaHistory();
+        $this->invoiceService = new InvoiceService();
+        $this->costService = new TransportCostService();
+        $this->analyticsService = new TransportAnalyticsService();
         $this->etaService = new ETAPredictionService();
         $this->routeAnomalyService = new RouteAnomalyService();
         $this->perishabilityService = new PerishabilityRiskService();
@@ -32,7 +100,7 @@ class TransportController {
     }
     
     /**
-     * Farmer requests transport for an order
+     * Farmer requests transport for an order, or one trip for several orders
      */
     public function requestTransport() {
         if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
@@ -48,8 +116,11 @@ class TransportController {
         
         $data = json_decode(file_get_contents('php://input'), true);
         
+        // One order, or several orders combined into one multi-stop trip
+        $orderIds = $data['order_ids'] ?? (empty($data['order_id']) ? [] : [$data['order_id']]);
+        
         // Validate required fields
-        $required = ['order_id', 'pickup_address', 'preferred_date', 'transport_type'];
+        $required = ['pickup_address', 'preferred_date', 'transport_type'];
         foreach ($required as $field) {
             if (empty($data[$field])) {
                 $this->sendResponse(400, ['error' => "Field '{$field}' is required"]);
@@ -58,44 +129,31 @@ class TransportController {
         }
         
         try {
-            // Get and validate order
-            $order = $this->orderModel->findById($data['order_id']);
-            if (!$order) {
-                $this->sendResponse(404, ['error' => 'Order not found']);
-                return;
-            }
-            
-            // Check if farmer owns the order
-            if ($order['farmer_id'] != $user['id']) {
-                $this->sendResponse(403, ['error' => 'You can only request transport for your own orders']);
-                return;
-            }
-            
-            // Check order status
-            if (!in_array($order['order_status'], ['confirmed', 'processing'])) {
-                $this->sendResponse(400, ['error' => 'Order must be confirmed or processing to request transport']);
+            // Get and validate orders
+            $orders = $this->loadTransportOrders($orderIds, $user);
+            if (isset($orders['error'])) {
+                $this->sendResponse($orders['status'], ['error' => $orders['error']]);
                 return;
             }
             
-            // Get product details for perishability assessment
-            $product = $this->productModel->findById($order['product_id']);
+            // Visit the drop-offs nearest first; a single order is a one-stop route
+            $routePlan = $this->buildRoutePlan($data['pickup_address'], $orders, $data['transport_type']);
+            $stops = $routePlan['stops'];
+            $firstOrderId = $stops[0]['order_id'];
+            $finalAddress = $stops[count($stops) - 1]['delivery_address'];
             
-            // Assess delivery risk based on product perishability
-            $riskAssessment = $this->perishabilityService->assessDeliveryRisk(
-                $product['category'],
-                $data['pickup_address'],
-                $order['delivery_address'],
-                $data['preferred_date']
-            );
+            // Assess delivery risk for the most perishable load on the trip
+            $riskAssessment = $this->assessTripRisk($orders, $data['pickup_address'], $data['preferred_date']);
             
-            // Prepare transport request data
+            // Prepare transport request data (the first stop's order owns the transport)
             $transportData = [
-                'order_id' => $data['order_id'],
+                'order_id' => $firstOrderId,
                 'transport_type' => $data['transport_type'],
                 'pickup_address' => $data['pickup_address'],
-                'delivery_address' => $order['delivery_address'],
+                'delivery_address' => $finalAddress,
                 'pickup_date' => $data['preferred_date'],
                 'delivery_date' => $data['delivery_date'] ?? null,
+                'distance_km' => $routePlan['total_distance_km'],
                 'notes' => $data['notes'] ?? null,
                 'status' => 'requested'
             ];
@@ -103,7 +161,7 @@ class TransportController {
             // Predict ETA and optimize route
             $etaPrediction = $this->etaService->predictETA(
                 $data['pickup_address'],
-                $order['delivery_address'],
+                $finalAddress,
                 $data['transport_type'],
                 $data['preferred_date']
             );
@@ -112,17 +170,39 @@ class TransportController {
             $assignmentResult = $this->assignTransportProvider($transportData, $etaPrediction, $riskAssessment);
             
             if ($assignmentResult['success']) {
+                // Final price with the assigned provider; a change from the estimate the farmer saw needs confirming
+                $quote = $this->buildQuote($routePlan, $orders, $data['transport_type'], $riskAssessment, $assignmentResult['provider_info']);
+                if (isset($data['quoted_total']) && abs($quote['total'] - (float) $data['quoted_total']) >= self::QUOTE_TOLERANCE) {
+                    $this->sendResponse(409, [
+                        'error' => 'The final quote differs from the estimate',
+                        'quote' => $quote,
+                        'quoted_total' => (float) $data['quoted_total']
+                    ]);
+                    return;
+                }
+                
                 $transportId = $this->transportModel->create(array_merge(
                     $transportData,
-                    $assignmentResult['provider_data']
+                    $assignmentResult['provider_data'],
+                    ['cost' => $quote['total']]
                 ));
                 
                 if ($transportId) {
                     // Initialize tracking
                     $this->trackingService->initializeTracking($transportId, $etaPrediction);
+                    $this->createTimelineEntry($transportId, 'scheduled', 'Transport requested by farmer');
+                    
+                    // Drop-offs of a combined trip
+                    if (count($stops) > 1) {
+                        foreach ($stops as $stop) {
+                            $this->stopModel->create(array_merge($stop, ['transport_id' => $transportId]));
+                        }
+                    }
                     
                     // Update order status
-                    $this->orderModel->updateStatus($data['order_id'], 'processing', 'Transport requested');
+                    foreach ($stops as $stop) {
+                        $this->orderModel->updateStatus($stop['order_id'], 'processing', 'Transport requested');
+                    }
                     
                     // Schedule perishability monitoring if high risk
                     if ($riskAssessment['risk_level'] === 'high') {
@@ -134,6 +214,8 @@ class TransportController {
                     $this->sendResponse(201, [
                         'message' => 'Transport requested successfully',
                         'transport' => $transport,
+                        'route_plan' => $routePlan,
+                        'quote' => $quote,
                         'eta_prediction' => $etaPrediction,
                         'risk_assessment' => $riskAssessment,
                         'provider_assignment' => $assignmentResult
@@ -154,6 +236,55 @@ class TransportController {
         }
     }
     
+    /**
+     * Suggested stop order, distance and price estimate before a transport is requested
+     */
+    public function planRoute() {
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->sendResponse(405, ['error' => 'Method not allowed']);
+            return;
+        }
+        
+        $user = $this->getCurrentUser();
+        if (!$user || $user['role'] !== 'farmer') {
+            $this->sendResponse(403, ['error' => 'Only farmers can plan transport routes']);
+            return;
+        }
+        
+        $data = json_decode(file_get_contents('php://input'), true);
+        
+        if (empty($data['pickup_address'])) {
+            $this->sendResponse(400, ['error' => "Field 'pickup_address' is required"]);
+            return;
+        }
+        
+        try {
+            $orders = $this->loadTransportOrders($data['order_ids'] ?? [], $user);
+            if (isset($orders['error'])) {
+                $this->sendResponse($orders['status'], ['error' => $orders['error']]);
+                return;
+            }
+            
+            $transportType = $data['transport_type'] ?? 'auto';
+            $routePlan = $this->buildRoutePlan($data['pickup_address'], $orders, $transportType);
+            $riskAssessment = $this->assessTripRisk(
+                $orders,
+                $data['pickup_address'],
+                $data['preferred_date'] ?? date('Y-m-d H:i:s')
+            );
+            
+            $this->sendResponse(200, [
+                'route_plan' => $routePlan,
+                'quote' => $this->buildQuote($routePlan, $orders, $transportType, $riskAssessment),
+                'spoilage' => $this->planSpoilageOutlook($orders, $data['preferred_date'] ?? null, $transportType)
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Plan route error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
     /**
      * Get real-time transport tracking information
      */
@@ -174,45 +305,209 @@ class TransportController {
             // Check permissions
             $order = $this->orderModel->findById($transport['order_id']);
             if ($user['role'] !== 'admin' && 
-                $order['buyer_id'] != $user['id'] && 
-                $order['farmer_id'] != $user['id']) {
+                $order['farmer_id'] != $user['user_id'] && 
+                !$this->isTransportBuyer($user, $transport)) {
                 $this->sendResponse(403, ['error' => 'Access denied']);
                 return;
             }
             
-            // Get real-time tracking data
-            $trackingData = $this->trackingService->getTrackingData($transportId);
+            $this->sendResponse(200, $this->buildTrackingPayload($transport));
             
-            // Check for route anomalies
-            $anomalyCheck = $this->routeAnomalyService->checkRouteAnomalies(
-                $transportId,
-                $trackingData['current_location'] ?? null
-            );
+        } catch (Exception $e) {
+            error_log("Get tracking info error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Full details of one delivery: timeline, driver and vehicle, predicted vs
+     * actual journey, proof of delivery, rating and the order's invoice
+     */
+    public function getTransportDetails($transportId) {
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        try {
+            $transport = $this->transportModel->findById($transportId);
+            if (!$transport) {
+                $this->sendResponse(404, ['error' => 'Transport not found']);
+                return;
+            }
             
-            // Update ETA if needed
-            if (!empty($trackingData['current_location'])) {
-                $updatedETA = $this->etaService->updateETA(
-                    $transportId,
-                    $trackingData['current_location'],
-                    $trackingData['current_speed'] ?? 0
-                );
-            } else {
-                $updatedETA = null;
+            if (!$this->isTransportParticipant($user, $transport)) {
+                $this->sendResponse(403, ['error' => 'Access denied']);
+                return;
             }
             
-            $response = [
-                'transport' => $transport,
-                'tracking' => $trackingData,
-                'eta_prediction' => $updatedETA,
-                'route_anomalies' => $anomalyCheck,
-                'last_updated' => date('Y-m-d H:i:s')
-            ];
+            $timeline = $this->getTransportTimeline($transportId);
+            $tracking = $this->trackingService->getTrackingData($transportId);
+            $eta = $this->etaService->getCurrentETA($transportId);
+            $rating = $this->ratingModel->findByTransport($transportId);
+            $invoice = $this->invoiceService->getInvoice($transport['order_id']);
             
-            $this->sendResponse(200, $response);
+            $transport['timeline'] = $timeline;
+            $transport['journey'] = $this->buildJourneySummary($timeline, $tracking, $eta);
+            $transport['proof_of_delivery'] = $this->proofModel->findByTransport($transportId) ?: null;
+            $transport['rating'] = $rating ? (int) $rating['overall_rating'] : null;
+            $transport['rating_details'] = $rating ?: null;
+            $transport['issues'] = $this->issueModel->getByTransport($transportId);
+            $transport['stops'] = $this->stopModel->findByTransport($transportId);
+            $transport['invoice'] = $invoice ? [
+                'invoice_number' => $invoice['invoice_number'],
+                'issue_date' => $invoice['issue_date'],
+                'total_amount' => $invoice['total_amount'],
+                'payment_status' => $invoice['payment_status']
+            ] : null;
+            
+            $this->sendResponse(200, ['transport' => $transport]);
             
         } catch (Exception $e) {
-            error_log("Get tracking info error: " . $e->getMessage());
+            error_log("Get transport details error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Short-lived ticket for opening the tracking stream
+     * EventSource cannot send headers, and the session token must not end up in
+     * access or proxy logs, so the stream URL carries this ticket instead
+     */
+    public function issueStreamTicket() {
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->sendResponse(405, ['error' => 'Method not allowed']);
+            return;
+        }
+        
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        $payload = $this->encodeTicketPart(json_encode([
+            'user_id' => $user['user_id'],
+            'role' => $user['role'],
+            'session_exp' => $user['exp'],
+            'exp' => min(time() + self::STREAM_TICKET_TTL, $user['exp'])
+        ]));
+        $signature = $this->encodeTicketPart(hash_hmac('sha256', $payload, $this->streamTicketKey(), true));
+        
+        $this->sendResponse(200, [
+            'ticket' => $payload . '.' . $signature,
+            'expires_in' => self::STREAM_TICKET_TTL
+        ]);
+    }
+    
+    /**
+     * Stream tracking updates for several transports over Server-Sent Events
+     * Opened with a ticket from issueStreamTicket() as ?ticket=
+     */
+    public function streamTracking() {
+        $user = $this->getCurrentUser();
+        if ($user) {
+            $user['session_exp'] = $user['exp'];
+        } elseif (!empty($_GET['ticket'])) {
+            $user = $this->verifyStreamTicket($_GET['ticket']);
+        }
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        $ids = array_unique(array_filter(array_map('intval', explode(',', $_GET['ids'] ?? ''))));
+        if (empty($ids)) {
+            $this->sendResponse(400, ['error' => 'Transport ids are required']);
+            return;
+        }
+        
+        try {
+            // Keep only transports the user may see
+            $transports = [];
+            foreach ($ids as $id) {
+                $transport = $this->transportModel->findById($id);
+                if (!$transport) {
+                    continue;
+                }
+                $order = $this->orderModel->findById($transport['order_id']);
+                if ($user['role'] === 'admin' || 
+                    $order['farmer_id'] == $user['user_id'] || 
+                    $this->isTransportBuyer($user, $transport)) {
+                    $transports[$id] = $transport;
+                }
+            }
+        } catch (Exception $e) {
+            error_log("Stream tracking error: " . $e->getMessage());
             $this->sendResponse(500, ['error' => 'Internal server error']);
+            return;
+        }
+        
+        // Don't hold the session lock for the lifetime of the stream
+        session_write_close();
+        set_time_limit(0);
+        
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no');
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+        
+        echo "retry: 5000\n\n";
+        flush();
+        
+        // End the stream before the session expires; the client reconnects with a fresh ticket
+        $deadline = min(time() + self::STREAM_DURATION, $user['session_exp']);
+        $lastSeen = [];
+        $lastSent = [];
+        
+        while (time() < $deadline && !connection_aborted()) {
+            foreach ($transports as $id => $transport) {
+                try {
+                    $current = $this->transportModel->findById($id) ?: $transport;
+                    
+                    // Location and status updates touch updated_at; only then is the ETA worth re-predicting
+                    $source = md5(json_encode([
+                        $current['status'],
+                        $current['updated_at'],
+                        $this->anomalyFingerprint($this->anomalyModel->getByTransport($id))
+                    ]));
+                    if (($lastSeen[$id] ?? null) === $source) {
+                        continue;
+                    }
+                    $lastSeen[$id] = $source;
+                    
+                    $payload = $this->buildTrackingPayload($current);
+                } catch (Exception $e) {
+                    error_log("Stream tracking error: " . $e->getMessage());
+                    continue;
+                }
+                
+                // Only send transports whose position, status, ETA or anomalies changed
+                $eta = $payload['eta_prediction'];
+                $fingerprint = md5(json_encode([
+                    $payload['tracking']['current_status'] ?? null,
+                    $payload['tracking']['current_location'] ?? null,
+                    $payload['tracking']['current_speed'] ?? null,
+                    $eta ? date('Y-m-d H:i', strtotime($eta['updated_arrival_time'])) : null,
+                    $this->anomalyFingerprint($payload['anomaly_timeline'])
+                ]));
+                if (($lastSent[$id] ?? null) === $fingerprint) {
+                    continue;
+                }
+                $lastSent[$id] = $fingerprint;
+                
+                echo "event: tracking\n";
+                echo 'data: ' . json_encode(['transport_id' => $id] + $payload) . "\n\n";
+            }
+            
+            // Comment line keeps proxies from closing an idle connection
+            echo ": ping\n\n";
+            flush();
+            
+            sleep(self::STREAM_POLL_SECONDS);
         }
     }
     
@@ -240,9 +535,51 @@ class TransportController {
                 return;
             }
             
+            // Drivers may only update the jobs assigned to them
+            if ($user['role'] === 'driver' && ($transport['driver_info']['user_id'] ?? null) != $user['user_id']) {
+                $this->sendResponse(403, ['error' => 'This job is not assigned to you']);
+                return;
+            }
+            
+            // Otherwise only the farmer who requested the transport, or an admin
+            if (!in_array($user['role'], ['driver', 'admin'])) {
+                $order = $this->orderModel->findById($transport['order_id']);
+                if (!$order || $order['farmer_id'] != $user['user_id']) {
+                    $this->sendResponse(403, ['error' => 'Only the farmer, the assigned driver or an admin can update this transport']);
+                    return;
+                }
+            }
+            
+            // The driver assignment is not the driver's to change
+            if ($user['role'] === 'driver') {
+                unset($data['driver_info']);
+            }
+            
+            if (!empty($data['status']) && $user['role'] !== 'admin' && 
+                !in_array($data['status'], self::STATUS_FLOW[$transport['status']] ?? [])) {
+                $this->sendResponse(409, [
+                    'error' => "Transport cannot move from '{$transport['status']}' to '{$data['status']}'",
+                    'current_status' => $transport['status']
+                ]);
+                return;
+            }
+            
+            $handoverCode = null;
+            if (($data['status'] ?? null) === 'delivered') {
+                $handoverCode = $this->checkDeliveryHandover($transportId, $user, $data);
+                if ($handoverCode === false) {
+                    return;
+                }
+            }
+            
             // Update transport status
             if (!empty($data['status'])) {
                 $this->transportModel->updateStatus($transportId, $data['status'], $data['notes'] ?? null);
+                $this->createTimelineEntry($transportId, $data['status'], $data['notes'] ?? null);
+                
+                if ($handoverCode) {
+                    $this->handoverModel->markVerified($handoverCode['id'], $user['user_id']);
+                }
                 
                 // Handle status-specific actions
                 $this->handleStatusChange($transportId, $data['status'], $transport);
@@ -279,20 +616,635 @@ class TransportController {
             $updatedTransport = $this->transportModel->findById($transportId);
             
             $this->sendResponse(200, [
-                'message' => 'Transport updated successfully',
-                'transport' => $updatedTransport
+                'message' => 'Transport updated successfully',
+                'transport' => $updatedTransport
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Update transport status error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * One-time handover code for the buyer to give the driver at delivery.
+     * Returns the active code, or issues a new one when none is left
+     */
+    public function getHandoverCode($transportId) {
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        try {
+            $transport = $this->transportModel->findById($transportId);
+            if (!$transport) {
+                $this->sendResponse(404, ['error' => 'Transport not found']);
+                return;
+            }
+            
+            if (!$this->isTransportBuyer($user, $transport)) {
+                $this->sendResponse(403, ['error' => 'Only the buyer can view the handover code']);
+                return;
+            }
+            
+            if (in_array($transport['status'], ['delivered', 'cancelled'])) {
+                $this->sendResponse(400, ['error' => 'This transport is already closed']);
+                return;
+            }
+            
+            $handover = $this->handoverModel->findActive($transportId, self::MAX_HANDOVER_ATTEMPTS);
+            if (!$handover) {
+                $code = str_pad((string) random_int(0, 999999), 6, '0', STR_PAD_LEFT);
+                $expiresAt = date('Y-m-d H:i:s', time() + self::HANDOVER_CODE_TTL);
+                $this->handoverModel->create($transportId, $code, $expiresAt);
+                $handover = ['code' => $code, 'expires_at' => $expiresAt];
+            }
+            
+            $this->sendResponse(200, [
+                'transport_id' => (int) $transportId,
+                'code' => $handover['code'],
+                'expires_at' => $handover['expires_at'],
+                'qr_payload' => 'KRISHIGHOR-HANDOVER:' . $transportId . ':' . $handover['code']
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Get handover code error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Confirm delivery
+     */
+    public function confirmDelivery($transportId) {
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->sendResponse(405, ['error' => 'Method not allowed']);
+            return;
+        }
+        
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        $data = json_decode(file_get_contents('php://input'), true);
+        
+        try {
+            $transport = $this->transportModel->findById($transportId);
+            if (!$transport) {
+                $this->sendResponse(404, ['error' => 'Transport not found']);
+                return;
+            }
+            
+            // Check permissions - buyer or admin can confirm delivery
+            if ($user['role'] !== 'admin' && !$this->isTransportBuyer($user, $transport)) {
+                $this->sendResponse(403, ['error' => 'Only the buyer or admin can confirm delivery']);
+                return;
+            }
+            
+            // Same proof of delivery as a driver marking the transport delivered
+            $handoverCode = $this->checkDeliveryHandover($transportId, $user, $data);
+            if ($handoverCode === false) {
+                return;
+            }
+            
+            // Update transport status
+            $this->transportModel->updateStatus($transportId, 'delivered', $data['notes'] ?? 'Delivery confirmed by buyer');
+            $this->createTimelineEntry($transportId, 'delivered', $data['notes'] ?? 'Delivery confirmed by buyer');
+            
+            if ($handoverCode) {
+                $this->handoverModel->markVerified($handoverCode['id'], $user['user_id']);
+            }
+            
+            // Update order status
+            foreach ($this->transportOrderIds($transport) as $orderId) {
+                $this->orderModel->updateStatus($orderId, 'delivered', 'Delivery confirmed');
+            }
+            
+            // Complete tracking
+            $this->trackingService->completeDelivery($transportId, $data);
+            
+            // Generate delivery analytics
+            $analytics = $this->generateDeliveryAnalytics($transportId, $transport);
+            
+            $this->sendResponse(200, [
+                'message' => 'Delivery confirmed successfully',
+                'transport_id' => $transportId,
+                'order_id' => $transport['order_id'],
+                'analytics' => $analytics
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Confirm delivery error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Buyer rates a delivered transport (overall, timeliness, condition)
+     */
+    public function rateDelivery($transportId) {
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->sendResponse(405, ['error' => 'Method not allowed']);
+            return;
+        }
+        
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        $data = json_decode(file_get_contents('php://input'), true);
+        
+        foreach (['overall_rating', 'timeliness_rating', 'condition_rating'] as $field) {
+            $value = $data[$field] ?? null;
+            if ($value === null && $field !== 'overall_rating') {
+                continue;
+            }
+            if (!is_numeric($value) || $value < 1 || $value > 5) {
+                $this->sendResponse(400, ['error' => "Field '{$field}' must be between 1 and 5"]);
+                return;
+            }
+        }
+        
+        try {
+            $transport = $this->transportModel->findById($transportId);
+            if (!$transport) {
+                $this->sendResponse(404, ['error' => 'Transport not found']);
+                return;
+            }
+            
+            $order = $this->orderModel->findById($transport['order_id']);
+            if ($order['buyer_id'] != $user['user_id']) {
+                $this->sendResponse(403, ['error' => 'Only the buyer can rate a delivery']);
+                return;
+            }
+            
+            if ($transport['status'] !== 'delivered') {
+                $this->sendResponse(400, ['error' => 'Only delivered transports can be rated']);
+                return;
+            }
+            
+            if ($this->ratingModel->findByTransport($transportId)) {
+                $this->sendResponse(409, ['error' => 'This delivery has already been rated']);
+                return;
+            }
+            
+            $this->ratingModel->create([
+                'transport_id' => $transportId,
+                'rated_by' => $user['user_id'],
+                'overall_rating' => (int) $data['overall_rating'],
+                'timeliness_rating' => isset($data['timeliness_rating']) ? (int) $data['timeliness_rating'] : null,
+                'condition_rating' => isset($data['condition_rating']) ? (int) $data['condition_rating'] : null,
+                'comment' => !empty($data['comment']) ? trim($data['comment']) : null
+            ]);
+            
+            $this->sendResponse(201, [
+                'message' => 'Rating submitted successfully',
+                'rating' => $this->ratingModel->findByTransport($transportId)
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Rate delivery error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Buyer reports a problem with a delivery (damage, delay, quantity, driver)
+     * Photos arrive as base64 data URLs so the request can be queued offline
+     */
+    public function reportIssue($transportId) {
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->sendResponse(405, ['error' => 'Method not allowed']);
+            return;
+        }
+        
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        $data = json_decode(file_get_contents('php://input'), true);
+        
+        if (!in_array($data['category'] ?? null, TransportIssue::CATEGORIES)) {
+            $this->sendResponse(400, ['error' => 'Invalid issue category']);
+            return;
+        }
+        
+        $description = trim($data['description'] ?? '');
+        if (mb_strlen($description) < 10) {
+            $this->sendResponse(400, ['error' => 'Description must be at least 10 characters']);
+            return;
+        }
+        
+        $photos = $data['photos'] ?? [];
+        if (!is_array($photos) || count($photos) > self::MAX_ISSUE_PHOTOS) {
+            $this->sendResponse(400, ['error' => 'Up to ' . self::MAX_ISSUE_PHOTOS . ' photos are allowed']);
+            return;
+        }
+        
+        try {
+            $transport = $this->transportModel->findById($transportId);
+            if (!$transport) {
+                $this->sendResponse(404, ['error' => 'Transport not found']);
+                return;
+            }
+            
+            // Only the buyer who received the delivery (or admin) can report on it
+            $order = $this->orderModel->findById($transport['order_id']);
+            if ($user['role'] !== 'admin' && $order['buyer_id'] != $user['user_id']) {
+                $this->sendResponse(403, ['error' => 'Only the buyer can report an issue']);
+                return;
+            }
+            
+            $savedPhotos = $this->saveDataUrlPhotos('uploads/transport-issues/' . $transportId . '/', $photos);
+            if ($savedPhotos === false) {
+                $this->sendResponse(400, ['error' => 'Photos must be JPEG or PNG images under 5MB']);
+                return;
+            }
+            
+            $issueId = $this->issueModel->create([
+                'transport_id' => $transportId,
+                'reported_by' => $user['user_id'],
+                'category' => $data['category'],
+                'description' => $description,
+                'photos' => $savedPhotos
+            ]);
+            
+            if (!$issueId) {
+                $this->sendResponse(500, ['error' => 'Failed to save issue']);
+                return;
+            }
+            
+            $this->notifyFarmer($transport['order_id'], "Buyer reported a delivery issue ({$data['category']})");
+            
+            $this->sendResponse(201, [
+                'message' => 'Issue reported successfully',
+                'issue' => $this->issueModel->findById($issueId)
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Report issue error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Issues reported against a delivery, newest first
+     */
+    public function getIssues($transportId) {
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        try {
+            $transport = $this->transportModel->findById($transportId);
+            if (!$transport) {
+                $this->sendResponse(404, ['error' => 'Transport not found']);
+                return;
+            }
+            
+            $order = $this->orderModel->findById($transport['order_id']);
+            if ($user['role'] !== 'admin' && 
+                $order['buyer_id'] != $user['user_id'] && 
+                $order['farmer_id'] != $user['user_id']) {
+                $this->sendResponse(403, ['error' => 'Access denied']);
+                return;
+            }
+            
+            $this->sendResponse(200, [
+                'transport_id' => (int) $transportId,
+                'issues' => $this->issueModel->getByTransport($transportId)
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Get issues error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Chat history for a transport (latest 100 messages, oldest first)
+     */
+    public function getMessages($transportId) {
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        try {
+            $transport = $this->transportModel->findById($transportId);
+            if (!$transport) {
+                $this->sendResponse(404, ['error' => 'Transport not found']);
+                return;
+            }
+            
+            if (!$this->isTransportParticipant($user, $transport)) {
+                $this->sendResponse(403, ['error' => 'Access denied']);
+                return;
+            }
+            
+            $this->sendResponse(200, [
+                'transport_id' => (int) $transportId,
+                'messages' => $this->messageModel->getByTransport($transportId),
+                'unread' => $this->messageModel->countUnread($transportId, $user['user_id'])
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Get messages error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Send a chat message, optionally with a pickup/drop-off photo (data URL)
+     */
+    public function sendMessage($transportId) {
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->sendResponse(405, ['error' => 'Method not allowed']);
+            return;
+        }
+        
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        $data = json_decode(file_get_contents('php://input'), true);
+        $message = trim($data['message'] ?? '');
+        $photo = $data['photo'] ?? null;
+        $photoKind = $data['photo_kind'] ?? null;
+        
+        if ($message === '' && !$photo) {
+            $this->sendResponse(400, ['error' => 'Message or photo is required']);
+            return;
+        }
+        
+        if (mb_strlen($message) > 1000) {
+            $this->sendResponse(400, ['error' => 'Message is too long']);
+            return;
+        }
+        
+        if ($photo && !in_array($photoKind, TransportMessage::PHOTO_KINDS)) {
+            $this->sendResponse(400, ['error' => 'Photo kind must be pickup or dropoff']);
+            return;
+        }
+        
+        try {
+            $transport = $this->transportModel->findById($transportId);
+            if (!$transport) {
+                $this->sendResponse(404, ['error' => 'Transport not found']);
+                return;
+            }
+            
+            if (!$this->isTransportParticipant($user, $transport)) {
+                $this->sendResponse(403, ['error' => 'Access denied']);
+                return;
+            }
+            
+            $photoUrl = null;
+            if ($photo) {
+                $saved = $this->saveDataUrlPhotos('uploads/transport-messages/' . $transportId . '/', [$photo]);
+                if (!$saved) {
+                    $this->sendResponse(400, ['error' => 'Photo must be a JPEG or PNG image under 5MB']);
+                    return;
+                }
+                $photoUrl = $saved[0];
+            }
+            
+            $messageId = $this->messageModel->create([
+                'transport_id' => $transportId,
+                'sender_id' => $user['user_id'],
+                'sender_role' => $user['role'],
+                'message' => $message !== '' ? $message : null,
+                'photo_url' => $photoUrl,
+                'photo_kind' => $photo ? $photoKind : null
+            ]);
+            
+            if (!$messageId) {
+                $this->sendResponse(500, ['error' => 'Failed to send message']);
+                return;
+            }
+            
+            $this->sendResponse(201, [
+                'message' => 'Message sent',
+                'chat_message' => $this->messageModel->findById($messageId)
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Send message error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Mark the other participants' messages as read
+     */
+    public function markMessagesRead($transportId) {
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->sendResponse(405, ['error' => 'Method not allowed']);
+            return;
+        }
+        
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        try {
+            $transport = $this->transportModel->findById($transportId);
+            if (!$transport) {
+                $this->sendResponse(404, ['error' => 'Transport not found']);
+                return;
+            }
+            
+            if (!$this->isTransportParticipant($user, $transport)) {
+                $this->sendResponse(403, ['error' => 'Access denied']);
+                return;
+            }
+            
+            $this->sendResponse(200, [
+                'marked' => $this->messageModel->markRead($transportId, $user['user_id'])
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Mark messages read error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Route anomaly timeline of a delivery: detours, long stops and speed anomalies
+     */
+    public function getAnomalies($transportId) {
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        try {
+            $transport = $this->transportModel->findById($transportId);
+            if (!$transport) {
+                $this->sendResponse(404, ['error' => 'Transport not found']);
+                return;
+            }
+            
+            if (!$this->isTransportParticipant($user, $transport)) {
+                $this->sendResponse(403, ['error' => 'Access denied']);
+                return;
+            }
+            
+            $this->sendResponse(200, [
+                'transport_id' => (int) $transportId,
+                'anomalies' => $this->anomalyModel->getByTransport($transportId)
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Get anomalies error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Buyer or farmer marks a route anomaly as seen
+     */
+    public function acknowledgeAnomaly($anomalyId) {
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->sendResponse(405, ['error' => 'Method not allowed']);
+            return;
+        }
+        
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        try {
+            $anomaly = $this->loadPartyAnomaly($anomalyId, $user);
+            if (isset($anomaly['error'])) {
+                $this->sendResponse($anomaly['status'], ['error' => $anomaly['error']]);
+                return;
+            }
+            
+            if (!$this->anomalyModel->acknowledge($anomalyId, $user['user_id'])) {
+                $this->sendResponse(409, [
+                    'error' => 'Only open anomalies can be acknowledged',
+                    'anomaly' => $anomaly
+                ]);
+                return;
+            }
+            
+            $this->sendResponse(200, [
+                'message' => 'Anomaly acknowledged',
+                'anomaly' => $this->anomalyModel->findById($anomalyId)
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Acknowledge anomaly error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Buyer or farmer hands a route anomaly to the transport admins
+     */
+    public function escalateAnomaly($anomalyId) {
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->sendResponse(405, ['error' => 'Method not allowed']);
+            return;
+        }
+        
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        $data = json_decode(file_get_contents('php://input'), true);
+        $note = trim($data['note'] ?? '');
+        
+        if (mb_strlen($note) > self::MAX_ESCALATION_NOTE) {
+            $this->sendResponse(400, ['error' => 'Note must be at most ' . self::MAX_ESCALATION_NOTE . ' characters']);
+            return;
+        }
+        
+        try {
+            $anomaly = $this->loadPartyAnomaly($anomalyId, $user);
+            if (isset($anomaly['error'])) {
+                $this->sendResponse($anomaly['status'], ['error' => $anomaly['error']]);
+                return;
+            }
+            
+            if (!$this->anomalyModel->escalate($anomalyId, $user['user_id'], $note !== '' ? $note : null)) {
+                $this->sendResponse(409, [
+                    'error' => 'Anomaly is already escalated or resolved',
+                    'anomaly' => $anomaly
+                ]);
+                return;
+            }
+            
+            $transport = $this->transportModel->findById($anomaly['transport_id']);
+            error_log("Route anomaly #{$anomalyId} on transport #{$anomaly['transport_id']} escalated by user #{$user['user_id']}");
+            if ($user['role'] === 'buyer') {
+                $this->notifyFarmer($transport['order_id'], 'Buyer escalated a route anomaly to admin');
+            } else {
+                $this->notifyBuyer($transport['order_id'], 'A route anomaly on your delivery was escalated to admin');
+            }
+            
+            $this->sendResponse(200, [
+                'message' => 'Anomaly escalated to admin',
+                'anomaly' => $this->anomalyModel->findById($anomalyId)
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Escalate anomaly error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Admin queue of escalated route anomalies
+     */
+    public function getEscalatedAnomalies() {
+        $user = $this->getCurrentUser();
+        if (!$user) {
+            $this->sendResponse(401, ['error' => 'Unauthorized']);
+            return;
+        }
+        
+        if ($user['role'] !== 'admin') {
+            $this->sendResponse(403, ['error' => 'Admin access required']);
+            return;
+        }
+        
+        try {
+            $this->sendResponse(200, [
+                'anomalies' => $this->anomalyModel->getEscalated()
             ]);
             
         } catch (Exception $e) {
-            error_log("Update transport status error: " . $e->getMessage());
+            error_log("Get escalated anomalies error: " . $e->getMessage());
             $this->sendResponse(500, ['error' => 'Internal server error']);
         }
     }
     
     /**
-     * Confirm delivery
+     * Admin closes an escalated route anomaly
      */
-    public function confirmDelivery($transportId) {
+    public function resolveAnomaly($anomalyId) {
         if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
             $this->sendResponse(405, ['error' => 'Method not allowed']);
             return;
@@ -304,44 +1256,66 @@ class TransportController {
             return;
         }
         
+        if ($user['role'] !== 'admin') {
+            $this->sendResponse(403, ['error' => 'Admin access required']);
+            return;
+        }
+        
         $data = json_decode(file_get_contents('php://input'), true);
+        $notes = trim($data['resolution_notes'] ?? '');
         
         try {
-            $transport = $this->transportModel->findById($transportId);
-            if (!$transport) {
-                $this->sendResponse(404, ['error' => 'Transport not found']);
+            $anomaly = $this->anomalyModel->findById($anomalyId);
+            if (!$anomaly) {
+                $this->sendResponse(404, ['error' => 'Anomaly not found']);
                 return;
             }
             
-            $order = $this->orderModel->findById($transport['order_id']);
-            
-            // Check permissions - buyer or admin can confirm delivery
-            if ($user['role'] !== 'admin' && $order['buyer_id'] != $user['id']) {
-                $this->sendResponse(403, ['error' => 'Only the buyer or admin can confirm delivery']);
+            if (!$this->anomalyModel->resolve($anomalyId, $user['user_id'], $notes !== '' ? $notes : null)) {
+                $this->sendResponse(409, ['error' => 'Anomaly is already resolved']);
                 return;
             }
             
-            // Update transport status
-            $this->transportModel->updateStatus($transportId, 'delivered', $data['notes'] ?? 'Delivery confirmed by buyer');
+            $transport = $this->transportModel->findById($anomaly['transport_id']);
+            if ($transport) {
+                $this->notifyFarmer($transport['order_id'], 'Admin resolved an escalated route anomaly');
+                $this->notifyBuyer($transport['order_id'], 'Admin resolved an escalated route anomaly');
+            }
             
-            // Update order status
-            $this->orderModel->updateStatus($transport['order_id'], 'delivered', 'Delivery confirmed');
+            $this->sendResponse(200, [
+                'message' => 'Anomaly resolved',
+                'anomaly' => $this->anomalyModel->findById($anomalyId)
+            ]);
             
-            // Complete tracking
-            $this->trackingService->completeDelivery($transportId, $data);
+        } catch (Exception $e) {
+            error_log("Resolve anomaly error: " . $e->getMessage());
+            $this->sendResponse(500, ['error' => 'Internal server error']);
+        }
+    }
+    
+    /**
+     * Jobs assigned to the logged-in driver, with pickup and drop-off contacts
+     */
+    public function getDriverJobs() {
+        $user = $this->getCurrentUser();
+        if (!$user || $user['role'] !== 'driver') {
+            $this->sendResponse(403, ['error' => 'Only drivers can view driver jobs']);
+            return;
+        }
+        
+        try {
+            $jobs = $this->transportModel->getByDriver($user['user_id']);
             
-            // Generate delivery analytics
-            $analytics = $this->generateDeliveryAnalytics($transportId, $transport);
+            foreach ($jobs as &$job) {
+                $job['eta'] = $this->etaService->getCurrentETA($job['id']);
+                $job['unread_messages'] = $this->messageModel->countUnread($job['id'], $user['user_id']);
+                $job['stops'] = $this->stopModel->findByTransport($job['id']);
+            }
             
-            $this->sendResponse(200, [
-                'message' => 'Delivery confirmed successfully',
-                'transport_id' => $transportId,
-                'order_id' => $transport['order_id'],
-                'analytics' => $analytics
-            ]);
+            $this->sendResponse(200, ['jobs' => $jobs]);
             
         } catch (Exception $e) {
-            error_log("Confirm delivery error: " . $e->getMessage());
+            error_log("Get driver jobs error: " . $e->getMessage());
             $this->sendResponse(500, ['error' => 'Internal server error']);
         }
     }
@@ -359,7 +1333,7 @@ class TransportController {
         try {
             $filters = [];
             if ($user['role'] === 'farmer') {
-                $filters['farmer_id'] = $user['id'];
+                $filters['farmer_id'] = $user['user_id'];
             }
             
             // Get transport statistics
@@ -378,11 +1352,22 @@ class TransportController {
             // Get perishability risk analytics
             $riskAnalytics = $this->perishabilityService->getRiskAnalytics($filters);
             
+            // Charts and regional comparison; an empty region means all regions
+            $dashboardFilters = [
+                'date_from' => $_GET['start_date'] ?? null,
+                'date_to' => $_GET['end_date'] ?? null
+            ];
+            if (isset($_GET['region'])) {
+                $dashboardFilters['region'] = $_GET['region'];
+            }
+            $dashboard = $this->analyticsService->getDashboard($filters['farmer_id'] ?? null, $dashboardFilters);
+            
             $this->sendResponse(200, [
                 'transport_stats' => $stats,
                 'delivery_performance' => $performance,
                 'route_analytics' => $routeAnalytics,
                 'risk_analytics' => $riskAnalytics,
+                'dashboard' => $dashboard,
                 'generated_at' => date('Y-m-d H:i:s')
             ]);
             
@@ -431,9 +1416,13 @@ class TransportController {
             
             $filters = [];
             if ($user['role'] === 'farmer') {
-                $filters['farmer_id'] = $user['id'];
+                $filters['farmer_id'] = $user['user_id'];
             } elseif ($user['role'] === 'buyer') {
-                $filters['buyer_id'] = $user['id'];
+                $filters['buyer_id'] = $user['user_id'];
+            } elseif ($user['role'] !== 'admin') {
+                // Drivers list their own jobs through /transport/driver/jobs
+                $this->sendResponse(403, ['error' => 'Access denied']);
+                return;
             }
             
             $transports = $this->transportModel->getTransports($filters, $limit, $offset);
@@ -449,6 +1438,19 @@ class TransportController {
             foreach ($transports as &$transport) {
                 $transport['tracking'] = $this->trackingService->getTrackingData($transport['id']);
                 $transport['eta'] = $this->etaService->getCurrentETA($transport['id']);
+                $transport['issues'] = $this->issueModel->getByTransport($transport['id']);
+                $transport['unread_messages'] = $this->messageModel->countUnread($transport['id'], $user['user_id']);
+                $transport['stops'] = $this->stopModel->findByTransport($transport['id']);
+                if (!in_array($transport['status'], ['delivered', 'cancelled'])) {
+                    $transport['spoilage'] = $this->perishabilityService->getSpoilageOutlook(
+                        $transport['category'],
+                        $transport['pickup_date'] ?: $transport['created_at'],
+                        $transport['eta']['predicted_arrival'] ?? null,
+                        $transport['transport_type']
+                    );
+                }
+                $rating = $this->ratingModel->findByTransport($transport['id']);
+                $transport['rating'] = $rating ? (int) $rating['overall_rating'] : null;
             }
             
             $this->sendResponse(200, [
@@ -502,7 +1504,6 @@ class TransportController {
                 'provider_data' => [
                     'provider_name' => $bestProvider['name'],
                     'provider_contact' => $bestProvider['phone'],
-                    'cost' => $this->calculateTransportCost($transportData, $bestProvider),
                     'tracking_number' => $this->generateTrackingNumber()
                 ],
                 'provider_info' => $bestProvider,
@@ -563,20 +1564,6 @@ class TransportController {
         return $score;
     }
     
-    private function calculateTransportCost($transportData, $provider) {
-        // Base cost calculation - this would integrate with TransportCostService
-        $baseCost = 500; // Base fee
-        
-        // Distance-based cost (simplified)
-        $estimatedDistance = 50; // This would be calculated based on actual addresses
-        $distanceCost = $estimatedDistance * 3; // 3 BDT per km
-        
-        // Provider-specific multiplier
-        $providerMultiplier = $provider['rating'] >= 4.5 ? 1.1 : 1.0;
-        
-        return ($baseCost + $distanceCost) * $providerMultiplier;
-    }
-    
     private function generateTrackingNumber() {
         return 'KG' . date('Ymd') . rand(1000, 9999);
     }
@@ -588,12 +1575,17 @@ class TransportController {
                 break;
                 
             case 'in_transit':
-                $this->notifyBuyer($transport['order_id'], 'Order is in transit');
-                $this->orderModel->updateStatus($transport['order_id'], 'shipped');
+                foreach ($this->transportOrderIds($transport) as $orderId) {
+                    $this->notifyBuyer($orderId, 'Order is in transit');
+                    $this->orderModel->updateStatus($orderId, 'shipped');
+                }
                 break;
                 
             case 'delivered':
-                $this->notifyBuyer($transport['order_id'], 'Order delivered');
+                foreach ($this->transportOrderIds($transport) as $orderId) {
+                    $this->notifyBuyer($orderId, 'Order delivered');
+                    $this->orderModel->updateStatus($orderId, 'delivered', 'Transport delivered');
+                }
                 break;
                 
             case 'delayed':
@@ -672,6 +1664,487 @@ class TransportController {
         error_log("NOTIFY BUYER: Order #{$orderId} - {$message}");
     }
     
+    private function createTimelineEntry($transportId, $status, $notes = null) {
+        try {
+            $sql = "INSERT INTO transport_timeline (transport_id, status, notes, created_at) 
+                    VALUES (:transport_id, :status, :notes, NOW())";
+            
+            $stmt = Database::getInstance()->getConnection()->prepare($sql);
+            $stmt->execute([
+                ':transport_id' => $transportId,
+                ':status' => $status,
+                ':notes' => $notes
+            ]);
+        } catch (Exception $e) {
+            error_log("Create transport timeline entry error: " . $e->getMessage());
+        }
+    }
+    
+    private function getTransportTimeline($transportId) {
+        try {
+            $sql = "SELECT * FROM transport_timeline 
+                    WHERE transport_id = :transport_id 
+                    ORDER BY created_at ASC";
+            
+            $stmt = Database::getInstance()->getConnection()->prepare($sql);
+            $stmt->execute([':transport_id' => $transportId]);
+            
+            return $stmt->fetchAll();
+        } catch (Exception $e) {
+            error_log("Get transport timeline error: " . $e->getMessage());
+            return [];
+        }
+    }
+    
+    // Predicted distance and duration next to what the trip actually took
+    private function buildJourneySummary($timeline, $tracking, $eta) {
+        $departedAt = null;
+        $deliveredAt = null;
+        foreach ($timeline as $entry) {
+            if (!$departedAt && in_array($entry['status'], ['picked_up', 'in_transit'])) {
+                $departedAt = $entry['created_at'];
+            }
+            if ($entry['status'] === 'delivered') {
+                $deliveredAt = $entry['created_at'];
+            }
+        }
+        
+        $predictedArrival = $eta['predicted_arrival'] ?? null;
+        
+        return [
+            'predicted' => [
+                'distance_km' => $eta['route_distance_km'] ?? null,
+                'duration_minutes' => isset($eta['predicted_duration']) ? (int) round($eta['predicted_duration']) : null,
+                'arrival' => $predictedArrival
+            ],
+            'actual' => [
+                'distance_km' => $tracking['journey_statistics']['total_distance'] ?? null,
+                'duration_minutes' => $departedAt && $deliveredAt
+                    ? (int) round((strtotime($deliveredAt) - strtotime($departedAt)) / 60)
+                    : null,
+                'departed_at' => $departedAt,
+                'arrival' => $deliveredAt
+            ],
+            // Positive when the delivery arrived later than predicted
+            'arrival_difference_minutes' => $predictedArrival && $deliveredAt
+                ? (int) round((strtotime($deliveredAt) - strtotime($predictedArrival)) / 60)
+                : null,
+            'eta_accuracy' => $predictedArrival && $deliveredAt
+                ? $this->calculateETAAccuracy(['estimated_delivery' => $predictedArrival], $deliveredAt)
+                : null
+        ];
+    }
+    
+    // Fields of the anomaly timeline that a tracking viewer sees change
+    private function anomalyFingerprint($anomalies) {
+        return array_map(function($anomaly) {
+            return [$anomaly['id'], $anomaly['severity'], $anomaly['status'], $anomaly['last_seen_at']];
+        }, $anomalies);
+    }
+    
+    // Buyer and farmer of the order, the assigned driver, or an admin
+    private function isTransportParticipant($user, $transport) {
+        if ($user['role'] === 'admin') {
+            return true;
+        }
+        
+        $driverId = $transport['driver_info']['user_id'] ?? null;
+        if ($driverId && $driverId == $user['user_id']) {
+            return true;
+        }
+        
+        $order = $this->orderModel->findById($transport['order_id']);
+        if ($order && $order['farmer_id'] == $user['user_id']) {
+            return true;
+        }
+        
+        return $this->isTransportBuyer($user, $transport);
+    }
+    
+    // Orders carried by the transport: every stop of a combined trip, otherwise its single order
+    private function transportOrderIds($transport) {
+        $stops = $this->stopModel->findByTransport($transport['id']);
+        return $stops ? array_column($stops, 'order_id') : [$transport['order_id']];
+    }
+    
+    // Buyer of any order the transport carries
+    private function isTransportBuyer($user, $transport) {
+        $stops = $this->stopModel->findByTransport($transport['id']);
+        if ($stops) {
+            return in_array($user['user_id'], array_column($stops, 'buyer_id'));
+        }
+        
+        $order = $this->orderModel->findById($transport['order_id']);
+        return $order && $order['buyer_id'] == $user['user_id'];
+    }
+    
+    // Anomaly on a delivery of this buyer or farmer (or any, for admin), or ['error' => ..., 'status' => ...]
+    private function loadPartyAnomaly($anomalyId, $user) {
+        $anomaly = $this->anomalyModel->findById($anomalyId);
+        if (!$anomaly) {
+            return ['error' => 'Anomaly not found', 'status' => 404];
+        }
+        
+        if ($user['role'] === 'admin') {
+            return $anomaly;
+        }
+        
+        $transport = $this->transportModel->findById($anomaly['transport_id']);
+        $order = $transport ? $this->orderModel->findById($transport['order_id']) : null;
+        if (!$order || ($order['buyer_id'] != $user['user_id'] && $order['farmer_id'] != $user['user_id'])) {
+            return ['error' => 'Only the buyer or farmer can act on this anomaly', 'status' => 403];
+        }
+        
+        return $anomaly;
+    }
+    
+    // Confirmed or processing orders of this farmer, or ['error' => ..., 'status' => ...]
+    private function loadTransportOrders($orderIds, $user) {
+        $orderIds = array_values(array_unique(array_map('intval', (array) $orderIds)));
+        if (empty($orderIds)) {
+            return ['error' => "Field 'order_id' is required", 'status' => 400];
+        }
+        if (count($orderIds) > self::MAX_TRANSPORT_STOPS) {
+            return ['error' => 'A transport can combine at most ' . self::MAX_TRANSPORT_STOPS . ' orders', 'status' => 400];
+        }
+        
+        $orders = [];
+        foreach ($orderIds as $orderId) {
+            $order = $this->orderModel->findById($orderId);
+            if (!$order) {
+                return ['error' => "Order #{$orderId} not found", 'status' => 404];
+            }
+            
+            if ($order['farmer_id'] != $user['user_id']) {
+                return ['error' => 'You can only request transport for your own orders', 'status' => 403];
+            }
+            
+            if (!in_array($order['order_status'], ['confirmed', 'processing'])) {
+                return ['error' => "Order #{$orderId} must be confirmed or processing to request transport", 'status' => 400];
+            }
+            
+            // A cart order's row only carries its first line
+            if (($order['line_count'] ?? 1) > 1) {
+                $order['items'] = $this->orderItemModel->getByOrder($orderId);
+            }
+            
+            $orders[] = $order;
+        }
+        
+        return $orders;
+    }
+    
+    // Drop-offs in suggested visiting order (nearest first) with distance and cost per leg
+    private function buildRoutePlan($pickupAddress, $orders, $transportType) {
+        $quantity = max(1, $this->ordersWeightKg($orders));
+        $route = $this->costService->optimizeRoute(
+            $pickupAddress,
+            array_column($orders, 'delivery_address'),
+            $quantity,
+            $this->costServiceTransportType($transportType)
+        );
+        
+        $stops = [];
+        foreach ($route['optimized_route'] as $leg) {
+            $order = $orders[$leg['destination_key']];
+            $stops[] = [
+                'sequence' => $leg['sequence'],
+                'order_id' => (int) $order['id'],
+                'buyer_name' => trim($order['buyer_first_name'] . ' ' . $order['buyer_last_name']),
+                'product_name' => $order['product_name'],
+                'quantity' => $order['quantity'],
+                'unit' => $order['unit'],
+                'delivery_address' => $order['delivery_address'],
+                'distance_km' => $leg['cost']['distance_km'],
+                'estimated_cost' => $leg['cost']['total_cost'],
+                'estimated_hours' => $leg['cost']['estimated_hours']
+            ];
+        }
+        
+        return [
+            'stops' => $stops,
+            'total_distance_km' => $route['total_distance'],
+            'estimated_cost' => $route['total_cost'],
+            'estimated_hours' => round(array_sum(array_column($stops, 'estimated_hours')), 1)
+        ];
+    }
+    
+    // Risk assessment of the most perishable load on the trip
+    private function assessTripRisk($orders, $pickupAddress, $departureTime) {
+        $riskAssessment = null;
+        foreach ($orders as $order) {
+            $assessment = $this->perishabilityService->assessDeliveryRisk(
+                $order['category'],
+                $pickupAddress,
+                $order['delivery_address'],
+                $departureTime
+            );
+            if (!$riskAssessment || $assessment['risk_score'] > $riskAssessment['risk_score']) {
+                $riskAssessment = $assessment;
+            }
+        }
+        
+        return $riskAssessment;
+    }
+    
+    // Spoilage outlook of the most at-risk order on the trip; one the vehicle does not suit comes first
+    private function planSpoilageOutlook($orders, $departureTime, $transportType) {
+        $worst = null;
+        $worstSeverity = -1;
+        foreach ($orders as $order) {
+            $outlook = $this->perishabilityService->getSpoilageOutlook(
+                $order['category'],
+                $departureTime ?: date('Y-m-d H:i:s'),
+                null,
+                $transportType
+            );
+            $outlook['order_id'] = (int) $order['id'];
+            $outlook['product_name'] = $order['product_name'];
+            
+            // Shelf life used is at most 100, so an unsuitable vehicle always ranks higher
+            $severity = $outlook['used_at_arrival_percent'] + ($outlook['transport_suitability']['suitable'] ? 0 : 100);
+            if ($severity > $worstSeverity) {
+                $worst = $outlook;
+                $worstSeverity = $severity;
+            }
+        }
+        
+        return $worst;
+    }
+    
+    // Price for the planned route; with a provider, top-rated ones charge 10% more
+    private function buildQuote($routePlan, $orders, $transportType, $riskAssessment, $provider = null) {
+        $quote = $this->costService->quoteTransport(
+            $routePlan['total_distance_km'],
+            $this->ordersWeightKg($orders),
+            $this->costServiceTransportType($transportType),
+            $riskAssessment['risk_level']
+        );
+        
+        if ($provider && $provider['rating'] >= 4.5) {
+            $adjustment = round($quote['total'] * 0.1, 2);
+            $quote['breakdown']['provider_adjustment'] = $adjustment;
+            $quote['total'] = round($quote['total'] + $adjustment, 2);
+        }
+        
+        return $quote;
+    }
+    
+    // Load in kg (tons converted; other units are counted as kg)
+    private function ordersWeightKg($orders) {
+        $weight = 0;
+        foreach ($orders as $order) {
+            foreach (!empty($order['items']) ? $order['items'] : [$order] as $line) {
+                $weight += $line['quantity'] * ($line['unit'] === 'ton' ? 1000 : 1);
+            }
+        }
+        
+        return $weight;
+    }
+    
+    // Request form vehicle names to TransportCostService rates ('auto' picks by load)
+    private function costServiceTransportType($transportType) {
+        $types = [
+            'truck' => 'truck',
+            'refrigerated_truck' => 'refrigerated_truck',
+            'van' => 'van',
+            'pickup' => 'pickup',
+            'motorbike' => 'motorcycle'
+        ];
+        return $types[$transportType] ?? 'auto';
+    }
+    
+    // Handover: the buyer's one-time code, a signature and a photo (admins may override).
+    // Returns the verified handover code (null for admins), or false once an error response was sent
+    private function checkDeliveryHandover($transportId, $user, $data) {
+        $handoverCode = null;
+        if ($user['role'] !== 'admin') {
+            if (empty($data['signature']) || empty($data['photo'])) {
+                $this->sendResponse(400, ['error' => 'A signature and a photo of the goods are required']);
+                return false;
+            }
+            
+            $handoverCode = $this->verifyHandoverCode($transportId, $data['handover_code'] ?? null);
+            if (isset($handoverCode['error'])) {
+                $this->sendResponse(422, $handoverCode);
+                return false;
+            }
+        }
+        
+        if (!$this->saveDeliveryProof($transportId, $user, $data)) {
+            $this->sendResponse(400, ['error' => 'Signature and photo must be JPEG or PNG images under 5 MB']);
+            return false;
+        }
+        
+        return $handoverCode;
+    }
+    
+    // Active handover code if $code matches it, otherwise ['error' => ...]; wrong codes count as attempts
+    private function verifyHandoverCode($transportId, $code) {
+        $handover = $this->handoverModel->findActive($transportId, self::MAX_HANDOVER_ATTEMPTS);
+        if (!$handover) {
+            return ['error' => 'No valid handover code - ask the buyer to open the delivery code again'];
+        }
+        
+        if (empty($code) || !hash_equals($handover['code'], (string) $code)) {
+            $attempts = $this->handoverModel->recordFailedAttempt($handover['id']);
+            return [
+                'error' => 'Incorrect handover code',
+                'attempts_left' => max(0, self::MAX_HANDOVER_ATTEMPTS - $attempts)
+            ];
+        }
+        
+        return $handover;
+    }
+    
+    // Store the signature and photo (data URLs) sent with a delivery; false if either is invalid
+    private function saveDeliveryProof($transportId, $user, $data) {
+        $signature = $data['signature'] ?? null;
+        $photo = $data['photo'] ?? null;
+        if (empty($signature) && empty($photo)) {
+            return true;
+        }
+        
+        $uploadDir = 'uploads/delivery-proofs/' . $transportId . '/';
+        $signaturePaths = empty($signature) ? [] : $this->saveDataUrlPhotos($uploadDir, [$signature]);
+        $photoPaths = empty($photo) ? [] : $this->saveDataUrlPhotos($uploadDir, [$photo]);
+        if ($signaturePaths === false || $photoPaths === false) {
+            return false;
+        }
+        
+        $this->proofModel->create([
+            'transport_id' => $transportId,
+            'captured_by' => $user['user_id'],
+            'received_by' => $data['received_by'] ?? null,
+            'signature_url' => $signaturePaths[0] ?? null,
+            'photo_url' => $photoPaths[0] ?? null
+        ]);
+        
+        return true;
+    }
+    
+    // Decode photos sent as data URLs into $uploadDir; false if any is not a valid image
+    private function saveDataUrlPhotos($uploadDir, $photos) {
+        $decoded = [];
+        foreach ($photos as $photo) {
+            if (!is_string($photo) || !preg_match('/^data:image\/(jpeg|png);base64,(.+)$/', $photo, $matches)) {
+                return false;
+            }
+            
+            $binary = base64_decode($matches[2], true);
+            if ($binary === false || strlen($binary) > self::MAX_PHOTO_BYTES) {
+                return false;
+            }
+            
+            // Check the bytes really are an image of the declared type
+            $info = getimagesizefromstring($binary);
+            if (!$info || !in_array($info['mime'], ['image/jpeg', 'image/png'])) {
+                return false;
+            }
+            
+            $decoded[] = [$binary, $info['mime'] === 'image/png' ? 'png' : 'jpg'];
+        }
+        
+        if (!empty($decoded) && !is_dir($uploadDir)) {
+            mkdir($uploadDir, 0755, true);
+        }
+        
+        $paths = [];
+        foreach ($decoded as [$binary, $extension]) {
+            $filePath = $uploadDir . uniqid() . '.' . $extension;
+            if (file_put_contents($filePath, $binary) !== false) {
+                $paths[] = '/' . $filePath;
+            }
+        }
+        
+        return $paths;
+    }
+    
+    // Tracking data, anomaly check and refreshed ETA for one transport
+    private function buildTrackingPayload($transport) {
+        $transportId = $transport['id'];
+        
+        // Get real-time tracking data
+        $trackingData = $this->trackingService->getTrackingData($transportId);
+        
+        // Check for route anomalies
+        $anomalyCheck = $this->routeAnomalyService->checkRouteAnomalies(
+            $transportId,
+            $trackingData['current_location'] ?? null
+        );
+        
+        // Update ETA if needed
+        if (!empty($trackingData['current_location'])) {
+            $updatedETA = $this->etaService->updateETA(
+                $transportId,
+                $trackingData['current_location'],
+                $trackingData['current_speed'] ?? 0
+            );
+            if ($updatedETA) {
+                $updatedETA['delivery_delay'] = $this->checkDeliveryDelay($transport, $updatedETA);
+            }
+        } else {
+            $updatedETA = null;
+        }
+        
+        return [
+            'transport' => $transport,
+            'tracking' => $trackingData,
+            'eta_prediction' => $updatedETA,
+            'route_anomalies' => $anomalyCheck,
+            'anomaly_timeline' => $this->anomalyModel->getByTransport($transportId),
+            'last_updated' => date('Y-m-d H:i:s')
+        ];
+    }
+    
+    /**
+     * Compare the predicted arrival with the order's delivery date. Buyer and
+     * farmer are notified once each time the prediction slips past it
+     */
+    private function checkDeliveryDelay($transport, $eta) {
+        $order = $this->orderModel->findById($transport['order_id']);
+        if (!$order || empty($order['delivery_date'])) {
+            return null;
+        }
+        
+        // The delivery date is a whole day; arriving any time on it is on time
+        $deadline = strtotime(date('Y-m-d 23:59:59', strtotime($order['delivery_date'])));
+        $minutesLate = (int) round((strtotime($eta['estimated_arrival']) - $deadline) / 60);
+        
+        $delay = [
+            'delivery_date' => $order['delivery_date'],
+            'deadline' => date('Y-m-d H:i:s', $deadline),
+            'is_late' => $minutesLate > 0,
+            'minutes_late' => max(0, $minutesLate)
+        ];
+        
+        if (!$delay['is_late']) {
+            return $delay;
+        }
+        
+        // History entries since the estimate last met the deadline
+        $slipped = [];
+        foreach (array_reverse($eta['history'] ?? []) as $entry) {
+            if (strtotime($entry['estimated_arrival']) <= $deadline) {
+                break;
+            }
+            $slipped[] = $entry;
+        }
+        
+        $alreadyNotified = array_filter($slipped, function($entry) {
+            return !empty($entry['delay_notified_at']);
+        });
+        
+        if (!empty($slipped) && empty($alreadyNotified)) {
+            $arrival = date('d M H:i', strtotime($eta['estimated_arrival']));
+            $this->notifyBuyer($transport['order_id'], "Delivery is now expected {$arrival}, after the requested delivery date");
+            $this->notifyFarmer($transport['order_id'], "Delivery is now expected {$arrival}, after the buyer's delivery date");
+            $this->etaHistoryModel->markDelayNotified($slipped[0]['id']);
+        }
+        
+        return $delay;
+    }
+    
     // Authentication helpers
     
     private function getCurrentUser() {
@@ -704,6 +2177,36 @@ class TransportController {
         return $payload;
     }
     
+    private function verifyStreamTicket($ticket) {
+        $parts = explode('.', $ticket);
+        if (count($parts) !== 2) {
+            return null;
+        }
+        
+        list($payloadEncoded, $signatureEncoded) = $parts;
+        
+        $expectedSignature = $this->encodeTicketPart(hash_hmac('sha256', $payloadEncoded, $this->streamTicketKey(), true));
+        if (!hash_equals($expectedSignature, $signatureEncoded)) {
+            return null;
+        }
+        
+        $payload = json_decode(base64_decode(strtr($payloadEncoded, '-_', '+/')), true);
+        if (!$payload || $payload['exp'] < time()) {
+            return null;
+        }
+        
+        return $payload;
+    }
+    
+    // Tickets are signed with their own key so one can never pass as a session token
+    private function streamTicketKey() {
+        return hash('sha256', 'tracking-stream|' . AppConfig::get('auth.jwt_secret'));
+    }
+    
+    private function encodeTicketPart($data) {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+    
     private function sendResponse($statusCode, $data) {
         http_response_code($statusCode);
         header('Content-Type: application/json');
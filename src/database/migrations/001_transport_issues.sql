@@ -0,0 +1,21 @@
+-- Delivery issues reported by buyers against a transport (damage, delay,
+-- wrong quantity, driver behaviour) and tracked by admins until resolved
+
+CREATE TABLE IF NOT EXISTS transport_issues (
+    id SERIAL PRIMARY KEY,
+    transport_id INTEGER NOT NULL REFERENCES transport(id) ON DELETE CASCADE,
+    reported_by INTEGER NOT NULL REFERENCES users(id),
+    category VARCHAR(30) NOT NULL
+        CHECK (category IN ('damaged_goods', 'delay', 'wrong_quantity', 'driver_behaviour')),
+    description TEXT NOT NULL,
+    photos JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'investigating', 'resolved', 'rejected')),
+    resolution_notes TEXT,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transport_issues_transport ON transport_issues (transport_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_transport_issues_status ON transport_issues (status);
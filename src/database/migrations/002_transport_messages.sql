@@ -0,0 +1,18 @@
+-- Chat between the buyer, farmer and driver of a transport, with optional
+-- pickup/drop-off photos and read receipts
+
+CREATE TABLE IF NOT EXISTS transport_messages (
+    id SERIAL PRIMARY KEY,
+    transport_id INTEGER NOT NULL REFERENCES transport(id) ON DELETE CASCADE,
+    sender_id INTEGER NOT NULL REFERENCES users(id),
+    sender_role VARCHAR(20) NOT NULL,
+    message TEXT,
+    photo_url TEXT,
+    photo_kind VARCHAR(20) CHECK (photo_kind IN ('pickup', 'dropoff')),
+    read_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CHECK (message IS NOT NULL OR photo_url IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transport_messages_transport ON transport_messages (transport_id, id);
+CREATE INDEX IF NOT EXISTS idx_transport_messages_unread ON transport_messages (transport_id, sender_id) WHERE read_at IS NULL;
@@ -0,0 +1,36 @@
+-- Delivery details: status timeline, proof of delivery and the buyer's rating
+-- of a transport
+
+CREATE TABLE IF NOT EXISTS transport_timeline (
+    id SERIAL PRIMARY KEY,
+    transport_id INTEGER NOT NULL REFERENCES transport(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transport_timeline_transport ON transport_timeline (transport_id, created_at);
+
+CREATE TABLE IF NOT EXISTS delivery_proofs (
+    id SERIAL PRIMARY KEY,
+    transport_id INTEGER NOT NULL REFERENCES transport(id) ON DELETE CASCADE,
+    captured_by INTEGER NOT NULL REFERENCES users(id),
+    received_by VARCHAR(255),
+    signature_url TEXT,
+    photo_url TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_proofs_transport ON delivery_proofs (transport_id);
+
+-- One rating per transport, given by the buyer once it is delivered
+CREATE TABLE IF NOT EXISTS transport_ratings (
+    id SERIAL PRIMARY KEY,
+    transport_id INTEGER NOT NULL UNIQUE REFERENCES transport(id) ON DELETE CASCADE,
+    rated_by INTEGER NOT NULL REFERENCES users(id),
+    overall_rating SMALLINT NOT NULL CHECK (overall_rating BETWEEN 1 AND 5),
+    timeliness_rating SMALLINT CHECK (timeliness_rating BETWEEN 1 AND 5),
+    condition_rating SMALLINT CHECK (condition_rating BETWEEN 1 AND 5),
+    comment TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
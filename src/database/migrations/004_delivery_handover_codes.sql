@@ -0,0 +1,15 @@
+-- One-time codes the buyer gives the driver at delivery; wrong entries are
+-- counted and a code is spent once verified
+
+CREATE TABLE IF NOT EXISTS delivery_handover_codes (
+    id SERIAL PRIMARY KEY,
+    transport_id INTEGER NOT NULL REFERENCES transport(id) ON DELETE CASCADE,
+    code VARCHAR(6) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    verified_at TIMESTAMP,
+    verified_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_handover_codes_transport ON delivery_handover_codes (transport_id, created_at);
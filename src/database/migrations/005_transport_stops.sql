@@ -0,0 +1,15 @@
+-- Delivery stops of a multi-order transport, in the suggested visiting order
+
+CREATE TABLE IF NOT EXISTS transport_stops (
+    id SERIAL PRIMARY KEY,
+    transport_id INTEGER NOT NULL REFERENCES transport(id) ON DELETE CASCADE,
+    order_id INTEGER NOT NULL REFERENCES orders(id),
+    sequence INTEGER NOT NULL,
+    delivery_address TEXT,
+    distance_km NUMERIC(10, 2),
+    estimated_cost NUMERIC(10, 2),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (transport_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transport_stops_order ON transport_stops (order_id);
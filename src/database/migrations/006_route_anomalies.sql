@@ -0,0 +1,32 @@
+-- Route anomalies detected on a transport (deviation, stalls, unusual stops,
+-- speed), merged while they persist and worked through by buyers, farmers
+-- and admins: acknowledged, escalated, resolved
+
+CREATE TABLE IF NOT EXISTS route_anomalies (
+    id SERIAL PRIMARY KEY,
+    transport_id INTEGER NOT NULL REFERENCES transport(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL
+        CHECK (type IN ('route_deviation', 'stall_detection', 'stop_patterns', 'speed_anomaly')),
+    severity VARCHAR(10) NOT NULL
+        CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+    reasons JSONB NOT NULL DEFAULT '[]',
+    details JSONB NOT NULL DEFAULT '[]',
+    location JSONB,
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'acknowledged', 'escalated', 'resolved')),
+    detected_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    acknowledged_by INTEGER REFERENCES users(id),
+    acknowledged_at TIMESTAMP,
+    escalated_by INTEGER REFERENCES users(id),
+    escalated_at TIMESTAMP,
+    escalation_note TEXT,
+    resolved_by INTEGER REFERENCES users(id),
+    resolved_at TIMESTAMP,
+    resolution_notes TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_route_anomalies_transport ON route_anomalies (transport_id, type, status);
+CREATE INDEX IF NOT EXISTS idx_route_anomalies_escalated ON route_anomalies (escalated_at) WHERE escalated_at IS NOT NULL;
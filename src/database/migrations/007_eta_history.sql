@@ -0,0 +1,16 @@
+-- Arrival estimates of a transport as they shifted over the trip, and
+-- whether the buyer and farmer were told an estimate misses the delivery date
+
+CREATE TABLE IF NOT EXISTS eta_history (
+    id SERIAL PRIMARY KEY,
+    transport_id INTEGER NOT NULL REFERENCES transport(id) ON DELETE CASCADE,
+    estimated_arrival TIMESTAMP NOT NULL,
+    earliest_arrival TIMESTAMP NOT NULL,
+    latest_arrival TIMESTAMP NOT NULL,
+    confidence NUMERIC(5, 4) NOT NULL,
+    remaining_distance_km NUMERIC(10, 2),
+    delay_notified_at TIMESTAMP,
+    recorded_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_eta_history_transport ON eta_history (transport_id, recorded_at);
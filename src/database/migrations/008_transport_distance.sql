@@ -0,0 +1,5 @@
+-- Route distance of each transport request, used by the transport analytics
+-- (cost per km). Older rows stay NULL; multi-stop transports
+-- fall back to the sum of their stop distances
+
+ALTER TABLE transport ADD COLUMN IF NOT EXISTS distance_km NUMERIC(10, 2);
@@ -0,0 +1,19 @@
+-- Product lines of orders checked out from the cart (one order per farmer).
+-- The order row keeps the first line's product_id, quantity and unit_price;
+-- line_count says how many lines the order really has, and total_amount
+-- always covers all of them. Orders placed for one product directly have no
+-- lines and keep line_count = 1
+
+CREATE TABLE IF NOT EXISTS order_items (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    quantity NUMERIC(10, 2) NOT NULL CHECK (quantity > 0),
+    unit_price NUMERIC(10, 2) NOT NULL,
+    total_price NUMERIC(12, 2) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items (order_id);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS line_count INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,19 @@
+-- Counter-offers on a pending order's price, quantity or delivery date,
+-- exchanged between buyer and farmer until one side accepts
+
+CREATE TABLE IF NOT EXISTS order_offers (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    proposed_by INTEGER NOT NULL REFERENCES users(id),
+    proposer_role VARCHAR(20) NOT NULL,
+    unit_price NUMERIC(10, 2) NOT NULL,
+    quantity NUMERIC(10, 2) NOT NULL,
+    delivery_date DATE,
+    message TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'accepted', 'superseded', 'closed')),
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_offers_order ON order_offers (order_id, status);
@@ -0,0 +1,25 @@
+-- Changes to an accepted order: partial fulfilment by the farmer and
+-- quantity or delivery date amendments, with the order's terms and total
+-- before and after so the history can be shown and payments adjusted
+
+CREATE TABLE IF NOT EXISTS order_amendments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('partial_fulfilment', 'amendment')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'applied', 'rejected')),
+    requested_by INTEGER NOT NULL REFERENCES users(id),
+    requester_role VARCHAR(20) NOT NULL,
+    reason TEXT,
+    changes JSONB NOT NULL DEFAULT '{}',
+    previous JSONB NOT NULL DEFAULT '{}',
+    total_before NUMERIC(12, 2) NOT NULL,
+    total_after NUMERIC(12, 2),
+    responded_by INTEGER REFERENCES users(id),
+    responded_at TIMESTAMP,
+    response_note TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_amendments_order ON order_amendments (order_id, status);
@@ -0,0 +1,27 @@
+-- Recurring orders: a buyer's order repeated weekly, fortnightly or monthly
+-- until end_date. payload holds the order request that is placed for each
+-- run; scripts/process-subscriptions.php sends the reminders and places the
+-- orders as they fall due
+
+CREATE TABLE IF NOT EXISTS order_subscriptions (
+    id SERIAL PRIMARY KEY,
+    buyer_id INTEGER NOT NULL REFERENCES users(id),
+    farmer_id INTEGER NOT NULL REFERENCES users(id),
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    source_order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'fortnightly', 'monthly')),
+    payload JSONB NOT NULL,
+    next_delivery_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'ended', 'cancelled')),
+    reminded_for DATE,
+    last_order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    last_run_at TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_subscriptions_buyer ON order_subscriptions (buyer_id);
+CREATE INDEX IF NOT EXISTS idx_order_subscriptions_due ON order_subscriptions (next_delivery_date) WHERE status = 'active';
@@ -0,0 +1,53 @@
+<?php
+/**
+ * Delivery Proof Model
+ * Signature and photo captured when goods are handed over
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class DeliveryProof {
+    private $db;
+    private $table = 'delivery_proofs';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    public function create($data) {
+        $sql = "INSERT INTO {$this->table} (
+                    transport_id, captured_by, received_by, signature_url, photo_url, created_at
+                ) VALUES (
+                    :transport_id, :captured_by, :received_by, :signature_url, :photo_url, NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':transport_id' => $data['transport_id'],
+            ':captured_by' => $data['captured_by'],
+            ':received_by' => $data['received_by'] ?? null,
+            ':signature_url' => $data['signature_url'] ?? null,
+            ':photo_url' => $data['photo_url'] ?? null,
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    // Latest proof for a transport (a later capture replaces an earlier one)
+    public function findByTransport($transportId) {
+        $sql = "SELECT * FROM {$this->table}
+                WHERE transport_id = :transport_id
+                ORDER BY created_at DESC
+                LIMIT 1";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId]);
+        
+        return $stmt->fetch();
+    }
+}
@@ -0,0 +1,74 @@
+<?php
+/**
+ * ETA History Model
+ * Arrival estimates of a transport as they shifted over the trip
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class EtaHistory {
+    private $db;
+    private $table = 'eta_history';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    public function create($data) {
+        $sql = "INSERT INTO {$this->table} (
+                    transport_id, estimated_arrival, earliest_arrival, latest_arrival,
+                    confidence, remaining_distance_km, recorded_at
+                ) VALUES (
+                    :transport_id, :estimated_arrival, :earliest_arrival, :latest_arrival,
+                    :confidence, :remaining_distance_km, NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':transport_id' => $data['transport_id'],
+            ':estimated_arrival' => $data['estimated_arrival'],
+            ':earliest_arrival' => $data['earliest_arrival'],
+            ':latest_arrival' => $data['latest_arrival'],
+            ':confidence' => $data['confidence'],
+            ':remaining_distance_km' => $data['remaining_distance_km'] ?? null,
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    public function findLatest($transportId) {
+        $sql = "SELECT * FROM {$this->table}
+                WHERE transport_id = :transport_id
+                ORDER BY recorded_at DESC, id DESC
+                LIMIT 1";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId]);
+        
+        return $stmt->fetch();
+    }
+    
+    // Oldest first
+    public function getByTransport($transportId) {
+        $sql = "SELECT * FROM {$this->table}
+                WHERE transport_id = :transport_id
+                ORDER BY recorded_at ASC, id ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId]);
+        
+        return $stmt->fetchAll();
+    }
+    
+    // Remember that buyer and farmer were told this estimate misses the delivery date
+    public function markDelayNotified($id) {
+        $sql = "UPDATE {$this->table} SET delay_notified_at = NOW() WHERE id = :id";
+        $stmt = $this->db->prepare($sql);
+        return $stmt->execute([':id' => $id]);
+    }
+}
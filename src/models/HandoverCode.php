@@ -0,0 +1,73 @@
+<?php
+/**
+ * Handover Code Model
+ * One-time codes the buyer gives the driver to confirm a delivery
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class HandoverCode {
+    private $db;
+    private $table = 'delivery_handover_codes';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    // New code for a transport; any unused earlier code stops working
+    public function create($transportId, $code, $expiresAt) {
+        $this->db->prepare("DELETE FROM {$this->table} WHERE transport_id = :transport_id AND verified_at IS NULL")
+                 ->execute([':transport_id' => $transportId]);
+        
+        $sql = "INSERT INTO {$this->table} (
+                    transport_id, code, attempts, expires_at, created_at
+                ) VALUES (
+                    :transport_id, :code, 0, :expires_at, NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':transport_id' => $transportId,
+            ':code' => $code,
+            ':expires_at' => $expiresAt,
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    // Unused, unexpired code for a transport
+    public function findActive($transportId, $maxAttempts) {
+        $sql = "SELECT * FROM {$this->table}
+                WHERE transport_id = :transport_id
+                AND verified_at IS NULL
+                AND expires_at > NOW()
+                AND attempts < :max_attempts
+                ORDER BY created_at DESC
+                LIMIT 1";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId, ':max_attempts' => $maxAttempts]);
+        
+        return $stmt->fetch();
+    }
+    
+    public function recordFailedAttempt($id) {
+        $sql = "UPDATE {$this->table} SET attempts = attempts + 1 WHERE id = :id RETURNING attempts";
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id]);
+        
+        return (int) $stmt->fetch()['attempts'];
+    }
+    
+    public function markVerified($id, $verifiedBy) {
+        $sql = "UPDATE {$this->table} SET verified_at = NOW(), verified_by = :verified_by WHERE id = :id";
+        $stmt = $this->db->prepare($sql);
+        
+        return $stmt->execute([':id' => $id, ':verified_by' => $verifiedBy]);
+    }
+}
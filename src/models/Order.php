@@ -14,13 +14,19 @@ class Order {
         $this->db = Database::getInstance()->getConnection();
     }
     
+    // Cart orders pass line_count: with several lines, product_id, quantity and
+    // unit_price describe only the first one (see order_items). Single-product
+    // orders leave it at its default of 1
     public function create($data) {
+        $lineColumn = isset($data['line_count']) ? 'line_count, ' : '';
+        $lineValue = isset($data['line_count']) ? ':line_count, ' : '';
+        
         $sql = "INSERT INTO {$this->table} (
-                    buyer_id, farmer_id, product_id, quantity, unit_price, 
+                    buyer_id, farmer_id, product_id, quantity, unit_price, {$lineColumn}
                     total_amount, delivery_address, delivery_date, payment_method, 
                     payment_status, order_status, notes, created_at, updated_at
                 ) VALUES (
-                    :buyer_id, :farmer_id, :product_id, :quantity, :unit_price, 
+                    :buyer_id, :farmer_id, :product_id, :quantity, :unit_price, {$lineValue}
                     :total_amount, :delivery_address, :delivery_date, :payment_method, 
                     :payment_status, :order_status, :notes, NOW(), NOW()
                 ) RETURNING id";
@@ -33,7 +39,7 @@ class Order {
             ':product_id' => $data['product_id'],
             ':quantity' => $data['quantity'],
             ':unit_price' => $data['unit_price'],
-            ':total_amount' => $data['quantity'] * $data['unit_price'],
+            ':total_amount' => $data['total_amount'] ?? $data['quantity'] * $data['unit_price'],
             ':delivery_address' => $data['delivery_address'],
             ':delivery_date' => $data['delivery_date'] ?? null,
             ':payment_method' => $data['payment_method'] ?? 'cash',
@@ -41,6 +47,9 @@ class Order {
             ':order_status' => 'pending',
             ':notes' => $data['notes'] ?? null,
         ];
+        if ($lineColumn) {
+            $params[':line_count'] = (int) $data['line_count'];
+        }
         
         if ($stmt->execute($params)) {
             return $stmt->fetch()['id'];
@@ -141,6 +150,23 @@ class Order {
         return $stmt->execute($params);
     }
     
+    // New price, quantity or delivery date agreed after the order was placed
+    public function updateTerms($id, $terms) {
+        $sql = "UPDATE {$this->table}
+                SET unit_price = :unit_price, quantity = :quantity, total_amount = :total_amount,
+                    delivery_date = :delivery_date, updated_at = NOW()
+                WHERE id = :id";
+        
+        $stmt = $this->db->prepare($sql);
+        return $stmt->execute([
+            ':id' => $id,
+            ':unit_price' => $terms['unit_price'],
+            ':quantity' => $terms['quantity'],
+            ':total_amount' => $terms['total_amount'] ?? $terms['quantity'] * $terms['unit_price'],
+            ':delivery_date' => $terms['delivery_date']
+        ]);
+    }
+    
     public function updatePaymentStatus($id, $paymentStatus) {
         $allowedStatuses = ['pending', 'processing', 'completed', 'failed', 'refunded'];
         
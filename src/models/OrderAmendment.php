@@ -0,0 +1,128 @@
+<?php
+/**
+ * Order Amendment Model
+ * Changes to an accepted order before dispatch: the farmer's partial
+ * fulfilment (applied at once) and the buyer's amendment requests (applied
+ * once the farmer approves). Each entry keeps the terms it replaced
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class OrderAmendment {
+    const TYPES = ['partial_fulfilment', 'amendment'];
+    const STATUSES = ['pending', 'applied', 'rejected'];
+    
+    private $db;
+    private $table = 'order_amendments';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    public function create($data) {
+        $sql = "INSERT INTO {$this->table} (
+                    order_id, type, status, requested_by, requester_role, reason,
+                    changes, previous, total_before, total_after, created_at, updated_at
+                ) VALUES (
+                    :order_id, :type, :status, :requested_by, :requester_role, :reason,
+                    :changes, :previous, :total_before, :total_after, NOW(), NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':order_id' => $data['order_id'],
+            ':type' => $data['type'],
+            ':status' => $data['status'] ?? 'pending',
+            ':requested_by' => $data['requested_by'],
+            ':requester_role' => $data['requester_role'],
+            ':reason' => $data['reason'] ?? null,
+            ':changes' => json_encode($data['changes']),
+            ':previous' => json_encode($data['previous']),
+            ':total_before' => $data['total_before'],
+            ':total_after' => $data['total_after'] ?? null,
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    public function findById($id) {
+        $sql = "SELECT * FROM {$this->table} WHERE id = :id";
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id]);
+        
+        $amendment = $stmt->fetch();
+        return $amendment ? $this->decode($amendment) : false;
+    }
+    
+    public function findPending($orderId) {
+        $sql = "SELECT * FROM {$this->table}
+                WHERE order_id = :order_id AND status = 'pending'
+                ORDER BY created_at DESC
+                LIMIT 1";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':order_id' => $orderId]);
+        
+        $amendment = $stmt->fetch();
+        return $amendment ? $this->decode($amendment) : false;
+    }
+    
+    // Change history of several orders keyed by order id, oldest first
+    public function getByOrders($orderIds) {
+        if (empty($orderIds)) {
+            return [];
+        }
+        
+        $placeholders = implode(', ', array_fill(0, count($orderIds), '?'));
+        $sql = "SELECT a.*, u.first_name as requester_first_name, u.last_name as requester_last_name
+                FROM {$this->table} a
+                LEFT JOIN users u ON a.requested_by = u.id
+                WHERE a.order_id IN ({$placeholders})
+                ORDER BY a.order_id, a.created_at ASC, a.id ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute(array_values($orderIds));
+        
+        $amendments = [];
+        foreach ($stmt->fetchAll() as $amendment) {
+            $amendments[$amendment['order_id']][] = $this->decode($amendment);
+        }
+        
+        return $amendments;
+    }
+    
+    public function getByOrder($orderId) {
+        return $this->getByOrders([$orderId])[$orderId] ?? [];
+    }
+    
+    // Close a pending request; only one answer wins
+    public function respond($id, $status, $userId, $note = null, $totalAfter = null) {
+        $sql = "UPDATE {$this->table}
+                SET status = :status, responded_by = :user_id, responded_at = NOW(),
+                    response_note = :note, total_after = :total_after, updated_at = NOW()
+                WHERE id = :id AND status = 'pending'";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([
+            ':id' => $id,
+            ':status' => $status,
+            ':user_id' => $userId,
+            ':note' => $note,
+            ':total_after' => $totalAfter
+        ]);
+        
+        return $stmt->rowCount() > 0;
+    }
+    
+    private function decode($amendment) {
+        $amendment['changes'] = json_decode($amendment['changes'] ?? '{}', true);
+        $amendment['previous'] = json_decode($amendment['previous'] ?? '{}', true);
+        
+        return $amendment;
+    }
+}
@@ -0,0 +1,92 @@
+<?php
+/**
+ * Order Item Model
+ * Product lines of an order placed from the cart; orders placed for a single
+ * product have no lines and keep the product on the order itself
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class OrderItem {
+    private $db;
+    private $table = 'order_items';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    public function create($data) {
+        $sql = "INSERT INTO {$this->table} (
+                    order_id, product_id, quantity, unit_price, total_price, created_at
+                ) VALUES (
+                    :order_id, :product_id, :quantity, :unit_price, :total_price, NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':order_id' => $data['order_id'],
+            ':product_id' => $data['product_id'],
+            ':quantity' => $data['quantity'],
+            ':unit_price' => $data['unit_price'],
+            ':total_price' => $data['quantity'] * $data['unit_price'],
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    public function updateLine($id, $quantity, $unitPrice) {
+        $sql = "UPDATE {$this->table}
+                SET quantity = :quantity, unit_price = :unit_price, total_price = :total_price
+                WHERE id = :id";
+        
+        $stmt = $this->db->prepare($sql);
+        return $stmt->execute([
+            ':id' => $id,
+            ':quantity' => $quantity,
+            ':unit_price' => $unitPrice,
+            ':total_price' => $quantity * $unitPrice
+        ]);
+    }
+    
+    public function getByOrder($orderId) {
+        $sql = "SELECT i.*, p.name as product_name, p.name_bn as product_name_bn, p.unit, p.category
+                FROM {$this->table} i
+                LEFT JOIN products p ON i.product_id = p.id
+                WHERE i.order_id = :order_id
+                ORDER BY i.id ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':order_id' => $orderId]);
+        
+        return $stmt->fetchAll();
+    }
+    
+    // Lines of several orders keyed by order id, for order lists
+    public function getByOrders($orderIds) {
+        if (empty($orderIds)) {
+            return [];
+        }
+        
+        $placeholders = implode(', ', array_fill(0, count($orderIds), '?'));
+        $sql = "SELECT i.*, p.name as product_name, p.name_bn as product_name_bn, p.unit, p.category
+                FROM {$this->table} i
+                LEFT JOIN products p ON i.product_id = p.id
+                WHERE i.order_id IN ({$placeholders})
+                ORDER BY i.order_id, i.id ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute(array_values($orderIds));
+        
+        $items = [];
+        foreach ($stmt->fetchAll() as $item) {
+            $items[$item['order_id']][] = $item;
+        }
+        
+        return $items;
+    }
+}
@@ -0,0 +1,103 @@
+<?php
+/**
+ * Order Offer Model
+ * Negotiation thread of a pending order: counter-offers on unit price,
+ * quantity or delivery date from the buyer or the farmer
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class OrderOffer {
+    const STATUSES = ['open', 'accepted', 'superseded', 'closed'];
+    
+    private $db;
+    private $table = 'order_offers';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    // A new offer replaces whatever was still open on the order
+    public function create($data) {
+        $this->closeOpen($data['order_id'], 'superseded');
+        
+        $sql = "INSERT INTO {$this->table} (
+                    order_id, proposed_by, proposer_role, unit_price, quantity,
+                    delivery_date, message, status, created_at
+                ) VALUES (
+                    :order_id, :proposed_by, :proposer_role, :unit_price, :quantity,
+                    :delivery_date, :message, 'open', NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':order_id' => $data['order_id'],
+            ':proposed_by' => $data['proposed_by'],
+            ':proposer_role' => $data['proposer_role'],
+            ':unit_price' => $data['unit_price'],
+            ':quantity' => $data['quantity'],
+            ':delivery_date' => $data['delivery_date'] ?? null,
+            ':message' => $data['message'] ?? null,
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    public function findById($id) {
+        $sql = "SELECT * FROM {$this->table} WHERE id = :id";
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id]);
+        
+        return $stmt->fetch();
+    }
+    
+    public function findOpen($orderId) {
+        $sql = "SELECT * FROM {$this->table}
+                WHERE order_id = :order_id AND status = 'open'
+                ORDER BY created_at DESC, id DESC
+                LIMIT 1";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':order_id' => $orderId]);
+        
+        return $stmt->fetch();
+    }
+    
+    // Thread of an order, oldest first
+    public function getByOrder($orderId) {
+        $sql = "SELECT o.*, u.first_name as proposer_first_name, u.last_name as proposer_last_name
+                FROM {$this->table} o
+                LEFT JOIN users u ON o.proposed_by = u.id
+                WHERE o.order_id = :order_id
+                ORDER BY o.created_at ASC, o.id ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':order_id' => $orderId]);
+        
+        return $stmt->fetchAll();
+    }
+    
+    public function accept($id) {
+        $sql = "UPDATE {$this->table} SET status = 'accepted', responded_at = NOW()
+                WHERE id = :id AND status = 'open'";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id]);
+        
+        return $stmt->rowCount() > 0;
+    }
+    
+    // Close the open offer when the order is answered or countered
+    public function closeOpen($orderId, $status = 'closed') {
+        $sql = "UPDATE {$this->table} SET status = :status, responded_at = NOW()
+                WHERE order_id = :order_id AND status = 'open'";
+        
+        $stmt = $this->db->prepare($sql);
+        return $stmt->execute([':order_id' => $orderId, ':status' => $status]);
+    }
+}
@@ -0,0 +1,214 @@
+<?php
+/**
+ * Order Subscription Model
+ * A buyer's recurring order: the /api/orders POST payload of a past order,
+ * placed again on a weekly, fortnightly or monthly schedule until its end date
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class OrderSubscription {
+    // Schedule steps, as DateTime::modify() strings
+    const FREQUENCIES = [
+        'weekly' => '+1 week',
+        'fortnightly' => '+2 weeks',
+        'monthly' => '+1 month'
+    ];
+    const STATUSES = ['active', 'ended', 'cancelled'];
+    
+    // Each run is placed this many days before its delivery date, so the
+    // farmer has time to accept and harvest
+    const ORDER_LEAD_DAYS = 2;
+    // The buyer is reminded this many days before delivery, a day before the
+    // order goes out, so the run can still be skipped or edited
+    const REMINDER_LEAD_DAYS = 3;
+    
+    private $db;
+    private $table = 'order_subscriptions';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    public function create($data) {
+        $sql = "INSERT INTO {$this->table} (
+                    buyer_id, farmer_id, product_id, source_order_id, frequency, payload,
+                    next_delivery_date, end_date, status, created_at, updated_at
+                ) VALUES (
+                    :buyer_id, :farmer_id, :product_id, :source_order_id, :frequency, :payload,
+                    :next_delivery_date, :end_date, 'active', NOW(), NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':buyer_id' => $data['buyer_id'],
+            ':farmer_id' => $data['farmer_id'],
+            ':product_id' => $data['product_id'],
+            ':source_order_id' => $data['source_order_id'] ?? null,
+            ':frequency' => $data['frequency'],
+            ':payload' => json_encode($data['payload']),
+            ':next_delivery_date' => $data['next_delivery_date'],
+            ':end_date' => $data['end_date'],
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    public function findById($id) {
+        $sql = "SELECT s.*, p.name as product_name, p.name_bn as product_name_bn, p.unit,
+                       f.first_name as farmer_first_name, f.last_name as farmer_last_name
+                FROM {$this->table} s
+                LEFT JOIN products p ON s.product_id = p.id
+                LEFT JOIN users f ON s.farmer_id = f.id
+                WHERE s.id = :id";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id]);
+        
+        $subscription = $stmt->fetch();
+        return $subscription ? $this->decode($subscription) : false;
+    }
+    
+    public function getByBuyer($buyerId) {
+        $sql = "SELECT s.*, p.name as product_name, p.name_bn as product_name_bn, p.unit,
+                       f.first_name as farmer_first_name, f.last_name as farmer_last_name
+                FROM {$this->table} s
+                LEFT JOIN products p ON s.product_id = p.id
+                LEFT JOIN users f ON s.farmer_id = f.id
+                WHERE s.buyer_id = :buyer_id
+                ORDER BY (s.status = 'active') DESC, s.next_delivery_date ASC, s.id DESC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':buyer_id' => $buyerId]);
+        
+        return array_map([$this, 'decode'], $stmt->fetchAll());
+    }
+    
+    // Active schedules on a farmer's products, for the demand forecast
+    public function getActiveByFarmer($farmerId) {
+        $sql = "SELECT s.*, p.name as product_name, p.name_bn as product_name_bn, p.unit
+                FROM {$this->table} s
+                LEFT JOIN products p ON s.product_id = p.id
+                WHERE s.farmer_id = :farmer_id AND s.status = 'active'
+                ORDER BY s.next_delivery_date ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':farmer_id' => $farmerId]);
+        
+        return array_map([$this, 'decode'], $stmt->fetchAll());
+    }
+    
+    // Active schedules whose next order should be placed by $date
+    public function getDueForOrder($date) {
+        $sql = "SELECT * FROM {$this->table}
+                WHERE status = 'active'
+                AND next_delivery_date <= CAST(:date AS DATE) + :lead_days
+                ORDER BY next_delivery_date ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':date' => $date, ':lead_days' => self::ORDER_LEAD_DAYS]);
+        
+        return array_map([$this, 'decode'], $stmt->fetchAll());
+    }
+    
+    // Active schedules whose next run has not been announced to the buyer yet
+    public function getDueForReminder($date) {
+        $sql = "SELECT s.*, p.name as product_name, p.name_bn as product_name_bn, p.unit
+                FROM {$this->table} s
+                LEFT JOIN products p ON s.product_id = p.id
+                WHERE s.status = 'active'
+                AND s.next_delivery_date <= CAST(:date AS DATE) + :lead_days
+                AND (s.reminded_for IS NULL OR s.reminded_for <> s.next_delivery_date)
+                ORDER BY s.next_delivery_date ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':date' => $date, ':lead_days' => self::REMINDER_LEAD_DAYS]);
+        
+        return array_map([$this, 'decode'], $stmt->fetchAll());
+    }
+    
+    public function update($id, $data) {
+        $fields = [];
+        $params = [':id' => $id];
+        
+        $allowedFields = [
+            'frequency', 'next_delivery_date', 'end_date', 'status', 'reminded_for',
+            'last_order_id', 'last_run_at', 'last_error'
+        ];
+        
+        foreach ($data as $key => $value) {
+            if (in_array($key, $allowedFields)) {
+                $fields[] = "{$key} = :{$key}";
+                $params[":{$key}"] = $value;
+            } elseif ($key === 'payload') {
+                $fields[] = "payload = :payload";
+                $params[':payload'] = json_encode($value);
+            }
+        }
+        
+        if (empty($fields)) {
+            return false;
+        }
+        
+        $fields[] = "updated_at = NOW()";
+        $sql = "UPDATE {$this->table} SET " . implode(', ', $fields) . " WHERE id = :id";
+        
+        $stmt = $this->db->prepare($sql);
+        return $stmt->execute($params);
+    }
+    
+    // Move an active schedule from its run on $fromDate to $nextDate; false when
+    // another run (cron or the admin button) already moved it
+    public function advance($id, $fromDate, $nextDate, $status = 'active') {
+        $sql = "UPDATE {$this->table}
+                SET next_delivery_date = :next_delivery_date, status = :status, updated_at = NOW()
+                WHERE id = :id AND status = 'active' AND next_delivery_date = :from_date";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([
+            ':id' => $id,
+            ':from_date' => $fromDate,
+            ':next_delivery_date' => $nextDate,
+            ':status' => $status
+        ]);
+        
+        return $stmt->rowCount() === 1;
+    }
+    
+    /**
+     * Delivery date of the run after $date
+     */
+    public static function nextDate($date, $frequency) {
+        $next = new DateTime(substr($date, 0, 10));
+        $next->modify(self::FREQUENCIES[$frequency]);
+        
+        return $next->format('Y-m-d');
+    }
+    
+    /**
+     * Delivery dates of a schedule from its next run up to $until (inclusive)
+     */
+    public static function runDates($subscription, $until) {
+        $dates = [];
+        $last = min($until, substr($subscription['end_date'], 0, 10));
+        $date = substr($subscription['next_delivery_date'], 0, 10);
+        
+        while ($date <= $last) {
+            $dates[] = $date;
+            $date = self::nextDate($date, $subscription['frequency']);
+        }
+        
+        return $dates;
+    }
+    
+    private function decode($subscription) {
+        $subscription['payload'] = json_decode($subscription['payload'] ?? '{}', true);
+        
+        return $subscription;
+    }
+}
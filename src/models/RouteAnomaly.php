@@ -0,0 +1,192 @@
+<?php
+/**
+ * Route Anomaly Model
+ * Detours, long stops and speed anomalies on a delivery's timeline, with the
+ * buyer/farmer acknowledgement and the escalation to admin
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class RouteAnomaly {
+    // Detector results (RouteAnomalyService) that appear on the timeline
+    const TYPES = ['route_deviation', 'stall_detection', 'stop_patterns', 'speed_anomaly'];
+    const STATUSES = ['open', 'acknowledged', 'escalated', 'resolved'];
+    const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+    
+    // Repeated detections of one type within this window extend the same entry
+    const MERGE_WINDOW_MINUTES = 30;
+    
+    private $db;
+    private $table = 'route_anomalies';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    /**
+     * Add a detection to the timeline, or extend the latest unresolved entry of
+     * the same type. An acknowledged entry reopens when its severity rises
+     */
+    public function record($transportId, $type, $severity, $reasons, $details = [], $location = null) {
+        $sql = "SELECT * FROM {$this->table}
+                WHERE transport_id = :transport_id AND type = :type AND status != 'resolved'
+                  AND last_seen_at >= NOW() - INTERVAL '" . self::MERGE_WINDOW_MINUTES . " minutes'
+                ORDER BY last_seen_at DESC
+                LIMIT 1";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId, ':type' => $type]);
+        $latest = $stmt->fetch();
+        
+        if (!$latest) {
+            return $this->create([
+                'transport_id' => $transportId,
+                'type' => $type,
+                'severity' => $severity,
+                'reasons' => $reasons,
+                'details' => $details,
+                'location' => $location
+            ]);
+        }
+        
+        $rank = array_flip(self::SEVERITIES);
+        $escalates = $rank[$severity] > $rank[$latest['severity']];
+        
+        $sql = "UPDATE {$this->table}
+                SET severity = :severity, reasons = :reasons, details = :details,
+                    last_seen_at = NOW(), updated_at = NOW()";
+        $params = [
+            ':id' => $latest['id'],
+            ':severity' => $escalates ? $severity : $latest['severity'],
+            ':reasons' => json_encode($reasons),
+            ':details' => json_encode($details)
+        ];
+        
+        if ($escalates && $latest['status'] === 'acknowledged') {
+            $sql .= ", status = 'open', acknowledged_by = NULL, acknowledged_at = NULL";
+        }
+        
+        $sql .= " WHERE id = :id";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute($params);
+        
+        return $latest['id'];
+    }
+    
+    public function create($data) {
+        $sql = "INSERT INTO {$this->table} (
+                    transport_id, type, severity, reasons, details, location,
+                    status, detected_at, last_seen_at, created_at, updated_at
+                ) VALUES (
+                    :transport_id, :type, :severity, :reasons, :details, :location,
+                    :status, NOW(), NOW(), NOW(), NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':transport_id' => $data['transport_id'],
+            ':type' => $data['type'],
+            ':severity' => $data['severity'],
+            ':reasons' => json_encode($data['reasons'] ?? []),
+            ':details' => json_encode($data['details'] ?? []),
+            ':location' => isset($data['location']) ? json_encode($data['location']) : null,
+            ':status' => 'open',
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    public function findById($id) {
+        $sql = "SELECT * FROM {$this->table} WHERE id = :id";
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id]);
+        
+        $anomaly = $stmt->fetch();
+        return $anomaly ? $this->decode($anomaly) : false;
+    }
+    
+    // Timeline of one transport, oldest first
+    public function getByTransport($transportId) {
+        $sql = "SELECT a.*,
+                       e.first_name as escalated_by_first_name, e.last_name as escalated_by_last_name
+                FROM {$this->table} a
+                LEFT JOIN users e ON a.escalated_by = e.id
+                WHERE a.transport_id = :transport_id
+                ORDER BY a.detected_at ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId]);
+        
+        return array_map([$this, 'decode'], $stmt->fetchAll());
+    }
+    
+    // Admin queue: escalated entries first, then recently resolved ones
+    public function getEscalated($limit = 50) {
+        $sql = "SELECT a.*,
+                       t.tracking_number, t.status as transport_status, t.order_id,
+                       e.first_name as escalated_by_first_name, e.last_name as escalated_by_last_name,
+                       e.role as escalated_by_role
+                FROM {$this->table} a
+                JOIN transport t ON a.transport_id = t.id
+                LEFT JOIN users e ON a.escalated_by = e.id
+                WHERE a.status = 'escalated'
+                   OR (a.status = 'resolved' AND a.escalated_at IS NOT NULL AND a.resolved_at >= NOW() - INTERVAL '7 days')
+                ORDER BY (a.status = 'escalated') DESC, a.escalated_at DESC
+                LIMIT :limit";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->bindValue(':limit', (int) $limit, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        return array_map([$this, 'decode'], $stmt->fetchAll());
+    }
+    
+    public function acknowledge($id, $userId) {
+        $sql = "UPDATE {$this->table}
+                SET status = 'acknowledged', acknowledged_by = :user_id, acknowledged_at = NOW(), updated_at = NOW()
+                WHERE id = :id AND status = 'open'";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id, ':user_id' => $userId]);
+        
+        return $stmt->rowCount() > 0;
+    }
+    
+    public function escalate($id, $userId, $note) {
+        $sql = "UPDATE {$this->table}
+                SET status = 'escalated', escalated_by = :user_id, escalated_at = NOW(),
+                    escalation_note = :note, updated_at = NOW()
+                WHERE id = :id AND status IN ('open', 'acknowledged')";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id, ':user_id' => $userId, ':note' => $note]);
+        
+        return $stmt->rowCount() > 0;
+    }
+    
+    public function resolve($id, $userId, $resolutionNotes = null) {
+        $sql = "UPDATE {$this->table}
+                SET status = 'resolved', resolved_by = :user_id, resolved_at = NOW(),
+                    resolution_notes = :resolution_notes, updated_at = NOW()
+                WHERE id = :id AND status != 'resolved'";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id, ':user_id' => $userId, ':resolution_notes' => $resolutionNotes]);
+        
+        return $stmt->rowCount() > 0;
+    }
+    
+    private function decode($anomaly) {
+        $anomaly['reasons'] = json_decode($anomaly['reasons'] ?? '[]', true);
+        $anomaly['details'] = json_decode($anomaly['details'] ?? '[]', true);
+        $anomaly['location'] = $anomaly['location'] ? json_decode($anomaly['location'], true) : null;
+        
+        return $anomaly;
+    }
+}
@@ -18,12 +18,12 @@ class Transport {
         $sql = "INSERT INTO {$this->table} (
                     order_id, transport_type, provider_name, provider_contact, 
                     pickup_address, delivery_address, pickup_date, delivery_date, 
-                    cost, status, tracking_number, vehicle_info, driver_info, 
+                    cost, distance_km, status, tracking_number, vehicle_info, driver_info, 
                     notes, created_at, updated_at
                 ) VALUES (
                     :order_id, :transport_type, :provider_name, :provider_contact, 
                     :pickup_address, :delivery_address, :pickup_date, :delivery_date, 
-                    :cost, :status, :tracking_number, :vehicle_info, :driver_info, 
+                    :cost, :distance_km, :status, :tracking_number, :vehicle_info, :driver_info, 
                     :notes, NOW(), NOW()
                 ) RETURNING id";
         
@@ -39,6 +39,7 @@ class Transport {
             ':pickup_date' => $data['pickup_date'] ?? null,
             ':delivery_date' => $data['delivery_date'] ?? null,
             ':cost' => $data['cost'] ?? null,
+            ':distance_km' => $data['distance_km'] ?? null,
             ':status' => 'scheduled',
             ':tracking_number' => $data['tracking_number'] ?? null,
             ':vehicle_info' => json_encode($data['vehicle_info'] ?? []),
@@ -138,7 +139,7 @@ class Transport {
     }
     
     public function updateStatus($id, $status, $notes = null) {
-        $allowedStatuses = ['scheduled', 'pickup_pending', 'in_transit', 'delivered', 'cancelled', 'delayed'];
+        $allowedStatuses = ['scheduled', 'assigned', 'pickup_pending', 'picked_up', 'in_transit', 'delivered', 'cancelled', 'delayed'];
         
         if (!in_array($status, $allowedStatuses)) {
             return false;
@@ -287,6 +288,100 @@ class Transport {
         return $transports;
     }
     
+    // Transports of one farmer's or buyer's orders, newest first; without filters, all of them
+    public function getTransports($filters = [], $limit = 20, $offset = 0) {
+        $conditions = ["1=1"];
+        $params = [];
+        
+        if (!empty($filters['farmer_id'])) {
+            $conditions[] = "o.farmer_id = :farmer_id";
+            $params[':farmer_id'] = $filters['farmer_id'];
+        }
+        
+        // A buyer also sees combined trips that carry one of their orders at a later stop
+        if (!empty($filters['buyer_id'])) {
+            $conditions[] = "(o.buyer_id = :buyer_id OR EXISTS (
+                                SELECT 1 FROM transport_stops s
+                                JOIN orders so ON s.order_id = so.id
+                                WHERE s.transport_id = t.id AND so.buyer_id = :stop_buyer_id
+                            ))";
+            $params[':buyer_id'] = $filters['buyer_id'];
+            $params[':stop_buyer_id'] = $filters['buyer_id'];
+        }
+        
+        $sql = "SELECT t.*, 
+                       o.quantity, o.total_amount,
+                       p.name as product_name, p.unit, p.category,
+                       b.first_name as buyer_first_name, b.last_name as buyer_last_name, b.phone as buyer_phone,
+                       f.first_name as farmer_first_name, f.last_name as farmer_last_name, f.phone as farmer_phone
+                FROM {$this->table} t
+                LEFT JOIN orders o ON t.order_id = o.id
+                LEFT JOIN products p ON o.product_id = p.id
+                LEFT JOIN users b ON o.buyer_id = b.id
+                LEFT JOIN users f ON o.farmer_id = f.id
+                WHERE " . implode(' AND ', $conditions) . "
+                ORDER BY t.created_at DESC
+                LIMIT :limit OFFSET :offset";
+        
+        $stmt = $this->db->prepare($sql);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value, PDO::PARAM_INT);
+        }
+        $stmt->bindValue(':limit', (int) $limit, PDO::PARAM_INT);
+        $stmt->bindValue(':offset', (int) $offset, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        $transports = $stmt->fetchAll();
+        
+        // Decode JSON fields
+        foreach ($transports as &$transport) {
+            if ($transport['vehicle_info']) {
+                $transport['vehicle_info'] = json_decode($transport['vehicle_info'], true);
+            }
+            if ($transport['driver_info']) {
+                $transport['driver_info'] = json_decode($transport['driver_info'], true);
+            }
+        }
+        
+        return $transports;
+    }
+    
+    // Jobs of one driver account (driver_info.user_id); open jobs first, then the latest finished ones
+    public function getByDriver($driverId, $limit = 20) {
+        $sql = "SELECT t.*, 
+                       o.quantity, o.total_amount,
+                       p.name as product_name, p.unit, p.category,
+                       b.first_name as buyer_first_name, b.last_name as buyer_last_name, b.phone as buyer_phone,
+                       f.first_name as farmer_first_name, f.last_name as farmer_last_name, f.phone as farmer_phone
+                FROM {$this->table} t
+                LEFT JOIN orders o ON t.order_id = o.id
+                LEFT JOIN products p ON o.product_id = p.id
+                LEFT JOIN users b ON o.buyer_id = b.id
+                LEFT JOIN users f ON o.farmer_id = f.id
+                WHERE t.driver_info::jsonb ->> 'user_id' = :driver_id
+                ORDER BY t.status IN ('delivered', 'cancelled') ASC, t.pickup_date ASC, t.updated_at DESC
+                LIMIT :limit";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->bindValue(':driver_id', (string) $driverId);
+        $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        $transports = $stmt->fetchAll();
+        
+        // Decode JSON fields
+        foreach ($transports as &$transport) {
+            if ($transport['vehicle_info']) {
+                $transport['vehicle_info'] = json_decode($transport['vehicle_info'], true);
+            }
+            if ($transport['driver_info']) {
+                $transport['driver_info'] = json_decode($transport['driver_info'], true);
+            }
+        }
+        
+        return $transports;
+    }
+    
     public function getDelayedDeliveries() {
         $sql = "SELECT t.*, 
                        o.quantity, o.total_amount,
@@ -0,0 +1,101 @@
+<?php
+/**
+ * Transport Issue Model
+ * Handles problems reported by buyers against a delivery
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class TransportIssue {
+    const CATEGORIES = ['damaged_goods', 'delay', 'wrong_quantity', 'driver_behaviour'];
+    const STATUSES = ['open', 'investigating', 'resolved', 'rejected'];
+    
+    private $db;
+    private $table = 'transport_issues';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    public function create($data) {
+        $sql = "INSERT INTO {$this->table} (
+                    transport_id, reported_by, category, description, photos,
+                    status, created_at, updated_at
+                ) VALUES (
+                    :transport_id, :reported_by, :category, :description, :photos,
+                    :status, NOW(), NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':transport_id' => $data['transport_id'],
+            ':reported_by' => $data['reported_by'],
+            ':category' => $data['category'],
+            ':description' => $data['description'],
+            ':photos' => json_encode($data['photos'] ?? []),
+            ':status' => 'open',
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    public function findById($id) {
+        $sql = "SELECT * FROM {$this->table} WHERE id = :id";
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id]);
+        
+        $issue = $stmt->fetch();
+        if ($issue) {
+            $issue['photos'] = json_decode($issue['photos'] ?? '[]', true);
+        }
+        
+        return $issue;
+    }
+    
+    public function getByTransport($transportId) {
+        $sql = "SELECT i.*, u.first_name as reporter_first_name, u.last_name as reporter_last_name
+                FROM {$this->table} i
+                LEFT JOIN users u ON i.reported_by = u.id
+                WHERE i.transport_id = :transport_id
+                ORDER BY i.created_at DESC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId]);
+        $issues = $stmt->fetchAll();
+        
+        // Decode JSON fields
+        foreach ($issues as &$issue) {
+            $issue['photos'] = json_decode($issue['photos'] ?? '[]', true);
+        }
+        
+        return $issues;
+    }
+    
+    public function updateStatus($id, $status, $resolutionNotes = null) {
+        if (!in_array($status, self::STATUSES)) {
+            return false;
+        }
+        
+        $sql = "UPDATE {$this->table} SET status = :status, updated_at = NOW()";
+        $params = [':id' => $id, ':status' => $status];
+        
+        if ($resolutionNotes !== null) {
+            $sql .= ", resolution_notes = :resolution_notes";
+            $params[':resolution_notes'] = $resolutionNotes;
+        }
+        
+        if (in_array($status, ['resolved', 'rejected'])) {
+            $sql .= ", resolved_at = NOW()";
+        }
+        
+        $sql .= " WHERE id = :id";
+        
+        $stmt = $this->db->prepare($sql);
+        return $stmt->execute($params);
+    }
+}
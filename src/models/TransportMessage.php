@@ -0,0 +1,96 @@
+<?php
+/**
+ * Transport Message Model
+ * Chat between buyer, farmer and driver about one transport
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class TransportMessage {
+    const PHOTO_KINDS = ['pickup', 'dropoff'];
+    
+    private $db;
+    private $table = 'transport_messages';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    public function create($data) {
+        $sql = "INSERT INTO {$this->table} (
+                    transport_id, sender_id, sender_role, message, photo_url, photo_kind, created_at
+                ) VALUES (
+                    :transport_id, :sender_id, :sender_role, :message, :photo_url, :photo_kind, NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':transport_id' => $data['transport_id'],
+            ':sender_id' => $data['sender_id'],
+            ':sender_role' => $data['sender_role'],
+            ':message' => $data['message'] ?? null,
+            ':photo_url' => $data['photo_url'] ?? null,
+            ':photo_kind' => $data['photo_kind'] ?? null,
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    public function findById($id) {
+        $sql = "SELECT m.*, u.first_name as sender_first_name, u.last_name as sender_last_name
+                FROM {$this->table} m
+                LEFT JOIN users u ON m.sender_id = u.id
+                WHERE m.id = :id";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':id' => $id]);
+        
+        return $stmt->fetch();
+    }
+    
+    // Latest messages, returned oldest first for display
+    public function getByTransport($transportId, $limit = 100) {
+        $sql = "SELECT * FROM (
+                    SELECT m.*, u.first_name as sender_first_name, u.last_name as sender_last_name
+                    FROM {$this->table} m
+                    LEFT JOIN users u ON m.sender_id = u.id
+                    WHERE m.transport_id = :transport_id
+                    ORDER BY m.id DESC
+                    LIMIT :limit
+                ) latest
+                ORDER BY id ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->bindValue(':transport_id', $transportId, PDO::PARAM_INT);
+        $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        return $stmt->fetchAll();
+    }
+    
+    // Read receipts: everything the other participants sent is now read
+    public function markRead($transportId, $readerId) {
+        $sql = "UPDATE {$this->table} SET read_at = NOW()
+                WHERE transport_id = :transport_id AND sender_id != :reader_id AND read_at IS NULL";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId, ':reader_id' => $readerId]);
+        
+        return $stmt->rowCount();
+    }
+    
+    public function countUnread($transportId, $readerId) {
+        $sql = "SELECT COUNT(*) as unread FROM {$this->table}
+                WHERE transport_id = :transport_id AND sender_id != :reader_id AND read_at IS NULL";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId, ':reader_id' => $readerId]);
+        
+        return (int) $stmt->fetch()['unread'];
+    }
+}
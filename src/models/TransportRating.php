@@ -0,0 +1,51 @@
+<?php
+/**
+ * Transport Rating Model
+ * Buyer ratings of a completed delivery (one per transport)
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class TransportRating {
+    private $db;
+    private $table = 'transport_ratings';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    public function create($data) {
+        $sql = "INSERT INTO {$this->table} (
+                    transport_id, rated_by, overall_rating, timeliness_rating,
+                    condition_rating, comment, created_at
+                ) VALUES (
+                    :transport_id, :rated_by, :overall_rating, :timeliness_rating,
+                    :condition_rating, :comment, NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':transport_id' => $data['transport_id'],
+            ':rated_by' => $data['rated_by'],
+            ':overall_rating' => $data['overall_rating'],
+            ':timeliness_rating' => $data['timeliness_rating'] ?? null,
+            ':condition_rating' => $data['condition_rating'] ?? null,
+            ':comment' => $data['comment'] ?? null,
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    public function findByTransport($transportId) {
+        $sql = "SELECT * FROM {$this->table} WHERE transport_id = :transport_id";
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId]);
+        
+        return $stmt->fetch();
+    }
+}
@@ -0,0 +1,60 @@
+<?php
+/**
+ * Transport Stop Model
+ * Drop-offs of a multi-stop transport, one per order, in visiting order
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class TransportStop {
+    private $db;
+    private $table = 'transport_stops';
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    public function create($data) {
+        $sql = "INSERT INTO {$this->table} (
+                    transport_id, order_id, sequence, delivery_address, distance_km, estimated_cost, created_at
+                ) VALUES (
+                    :transport_id, :order_id, :sequence, :delivery_address, :distance_km, :estimated_cost, NOW()
+                ) RETURNING id";
+        
+        $stmt = $this->db->prepare($sql);
+        
+        $params = [
+            ':transport_id' => $data['transport_id'],
+            ':order_id' => $data['order_id'],
+            ':sequence' => $data['sequence'],
+            ':delivery_address' => $data['delivery_address'],
+            ':distance_km' => $data['distance_km'] ?? null,
+            ':estimated_cost' => $data['estimated_cost'] ?? null,
+        ];
+        
+        if ($stmt->execute($params)) {
+            return $stmt->fetch()['id'];
+        }
+        
+        return false;
+    }
+    
+    // Stops with the buyer and product of each order, in visiting order
+    public function findByTransport($transportId) {
+        $sql = "SELECT s.*,
+                       o.quantity, o.buyer_id,
+                       p.name as product_name, p.unit,
+                       b.first_name as buyer_first_name, b.last_name as buyer_last_name, b.phone as buyer_phone
+                FROM {$this->table} s
+                LEFT JOIN orders o ON s.order_id = o.id
+                LEFT JOIN products p ON o.product_id = p.id
+                LEFT JOIN users b ON o.buyer_id = b.id
+                WHERE s.transport_id = :transport_id
+                ORDER BY s.sequence ASC";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':transport_id' => $transportId]);
+        
+        return $stmt->fetchAll();
+    }
+}
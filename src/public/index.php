@@ -64,6 +64,11 @@ try {
             }
             break;
             
+        case preg_match('/^\/api\/auth\/refresh$/', $requestUri):
+            $controller = new AuthController();
+            $controller->refresh();
+            break;
+            
         case preg_match('/^\/api\/auth\/change-password$/', $requestUri):
             $controller = new AuthController();
             $controller->changePassword();
@@ -163,6 +168,52 @@ try {
             }
             break;
             
+        case preg_match('/^\/api\/orders\/checkout$/', $requestUri):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            $controller->checkout();
+            break;
+            
+        case preg_match('/^\/api\/orders\/cart\/check$/', $requestUri):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            $controller->checkCart();
+            break;
+            
+        case preg_match('/^\/api\/orders\/subscriptions$/', $requestUri):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            if ($requestMethod === 'POST') {
+                $controller->createSubscription();
+            } else {
+                $controller->getSubscriptions();
+            }
+            break;
+            
+        case preg_match('/^\/api\/orders\/subscriptions\/demand$/', $requestUri):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            $controller->getSubscriptionDemand();
+            break;
+            
+        case preg_match('/^\/api\/orders\/subscriptions\/process$/', $requestUri):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            $controller->processSubscriptions();
+            break;
+            
+        case preg_match('/^\/api\/orders\/subscriptions\/(\d+)$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            $controller->updateSubscription($matches[1]);
+            break;
+            
+        case preg_match('/^\/api\/orders\/subscriptions\/(\d+)\/(skip|cancel)$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            $controller->changeSubscription($matches[1], $matches[2]);
+            break;
+            
         case preg_match('/^\/api\/orders\/(\d+)$/', $requestUri, $matches):
             require_once __DIR__ . '/../src/controllers/OrderController.php';
             $controller = new OrderController();
@@ -183,6 +234,50 @@ try {
             $controller->respondToOrder($matches[1]);
             break;
             
+        case preg_match('/^\/api\/orders\/(\d+)\/offers$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            if ($requestMethod === 'POST') {
+                $controller->proposeOffer($matches[1]);
+            } else {
+                $controller->getOffers($matches[1]);
+            }
+            break;
+            
+        case preg_match('/^\/api\/orders\/(\d+)\/offers\/(\d+)\/accept$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            $controller->acceptOffer($matches[1], $matches[2]);
+            break;
+            
+        case preg_match('/^\/api\/orders\/(\d+)\/partial-fulfilment$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            $controller->markPartialFulfilment($matches[1]);
+            break;
+            
+        case preg_match('/^\/api\/orders\/(\d+)\/amendments$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            if ($requestMethod === 'POST') {
+                $controller->requestAmendment($matches[1]);
+            } else {
+                $controller->getAmendments($matches[1]);
+            }
+            break;
+            
+        case preg_match('/^\/api\/orders\/(\d+)\/amendments\/(\d+)\/(approve|reject)$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            $controller->respondToAmendment($matches[1], $matches[2], $matches[3]);
+            break;
+            
+        case preg_match('/^\/api\/orders\/(\d+)\/invoice$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/OrderController.php';
+            $controller = new OrderController();
+            $controller->getInvoice($matches[1]);
+            break;
+            
         case preg_match('/^\/api\/orders\/(\d+)\/payment$/', $requestUri, $matches):
             require_once __DIR__ . '/../src/controllers/OrderController.php';
             $controller = new OrderController();
@@ -196,12 +291,42 @@ try {
             $controller->requestTransport();
             break;
             
+        case preg_match('/^\/api\/transport\/route-plan$/', $requestUri):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->planRoute();
+            break;
+            
         case preg_match('/^\/api\/transport$/', $requestUri):
             require_once __DIR__ . '/../src/controllers/TransportController.php';
             $controller = new TransportController();
             $controller->getTransportRequests();
             break;
             
+        case preg_match('/^\/api\/transport\/stream-ticket$/', $requestUri):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->issueStreamTicket();
+            break;
+            
+        case preg_match('/^\/api\/transport\/stream$/', $requestUri):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->streamTracking();
+            break;
+            
+        case preg_match('/^\/api\/transport\/driver\/jobs$/', $requestUri):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->getDriverJobs();
+            break;
+            
+        case preg_match('/^\/api\/transport\/(\d+)$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->getTransportDetails($matches[1]);
+            break;
+            
         case preg_match('/^\/api\/transport\/(\d+)\/tracking$/', $requestUri, $matches):
             require_once __DIR__ . '/../src/controllers/TransportController.php';
             $controller = new TransportController();
@@ -220,6 +345,74 @@ try {
             $controller->confirmDelivery($matches[1]);
             break;
             
+        case preg_match('/^\/api\/transport\/(\d+)\/handover-code$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->getHandoverCode($matches[1]);
+            break;
+            
+        case preg_match('/^\/api\/transport\/(\d+)\/rate$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->rateDelivery($matches[1]);
+            break;
+            
+        case preg_match('/^\/api\/transport\/(\d+)\/issues$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            if ($requestMethod === 'POST') {
+                $controller->reportIssue($matches[1]);
+            } else {
+                $controller->getIssues($matches[1]);
+            }
+            break;
+            
+        case preg_match('/^\/api\/transport\/(\d+)\/messages$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            if ($requestMethod === 'POST') {
+                $controller->sendMessage($matches[1]);
+            } else {
+                $controller->getMessages($matches[1]);
+            }
+            break;
+            
+        case preg_match('/^\/api\/transport\/(\d+)\/messages\/read$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->markMessagesRead($matches[1]);
+            break;
+            
+        case preg_match('/^\/api\/transport\/(\d+)\/anomalies$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->getAnomalies($matches[1]);
+            break;
+            
+        case preg_match('/^\/api\/transport\/anomalies\/escalated$/', $requestUri):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->getEscalatedAnomalies();
+            break;
+            
+        case preg_match('/^\/api\/transport\/anomalies\/(\d+)\/acknowledge$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->acknowledgeAnomaly($matches[1]);
+            break;
+            
+        case preg_match('/^\/api\/transport\/anomalies\/(\d+)\/escalate$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->escalateAnomaly($matches[1]);
+            break;
+            
+        case preg_match('/^\/api\/transport\/anomalies\/(\d+)\/resolve$/', $requestUri, $matches):
+            require_once __DIR__ . '/../src/controllers/TransportController.php';
+            $controller = new TransportController();
+            $controller->resolveAnomaly($matches[1]);
+            break;
+            
         case preg_match('/^\/api\/transport\/providers$/', $requestUri):
             require_once __DIR__ . '/../src/controllers/TransportController.php';
             $controller = new TransportController();
@@ -253,6 +446,10 @@ try {
             include __DIR__ . '/login.html';
             break;
             
+        case $requestUri === '/offline.html':
+            include __DIR__ . '/offline.html';
+            break;
+            
         // Auth API Routes
         case $requestUri === '/api/auth/login' && $requestMethod === 'POST':
             require_once __DIR__ . '/../src/controllers/AuthController.php';
@@ -281,6 +478,11 @@ try {
             include __DIR__ . '/dashboard/buyer.html';
             break;
             
+        case $requestUri === '/dashboard/driver':
+        case $requestUri === '/dashboard/driver.html':
+            include __DIR__ . '/dashboard/driver.html';
+            break;
+            
         case $requestUri === '/dashboard/admin':
         case $requestUri === '/dashboard/admin.html':
             include __DIR__ . '/dashboard/admin.html';
@@ -379,7 +581,7 @@ try {
             break;
             
         // Static assets
-        case preg_match('/\.(css|js|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot)$/', $requestUri):
+        case preg_match('/\.(css|js|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot|webmanifest)$/', $requestUri):
             // Let the web server handle static files
             return false;
             
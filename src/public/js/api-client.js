@@ -0,0 +1,279 @@
+/**
+ * API Client Module
+ * Shared fetch wrapper used by every page: token injection, JSON handling,
+ * typed errors, timeouts, cancellation, token refresh and 401 redirects,
+ * plus the HTML escaping every module uses for rendered data
+ */
+
+// Error raised for every failed API call
+class ApiError extends Error {
+    constructor(message, { type = 'http', status = 0, data = null, endpoint = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        this.data = data;
+        this.endpoint = endpoint;
+    }
+
+    get isNetworkError() {
+        return this.type === ApiError.NETWORK || this.type === ApiError.TIMEOUT;
+    }
+
+    get isAborted() {
+        return this.type === ApiError.ABORTED;
+    }
+}
+
+// Error types
+ApiError.HTTP = 'http';
+ApiError.NETWORK = 'network';
+ApiError.TIMEOUT = 'timeout';
+ApiError.ABORTED = 'aborted';
+ApiError.UNAUTHORIZED = 'unauthorized';
+
+const ApiClient = {
+    // API base URL
+    apiBase: '/api',
+
+    // Default request timeout (15 seconds)
+    timeout: 15000,
+
+    // Storage keys shared by all modules
+    storageKeys: {
+        token: 'authToken',
+        user: 'user'
+    },
+
+    // Page to send the user to when the session is no longer valid
+    loginUrl: '/login.html',
+
+    // Refresh the token when it has less than this left (60 seconds)
+    refreshMargin: 60000,
+
+    // Optional hooks installed by Forms: refreshHandler() resolves once a
+    // new token is stored, unauthorizedHandler() replaces the login redirect
+    refreshHandler: null,
+    unauthorizedHandler: null,
+
+    // Get auth token
+    getToken() {
+        return localStorage.getItem(this.storageKeys.token);
+    },
+
+    // Get current user info
+    getUser() {
+        const userStr = localStorage.getItem(this.storageKeys.user);
+        return userStr ? JSON.parse(userStr) : null;
+    },
+
+    // Store token and user info after login or registration
+    setSession(token, user) {
+        localStorage.setItem(this.storageKeys.token, token);
+        localStorage.setItem(this.storageKeys.user, JSON.stringify(user));
+    },
+
+    // Remove all authentication data
+    clearSession() {
+        localStorage.removeItem(this.storageKeys.token);
+        localStorage.removeItem(this.storageKeys.user);
+    },
+
+    // Decode the JWT payload without verifying it
+    decodeToken(token = this.getToken()) {
+        if (!token) return null;
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Token expiry as a millisecond timestamp, or null if unknown
+    getTokenExpiry(token = this.getToken()) {
+        const payload = this.decodeToken(token);
+        return payload && payload.exp ? payload.exp * 1000 : null;
+    },
+
+    // Check whether the token expires within the given margin
+    isTokenExpiring(margin = this.refreshMargin) {
+        const expiry = this.getTokenExpiry();
+        return expiry !== null && expiry - Date.now() < margin;
+    },
+
+    // Make an API request and return the decoded response body
+    async request(endpoint, options = {}) {
+        const {
+            method = 'GET',
+            body = null,
+            headers = {},
+            timeout = this.timeout,
+            signal = null,
+            auth = true,
+            redirectOnUnauthorized = true,
+            skipRefresh = false,
+            retried = false
+        } = options;
+
+        // Renew an expiring token first; parallel calls share one refresh
+        if (auth && !skipRefresh && this.refreshHandler && this.getToken() && this.isTokenExpiring()) {
+            try {
+                await this.refreshHandler();
+            } catch (error) {
+                // Fall through - the 401 handling below decides what happens next
+            }
+        }
+
+        const token = auth ? this.getToken() : null;
+        const config = {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token && { 'Authorization': `Bearer ${token}` }),
+                ...headers
+            }
+        };
+
+        if (body !== null && method !== 'GET') {
+            config.body = typeof body === 'string' ? body : JSON.stringify(body);
+        }
+
+        // Combine the caller's signal with our own timeout
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+        config.signal = controller.signal;
+
+        let response;
+        try {
+            response = await fetch(this.apiBase + endpoint, config);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw timedOut
+                    ? new ApiError('Request timed out', { type: ApiError.TIMEOUT, endpoint })
+                    : new ApiError('Request cancelled', { type: ApiError.ABORTED, endpoint });
+            }
+            throw new ApiError(error.message || 'Network error', { type: ApiError.NETWORK, endpoint });
+        } finally {
+            if (timer) clearTimeout(timer);
+            // Long-lived caller signals would otherwise collect one listener per request
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        const data = await this.parseBody(response);
+
+        if (response.status === 401 && auth) {
+            // The token may have been rejected just before a refresh - try once more
+            if (token && !skipRefresh && !retried && this.refreshHandler) {
+                let refreshed = false;
+                try {
+                    await this.refreshHandler();
+                    refreshed = true;
+                } catch (error) {
+                    // Refresh failed, report the original 401
+                }
+                if (refreshed) {
+                    return this.request(endpoint, { ...options, retried: true });
+                }
+            }
+            if (redirectOnUnauthorized) {
+                this.handleUnauthorized();
+            }
+            throw new ApiError((data && data.error) || 'Unauthorized', {
+                type: ApiError.UNAUTHORIZED,
+                status: 401,
+                data,
+                endpoint
+            });
+        }
+
+        if (!response.ok) {
+            throw new ApiError((data && data.error) || response.statusText || 'Request failed', {
+                type: ApiError.HTTP,
+                status: response.status,
+                data,
+                endpoint
+            });
+        }
+
+        return data;
+    },
+
+    // Decode JSON responses, fall back to text for anything else
+    async parseBody(response) {
+        if (response.status === 204) return null;
+
+        const contentType = response.headers.get('Content-Type') || '';
+        try {
+            if (contentType.includes('application/json')) {
+                return await response.json();
+            }
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Session is no longer valid - clear it and go to login
+    handleUnauthorized() {
+        if (this.unauthorizedHandler) {
+            this.unauthorizedHandler();
+            return;
+        }
+        this.clearSession();
+        window.location.href = this.loginUrl;
+    },
+
+    get(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'GET' });
+    },
+
+    post(endpoint, body = {}, options = {}) {
+        return this.request(endpoint, { ...options, method: 'POST', body });
+    },
+
+    put(endpoint, body = {}, options = {}) {
+        return this.request(endpoint, { ...options, method: 'PUT', body });
+    },
+
+    delete(endpoint, body = null, options = {}) {
+        return this.request(endpoint, { ...options, method: 'DELETE', body });
+    },
+
+    // Pick a user-facing message for a failed request
+    errorMessage(error, fallback) {
+        if (error instanceof ApiError && error.isNetworkError) {
+            return 'নেটওয়ার্ক সমস্যা হয়েছে';
+        }
+        if (error instanceof ApiError && error.data && error.data.error) {
+            return error.data.error;
+        }
+        return fallback;
+    },
+
+    // Escape server or user supplied text before it is put into innerHTML
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiClient, ApiError };
+}
@@ -4,17 +4,12 @@
  */
 
 const BuyerDeliveryTracking = {
-    // API base URL
-    apiBase: '/api',
-    
-    // Tracking update interval (30 seconds)
-    trackingInterval: 30000,
-    
-    // Active tracking intervals
+    // Active tracking subscriptions (delivery id -> unsubscribe)
     activeTracking: new Map(),
     
     // Initialize delivery tracking
     init() {
+        window.addEventListener('session-ended', () => this.stopTracking());
         this.initDeliveryTracking();
         this.loadActiveDeliveries();
         this.loadDeliveryHistory();
@@ -51,14 +46,8 @@ const BuyerDeliveryTracking = {
             if (status) params.append('status', status);
             params.append('buyer', 'true'); // Mark as buyer request
             
-            const response = await this.apiRequest(`/transport?${params}`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.displayActiveDeliveries(data.transports);
-            } else {
-                throw new Error('Failed to load deliveries');
-            }
+            const data = await ApiClient.get(`/transport?${params}`);
+            this.displayActiveDeliveries(data.transports);
             
         } catch (error) {
             console.error('Load active deliveries error:', error);
@@ -176,10 +165,25 @@ const BuyerDeliveryTracking = {
                         </button>
                     ` : ''}
                     
+                    ${['picked_up', 'in_transit'].includes(delivery.status) ? `
+                        <button onclick="BuyerDeliveryTracking.showHandoverCode(${delivery.id})" 
+                                class="bg-gray-800 text-white px-4 py-2 rounded hover:bg-gray-900" title="ডেলিভারি কোড">
+                            <i class="fas fa-key"></i>
+                        </button>
+                    ` : ''}
+                    
                     <button onclick="BuyerDeliveryTracking.contactDriver(${delivery.id})" 
-                            class="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">
-                        <i class="fas fa-phone mr-2"></i>
+                            class="relative bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">
+                        <i class="fas fa-comments mr-2"></i>
                         যোগাযোগ
+                        ${delivery.unread_messages > 0 ? `
+                            <span class="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full px-1.5">${delivery.unread_messages}</span>
+                        ` : ''}
+                    </button>
+                    
+                    <button onclick="BuyerDeliveryTracking.reportIssue(${delivery.id})" 
+                            class="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700" title="সমস্যা রিপোর্ট করুন">
+                        <i class="fas fa-exclamation-triangle"></i>
                     </button>
                 </div>
                 
@@ -191,6 +195,8 @@ const BuyerDeliveryTracking = {
                         </div>
                     </div>
                 ` : ''}
+                
+                ${DeliveryIssues.renderCardSummary(delivery.id, delivery.issues)}
             </div>
         `;
         
@@ -200,14 +206,8 @@ const BuyerDeliveryTracking = {
     // View live tracking
     async viewLiveTracking(deliveryId) {
         try {
-            const response = await this.apiRequest(`/transport/${deliveryId}/tracking`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.showLiveTrackingModal(data);
-            } else {
-                throw new Error('Failed to load tracking data');
-            }
+            const data = await ApiClient.get(`/transport/${deliveryId}/tracking`);
+            this.showLiveTrackingModal({ transport_id: deliveryId, ...data });
             
         } catch (error) {
             console.error('View live tracking error:', error);
@@ -223,22 +223,26 @@ const BuyerDeliveryTracking = {
             <div class="relative top-10 mx-auto p-5 border w-full max-w-4xl shadow-lg rounded-md bg-white">
                 <div class="flex justify-between items-center mb-4">
                     <h3 class="text-xl font-bold text-gray-900">লাইভ ট্র্যাকিং - অর্ডার #${trackingData.order_id}</h3>
-                    <button onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+                    <button data-close-modal class="text-gray-400 hover:text-gray-600">
                         <i class="fas fa-times text-xl"></i>
                     </button>
                 </div>
                 
+                <!-- Live Map -->
+                <div class="mb-6">
+                    <div class="tracking-map h-72 rounded-lg overflow-hidden border border-gray-200"></div>
+                    ${TrackingMap.legendHtml()}
+                </div>
+                
                 <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
                     <!-- Current Status -->
                     <div class="bg-blue-50 rounded-lg p-4">
                         <h4 class="font-semibold mb-3">বর্তমান অবস্থা</h4>
                         <div class="space-y-2 text-sm">
-                            <div><span class="font-medium">স্ট্যাটাস:</span> ${this.translateDeliveryStatus(trackingData.current_status)}</div>
-                            <div><span class="font-medium">গতি:</span> ${trackingData.current_speed || 0} km/h</div>
-                            ${trackingData.current_location ? `
-                                <div><span class="font-medium">অবস্থান:</span> ${trackingData.current_location.latitude?.toFixed(4)}, ${trackingData.current_location.longitude?.toFixed(4)}</div>
-                            ` : ''}
-                            <div><span class="font-medium">সর্বশেষ আপডেট:</span> ${trackingData.last_updated ? new Date(trackingData.last_updated).toLocaleString('bn-BD') : 'N/A'}</div>
+                            <div><span class="font-medium">স্ট্যাটাস:</span> <span data-field="status"></span></div>
+                            <div><span class="font-medium">গতি:</span> <span data-field="speed"></span></div>
+                            <div><span class="font-medium">অবস্থানের আপডেট:</span> <span data-field="location"></span></div>
+                            <div><span class="font-medium">সর্বশেষ আপডেট:</span> <span data-field="last_updated"></span></div>
                         </div>
                     </div>
                     
@@ -261,44 +265,37 @@ const BuyerDeliveryTracking = {
                 </div>
                 
                 <!-- Estimated Arrival -->
-                ${trackingData.eta_prediction ? `
-                    <div class="mt-6 bg-purple-50 rounded-lg p-4">
-                        <h4 class="font-semibold mb-3">আনুমানিক পৌঁছানোর সময়</h4>
-                        <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-                            <div>
-                                <div class="font-medium">ETA</div>
-                                <div class="text-lg">${trackingData.eta_prediction.estimated_arrival ? new Date(trackingData.eta_prediction.estimated_arrival).toLocaleString('bn-BD') : 'N/A'}</div>
-                            </div>
-                            <div>
-                                <div class="font-medium">অবশিষ্ট দূরত্ব</div>
-                                <div class="text-lg">${trackingData.eta_prediction.remaining_distance || 0} km</div>
-                            </div>
-                            <div>
-                                <div class="font-medium">অবশিষ্ট সময়</div>
-                                <div class="text-lg">${trackingData.eta_prediction.estimated_duration_minutes || 0} মিনিট</div>
-                            </div>
-                            <div>
-                                <div class="font-medium">নির্ভুলতা</div>
-                                <div class="text-lg">${trackingData.eta_prediction.confidence_level || 0}%</div>
-                            </div>
+                <div class="mt-6 bg-purple-50 rounded-lg p-4 hidden" data-section="eta">
+                    <h4 class="font-semibold mb-3">আনুমানিক পৌঁছানোর সময়</h4>
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                        <div>
+                            <div class="font-medium">ETA</div>
+                            <div class="text-lg" data-field="eta"></div>
+                        </div>
+                        <div>
+                            <div class="font-medium">অবশিষ্ট দূরত্ব</div>
+                            <div class="text-lg" data-field="remaining_distance"></div>
+                        </div>
+                        <div>
+                            <div class="font-medium">অবশিষ্ট সময়</div>
+                            <div class="text-lg" data-field="remaining_time"></div>
+                        </div>
+                        <div>
+                            <div class="font-medium">সম্ভাব্য সময়সীমা</div>
+                            <div class="text-lg" data-field="eta_window"></div>
                         </div>
                     </div>
-                ` : ''}
+                    <div data-field="eta_band"></div>
+                </div>
                 
                 <!-- Recent Updates -->
-                ${trackingData.recent_updates && trackingData.recent_updates.length > 0 ? `
-                    <div class="mt-6 bg-gray-50 rounded-lg p-4">
-                        <h4 class="font-semibold mb-3">সাম্প্রতিক আপডেট</h4>
-                        <div class="space-y-2 max-h-40 overflow-y-auto">
-                            ${trackingData.recent_updates.map(update => `
-                                <div class="flex justify-between items-center text-sm border-b border-gray-200 pb-2">
-                                    <span>${update.message}</span>
-                                    <span class="text-xs text-gray-500">${new Date(update.timestamp).toLocaleString('bn-BD')}</span>
-                                </div>
-                            `).join('')}
-                        </div>
-                    </div>
-                ` : ''}
+                <div class="mt-6 bg-gray-50 rounded-lg p-4 hidden" data-section="updates">
+                    <h4 class="font-semibold mb-3">সাম্প্রতিক আপডেট</h4>
+                    <div class="space-y-2 max-h-40 overflow-y-auto" data-field="recent_updates"></div>
+                </div>
+                
+                <!-- Route Anomalies -->
+                ${RouteAnomalyTimeline.sectionHtml()}
                 
                 <div class="mt-6 flex justify-end space-x-3">
                     <button onclick="BuyerDeliveryTracking.reportIssue(${trackingData.transport_id})" 
@@ -306,7 +303,7 @@ const BuyerDeliveryTracking = {
                         <i class="fas fa-exclamation-triangle mr-2"></i>
                         সমস্যা রিপোর্ট করুন
                     </button>
-                    <button onclick="this.closest('.fixed').remove()" 
+                    <button data-close-modal
                             class="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700">
                         বন্ধ করুন
                     </button>
@@ -316,24 +313,60 @@ const BuyerDeliveryTracking = {
         
         document.body.appendChild(modal);
         
-        // Start real-time updates for this modal
-        const updateInterval = setInterval(async () => {
-            if (!document.body.contains(modal)) {
-                clearInterval(updateInterval);
-                return;
-            }
-            
-            try {
-                const response = await this.apiRequest(`/transport/${trackingData.transport_id}/tracking`);
-                if (response.ok) {
-                    const updatedData = await response.json();
-                    // Update modal content with new data
-                    // Implementation would update specific elements
-                }
-            } catch (error) {
-                console.error('Real-time update error:', error);
-            }
-        }, this.trackingInterval);
+        // Receive real-time updates until the modal is closed
+        TrackingModal.attach(modal, trackingData, (data, previous) => this.renderLiveTracking(modal, data, previous));
+    },
+    
+    // Display values for the live tracking modal, keyed by data-field
+    getLiveTrackingFields(trackingData) {
+        const eta = trackingData.eta_prediction;
+        const location = trackingData.current_location;
+        
+        return {
+            status: this.translateDeliveryStatus(trackingData.current_status),
+            speed: `${trackingData.current_speed || 0} km/h`,
+            location: location?.updated_at ? new Date(location.updated_at).toLocaleTimeString('bn-BD') : 'N/A',
+            last_updated: trackingData.last_updated ? new Date(trackingData.last_updated).toLocaleString('bn-BD') : 'N/A',
+            eta: eta?.estimated_arrival ? new Date(eta.estimated_arrival).toLocaleString('bn-BD') : 'N/A',
+            remaining_distance: `${eta?.remaining_distance || 0} km`,
+            remaining_time: `${eta?.estimated_duration_minutes || 0} মিনিট`,
+            eta_window: eta?.earliest_arrival && eta?.latest_arrival
+                ? `${EtaBand.formatTime(EtaBand.parse(eta.earliest_arrival))} – ${EtaBand.formatTime(EtaBand.parse(eta.latest_arrival))}`
+                : 'N/A'
+        };
+    },
+    
+    // Patch a tracking payload into the open modal, highlighting what changed.
+    // Returns the rendered state to diff the next payload against
+    renderLiveTracking(modal, trackingData, previous) {
+        TrackingModal.patchFields(modal, this.getLiveTrackingFields(trackingData), !!previous);
+        
+        modal.querySelector('[data-section="eta"]').classList.toggle('hidden', !trackingData.eta_prediction);
+        EtaBand.update(modal.querySelector('[data-field="eta_band"]'), trackingData.eta_prediction);
+        EtaBand.notifyIfLate(trackingData.transport_id, trackingData.eta_prediction);
+        
+        const updates = trackingData.recent_updates || [];
+        modal.querySelector('[data-section="updates"]').classList.toggle('hidden', updates.length === 0);
+        
+        // Updates already on screen stay put; only new ones are added and highlighted
+        const seen = previous ? previous.updateKeys : new Set();
+        const updateKeys = new Set(updates.map(update => `${update.timestamp}|${update.message}`));
+        const unchanged = updateKeys.size === seen.size && [...updateKeys].every(key => seen.has(key));
+        if (previous && unchanged) {
+            return { updateKeys };
+        }
+        
+        const list = modal.querySelector('[data-field="recent_updates"]');
+        list.innerHTML = updates.map(update => `
+            <div class="flex justify-between items-center text-sm border-b border-gray-200 pb-2 rounded transition-colors duration-1000 ${previous && !seen.has(`${update.timestamp}|${update.message}`) ? 'bg-yellow-100' : ''}">
+                <span>${ApiClient.escapeHtml(update.message)}</span>
+                <span class="text-xs text-gray-500">${new Date(update.timestamp).toLocaleString('bn-BD')}</span>
+            </div>
+        `).join('');
+        
+        list.querySelectorAll('.bg-yellow-100').forEach(element => TrackingModal.highlightChange(element));
+        
+        return { updateKeys };
     },
     
     // Rate delivery
@@ -441,27 +474,26 @@ const BuyerDeliveryTracking = {
         };
         
         try {
-            const response = await this.apiRequest(`/transport/${deliveryId}/rate`, 'POST', ratingData);
+            await ApiClient.post(`/transport/${deliveryId}/rate`, ratingData);
             
-            if (response.ok) {
-                this.showSuccess('রেটিং সফলভাবে জমা দেওয়া হয়েছে!');
-                form.closest('.fixed').remove();
-                this.loadDeliveryHistory(); // Refresh history
-            } else {
-                const error = await response.json();
-                this.showError(error.error || 'রেটিং জমা দিতে সমস্যা হয়েছে');
-            }
+            this.showSuccess('রেটিং সফলভাবে জমা দেওয়া হয়েছে!');
+            form.closest('.fixed').remove();
+            this.loadDeliveryHistory(); // Refresh history
             
         } catch (error) {
             console.error('Submit rating error:', error);
-            this.showError('নেটওয়ার্ক সমস্যা হয়েছে');
+            this.showError(ApiClient.errorMessage(error, 'রেটিং জমা দিতে সমস্যা হয়েছে'));
         }
     },
     
+    // Show the code the driver needs to complete the delivery
+    showHandoverCode(deliveryId) {
+        DeliveryHandover.showCodeModal(deliveryId);
+    },
+    
     // Contact driver
     contactDriver(deliveryId) {
-        // Implementation would show driver contact options
-        this.showInfo('চালকের যোগাযোগের তথ্য লোড হচ্ছে...');
+        TransportChat.open(deliveryId, `ডেলিভারি #${deliveryId}`);
     },
     
     // Call driver
@@ -475,8 +507,7 @@ const BuyerDeliveryTracking = {
     
     // Report issue
     reportIssue(deliveryId) {
-        // Implementation would show issue reporting form
-        this.showInfo('সমস্যা রিপোর্ট ফর্ম খোলা হচ্ছে...');
+        DeliveryIssues.showReportModal(deliveryId);
     },
     
     // Load delivery history
@@ -485,14 +516,8 @@ const BuyerDeliveryTracking = {
         if (!tableBody) return;
         
         try {
-            const response = await this.apiRequest('/transport?history=true&buyer=true');
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.displayDeliveryHistory(data.transports);
-            } else {
-                throw new Error('Failed to load delivery history');
-            }
+            const data = await ApiClient.get('/transport?history=true&buyer=true');
+            this.displayDeliveryHistory(data.transports);
             
         } catch (error) {
             console.error('Load delivery history error:', error);
@@ -532,6 +557,7 @@ const BuyerDeliveryTracking = {
                     <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${this.getDeliveryStatusColor(delivery.status)}">
                         ${this.translateDeliveryStatus(delivery.status)}
                     </span>
+                    ${DeliveryIssues.renderHistoryBadge(delivery.id, delivery.issues)}
                 </td>
                 <td class="px-6 py-4 whitespace-nowrap">
                     ${delivery.rating ? `
@@ -560,14 +586,8 @@ const BuyerDeliveryTracking = {
     // View delivery details
     async viewDeliveryDetails(deliveryId) {
         try {
-            const response = await this.apiRequest(`/transport/${deliveryId}`);
-            
-            if (response.ok) {
-                const delivery = await response.json();
-                this.showDeliveryDetailsModal(delivery);
-            } else {
-                throw new Error('Failed to load delivery details');
-            }
+            const { transport } = await ApiClient.get(`/transport/${deliveryId}`);
+            this.showDeliveryDetailsModal(transport);
             
         } catch (error) {
             console.error('View delivery details error:', error);
@@ -577,48 +597,253 @@ const BuyerDeliveryTracking = {
     
     // Show delivery details modal
     showDeliveryDetailsModal(delivery) {
-        // Implementation would show detailed delivery information
-        this.showInfo('ডেলিভারি বিস্তারিত তথ্য দেখানো হচ্ছে...');
+        const driver = delivery.driver_info || {};
+        const vehicle = delivery.vehicle_info || {};
+        const proof = delivery.proof_of_delivery;
+        const rating = delivery.rating_details;
+        
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-10 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white mb-10">
+                <div class="flex justify-between items-start mb-4">
+                    <div>
+                        <div class="flex items-center space-x-2">
+                            <h3 class="text-lg font-bold text-gray-900">অর্ডার #${delivery.order_id}</h3>
+                            <span class="px-2 py-1 text-xs rounded ${this.getDeliveryStatusColor(delivery.status)}">${this.translateDeliveryStatus(delivery.status)}</span>
+                        </div>
+                        <p class="text-sm text-gray-600">ট্র্যাকিং: ${delivery.tracking_number || 'N/A'} · পণ্য: ${ApiClient.escapeHtml(delivery.product_name || 'N/A')}</p>
+                    </div>
+                    <button onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+                        <i class="fas fa-times text-xl"></i>
+                    </button>
+                </div>
+                
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <!-- Driver and vehicle -->
+                    <div class="bg-gray-50 rounded-lg p-4">
+                        <h4 class="font-medium text-gray-900 mb-3">চালক ও গাড়ি</h4>
+                        <div class="space-y-1 text-sm">
+                            <p><span class="text-gray-500">চালক:</span> ${ApiClient.escapeHtml(driver.name || 'N/A')}</p>
+                            <p>
+                                <span class="text-gray-500">ফোন:</span> ${ApiClient.escapeHtml(driver.phone || 'N/A')}
+                                ${driver.phone ? `
+                                    <button onclick="BuyerDeliveryTracking.callDriver('${driver.phone}')" class="ml-2 text-green-600 hover:text-green-800">
+                                        <i class="fas fa-phone"></i>
+                                    </button>
+                                ` : ''}
+                            </p>
+                            <p><span class="text-gray-500">গাড়ির নম্বর:</span> ${ApiClient.escapeHtml(driver.vehicle_number || vehicle.number || 'N/A')}</p>
+                            <p><span class="text-gray-500">গাড়ির ধরন:</span> ${ApiClient.escapeHtml(vehicle.type || delivery.transport_type || 'N/A')}</p>
+                            <p><span class="text-gray-500">পরিবহন সংস্থা:</span> ${ApiClient.escapeHtml(delivery.provider_name || 'N/A')}</p>
+                        </div>
+                    </div>
+                    
+                    <!-- Predicted vs actual -->
+                    <div class="bg-gray-50 rounded-lg p-4">
+                        <h4 class="font-medium text-gray-900 mb-3">পূর্বাভাস বনাম বাস্তব</h4>
+                        ${this.renderJourneyComparison(delivery.journey)}
+                    </div>
+                </div>
+                
+                <!-- Status timeline -->
+                <div class="mt-6">
+                    <h4 class="font-medium text-gray-900 mb-3">অবস্থার সময়রেখা</h4>
+                    ${this.renderDeliveryTimeline(delivery.timeline)}
+                </div>
+                
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+                    <!-- Proof of delivery -->
+                    <div>
+                        <h4 class="font-medium text-gray-900 mb-3">ডেলিভারির প্রমাণ</h4>
+                        ${proof ? `
+                            <div class="flex flex-wrap gap-3">
+                                ${proof.signature_url ? `
+                                    <a href="${ApiClient.escapeHtml(proof.signature_url)}" target="_blank" rel="noopener" class="text-center">
+                                        <img src="${ApiClient.escapeHtml(proof.signature_url)}" alt="স্বাক্ষর" class="h-24 border rounded bg-white">
+                                        <span class="text-xs text-gray-500">স্বাক্ষর</span>
+                                    </a>
+                                ` : ''}
+                                ${proof.photo_url ? `
+                                    <a href="${ApiClient.escapeHtml(proof.photo_url)}" target="_blank" rel="noopener" class="text-center">
+                                        <img src="${ApiClient.escapeHtml(proof.photo_url)}" alt="ডেলিভারির ছবি" class="h-24 border rounded object-cover">
+                                        <span class="text-xs text-gray-500">ছবি</span>
+                                    </a>
+                                ` : ''}
+                            </div>
+                            <p class="text-xs text-gray-500 mt-2">
+                                ${proof.received_by ? `গ্রহণকারী: ${ApiClient.escapeHtml(proof.received_by)} · ` : ''}${new Date(proof.created_at).toLocaleString('bn-BD')}
+                            </p>
+                        ` : '<p class="text-sm text-gray-500">কোনো প্রমাণ জমা হয়নি</p>'}
+                    </div>
+                    
+                    <!-- Rating -->
+                    <div>
+                        <h4 class="font-medium text-gray-900 mb-3">আপনার রেটিং</h4>
+                        ${rating ? `
+                            <div class="text-yellow-400 text-lg">
+                                ${'★'.repeat(rating.overall_rating)}${'☆'.repeat(5 - rating.overall_rating)}
+                            </div>
+                            <div class="text-sm text-gray-600 space-y-1 mt-1">
+                                ${rating.timeliness_rating ? `<p>সময়ানুবর্তিতা: ${rating.timeliness_rating}/5</p>` : ''}
+                                ${rating.condition_rating ? `<p>পণ্যের অবস্থা: ${rating.condition_rating}/5</p>` : ''}
+                                ${rating.comment ? `<p class="italic">"${ApiClient.escapeHtml(rating.comment)}"</p>` : ''}
+                            </div>
+                        ` : delivery.status === 'delivered' ? `
+                            <button onclick="this.closest('.fixed').remove(); BuyerDeliveryTracking.rateDelivery(${delivery.id})" 
+                                    class="bg-yellow-600 text-white px-4 py-2 rounded hover:bg-yellow-700 text-sm">
+                                <i class="fas fa-star mr-2"></i>
+                                রেটিং দিন
+                            </button>
+                        ` : '<p class="text-sm text-gray-500">ডেলিভারির পর রেটিং দেওয়া যাবে</p>'}
+                    </div>
+                </div>
+                
+                ${DeliveryIssues.renderCardSummary(delivery.id, delivery.issues)}
+                
+                <!-- Invoice -->
+                <div class="mt-6 flex justify-between items-center border-t pt-4">
+                    <div class="text-sm text-gray-600">
+                        ${delivery.invoice ? `
+                            ইনভয়েস ${delivery.invoice.invoice_number} · ৳${Number(delivery.invoice.total_amount).toLocaleString('bn-BD')}
+                        ` : 'এই অর্ডারের কোনো ইনভয়েস নেই'}
+                    </div>
+                    ${delivery.invoice ? `
+                        <button onclick="BuyerDeliveryTracking.openInvoice(${delivery.order_id})" 
+                                class="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 text-sm">
+                            <i class="fas fa-file-invoice mr-2"></i>
+                            ইনভয়েস দেখুন
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+    },
+    
+    // Status changes, oldest first, with their timestamps
+    renderDeliveryTimeline(timeline) {
+        if (!timeline || timeline.length === 0) {
+            return '<p class="text-sm text-gray-500">কোনো তথ্য নেই</p>';
+        }
+        
+        return `
+            <ol class="relative border-l-2 border-gray-200 ml-2">
+                ${timeline.map((entry, index) => `
+                    <li class="ml-4 mb-4">
+                        <span class="absolute -left-1.5 w-3 h-3 rounded-full ${index === timeline.length - 1 ? 'bg-green-600' : 'bg-gray-400'}"></span>
+                        <div class="flex justify-between items-start">
+                            <span class="px-2 py-0.5 text-xs rounded ${this.getDeliveryStatusColor(entry.status)}">${this.translateDeliveryStatus(entry.status)}</span>
+                            <time class="text-xs text-gray-500">${new Date(entry.created_at).toLocaleString('bn-BD')}</time>
+                        </div>
+                        ${entry.notes ? `<p class="text-sm text-gray-600 mt-1">${ApiClient.escapeHtml(entry.notes)}</p>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    },
+    
+    // Table of predicted and actual distance, duration and arrival
+    renderJourneyComparison(journey) {
+        if (!journey) {
+            return '<p class="text-sm text-gray-500">কোনো তথ্য নেই</p>';
+        }
+        
+        const { predicted, actual } = journey;
+        const distance = value => value ? `${Number(value).toFixed(1)} কিমি` : '—';
+        const duration = value => value !== null && value !== undefined ? this.formatMinutes(value) : '—';
+        const time = value => value ? new Date(value).toLocaleString('bn-BD') : '—';
+        const difference = journey.arrival_difference_minutes;
+        
+        return `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-gray-500 text-left">
+                        <th class="font-normal"></th>
+                        <th class="font-normal">পূর্বাভাস</th>
+                        <th class="font-normal">বাস্তব</th>
+                    </tr>
+                </thead>
+                <tbody class="text-gray-900">
+                    <tr>
+                        <td class="text-gray-500 py-1">দূরত্ব</td>
+                        <td>${distance(predicted.distance_km)}</td>
+                        <td>${distance(actual.distance_km)}</td>
+                    </tr>
+                    <tr>
+                        <td class="text-gray-500 py-1">সময়</td>
+                        <td>${duration(predicted.duration_minutes)}</td>
+                        <td>${duration(actual.duration_minutes)}</td>
+                    </tr>
+                    <tr>
+                        <td class="text-gray-500 py-1">পৌঁছানো</td>
+                        <td class="text-xs">${time(predicted.arrival)}</td>
+                        <td class="text-xs">${time(actual.arrival)}</td>
+                    </tr>
+                </tbody>
+            </table>
+            ${difference !== null && difference !== undefined ? `
+                <p class="mt-2 text-sm font-medium ${difference > 15 ? 'text-red-600' : 'text-green-600'}">
+                    ${difference > 0 ? `পূর্বাভাসের চেয়ে ${this.formatMinutes(difference)} দেরিতে` : difference < 0 ? `পূর্বাভাসের চেয়ে ${this.formatMinutes(-difference)} আগে` : 'ঠিক সময়ে'}
+                    ${journey.eta_accuracy !== null ? `<span class="text-gray-500 font-normal">(নির্ভুলতা ${Math.round(journey.eta_accuracy)}%)</span>` : ''}
+                </p>
+            ` : ''}
+        `;
+    },
+    
+    formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = Math.round(minutes % 60);
+        return hours > 0 ? `${hours} ঘণ্টা ${rest} মিনিট` : `${rest} মিনিট`;
+    },
+    
+    // Invoice HTML comes from the API (it needs the auth header), shown in a new tab
+    async openInvoice(orderId) {
+        // Open the tab now - browsers block popups opened after an await
+        const invoiceWindow = window.open('', '_blank');
+        
+        try {
+            const { html } = await ApiClient.get(`/orders/${orderId}/invoice`);
+            const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+            invoiceWindow.location.href = url;
+            
+        } catch (error) {
+            console.error('Open invoice error:', error);
+            invoiceWindow?.close();
+            this.showError(ApiClient.errorMessage(error, 'ইনভয়েস লোড করতে সমস্যা হয়েছে'));
+        }
+    },
+    
+    // Stop every tracking interval (e.g. after the session ends in another tab)
+    stopTracking() {
+        this.activeTracking.forEach(unsubscribe => unsubscribe());
+        this.activeTracking.clear();
     },
     
     // Start tracking for active deliveries
     startTrackingForActiveDeliveries(deliveries) {
         // Stop existing tracking
-        this.activeTracking.forEach((interval, deliveryId) => {
-            clearInterval(interval);
-        });
+        this.activeTracking.forEach(unsubscribe => unsubscribe());
         this.activeTracking.clear();
         
-        // Start tracking for active deliveries
+        // Subscribe active deliveries to the shared tracking channel
         deliveries.forEach(delivery => {
             if (['assigned', 'pickup_pending', 'picked_up', 'in_transit'].includes(delivery.status)) {
-                const interval = setInterval(() => {
-                    this.updateDeliveryTracking(delivery.id);
-                }, this.trackingInterval);
+                const unsubscribe = TrackingChannel.subscribe(delivery.id, (data) => {
+                    this.updateDeliveryCardTracking(delivery.id, data);
+                });
                 
-                this.activeTracking.set(delivery.id, interval);
+                this.activeTracking.set(delivery.id, unsubscribe);
             }
         });
     },
     
-    // Update delivery tracking
-    async updateDeliveryTracking(deliveryId) {
-        try {
-            const response = await this.apiRequest(`/transport/${deliveryId}/tracking`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                // Update UI with new tracking data
-                this.updateDeliveryCardTracking(deliveryId, data);
-            }
-            
-        } catch (error) {
-            console.error('Update delivery tracking error:', error);
-        }
-    },
-    
     // Update delivery card tracking info
     updateDeliveryCardTracking(deliveryId, trackingData) {
+        // Buyers plan labour around arrival, so a missed delivery date is announced right away
+        EtaBand.notifyIfLate(deliveryId, trackingData.eta_prediction);
+        
         const card = document.querySelector(`[data-delivery-id="${deliveryId}"]`);
         if (card && trackingData.current_location) {
             // Update speed and location info
@@ -631,6 +856,7 @@ const BuyerDeliveryTracking = {
     getDeliveryStatusColor(status) {
         const colors = {
             'requested': 'bg-yellow-100 text-yellow-800',
+            'scheduled': 'bg-yellow-100 text-yellow-800',
             'assigned': 'bg-blue-100 text-blue-800',
             'pickup_pending': 'bg-orange-100 text-orange-800',
             'picked_up': 'bg-purple-100 text-purple-800',
@@ -645,6 +871,7 @@ const BuyerDeliveryTracking = {
     translateDeliveryStatus(status) {
         const translations = {
             'requested': 'অনুরোধকৃত',
+            'scheduled': 'নির্ধারিত',
             'assigned': 'বরাদ্দকৃত',
             'pickup_pending': 'পিকআপ অপেক্ষমাণ',
             'picked_up': 'পিকআপ সম্পন্ন',
@@ -677,30 +904,7 @@ const BuyerDeliveryTracking = {
     },
     
     getCurrentUser() {
-        const userStr = localStorage.getItem('user');
-        return userStr ? JSON.parse(userStr) : null;
-    },
-    
-    async apiRequest(endpoint, method = 'GET', data = null) {
-        const token = localStorage.getItem('authToken');
-        const headers = {
-            'Content-Type': 'application/json'
-        };
-        
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        const config = {
-            method,
-            headers
-        };
-        
-        if (data && method !== 'GET') {
-            config.body = JSON.stringify(data);
-        }
-        
-        return fetch(this.apiBase + endpoint, config);
+        return ApiClient.getUser();
     },
     
     showSuccess(message) {
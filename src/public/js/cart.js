@@ -0,0 +1,506 @@
+/**
+ * Cart Module
+ * Products added from search results, kept in localStorage per buyer and
+ * grouped by farmer. Checkout places one order per farmer with a shared
+ * delivery address, date and payment method (OrderController::checkout)
+ */
+
+const Cart = {
+    storageKey: 'cart',
+
+    // { product_id, name, unit, price_per_unit, available, farmer_id, farmer_name, quantity }
+    items: [],
+
+    // Problems the server reported for the current cart, by product id
+    stockIssues: {},
+
+    // The last stock check could not reach the server
+    checkFailed: false,
+
+    issueReasons: {
+        'not_found': 'পণ্যটি আর পাওয়া যাচ্ছে না',
+        'unavailable': 'পণ্যটি এখন বিক্রির জন্য নেই',
+        'insufficient_stock': 'পর্যাপ্ত মজুদ নেই'
+    },
+
+    init() {
+        this.items = this.read();
+        this.updateBadge();
+
+        const button = document.getElementById('cartButton');
+        if (button) {
+            button.addEventListener('click', () => this.open());
+        }
+
+        // Another tab changed the cart
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.key()) {
+                this.items = this.read();
+                this.updateBadge();
+            }
+        });
+    },
+
+    // Only buyers order; the cart is kept per buyer on shared devices
+    canUse() {
+        const user = ApiClient.getUser();
+        return !!user && user.role === 'buyer';
+    },
+
+    key() {
+        const user = ApiClient.getUser();
+        return `${this.storageKey}:${user ? user.id : 'guest'}`;
+    },
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.key())) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    save() {
+        localStorage.setItem(this.key(), JSON.stringify(this.items));
+        this.updateBadge();
+    },
+
+    find(productId) {
+        return this.items.find(item => item.product_id === Number(productId));
+    },
+
+    // Add one unit of a product from a search result card
+    add(product) {
+        const existing = this.find(product.id);
+        if (existing) {
+            existing.quantity += 1;
+            existing.available = Number(product.quantity);
+            existing.price_per_unit = Number(product.price_per_unit);
+        } else {
+            this.items.push({
+                product_id: Number(product.id),
+                name: product.name,
+                unit: product.unit,
+                price_per_unit: Number(product.price_per_unit),
+                available: Number(product.quantity),
+                farmer_id: Number(product.farmer_id),
+                farmer_name: `${product.first_name || ''} ${product.last_name || ''}`.trim(),
+                quantity: 1
+            });
+        }
+
+        this.save();
+        this.showNotification(`${ApiClient.escapeHtml(product.name)} কার্টে যোগ হয়েছে`, 'success');
+    },
+
+    setQuantity(productId, quantity) {
+        const item = this.find(productId);
+        if (!item) return;
+
+        if (!(quantity > 0)) {
+            this.remove(productId);
+            return;
+        }
+
+        item.quantity = quantity;
+        delete this.stockIssues[item.product_id];
+        this.save();
+        this.render();
+    },
+
+    remove(productId) {
+        this.items = this.items.filter(item => item.product_id !== Number(productId));
+        delete this.stockIssues[Number(productId)];
+        this.save();
+        this.render();
+    },
+
+    clear() {
+        this.items = [];
+        this.stockIssues = {};
+        this.save();
+    },
+
+    count() {
+        return this.items.length;
+    },
+
+    updateBadge() {
+        const badge = document.getElementById('cartCount');
+        if (!badge) return;
+
+        badge.textContent = this.count();
+        badge.classList.toggle('hidden', this.count() === 0);
+    },
+
+    // Items per farmer, in the order they were first added
+    groups() {
+        const groups = new Map();
+        this.items.forEach(item => {
+            if (!groups.has(item.farmer_id)) {
+                groups.set(item.farmer_id, { farmer_id: item.farmer_id, farmer_name: item.farmer_name, items: [] });
+            }
+            groups.get(item.farmer_id).items.push(item);
+        });
+        return [...groups.values()];
+    },
+
+    lineTotal(item) {
+        return item.quantity * item.price_per_unit;
+    },
+
+    // Stock problem of a line: what the server reported, or what the cart already knows
+    issueFor(item) {
+        const issue = this.stockIssues[item.product_id];
+        if (issue) {
+            return issue;
+        }
+        if (item.quantity > item.available) {
+            return { reason: 'insufficient_stock', available: item.available };
+        }
+        return null;
+    },
+
+    hasIssues() {
+        return this.items.some(item => this.issueFor(item));
+    },
+
+    // Refresh prices and stock from the server and collect its stock problems
+    async check() {
+        if (this.items.length === 0) return;
+
+        try {
+            const data = await ApiClient.post('/orders/cart/check', {
+                items: this.items.map(item => ({ product_id: item.product_id, quantity: item.quantity }))
+            });
+
+            data.items.forEach(current => {
+                const item = this.find(current.product_id);
+                if (item) {
+                    item.name = current.name;
+                    item.unit = current.unit;
+                    item.price_per_unit = Number(current.price_per_unit);
+                    item.available = current.status === 'available' ? Number(current.available) : 0;
+                }
+            });
+            this.setStockIssues(data.stock_issues);
+            this.save();
+
+        } catch (error) {
+            console.error('Cart check error:', error);
+            this.checkFailed = true;
+        }
+    },
+
+    setStockIssues(issues) {
+        this.stockIssues = {};
+        (issues || []).forEach(issue => {
+            this.stockIssues[Number(issue.product_id)] = issue;
+        });
+    },
+
+    // Show the cart, then re-check it against current stock
+    async open() {
+        document.getElementById('cartModal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'cartModal';
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-10 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-medium text-gray-900">
+                        <i class="fas fa-shopping-cart mr-2 text-emerald-600"></i>আমার কার্ট
+                    </h3>
+                    <button class="text-gray-400 hover:text-gray-600" onclick="this.closest('.fixed').remove()">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div data-field="cart_body"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        this.checkFailed = false;
+        this.render();
+        await this.check();
+        this.render();
+    },
+
+    render() {
+        const body = document.querySelector('#cartModal [data-field="cart_body"]');
+        if (!body) return;
+
+        if (this.items.length === 0) {
+            body.innerHTML = `
+                <div class="text-center py-8 text-gray-500">
+                    <i class="fas fa-shopping-basket text-4xl mb-3 text-gray-300"></i>
+                    <p>কার্ট খালি। পণ্য খুঁজে কার্টে যোগ করুন</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Keep what the buyer already typed into the checkout form
+        const form = body.querySelector('form');
+        const draft = form ? Object.fromEntries(new FormData(form)) : {};
+
+        const total = this.items.reduce((sum, item) => sum + this.lineTotal(item), 0);
+        const groups = this.groups();
+
+        body.innerHTML = `
+            ${this.checkFailed ? `
+                <div class="mb-4 p-3 rounded bg-yellow-50 text-yellow-800 text-sm">
+                    <i class="fas fa-wifi mr-1"></i>এখন মজুদ যাচাই করা যায়নি; অর্ডারের সময় আবার যাচাই হবে
+                </div>
+            ` : ''}
+            ${this.hasIssues() ? `
+                <div class="mb-4 p-3 rounded bg-red-50 text-red-800 text-sm">
+                    <i class="fas fa-exclamation-triangle mr-1"></i>কিছু পণ্যের মজুদে সমস্যা আছে। পরিমাণ ঠিক করুন বা পণ্যটি সরিয়ে দিন
+                </div>
+            ` : ''}
+            <div class="space-y-4 max-h-96 overflow-y-auto">
+                ${groups.map(group => this.renderGroup(group)).join('')}
+            </div>
+            <div class="flex justify-between items-center border-t mt-4 pt-4">
+                <span class="text-sm text-gray-600">${groups.length}টি অর্ডার হবে (প্রতি কৃষকের জন্য একটি)</span>
+                <span class="text-lg font-semibold text-green-600">মোট: ৳${total.toFixed(2)}</span>
+            </div>
+            ${this.renderCheckoutForm()}
+        `;
+
+        const newForm = body.querySelector('form');
+        Object.entries(draft).forEach(([name, value]) => {
+            if (newForm.elements[name]) newForm.elements[name].value = value;
+        });
+
+        body.querySelectorAll('[data-quantity]').forEach(input => {
+            input.addEventListener('change', () => this.setQuantity(input.dataset.quantity, parseFloat(input.value)));
+        });
+        body.querySelectorAll('[data-remove]').forEach(button => {
+            button.addEventListener('click', () => this.remove(button.dataset.remove));
+        });
+        newForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.checkout(newForm);
+        });
+    },
+
+    renderGroup(group) {
+        const subtotal = group.items.reduce((sum, item) => sum + this.lineTotal(item), 0);
+
+        return `
+            <div class="border rounded-lg">
+                <div class="flex justify-between items-center px-4 py-2 bg-gray-50 rounded-t-lg">
+                    <span class="font-medium text-gray-800"><i class="fas fa-user mr-1 text-gray-400"></i>${ApiClient.escapeHtml(group.farmer_name || 'কৃষক')}</span>
+                    <span class="text-sm text-gray-600">উপমোট: ৳${subtotal.toFixed(2)}</span>
+                </div>
+                <ul class="divide-y">
+                    ${group.items.map(item => this.renderItem(item)).join('')}
+                </ul>
+            </div>
+        `;
+    },
+
+    renderItem(item) {
+        const issue = this.issueFor(item);
+
+        return `
+            <li class="px-4 py-3 ${issue ? 'bg-red-50' : ''}">
+                <div class="flex items-center justify-between gap-4">
+                    <div class="flex-1">
+                        <p class="font-medium text-gray-900">${ApiClient.escapeHtml(item.name)}</p>
+                        <p class="text-sm text-gray-500">৳${item.price_per_unit}/${ApiClient.escapeHtml(item.unit)}</p>
+                    </div>
+                    <input type="number" min="0" step="any" value="${item.quantity}" data-quantity="${item.product_id}"
+                           class="w-24 border border-gray-300 rounded px-2 py-1 text-sm" aria-label="পরিমাণ">
+                    <span class="w-24 text-right text-sm font-semibold">৳${this.lineTotal(item).toFixed(2)}</span>
+                    <button type="button" data-remove="${item.product_id}" class="text-red-500 hover:text-red-700" title="সরিয়ে দিন">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                ${issue ? `
+                    <p class="text-xs text-red-700 mt-1">
+                        <i class="fas fa-exclamation-circle mr-1"></i>${this.issueReasons[issue.reason] || issue.reason}${
+                            issue.reason === 'insufficient_stock' ? ` — উপলব্ধ ${issue.available} ${ApiClient.escapeHtml(item.unit)}` : ''
+                        }
+                    </p>
+                ` : ''}
+            </li>
+        `;
+    },
+
+    renderCheckoutForm() {
+        const methods = typeof OrderManagement !== 'undefined' ? OrderManagement.paymentMethods : [];
+        const minDate = new Date().toISOString().split('T')[0];
+
+        return `
+            <form class="mt-4 space-y-3" novalidate>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">ডেলিভারি ঠিকানা</label>
+                    <textarea name="delivery_address" required rows="2" class="w-full border border-gray-300 rounded px-3 py-2"></textarea>
+                </div>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">ডেলিভারির তারিখ</label>
+                        <input type="date" name="delivery_date" min="${minDate}" class="w-full border border-gray-300 rounded px-3 py-2">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">পেমেন্ট পদ্ধতি</label>
+                        <select name="payment_method" required class="w-full border border-gray-300 rounded px-3 py-2">
+                            <option value="">পেমেন্ট পদ্ধতি নির্বাচন করুন</option>
+                            ${methods.map(method => `<option value="${method.code}">${method.name}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">নোট (ঐচ্ছিক)</label>
+                    <input type="text" name="notes" class="w-full border border-gray-300 rounded px-3 py-2">
+                </div>
+                <div class="flex justify-end space-x-2 pt-2">
+                    <button type="button" class="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+                            onclick="this.closest('.fixed').remove()">
+                        কেনাকাটা চালিয়ে যান
+                    </button>
+                    <button type="submit" ${this.hasIssues() ? 'disabled' : ''}
+                            class="px-4 py-2 bg-emerald-600 text-white rounded hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed">
+                        অর্ডার করুন
+                    </button>
+                </div>
+            </form>
+        `;
+    },
+
+    // Place the orders; on stock problems the server places none and the cart shows why
+    async checkout(form) {
+        const formData = new FormData(form);
+        const deliveryAddress = (formData.get('delivery_address') || '').trim();
+        const paymentMethod = formData.get('payment_method');
+
+        if (!deliveryAddress || !paymentMethod) {
+            this.showNotification('ডেলিভারি ঠিকানা ও পেমেন্ট পদ্ধতি দিন', 'error');
+            return;
+        }
+        if (this.hasIssues()) {
+            this.showNotification('অর্ডারের আগে মজুদের সমস্যাগুলো ঠিক করুন', 'error');
+            return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const result = await OfflineSync.send('/orders/checkout', {
+                items: this.items.map(item => ({ product_id: item.product_id, quantity: item.quantity })),
+                delivery_address: deliveryAddress,
+                delivery_date: formData.get('delivery_date') || null,
+                payment_method: paymentMethod,
+                notes: formData.get('notes') || null
+            }, {
+                label: 'কার্টের অর্ডার',
+                containerId: 'ordersContainer'
+            });
+
+            this.clear();
+            document.getElementById('cartModal')?.remove();
+
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। অর্ডারগুলো সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
+            }
+
+            this.showResult(result.orders);
+
+            if (typeof OrderManagement !== 'undefined' && document.getElementById('ordersContainer')) {
+                OrderManagement.loadOrders();
+            }
+
+        } catch (error) {
+            console.error('Checkout error:', error);
+            if (error.status === 409 && error.data && error.data.stock_issues) {
+                this.setStockIssues(error.data.stock_issues);
+                this.render();
+                this.showNotification('কিছু পণ্যের মজুদ বদলে গেছে, কোনো অর্ডার করা হয়নি', 'error');
+                return;
+            }
+            this.showNotification(ApiClient.errorMessage(error, 'অর্ডার প্লেস করতে সমস্যা হয়েছে'), 'error');
+            submitBtn.disabled = false;
+        }
+    },
+
+    // One line per placed order, with its payment link when there is one
+    showResult(placed) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-20 mx-auto p-5 border w-full max-w-md shadow-lg rounded-md bg-white">
+                <div class="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-green-100">
+                    <i class="fas fa-check text-green-600 text-xl"></i>
+                </div>
+                <h3 class="mt-3 text-lg font-medium text-gray-900 text-center">${placed.length}টি অর্ডার সফল!</h3>
+                <ul class="mt-4 divide-y text-sm">
+                    ${placed.map(({ order, payment }) => `
+                        <li class="py-2 flex justify-between items-center">
+                            <span>
+                                অর্ডার #${order.id}
+                                <span class="text-gray-500">— ${ApiClient.escapeHtml(`${order.farmer_first_name || ''} ${order.farmer_last_name || ''}`.trim())}</span>
+                            </span>
+                            <span class="flex items-center gap-3">
+                                <span class="font-semibold">৳${order.total_amount}</span>
+                                ${payment && payment.payment_url ? `
+                                    <a href="${payment.payment_url}" target="_blank" class="text-blue-600 hover:underline">পেমেন্ট করুন</a>
+                                ` : ''}
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="text-center mt-4">
+                    <button class="px-4 py-2 bg-gray-600 text-white text-base font-medium rounded-md hover:bg-gray-700"
+                            onclick="this.closest('.fixed').remove()">
+                        বন্ধ করুন
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    },
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 ${
+            type === 'success' ? 'bg-green-500 text-white' :
+            type === 'error' ? 'bg-red-500 text-white' :
+            'bg-blue-500 text-white'
+        }`;
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <span>${message}</span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+};
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => Cart.init());
+} else {
+    Cart.init();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Cart;
+}
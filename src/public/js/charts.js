@@ -229,10 +229,7 @@ const Charts = {
         const category = document.getElementById('priceCategory')?.value || 'rice';
         
         try {
-            const response = await fetch(`/api/prices/trends?category=${category}&days=30`);
-            if (!response.ok) throw new Error('Failed to fetch');
-            
-            const data = await response.json();
+            const data = await ApiClient.get(`/prices/trends?category=${category}&days=30`);
             const trends = data.trends || [];
             
             // Process data for Chart.js
@@ -33,17 +33,17 @@ const Dashboard = {
     // Load farmer-specific data
     async loadFarmerData() {
         try {
-            // Load farmer stats
-            const stats = await Forms.apiRequest('/products/farmer/' + this.currentUser.user_id);
-            if (stats && stats.ok) {
-                const data = await stats.json();
-                this.updateFarmerStats(data);
+            // Load farmer stats and recent orders independently
+            const [stats, orderData] = await Promise.all([
+                ApiClient.get('/products/farmer/' + this.currentUser.user_id).catch(() => null),
+                ApiClient.get('/orders/farmer/' + this.currentUser.user_id + '?limit=5').catch(() => null)
+            ]);
+            
+            if (stats) {
+                this.updateFarmerStats(stats);
             }
             
-            // Load recent orders
-            const orders = await Forms.apiRequest('/orders/farmer/' + this.currentUser.user_id + '?limit=5');
-            if (orders && orders.ok) {
-                const orderData = await orders.json();
+            if (orderData) {
                 this.displayRecentOrders(orderData.orders);
             }
             
@@ -59,9 +59,8 @@ const Dashboard = {
     async loadBuyerData() {
         try {
             // Load buyer stats
-            const orders = await Forms.apiRequest('/orders/buyer/' + this.currentUser.user_id);
-            if (orders && orders.ok) {
-                const data = await orders.json();
+            const data = await ApiClient.get('/orders/buyer/' + this.currentUser.user_id).catch(() => null);
+            if (data) {
                 this.updateBuyerStats(data);
             }
             
@@ -80,9 +79,8 @@ const Dashboard = {
     async loadAdminData() {
         try {
             // Load system stats
-            const stats = await Forms.apiRequest('/admin/stats');
-            if (stats && stats.ok) {
-                const data = await stats.json();
+            const data = await ApiClient.get('/admin/stats').catch(() => null);
+            if (data) {
                 this.updateAdminStats(data);
             }
             
@@ -153,11 +151,8 @@ const Dashboard = {
     // Load regional market prices
     async loadRegionalMarketPrices(region) {
         try {
-            const response = await Forms.apiRequest('/prices/region/' + encodeURIComponent(region));
-            if (response && response.ok) {
-                const data = await response.json();
-                this.displayRegionalPrices(data.prices);
-            }
+            const data = await ApiClient.get('/prices/region/' + encodeURIComponent(region));
+            this.displayRegionalPrices(data.prices);
         } catch (error) {
             console.debug('Regional price data not available:', error);
         }
@@ -166,11 +161,8 @@ const Dashboard = {
     // Load regional weather
     async loadRegionalWeather(region) {
         try {
-            const response = await Forms.apiRequest('/weather/region/' + encodeURIComponent(region));
-            if (response && response.ok) {
-                const data = await response.json();
-                this.displayWeatherWidget(data.weather);
-            }
+            const data = await ApiClient.get('/weather/region/' + encodeURIComponent(region));
+            this.displayWeatherWidget(data.weather);
         } catch (error) {
             console.debug('Weather data not available:', error);
         }
@@ -230,11 +222,8 @@ const Dashboard = {
     // Display featured products
     async loadFeaturedProducts() {
         try {
-            const response = await Forms.apiRequest('/products?limit=5&featured=true');
-            if (response && response.ok) {
-                const data = await response.json();
-                this.displayFeaturedProducts(data.products);
-            }
+            const data = await ApiClient.get('/products?limit=5&featured=true');
+            this.displayFeaturedProducts(data.products);
         } catch (error) {
             console.error('Error loading featured products:', error);
         }
@@ -356,11 +345,8 @@ const Dashboard = {
         if (this.currentUser.role !== 'farmer') return;
         
         try {
-            const response = await Forms.apiRequest('/products/farmer/' + this.currentUser.user_id);
-            if (response && response.ok) {
-                const data = await response.json();
-                this.displayProductsGrid(data.products);
-            }
+            const data = await ApiClient.get('/products/farmer/' + this.currentUser.user_id);
+            this.displayProductsGrid(data.products);
         } catch (error) {
             console.error('Error loading products:', error);
         }
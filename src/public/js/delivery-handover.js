@@ -0,0 +1,393 @@
+/**
+ * Delivery Handover Module
+ * The buyer shows a one-time code (digits and QR); whoever delivers enters
+ * or scans it and captures a signature and a photo before the transport
+ * can be marked delivered
+ */
+
+const DeliveryHandover = {
+    // QR content is "<prefix>:<transport id>:<code>" (see TransportController::getHandoverCode)
+    qrPrefix: 'KRISHIGHOR-HANDOVER',
+    codeLength: 6,
+
+    // State of the open capture modal
+    photo: null,
+    signaturePad: null,
+    scanStream: null,
+    scanTimer: null,
+
+    // Buyer: show the code the driver needs
+    async showCodeModal(transportId) {
+        let handover;
+        try {
+            handover = await ApiClient.get(`/transport/${transportId}/handover-code`);
+        } catch (error) {
+            console.error('Load handover code error:', error);
+            this.showNotification(ApiClient.errorMessage(error, 'ডেলিভারি কোড লোড করতে সমস্যা হয়েছে'), 'error');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-10 mx-auto p-5 border w-full max-w-sm shadow-lg rounded-md bg-white text-center">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-bold text-gray-900">ডেলিভারি কোড</h3>
+                    <button onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+                        <i class="fas fa-times text-xl"></i>
+                    </button>
+                </div>
+
+                <p class="text-sm text-gray-600 mb-4">
+                    পণ্য বুঝে পাওয়ার পর চালককে এই কোডটি বলুন অথবা QR কোডটি স্ক্যান করতে দিন।
+                    পণ্য হাতে পাওয়ার আগে কোড দেবেন না।
+                </p>
+
+                <div class="text-4xl font-bold tracking-[0.3em] text-gray-900 mb-4">${handover.code}</div>
+
+                <div class="w-48 mx-auto mb-4">${this.renderQr(handover.qr_payload)}</div>
+
+                <p class="text-xs text-gray-500">মেয়াদ: ${new Date(handover.expires_at).toLocaleString('bn-BD')}</p>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    },
+
+    // QR as inline SVG; empty when the generator is not loaded (the digits still work)
+    renderQr(text) {
+        if (typeof qrcode === 'undefined') return '';
+
+        const qr = qrcode(0, 'M');
+        qr.addData(text);
+        qr.make();
+        return qr.createSvgTag({ cellSize: 6, margin: 2, scalable: true, alt: 'ডেলিভারি QR কোড' });
+    },
+
+    // Driver or farmer: code, signature and photo, then mark delivered.
+    // onDone(result) runs after the update was sent or queued offline
+    showCaptureModal(transport, onDone = () => {}) {
+        this.photo = null;
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-4 mx-auto p-5 border w-full max-w-md shadow-lg rounded-md bg-white">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-bold text-gray-900">ডেলিভারি হস্তান্তর · #${transport.id}</h3>
+                    <button type="button" data-close class="text-gray-400 hover:text-gray-600">
+                        <i class="fas fa-times text-xl"></i>
+                    </button>
+                </div>
+
+                <form id="handoverForm" class="space-y-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">ক্রেতার ডেলিভারি কোড *</label>
+                        <div class="flex gap-2">
+                            <input type="text" name="handover_code" inputmode="numeric" autocomplete="one-time-code"
+                                   maxlength="${this.codeLength}" pattern="[0-9]{${this.codeLength}}" required
+                                   class="flex-1 border border-gray-300 rounded-md px-3 py-2 text-2xl tracking-[0.3em] text-center"
+                                   placeholder="••••••">
+                            ${this.canScan() ? `
+                                <button type="button" id="scanCodeBtn" class="px-4 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50" title="QR স্ক্যান করুন">
+                                    <i class="fas fa-qrcode text-xl"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                        <div id="scanPreview" class="hidden mt-2">
+                            <video class="w-full rounded bg-black" playsinline muted></video>
+                            <button type="button" id="stopScanBtn" class="mt-1 text-sm text-blue-600">স্ক্যান বন্ধ করুন</button>
+                        </div>
+                        <p id="handoverCodeError" class="hidden text-sm text-red-600 mt-1"></p>
+                    </div>
+
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">গ্রহণকারীর নাম</label>
+                        <input type="text" name="received_by" value="${transport.buyer_first_name || ''}"
+                               class="w-full border border-gray-300 rounded-md px-3 py-2">
+                    </div>
+
+                    <div>
+                        <div class="flex justify-between items-center mb-1">
+                            <label class="text-sm font-medium text-gray-700">গ্রহণকারীর স্বাক্ষর *</label>
+                            <button type="button" id="clearSignatureBtn" class="text-sm text-blue-600">মুছুন</button>
+                        </div>
+                        <canvas id="signaturePad" class="w-full h-40 border-2 border-dashed border-gray-300 rounded-md bg-white"
+                                style="touch-action: none"></canvas>
+                    </div>
+
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">পণ্যের ছবি *</label>
+                        <div id="handoverPhotoPreview" class="mb-2"></div>
+                        <label class="inline-flex items-center px-3 py-2 border border-gray-300 rounded cursor-pointer text-sm text-gray-700 hover:bg-gray-50">
+                            <i class="fas fa-camera mr-2"></i>
+                            ছবি তুলুন
+                            <input ${PhotoCapture.inputAttributes} class="hidden" id="handoverPhotoInput">
+                        </label>
+                    </div>
+
+                    <button type="submit" class="w-full bg-green-600 text-white text-lg font-semibold py-3 rounded-lg hover:bg-green-700">
+                        <i class="fas fa-check-circle mr-2"></i>ডেলিভার সম্পন্ন
+                    </button>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const close = () => {
+            this.stopScan();
+            modal.remove();
+        };
+        modal.querySelector('[data-close]').addEventListener('click', close);
+
+        this.signaturePad = this.createSignaturePad(modal.querySelector('#signaturePad'));
+        modal.querySelector('#clearSignatureBtn').addEventListener('click', () => this.signaturePad.clear());
+
+        modal.querySelector('#handoverPhotoInput').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                this.photo = await PhotoCapture.compress(file);
+                modal.querySelector('#handoverPhotoPreview').innerHTML =
+                    `<img src="${this.photo}" alt="পণ্যের ছবি" class="h-32 rounded border object-cover">`;
+            } catch (error) {
+                console.error('Handover photo error:', error);
+                this.showNotification('ছবি লোড করতে সমস্যা হয়েছে', 'error');
+            }
+        });
+
+        const scanBtn = modal.querySelector('#scanCodeBtn');
+        if (scanBtn) {
+            scanBtn.addEventListener('click', () => this.startScan(modal, transport.id));
+            modal.querySelector('#stopScanBtn').addEventListener('click', () => this.stopScan(modal));
+        }
+
+        modal.querySelector('#handoverForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const result = await this.submit(transport, e.target);
+            if (result) {
+                close();
+                onDone(result);
+            }
+        });
+    },
+
+    // Send the delivered status with the proof; null when it was refused
+    async submit(transport, form) {
+        const code = form.elements.handover_code.value.trim();
+        if (!new RegExp(`^\\d{${this.codeLength}}$`).test(code)) {
+            this.showCodeError(form, `${this.codeLength} অঙ্কের কোড দিন`);
+            return null;
+        }
+        if (this.signaturePad.isEmpty()) {
+            this.showNotification('গ্রহণকারীর স্বাক্ষর নিন', 'error');
+            return null;
+        }
+        if (!this.photo) {
+            this.showNotification('পণ্যের একটি ছবি তুলুন', 'error');
+            return null;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const result = await OfflineSync.send(`/transport/${transport.id}/update`, {
+                status: 'delivered',
+                notes: 'Delivered with handover code',
+                handover_code: code,
+                received_by: form.elements.received_by.value.trim() || null,
+                signature: this.signaturePad.toDataURL(),
+                photo: this.photo
+            }, {
+                label: `পরিবহন #${transport.id} ডেলিভারি`,
+                cardSelector: `[data-transport-id="${transport.id}"], [data-job-id="${transport.id}"]`
+            });
+
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। ডেলিভারি সংরক্ষিত হয়েছে, সংযোগ ফিরলে কোড যাচাই করে পাঠানো হবে', 'info');
+            } else {
+                this.showNotification('ডেলিভারি সম্পন্ন হয়েছে', 'success');
+            }
+            return result;
+
+        } catch (error) {
+            console.error('Handover error:', error);
+            submitBtn.disabled = false;
+
+            if (error instanceof ApiError && error.status === 422) {
+                const attemptsLeft = error.data && error.data.attempts_left;
+                this.showCodeError(form, attemptsLeft > 0
+                    ? `কোডটি সঠিক নয়। আর ${attemptsLeft} বার চেষ্টা করা যাবে`
+                    : 'কোডটি আর ব্যবহার করা যাবে না। ক্রেতাকে ডেলিভারি কোড আবার খুলতে বলুন');
+            } else {
+                this.showNotification(ApiClient.errorMessage(error, 'ডেলিভারি সম্পন্ন করতে সমস্যা হয়েছে'), 'error');
+            }
+            return null;
+        }
+    },
+
+    showCodeError(form, message) {
+        const error = form.querySelector('#handoverCodeError');
+        error.textContent = message;
+        error.classList.remove('hidden');
+    },
+
+    // QR scanning uses the browser's BarcodeDetector; without it the code is typed in
+    canScan() {
+        return 'BarcodeDetector' in window && !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    },
+
+    async startScan(modal, transportId) {
+        const preview = modal.querySelector('#scanPreview');
+        const video = preview.querySelector('video');
+
+        try {
+            this.scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        } catch (error) {
+            console.error('Camera error:', error);
+            this.showNotification('ক্যামেরা চালু করা যায়নি। কোডটি হাতে লিখুন', 'error');
+            return;
+        }
+
+        video.srcObject = this.scanStream;
+        await video.play();
+        preview.classList.remove('hidden');
+
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        this.scanTimer = setInterval(async () => {
+            let codes;
+            try {
+                codes = await detector.detect(video);
+            } catch (error) {
+                return;
+            }
+            if (codes.length === 0) return;
+
+            const code = this.parseQrPayload(codes[0].rawValue, transportId);
+            const form = modal.querySelector('#handoverForm');
+            this.stopScan(modal);
+
+            if (code) {
+                form.elements.handover_code.value = code;
+                form.querySelector('#handoverCodeError').classList.add('hidden');
+            } else {
+                this.showCodeError(form, 'এই QR কোডটি এই ডেলিভারির নয়');
+            }
+        }, 300);
+    },
+
+    stopScan(modal = null) {
+        clearInterval(this.scanTimer);
+        this.scanTimer = null;
+
+        if (this.scanStream) {
+            this.scanStream.getTracks().forEach(track => track.stop());
+            this.scanStream = null;
+        }
+        if (modal) {
+            modal.querySelector('#scanPreview').classList.add('hidden');
+        }
+    },
+
+    // Code from a scanned QR, or null if it is not for this transport
+    parseQrPayload(text, transportId) {
+        const [prefix, id, code] = String(text).split(':');
+        return prefix === this.qrPrefix && id == transportId && /^\d+$/.test(code) ? code : null;
+    },
+
+    // Finger or mouse drawing on a canvas; returns { isEmpty, clear, toDataURL }
+    createSignaturePad(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = canvas.offsetWidth * ratio;
+        canvas.height = canvas.offsetHeight * ratio;
+
+        const context = canvas.getContext('2d');
+        context.scale(ratio, ratio);
+        context.lineWidth = 2;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.strokeStyle = '#111827';
+
+        let drawing = false;
+        let empty = true;
+
+        const point = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return [event.clientX - rect.left, event.clientY - rect.top];
+        };
+
+        canvas.addEventListener('pointerdown', (event) => {
+            drawing = true;
+            canvas.setPointerCapture(event.pointerId);
+            context.beginPath();
+            context.moveTo(...point(event));
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            if (!drawing) return;
+            context.lineTo(...point(event));
+            context.stroke();
+            empty = false;
+        });
+
+        ['pointerup', 'pointercancel'].forEach(type => {
+            canvas.addEventListener(type, () => {
+                drawing = false;
+            });
+        });
+
+        return {
+            isEmpty: () => empty,
+            clear: () => {
+                context.clearRect(0, 0, canvas.width, canvas.height);
+                empty = true;
+            },
+            // White background so the signature stays visible in any viewer
+            toDataURL: () => {
+                const output = document.createElement('canvas');
+                output.width = canvas.width;
+                output.height = canvas.height;
+                const outputContext = output.getContext('2d');
+                outputContext.fillStyle = '#ffffff';
+                outputContext.fillRect(0, 0, output.width, output.height);
+                outputContext.drawImage(canvas, 0, 0);
+                return output.toDataURL('image/png');
+            }
+        };
+    },
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 ${
+            type === 'success' ? 'bg-green-500 text-white' :
+            type === 'error' ? 'bg-red-500 text-white' :
+            'bg-blue-500 text-white'
+        }`;
+
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <span>${message}</span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeliveryHandover;
+}
@@ -0,0 +1,311 @@
+/**
+ * Delivery Issues Module
+ * Buyer issue reports for a delivery: category, description and camera
+ * photos, plus the issue status shown on delivery cards and history
+ */
+
+const DeliveryIssues = {
+    categories: {
+        damaged_goods: { label: 'পণ্য নষ্ট/ক্ষতিগ্রস্ত', icon: 'fa-box-open' },
+        delay: { label: 'দেরিতে ডেলিভারি', icon: 'fa-clock' },
+        wrong_quantity: { label: 'পরিমাণে ভুল', icon: 'fa-balance-scale' },
+        driver_behaviour: { label: 'চালকের আচরণ', icon: 'fa-user-slash' }
+    },
+
+    statuses: {
+        open: { label: 'জমা হয়েছে', color: 'bg-red-100 text-red-800' },
+        investigating: { label: 'তদন্ত চলছে', color: 'bg-yellow-100 text-yellow-800' },
+        resolved: { label: 'সমাধান হয়েছে', color: 'bg-green-100 text-green-800' },
+        rejected: { label: 'প্রত্যাখ্যাত', color: 'bg-gray-100 text-gray-800' }
+    },
+
+    // Must match TransportController::MAX_ISSUE_PHOTOS
+    maxPhotos: 3,
+
+    minDescriptionLength: 10,
+
+    // Photos picked in the open report form (data URLs)
+    photos: [],
+
+    // Show the report form for a delivery
+    showReportModal(transportId) {
+        this.photos = [];
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-10 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-bold text-gray-900">সমস্যা রিপোর্ট করুন</h3>
+                    <button onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+
+                <form id="issueReportForm">
+                    <div class="mb-4">
+                        <label class="block text-sm font-medium text-gray-700 mb-2">সমস্যার ধরন</label>
+                        <div class="grid grid-cols-2 gap-2">
+                            ${Object.entries(this.categories).map(([value, category]) => `
+                                <label class="flex items-center border border-gray-300 rounded px-3 py-2 cursor-pointer hover:bg-gray-50 has-[:checked]:border-red-500 has-[:checked]:bg-red-50">
+                                    <input type="radio" name="category" value="${value}" class="mr-2" required>
+                                    <i class="fas ${category.icon} text-gray-500 mr-2"></i>
+                                    <span class="text-sm">${category.label}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <div class="mb-4">
+                        <label class="block text-sm font-medium text-gray-700 mb-1">বিবরণ</label>
+                        <textarea name="description" rows="4" required minlength="${this.minDescriptionLength}"
+                                  class="w-full border border-gray-300 rounded px-3 py-2"
+                                  placeholder="কী সমস্যা হয়েছে বিস্তারিত লিখুন"></textarea>
+                    </div>
+
+                    <div class="mb-4">
+                        <label class="block text-sm font-medium text-gray-700 mb-1">ছবি (সর্বোচ্চ ${this.maxPhotos}টি)</label>
+                        <div class="flex flex-wrap gap-2" id="issuePhotoPreviews"></div>
+                        <label id="issuePhotoPicker" class="mt-2 inline-flex items-center px-3 py-2 border border-gray-300 rounded cursor-pointer text-sm text-gray-700 hover:bg-gray-50">
+                            <i class="fas fa-camera mr-2"></i>
+                            ছবি তুলুন
+                            <input ${PhotoCapture.inputAttributes} multiple class="hidden" id="issuePhotoInput">
+                        </label>
+                    </div>
+
+                    <div class="flex justify-end space-x-3">
+                        <button type="button" onclick="this.closest('.fixed').remove()" class="px-4 py-2 text-gray-500 hover:text-gray-700">
+                            বাতিল
+                        </button>
+                        <button type="submit" class="px-6 py-2 bg-red-600 text-white rounded hover:bg-red-700">
+                            রিপোর্ট জমা দিন
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const form = document.getElementById('issueReportForm');
+        document.getElementById('issuePhotoInput').addEventListener('change', (e) => {
+            this.addPhotos(e.target.files);
+            e.target.value = '';
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitReport(transportId, form);
+        });
+    },
+
+    // Resize picked photos and add them to the form
+    async addPhotos(files) {
+        const room = this.maxPhotos - this.photos.length;
+        const picked = Array.from(files).filter(file => file.type.startsWith('image/'));
+
+        if (picked.length > room) {
+            BuyerDeliveryTracking.showError(`সর্বোচ্চ ${this.maxPhotos}টি ছবি যোগ করা যাবে`);
+        }
+
+        for (const file of picked.slice(0, room)) {
+            try {
+                this.photos.push(await PhotoCapture.compress(file));
+            } catch (error) {
+                console.error('Photo load error:', error);
+                BuyerDeliveryTracking.showError('ছবি লোড করতে সমস্যা হয়েছে');
+            }
+        }
+
+        this.renderPhotoPreviews();
+    },
+
+    renderPhotoPreviews() {
+        const container = document.getElementById('issuePhotoPreviews');
+        if (!container) return;
+
+        container.innerHTML = this.photos.map((photo, index) => `
+            <div class="relative">
+                <img src="${photo}" alt="ছবি ${index + 1}" class="w-20 h-20 object-cover rounded border border-gray-200">
+                <button type="button" onclick="DeliveryIssues.removePhoto(${index})"
+                        class="absolute -top-2 -right-2 bg-red-600 text-white rounded-full w-5 h-5 text-xs leading-5">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+
+        document.getElementById('issuePhotoPicker').classList.toggle('hidden', this.photos.length >= this.maxPhotos);
+    },
+
+    removePhoto(index) {
+        this.photos.splice(index, 1);
+        this.renderPhotoPreviews();
+    },
+
+    // Submit the report; queued while offline like other buyer actions
+    async submitReport(transportId, form) {
+        const formData = new FormData(form);
+        const description = (formData.get('description') || '').trim();
+
+        if (description.length < this.minDescriptionLength) {
+            BuyerDeliveryTracking.showError(`বিবরণ কমপক্ষে ${this.minDescriptionLength} অক্ষরের হতে হবে`);
+            return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'জমা হচ্ছে...';
+
+        try {
+            const result = await OfflineSync.send(`/transport/${transportId}/issues`, {
+                category: formData.get('category'),
+                description,
+                photos: this.photos
+            }, {
+                label: 'সমস্যা রিপোর্ট',
+                cardSelector: `[data-delivery-id="${transportId}"]`
+            });
+
+            form.closest('.fixed').remove();
+            this.photos = [];
+
+            if (result.queued) {
+                BuyerDeliveryTracking.showInfo('ইন্টারনেট সংযোগ নেই। রিপোর্টটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
+            }
+
+            BuyerDeliveryTracking.showSuccess('সমস্যার রিপোর্ট জমা হয়েছে। আমরা শীঘ্রই যোগাযোগ করব');
+            BuyerDeliveryTracking.loadActiveDeliveries();
+            BuyerDeliveryTracking.loadDeliveryHistory();
+
+        } catch (error) {
+            console.error('Report issue error:', error);
+            BuyerDeliveryTracking.showError(ApiClient.errorMessage(error, 'রিপোর্ট জমা দিতে সমস্যা হয়েছে'));
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'রিপোর্ট জমা দিন';
+        }
+    },
+
+    // Show every issue reported for a delivery
+    async showIssuesModal(transportId) {
+        let issues;
+        try {
+            const data = await ApiClient.get(`/transport/${transportId}/issues`);
+            issues = data.issues || [];
+        } catch (error) {
+            console.error('Load issues error:', error);
+            BuyerDeliveryTracking.showError('সমস্যার তথ্য লোড করতে সমস্যা হয়েছে');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-10 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-bold text-gray-900">রিপোর্ট করা সমস্যা</h3>
+                    <button onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+
+                <div class="space-y-4 max-h-[70vh] overflow-y-auto">
+                    ${issues.length === 0 ? '<p class="text-gray-500 text-center py-8">কোনো সমস্যা রিপোর্ট করা হয়নি</p>' : issues.map(issue => `
+                        <div class="border border-gray-200 rounded-lg p-4">
+                            <div class="flex justify-between items-start mb-2">
+                                <div class="flex items-center">
+                                    <i class="fas ${this.categories[issue.category]?.icon || 'fa-exclamation-circle'} text-gray-500 mr-2"></i>
+                                    <span class="font-medium">${this.translateCategory(issue.category)}</span>
+                                </div>
+                                ${this.statusBadge(issue)}
+                            </div>
+                            <p class="text-sm text-gray-700 mb-2">${ApiClient.escapeHtml(issue.description)}</p>
+                            ${issue.photos && issue.photos.length > 0 ? `
+                                <div class="flex flex-wrap gap-2 mb-2">
+                                    ${issue.photos.map(photo => `
+                                        <a href="${ApiClient.escapeHtml(photo)}" target="_blank" rel="noopener">
+                                            <img src="${ApiClient.escapeHtml(photo)}" alt="সমস্যার ছবি" class="w-20 h-20 object-cover rounded border border-gray-200">
+                                        </a>
+                                    `).join('')}
+                                </div>
+                            ` : ''}
+                            ${issue.resolution_notes ? `
+                                <div class="bg-gray-50 rounded p-2 text-sm text-gray-700 mb-2">
+                                    <span class="font-medium">সমাধান:</span> ${ApiClient.escapeHtml(issue.resolution_notes)}
+                                </div>
+                            ` : ''}
+                            <div class="text-xs text-gray-500">
+                                রিপোর্ট: ${new Date(issue.created_at).toLocaleString('bn-BD')}
+                                ${issue.updated_at && issue.updated_at !== issue.created_at ? ` · সর্বশেষ আপডেট: ${new Date(issue.updated_at).toLocaleString('bn-BD')}` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+
+                <div class="mt-6 flex justify-end space-x-3">
+                    <button onclick="this.closest('.fixed').remove(); DeliveryIssues.showReportModal(${transportId})"
+                            class="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700">
+                        নতুন সমস্যা রিপোর্ট
+                    </button>
+                    <button onclick="this.closest('.fixed').remove()"
+                            class="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700">
+                        বন্ধ করুন
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    },
+
+    // Latest issue summary for a delivery card
+    renderCardSummary(transportId, issues) {
+        if (!issues || issues.length === 0) return '';
+
+        const latest = issues[0];
+        const openCount = issues.filter(issue => ['open', 'investigating'].includes(issue.status)).length;
+
+        return `
+            <div class="mt-4 bg-red-50 border border-red-200 rounded-lg p-3">
+                <div class="flex justify-between items-center">
+                    <div class="flex items-center text-sm text-red-800">
+                        <i class="fas ${this.categories[latest.category]?.icon || 'fa-exclamation-circle'} mr-2"></i>
+                        <span>${this.translateCategory(latest.category)}</span>
+                        ${openCount > 1 ? `<span class="ml-2 text-xs">(+${openCount - 1}টি খোলা)</span>` : ''}
+                    </div>
+                    <div class="flex items-center space-x-2">
+                        ${this.statusBadge(latest)}
+                        <button onclick="DeliveryIssues.showIssuesModal(${transportId})" class="text-xs text-blue-600 hover:text-blue-800">
+                            বিস্তারিত
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    // Compact status for a delivery history row
+    renderHistoryBadge(transportId, issues) {
+        if (!issues || issues.length === 0) return '';
+
+        return `
+            <button onclick="DeliveryIssues.showIssuesModal(${transportId})" class="block mt-1" title="${this.translateCategory(issues[0].category)}">
+                ${this.statusBadge(issues[0], 'সমস্যা: ')}
+            </button>
+        `;
+    },
+
+    statusBadge(issue, prefix = '') {
+        const status = this.statuses[issue.status] || { label: issue.status, color: 'bg-gray-100 text-gray-800' };
+        return `<span class="px-2 py-1 text-xs rounded ${status.color}">${prefix}${status.label}</span>`;
+    },
+
+    translateCategory(category) {
+        return this.categories[category]?.label || category;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeliveryIssues;
+}
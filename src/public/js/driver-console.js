@@ -0,0 +1,375 @@
+/**
+ * Driver Console Module
+ * Mobile view for drivers: assigned jobs with navigation, one-tap status
+ * changes, proof of delivery, and live location while a job is in transit
+ */
+
+const DriverConsole = {
+    // Next step for each status (same progression as TransportManagement.getTransportActions)
+    statusFlow: {
+        assigned: { next: 'picked_up', label: 'পিকআপ সম্পন্ন', icon: 'fa-box', color: 'bg-green-600 hover:bg-green-700' },
+        pickup_pending: { next: 'picked_up', label: 'পিকআপ সম্পন্ন', icon: 'fa-box', color: 'bg-green-600 hover:bg-green-700' },
+        picked_up: { next: 'in_transit', label: 'যাত্রা শুরু', icon: 'fa-truck', color: 'bg-purple-600 hover:bg-purple-700' },
+        in_transit: { next: 'delivered', label: 'ডেলিভার সম্পন্ন', icon: 'fa-check-circle', color: 'bg-green-600 hover:bg-green-700' }
+    },
+
+    // Minimum time between two location posts
+    locationInterval: 30000,
+
+    jobs: [],
+    watchId: null,
+    lastLocationSentAt: 0,
+
+    init() {
+        window.addEventListener('session-ended', () => this.stopLocationUpdates());
+        window.addEventListener('outbox-synced', () => this.loadJobs());
+
+        const refreshBtn = document.getElementById('refreshJobsBtn');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.loadJobs());
+        }
+
+        this.loadJobs();
+    },
+
+    async loadJobs() {
+        const container = document.getElementById('driverJobsContainer');
+        if (!container) return;
+
+        try {
+            const data = await ApiClient.get('/transport/driver/jobs');
+            this.jobs = data.jobs || [];
+            this.renderJobs();
+            this.syncLocationUpdates();
+
+        } catch (error) {
+            console.error('Load driver jobs error:', error);
+            container.innerHTML = '<p class="text-red-500 text-center py-8">কাজের তালিকা লোড করতে সমস্যা হয়েছে</p>';
+        }
+    },
+
+    renderJobs() {
+        const container = document.getElementById('driverJobsContainer');
+        const history = document.getElementById('driverHistoryContainer');
+
+        const active = this.jobs.filter(job => this.statusFlow[job.status]);
+        const finished = this.jobs.filter(job => !this.statusFlow[job.status]);
+
+        container.innerHTML = active.length === 0
+            ? '<p class="text-slate-500 text-center py-8">এখন কোনো বরাদ্দকৃত কাজ নেই</p>'
+            : active.map(job => this.createJobCard(job)).join('');
+
+        if (history) {
+            history.innerHTML = finished.length === 0
+                ? '<p class="text-slate-400 text-sm">কোনো সম্পন্ন কাজ নেই</p>'
+                : finished.map(job => `
+                    <div class="bg-white rounded-lg shadow-sm px-4 py-3 flex justify-between items-center text-sm">
+                        <div>
+                            <div class="font-medium text-slate-800">#${job.id} · ${ApiClient.escapeHtml(job.product_name || '')}</div>
+                            <div class="text-slate-500">${ApiClient.escapeHtml(job.delivery_address || '')}</div>
+                        </div>
+                        <span class="px-2 py-1 rounded text-xs ${this.getStatusColor(job.status)}">${this.translateStatus(job.status)}</span>
+                    </div>
+                `).join('');
+        }
+    },
+
+    createJobCard(job) {
+        const flow = this.statusFlow[job.status];
+        const pickedUp = ['picked_up', 'in_transit'].includes(job.status);
+
+        return `
+            <div class="bg-white rounded-xl shadow p-4" data-job-id="${job.id}">
+                <div class="flex justify-between items-start mb-3">
+                    <div>
+                        <div class="font-semibold text-slate-900">#${job.id} · ${ApiClient.escapeHtml(job.product_name || 'পণ্য')}</div>
+                        <div class="text-sm text-slate-500">
+                            ${job.quantity ? `${job.quantity} ${ApiClient.escapeHtml(job.unit || '')} · ` : ''}${ApiClient.escapeHtml(job.tracking_number || '')}
+                        </div>
+                    </div>
+                    <span class="px-2 py-1 rounded text-xs ${this.getStatusColor(job.status)}">${this.translateStatus(job.status)}</span>
+                </div>
+
+                ${this.renderStop('পিকআপ', 'fa-warehouse', job.pickup_address, job.farmer_first_name, job.farmer_phone, !pickedUp)}
+                ${job.stops && job.stops.length > 1
+                    ? job.stops.map(stop => this.renderStop(
+                        `ডেলিভারি ${stop.sequence} · অর্ডার #${stop.order_id}`, 'fa-flag-checkered',
+                        stop.delivery_address, stop.buyer_first_name, stop.buyer_phone, pickedUp
+                    )).join('')
+                    : this.renderStop('ডেলিভারি', 'fa-flag-checkered', job.delivery_address, job.buyer_first_name, job.buyer_phone, pickedUp)}
+
+                <div class="text-xs text-slate-500 mt-2 space-y-1">
+                    ${job.pickup_date ? `<div><i class="far fa-clock mr-1"></i>পিকআপের সময়: ${new Date(job.pickup_date).toLocaleString('bn-BD')}</div>` : ''}
+                    ${job.eta?.predicted_arrival ? `<div><i class="fas fa-hourglass-half mr-1"></i>আনুমানিক পৌঁছানো: ${new Date(job.eta.predicted_arrival).toLocaleString('bn-BD')}</div>` : ''}
+                    ${job.notes ? `<div><i class="far fa-sticky-note mr-1"></i>${ApiClient.escapeHtml(job.notes)}</div>` : ''}
+                </div>
+
+                <div class="flex gap-2 mt-4">
+                    <button onclick="DriverConsole.advance(${job.id})"
+                            class="flex-1 ${flow.color} text-white text-lg font-semibold py-3 rounded-lg">
+                        <i class="fas ${flow.icon} mr-2"></i>${flow.label}
+                    </button>
+                    <button onclick="TransportChat.open(${job.id}, 'কাজ #${job.id}')"
+                            class="relative bg-slate-100 text-slate-700 px-4 rounded-lg hover:bg-slate-200" title="চ্যাট">
+                        <i class="fas fa-comments text-lg"></i>
+                        ${job.unread_messages > 0 ? `
+                            <span class="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full px-1.5">${job.unread_messages}</span>
+                        ` : ''}
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
+    // One stop of the route; the current destination is highlighted
+    renderStop(label, icon, address, contactName, phone, current) {
+        return `
+            <div class="rounded-lg p-3 mb-2 ${current ? 'bg-emerald-50 border border-emerald-200' : 'bg-slate-50'}">
+                <div class="flex justify-between items-start">
+                    <div class="text-sm">
+                        <div class="font-medium text-slate-700"><i class="fas ${icon} mr-1"></i>${label}</div>
+                        <div class="text-slate-900">${ApiClient.escapeHtml(address || 'N/A')}</div>
+                        ${contactName ? `<div class="text-slate-500">${ApiClient.escapeHtml(contactName)}</div>` : ''}
+                    </div>
+                    <div class="flex gap-2 ml-2">
+                        ${phone ? `
+                            <a href="tel:${ApiClient.escapeHtml(phone)}" class="w-10 h-10 flex items-center justify-center rounded-full bg-white border text-green-600" title="কল করুন">
+                                <i class="fas fa-phone"></i>
+                            </a>
+                        ` : ''}
+                        ${address ? `
+                            <a href="${this.navigationUrl(address)}" target="_blank" rel="noopener"
+                               class="w-10 h-10 flex items-center justify-center rounded-full bg-blue-600 text-white" title="নেভিগেশন">
+                                <i class="fas fa-location-arrow"></i>
+                            </a>
+                        ` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    // Opens the phone's maps app with directions to the address
+    navigationUrl(address) {
+        return `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(address)}`;
+    },
+
+    // Move a job to its next status; delivery needs the buyer's code and proof first
+    advance(jobId) {
+        const job = this.jobs.find(item => item.id == jobId);
+        const flow = job && this.statusFlow[job.status];
+        if (!flow) return;
+
+        if (flow.next === 'delivered') {
+            DeliveryHandover.showCaptureModal(job, (result) => {
+                if (result.queued) {
+                    job.status = 'delivered';
+                    this.renderJobs();
+                    this.syncLocationUpdates();
+                } else {
+                    this.loadJobs();
+                }
+            });
+        } else {
+            this.sendStatus(job, flow.next);
+        }
+    },
+
+    async sendStatus(job, status) {
+        try {
+            const result = await OfflineSync.send(`/transport/${job.id}/update`, {
+                status,
+                notes: `Status updated to ${status} by driver`
+            }, {
+                label: `কাজ #${job.id} স্ট্যাটাস পরিবর্তন`,
+                cardSelector: `[data-job-id="${job.id}"]`
+            });
+
+            if (result.queued) {
+                // Carry on offline: the next step and location sharing follow the queued status
+                job.status = status;
+                this.renderJobs();
+                this.syncLocationUpdates();
+                this.showInfo('ইন্টারনেট সংযোগ নেই। পরিবর্তনটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
+            }
+
+            this.showSuccess(`স্ট্যাটাস "${this.translateStatus(status)}" করা হয়েছে`);
+            this.loadJobs();
+
+        } catch (error) {
+            console.error('Update job status error:', error);
+            this.showError(ApiClient.errorMessage(error, 'স্ট্যাটাস আপডেট করতে সমস্যা হয়েছে'));
+        }
+    },
+
+    // Location sharing
+
+    // Share location while any job is in transit
+    syncLocationUpdates() {
+        if (this.jobs.some(job => job.status === 'in_transit')) {
+            this.startLocationUpdates();
+        } else {
+            this.stopLocationUpdates();
+        }
+    },
+
+    startLocationUpdates() {
+        if (this.watchId !== null) return;
+
+        if (!('geolocation' in navigator)) {
+            this.setLocationStatus('error', 'এই ডিভাইসে অবস্থান পাওয়া যায় না');
+            return;
+        }
+
+        this.setLocationStatus('waiting', 'অবস্থান খোঁজা হচ্ছে...');
+        this.watchId = navigator.geolocation.watchPosition(
+            position => this.handlePosition(position),
+            error => this.handleLocationError(error),
+            { enableHighAccuracy: true, maximumAge: 10000, timeout: 30000 }
+        );
+    },
+
+    stopLocationUpdates() {
+        if (this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
+        }
+        this.setLocationStatus(null);
+    },
+
+    async handlePosition(position) {
+        if (Date.now() - this.lastLocationSentAt < this.locationInterval) return;
+        this.lastLocationSentAt = Date.now();
+
+        const { coords } = position;
+        const location = {
+            latitude: coords.latitude,
+            longitude: coords.longitude,
+            accuracy: coords.accuracy,
+            altitude: coords.altitude,
+            speed: coords.speed !== null ? Math.round(coords.speed * 3.6) : null, // m/s -> km/h
+            bearing: coords.heading,
+            timestamp: new Date(position.timestamp).toISOString()
+        };
+
+        // Stale positions are useless later, so these are not queued offline
+        const jobs = this.jobs.filter(job => job.status === 'in_transit');
+        const results = await Promise.allSettled(jobs.map(job =>
+            ApiClient.post(`/transport/${job.id}/update`, { location })
+        ));
+
+        if (results.some(result => result.status === 'fulfilled')) {
+            this.setLocationStatus('ok', `অবস্থান শেয়ার হচ্ছে · সর্বশেষ ${new Date().toLocaleTimeString('bn-BD')}`);
+        } else {
+            this.setLocationStatus('error', 'অবস্থান পাঠানো যায়নি, আবার চেষ্টা করা হবে');
+        }
+    },
+
+    handleLocationError(error) {
+        console.error('Geolocation error:', error);
+
+        if (error.code === error.PERMISSION_DENIED) {
+            this.stopLocationUpdates();
+            this.setLocationStatus('error', 'অবস্থানের অনুমতি দেওয়া হয়নি। ব্রাউজারের সেটিংস থেকে অনুমতি দিন');
+        } else {
+            this.setLocationStatus('error', 'অবস্থান পাওয়া যাচ্ছে না');
+        }
+    },
+
+    setLocationStatus(state, message = '') {
+        const bar = document.getElementById('locationStatus');
+        if (!bar) return;
+
+        const styles = {
+            ok: 'bg-green-50 text-green-800',
+            waiting: 'bg-blue-50 text-blue-800',
+            error: 'bg-red-50 text-red-800'
+        };
+
+        bar.className = state
+            ? `max-w-xl mx-auto px-4 py-2 text-sm ${styles[state]}`
+            : 'hidden max-w-xl mx-auto px-4 py-2 text-sm';
+        bar.innerHTML = state ? `<i class="fas fa-map-marker-alt mr-2"></i>${message}` : '';
+    },
+
+    // Utility methods
+
+    getStatusColor(status) {
+        const colors = {
+            'assigned': 'bg-blue-100 text-blue-800',
+            'pickup_pending': 'bg-orange-100 text-orange-800',
+            'picked_up': 'bg-purple-100 text-purple-800',
+            'in_transit': 'bg-indigo-100 text-indigo-800',
+            'delivered': 'bg-green-100 text-green-800',
+            'cancelled': 'bg-red-100 text-red-800',
+            'delayed': 'bg-red-100 text-red-800'
+        };
+        return colors[status] || 'bg-gray-100 text-gray-800';
+    },
+
+    translateStatus(status) {
+        const translations = {
+            'scheduled': 'নির্ধারিত',
+            'assigned': 'বরাদ্দকৃত',
+            'pickup_pending': 'পিকআপ অপেক্ষমাণ',
+            'picked_up': 'পিকআপ সম্পন্ন',
+            'in_transit': 'পরিবহনে',
+            'delivered': 'ডেলিভার সম্পন্ন',
+            'cancelled': 'বাতিল',
+            'delayed': 'বিলম্বিত'
+        };
+        return translations[status] || status;
+    },
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    },
+
+    showError(message) {
+        this.showNotification(message, 'error');
+    },
+
+    showInfo(message) {
+        this.showNotification(message, 'info');
+    },
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `fixed top-4 left-4 right-4 sm:left-auto p-4 rounded-lg shadow-lg z-50 ${
+            type === 'success' ? 'bg-green-500 text-white' :
+            type === 'error' ? 'bg-red-500 text-white' :
+            'bg-blue-500 text-white'
+        }`;
+
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <span>${message}</span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+};
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => DriverConsole.init());
+} else {
+    DriverConsole.init();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DriverConsole;
+}
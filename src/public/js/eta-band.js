@@ -0,0 +1,193 @@
+/**
+ * ETA Band Module
+ * Earliest-to-latest arrival band on a trip progress bar, the history of how
+ * the ETA shifted, and a one-time alert when the prediction slips past the
+ * order's delivery date (ETAPredictionService / TransportController)
+ */
+
+const EtaBand = {
+    // Transports already alerted as late on this page
+    lateAlerted: new Set(),
+
+    // Shifts smaller than this (minutes) are shown as "no change"
+    steadyMinutes: 1,
+
+    parse(timestamp) {
+        return timestamp ? new Date(String(timestamp).replace(' ', 'T')) : null;
+    },
+
+    formatTime(date) {
+        return date.toLocaleTimeString('bn-BD', { hour: '2-digit', minute: '2-digit' });
+    },
+
+    formatDateTime(date) {
+        return date.toLocaleString('bn-BD', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+    },
+
+    // Progress bar with the band, the delivery deadline and the ETA history
+    render(eta) {
+        if (!eta || !eta.estimated_arrival) return '';
+
+        return `
+            ${this.renderDelayWarning(eta.delivery_delay)}
+            ${this.renderBar(eta)}
+            ${this.renderHistory(eta.history || [])}
+        `;
+    },
+
+    // Redraw into a container, keeping the history open if the user opened it
+    update(container, eta) {
+        if (!container) return;
+
+        const historyOpen = !!container.querySelector('details[open]');
+        container.innerHTML = this.render(eta);
+        if (historyOpen) {
+            const details = container.querySelector('details');
+            if (details) details.open = true;
+        }
+    },
+
+    renderBar(eta) {
+        const now = Date.now();
+        const departed = this.parse(eta.departed_at);
+        const estimated = this.parse(eta.estimated_arrival);
+        const earliest = this.parse(eta.earliest_arrival) || estimated;
+        const latest = this.parse(eta.latest_arrival) || estimated;
+        const deadline = eta.delivery_delay ? this.parse(eta.delivery_delay.deadline) : null;
+
+        // Scale from departure to the later of the latest arrival and a deadline close enough to show
+        const start = departed ? Math.min(departed.getTime(), now) : now;
+        let end = latest.getTime();
+        if (deadline && deadline.getTime() > end && deadline.getTime() - start < (end - start) * 2) {
+            end = deadline.getTime();
+        }
+        const span = Math.max(1, end - start);
+        const position = time => Math.max(0, Math.min(100, ((time - start) / span) * 100));
+
+        const progress = position(now);
+        const bandLeft = position(earliest.getTime());
+        const bandWidth = Math.max(1, position(latest.getTime()) - bandLeft);
+        const late = eta.delivery_delay && eta.delivery_delay.is_late;
+
+        return `
+            <div class="mt-4">
+                <div class="flex justify-between text-xs text-gray-500 mb-1">
+                    <span>${departed ? `রওনা ${this.formatTime(departed)}` : 'এখন'}</span>
+                    <span>সম্ভাব্য পৌঁছানো ${this.formatTime(earliest)} – ${this.formatTime(latest)}</span>
+                </div>
+                <div class="relative h-4 rounded-full bg-gray-200" title="সম্ভাব্য পৌঁছানোর সময়সীমা">
+                    <div class="absolute inset-y-0 left-0 rounded-full bg-purple-300" style="width: ${progress}%"></div>
+                    <div class="absolute inset-y-0 rounded-full ${late ? 'bg-red-400' : 'bg-purple-600'} opacity-60"
+                         style="left: ${bandLeft}%; width: ${bandWidth}%"></div>
+                    <div class="absolute -inset-y-1 w-0.5 bg-purple-900" style="left: ${position(estimated.getTime())}%"
+                         title="ETA ${this.formatTime(estimated)}"></div>
+                    ${deadline && deadline.getTime() <= end ? `
+                        <div class="absolute -inset-y-1 w-0.5 bg-red-600" style="left: ${position(deadline.getTime())}%"
+                             title="ডেলিভারির শেষ সময়"></div>
+                    ` : ''}
+                </div>
+                <div class="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500 mt-1">
+                    <span><span class="inline-block w-3 h-2 rounded bg-purple-300 mr-1"></span>যাত্রার অগ্রগতি</span>
+                    <span><span class="inline-block w-3 h-2 rounded ${late ? 'bg-red-400' : 'bg-purple-600'} opacity-60 mr-1"></span>সম্ভাব্য সময়সীমা (${eta.confidence_level || 0}% নিশ্চিত)</span>
+                    ${deadline ? `<span><span class="inline-block w-0.5 h-2 bg-red-600 mr-1"></span>ডেলিভারির তারিখ শেষ: ${this.formatDateTime(deadline)}</span>` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    renderDelayWarning(delay) {
+        if (!delay || !delay.is_late) return '';
+
+        return `
+            <div class="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800">
+                <i class="fas fa-exclamation-triangle mr-1"></i>
+                পূর্বাভাস অনুযায়ী ডেলিভারি নির্ধারিত তারিখের (${this.parse(delay.deadline).toLocaleDateString('bn-BD')})
+                প্রায় ${this.formatDuration(delay.minutes_late)} পরে পৌঁছাবে
+            </div>
+        `;
+    },
+
+    // Each recorded estimate with how far it moved from the one before
+    renderHistory(history) {
+        if (history.length < 2) return '';
+
+        const rows = history.map((entry, index) => {
+            const arrival = this.parse(entry.estimated_arrival);
+            const previous = index > 0 ? this.parse(history[index - 1].estimated_arrival) : null;
+            const shift = previous ? Math.round((arrival - previous) / 60000) : 0;
+
+            let change = '<span class="text-gray-400">প্রথম পূর্বাভাস</span>';
+            if (previous) {
+                change = Math.abs(shift) < this.steadyMinutes
+                    ? '<span class="text-gray-500">পরিবর্তন নেই</span>'
+                    : shift > 0
+                        ? `<span class="text-red-600"><i class="fas fa-arrow-up mr-1"></i>${this.formatDuration(shift)} পিছিয়েছে</span>`
+                        : `<span class="text-green-600"><i class="fas fa-arrow-down mr-1"></i>${this.formatDuration(-shift)} এগিয়েছে</span>`;
+            }
+
+            return `
+                <li class="flex justify-between text-xs py-1 border-b border-gray-100">
+                    <span class="text-gray-500">${this.formatTime(this.parse(entry.recorded_at))}</span>
+                    <span>ETA ${this.formatDateTime(arrival)}</span>
+                    ${change}
+                </li>
+            `;
+        }).reverse().join('');
+
+        return `
+            <details class="mt-3">
+                <summary class="text-sm text-purple-700 cursor-pointer">ETA পরিবর্তনের ইতিহাস (${history.length})</summary>
+                <ul class="mt-2 max-h-40 overflow-y-auto">${rows}</ul>
+            </details>
+        `;
+    },
+
+    formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        if (hours === 0) return `${rest} মিনিট`;
+        return rest ? `${hours} ঘণ্টা ${rest} মিনিট` : `${hours} ঘণ্টা`;
+    },
+
+    // One toast per transport when its prediction first misses the delivery date
+    notifyIfLate(transportId, eta) {
+        const delay = eta && eta.delivery_delay;
+        const key = String(transportId);
+
+        if (!delay || !delay.is_late) {
+            this.lateAlerted.delete(key);
+            return;
+        }
+        if (this.lateAlerted.has(key)) return;
+        this.lateAlerted.add(key);
+
+        const notification = document.createElement('div');
+        notification.className = 'fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 bg-red-500 text-white max-w-sm';
+        notification.innerHTML = `
+            <div class="flex items-start">
+                <span>
+                    <i class="fas fa-clock mr-1"></i>
+                    পরিবহন #${transportId} এর ডেলিভারি নির্ধারিত তারিখের পরে পৌঁছাতে পারে
+                    (আনুমানিক ${this.formatDateTime(this.parse(eta.estimated_arrival))})
+                </span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 10 seconds; this one matters more than a status toast
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 10000);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EtaBand;
+}
@@ -4,16 +4,42 @@
  */
 
 const Forms = {
-    // API base URL
-    apiBase: '/api',
+    // In-flight token refresh shared by all callers
+    refreshPromise: null,
+    refreshTimer: null,
+    
+    // sessionStorage key for the page to return to after re-login
+    returnToKey: 'returnTo',
+    
+    // sessionStorage key holding the i18n key of the reason for a redirect to login
+    noticeKey: 'authNotice',
+    
+    // Id of the user this tab was opened for, and whether it has been signed out
+    sessionUserId: null,
+    sessionEnded: false,
     
     // Initialize login form
     initLogin() {
         const form = document.getElementById('loginForm');
         if (!form) return;
         
+        // Launched from the home screen with a session still active - skip the form
+        if (new URLSearchParams(window.location.search).get('source') === 'pwa' && this.isAuthenticated()) {
+            window.location.replace(this.getRedirectUrl(this.getCurrentUser().role));
+            return;
+        }
+        
         form.addEventListener('submit', this.handleLogin.bind(this));
         
+        // Explain why the user landed here
+        const notice = sessionStorage.getItem(this.noticeKey);
+        if (notice) {
+            sessionStorage.removeItem(this.noticeKey);
+            this.showError(I18n.get(notice));
+        } else if (sessionStorage.getItem(this.returnToKey)) {
+            this.showError(I18n.get('error.session_expired', 'Your session has expired. Please log in again.'));
+        }
+        
         // Add real-time validation
         const email = document.getElementById('email');
         const password = document.getElementById('password');
@@ -78,36 +104,23 @@ const Forms = {
         };
         
         try {
-            const response = await fetch(`${this.apiBase}/auth/login`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(data)
-            });
+            const result = await ApiClient.post('/auth/login', data, { auth: false });
             
-            const result = await response.json();
+            // Store token and user info
+            ApiClient.setSession(result.token, result.user);
             
-            if (response.ok) {
-                // Store token and user info
-                localStorage.setItem('authToken', result.token);
-                localStorage.setItem('user', JSON.stringify(result.user));
-                
-                this.showSuccess(I18n.get('success.login'));
-                
-                // Redirect based on role
-                const redirectUrl = this.getRedirectUrl(result.user.role);
-                setTimeout(() => {
-                    window.location.href = redirectUrl;
-                }, 1000);
-                
-            } else {
-                this.showError(result.error || I18n.get('error.login_failed'));
-            }
+            this.showSuccess(I18n.get('success.login'));
+            
+            // Return to the page the session expired on, otherwise redirect based on role
+            const redirectUrl = this.consumeReturnUrl(result.user.role) || this.getRedirectUrl(result.user.role);
+            setTimeout(() => {
+                window.location.href = redirectUrl;
+            }, 1000);
             
         } catch (error) {
             console.error('Login error:', error);
-            this.showError(I18n.get('error.network_error'));
+            this.showError(error.isNetworkError ? I18n.get('error.network_error') :
+                ApiClient.errorMessage(error, I18n.get('error.login_failed')));
         } finally {
             this.setLoadingState(submitButton, spinner, false);
         }
@@ -144,35 +157,22 @@ const Forms = {
         };
         
         try {
-            const response = await fetch(`${this.apiBase}/auth/register`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(data)
-            });
+            const result = await ApiClient.post('/auth/register', data, { auth: false });
             
-            const result = await response.json();
+            this.showSuccess(I18n.get('success.registration'));
             
-            if (response.ok) {
-                this.showSuccess(I18n.get('success.registration'));
-                
-                // Auto-login after successful registration
-                localStorage.setItem('authToken', result.token);
-                localStorage.setItem('user', JSON.stringify(result.user));
-                
-                setTimeout(() => {
-                    const redirectUrl = this.getRedirectUrl(result.user.role);
-                    window.location.href = redirectUrl;
-                }, 2000);
-                
-            } else {
-                this.showError(result.error || I18n.get('error.registration_failed'));
-            }
+            // Auto-login after successful registration
+            ApiClient.setSession(result.token, result.user);
+            
+            setTimeout(() => {
+                const redirectUrl = this.getRedirectUrl(result.user.role);
+                window.location.href = redirectUrl;
+            }, 2000);
             
         } catch (error) {
             console.error('Registration error:', error);
-            this.showError(I18n.get('error.network_error'));
+            this.showError(error.isNetworkError ? I18n.get('error.network_error') :
+                ApiClient.errorMessage(error, I18n.get('error.registration_failed')));
         } finally {
             this.setLoadingState(submitButton, spinner, false);
         }
@@ -306,22 +306,13 @@ const Forms = {
         if (text.length < 2) return;
         
         try {
-            const response = await fetch(`${this.apiBase}/ai/detect-typos`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    text: text,
-                    language: I18n.currentLanguage
-                })
-            });
+            const result = await ApiClient.post('/ai/detect-typos', {
+                text: text,
+                language: I18n.currentLanguage
+            }, { auth: false });
             
-            if (response.ok) {
-                const result = await response.json();
-                if (result.suggestions && result.suggestions.length > 0) {
-                    this.showTypoSuggestions(field, result.suggestions);
-                }
+            if (result && result.suggestions && result.suggestions.length > 0) {
+                this.showTypoSuggestions(field, result.suggestions);
             }
         } catch (error) {
             // Silently fail typo detection
@@ -444,6 +435,7 @@ const Forms = {
         const roleUrls = {
             'farmer': '/dashboard/farmer',
             'buyer': '/dashboard/buyer',
+            'driver': '/dashboard/driver',
             'admin': '/dashboard/admin'
         };
         
@@ -452,56 +444,187 @@ const Forms = {
     
     // Check if user is authenticated
     isAuthenticated() {
-        const token = localStorage.getItem('authToken');
-        const user = localStorage.getItem('user');
-        return !!(token && user);
+        return !!(ApiClient.getToken() && ApiClient.getUser());
     },
     
     // Get current user info
     getCurrentUser() {
-        const userStr = localStorage.getItem('user');
-        return userStr ? JSON.parse(userStr) : null;
+        return ApiClient.getUser();
     },
     
     // Get auth token
     getAuthToken() {
-        return localStorage.getItem('authToken');
+        return ApiClient.getToken();
     },
     
     // Logout user
     logout() {
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('user');
-        window.location.href = '/login';
-    },
-    
-    // Make authenticated API request
-    async apiRequest(endpoint, options = {}) {
-        const token = this.getAuthToken();
-        
-        const config = {
-            headers: {
-                'Content-Type': 'application/json',
-                ...(token && { 'Authorization': `Bearer ${token}` }),
-                ...options.headers
-            },
-            ...options
-        };
+        this.endSession();
+        ApiClient.clearSession();
+        window.location.href = ApiClient.loginUrl;
+    },
+    
+    // Install refresh hooks on pages with a logged-in user
+    initSession() {
+        if (!this.isAuthenticated() || document.getElementById('loginForm')) return;
+        
+        this.sessionUserId = this.getCurrentUser().id;
+        ApiClient.refreshHandler = () => this.refreshToken();
+        ApiClient.unauthorizedHandler = () => this.showSessionExpiredModal();
+        this.scheduleTokenRefresh();
+    },
+    
+    // Keep this tab in step with logins, logouts and token refreshes in other tabs
+    initSessionSync() {
+        window.addEventListener('storage', (event) => {
+            // A null key means localStorage.clear() was called
+            if (event.key !== null &&
+                event.key !== ApiClient.storageKeys.token &&
+                event.key !== ApiClient.storageKeys.user) {
+                return;
+            }
+            this.handleSessionChange();
+        });
+    },
+    
+    // React to session data written by another tab
+    handleSessionChange() {
+        if (this.sessionEnded) return;
         
-        try {
-            const response = await fetch(`${this.apiBase}${endpoint}`, config);
-            
-            if (response.status === 401) {
-                // Unauthorized - redirect to login
-                this.logout();
-                return null;
+        const user = this.isAuthenticated() ? this.getCurrentUser() : null;
+        
+        // Login page: follow a login made in another tab
+        if (this.sessionUserId === null) {
+            if (user && document.getElementById('loginForm')) {
+                window.location.href = this.consumeReturnUrl(user.role) || this.getRedirectUrl(user.role);
             }
-            
-            return response;
-        } catch (error) {
-            console.error('API request error:', error);
-            throw error;
+            return;
+        }
+        
+        // Logged out elsewhere
+        if (!user) {
+            this.endSession();
+            window.location.href = ApiClient.loginUrl;
+            return;
+        }
+        
+        // Another account logged in elsewhere
+        if (user.id !== this.sessionUserId) {
+            this.endSession();
+            window.location.href = this.getRedirectUrl(user.role);
+            return;
+        }
+        
+        // Same user, token refreshed by another tab
+        this.scheduleTokenRefresh();
+    },
+    
+    // Stop refreshing and tell page modules to stop their trackers
+    endSession() {
+        this.sessionEnded = true;
+        this.stopTokenRefresh();
+        ApiClient.refreshHandler = null;
+        window.dispatchEvent(new CustomEvent('session-ended'));
+    },
+    
+    // Get a new token; concurrent callers wait on the same request
+    refreshToken() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+        
+        this.refreshPromise = ApiClient.post('/auth/refresh', {}, {
+            skipRefresh: true,
+            redirectOnUnauthorized: false
+        })
+            .then(result => {
+                ApiClient.setSession(result.token, result.user);
+                this.scheduleTokenRefresh();
+                return result.token;
+            })
+            .catch(error => {
+                // Only a rejected token ends the session; network errors retry on the next call
+                if (error.type === ApiError.UNAUTHORIZED) {
+                    this.showSessionExpiredModal();
+                }
+                throw error;
+            })
+            .finally(() => {
+                this.refreshPromise = null;
+            });
+        
+        return this.refreshPromise;
+    },
+    
+    // Refresh silently shortly before the token expires
+    scheduleTokenRefresh() {
+        this.stopTokenRefresh();
+        
+        const expiry = ApiClient.getTokenExpiry();
+        if (!expiry) return;
+        
+        const delay = Math.max(expiry - Date.now() - ApiClient.refreshMargin, 0);
+        this.refreshTimer = setTimeout(() => {
+            this.refreshToken().catch(error => console.error('Token refresh error:', error));
+        }, delay);
+    },
+    
+    // Cancel the scheduled refresh
+    stopTokenRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    },
+    
+    // Tell the user the session ended and offer to log in again
+    showSessionExpiredModal() {
+        if (document.getElementById('sessionExpiredModal')) return;
+        
+        this.endSession();
+        
+        // Remember where the user was so login can bring them back
+        sessionStorage.setItem(this.returnToKey,
+            window.location.pathname + window.location.search + window.location.hash);
+        ApiClient.clearSession();
+        
+        const modal = document.createElement('div');
+        modal.id = 'sessionExpiredModal';
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+                <div class="mt-3">
+                    <div class="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-yellow-100">
+                        <i class="fas fa-clock text-yellow-600 text-xl"></i>
+                    </div>
+                    <div class="mt-3 text-center">
+                        <h3 class="text-lg font-medium text-gray-900">সেশনের মেয়াদ শেষ</h3>
+                        <div class="mt-2 px-7 py-3">
+                            <p class="text-sm text-gray-500">নিরাপত্তার জন্য আপনাকে আবার লগইন করতে হবে। লগইনের পর আপনি এই পৃষ্ঠায় ফিরে আসবেন।</p>
+                        </div>
+                        <div class="items-center px-4 py-3">
+                            <a href="${ApiClient.loginUrl}"
+                               class="inline-block px-4 py-2 bg-green-600 text-white text-base font-medium rounded-md hover:bg-green-700">
+                                আবার লগইন করুন
+                            </a>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+    },
+    
+    // Saved return page, if it belongs to the dashboard of the role that just logged in
+    consumeReturnUrl(role) {
+        const returnTo = sessionStorage.getItem(this.returnToKey);
+        sessionStorage.removeItem(this.returnToKey);
+        
+        if (returnTo && returnTo.startsWith(this.getRedirectUrl(role))) {
+            return returnTo;
         }
+        return null;
     }
 };
 
@@ -515,6 +638,8 @@ if (document.readyState === 'loading') {
         if (document.getElementById('registerForm')) {
             Forms.initRegister();
         }
+        Forms.initSession();
+        Forms.initSessionSync();
     });
 } else {
     // DOM is already ready
@@ -524,6 +649,8 @@ if (document.readyState === 'loading') {
     if (document.getElementById('registerForm')) {
         Forms.initRegister();
     }
+    Forms.initSession();
+    Forms.initSessionSync();
 }
 
 // Export for use in other modules
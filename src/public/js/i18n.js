@@ -5,6 +5,8 @@
 
 const I18n = {
     currentLanguage: 'bn',
+    storageKey: 'language',
+    syncing: false,
     translations: {
         bn: {
             // Login page
@@ -160,6 +162,9 @@ const I18n = {
             'error.login_failed': 'লগইন ব্যর্থ হয়েছে',
             'error.registration_failed': 'নিবন্ধন ব্যর্থ হয়েছে',
             'error.network_error': 'নেটওয়ার্ক ত্রুটি',
+            'error.session_expired': 'আপনার সেশনের মেয়াদ শেষ হয়েছে। আবার লগইন করুন।',
+            'error.login_required': 'এই পৃষ্ঠা দেখতে লগইন করুন',
+            'error.access_denied': 'এই পৃষ্ঠায় আপনার প্রবেশাধিকার নেই',
             'error.server_error': 'সার্ভার ত্রুটি',
             'error.unauthorized': 'অনুমতি নেই',
             'error.not_found': 'খুঁজে পাওয়া যায়নি',
@@ -328,6 +333,9 @@ const I18n = {
             'error.login_failed': 'Login failed',
             'error.registration_failed': 'Registration failed',
             'error.network_error': 'Network error',
+            'error.session_expired': 'Your session has expired. Please log in again.',
+            'error.login_required': 'Please log in to view this page',
+            'error.access_denied': 'You do not have access to that page',
             'error.server_error': 'Server error',
             'error.unauthorized': 'Unauthorized',
             'error.not_found': 'Not found',
@@ -345,19 +353,40 @@ const I18n = {
     
     init() {
         // Get language from localStorage or browser
-        this.currentLanguage = localStorage.getItem('language') || 
+        this.currentLanguage = localStorage.getItem(this.storageKey) || 
                               (navigator.language.includes('bn') ? 'bn' : 'en');
         this.updatePage();
+        this.initSync();
     },
     
     setLanguage(lang) {
         if (lang in this.translations) {
             this.currentLanguage = lang;
-            localStorage.setItem('language', lang);
+            localStorage.setItem(this.storageKey, lang);
             this.updatePage();
         }
     },
     
+    // Wire the language selector and follow changes made in other tabs
+    initSync() {
+        if (this.syncing) return;
+        this.syncing = true;
+        
+        const languageSelect = document.getElementById('languageSelect');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', (e) => this.setLanguage(e.target.value));
+        }
+        
+        // storage events only fire in the other tabs, never in the one that wrote
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.storageKey && event.newValue &&
+                event.newValue !== this.currentLanguage && event.newValue in this.translations) {
+                this.currentLanguage = event.newValue;
+                this.updatePage();
+            }
+        });
+    },
+    
     get(key, fallback = key) {
         return this.translations[this.currentLanguage][key] || 
                this.translations['en'][key] || 
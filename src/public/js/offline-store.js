@@ -0,0 +1,174 @@
+/**
+ * Offline Store Module
+ * IndexedDB outbox for API calls made while offline. Shared by the pages
+ * (via OfflineSync) and the service worker (via importScripts)
+ */
+
+const OfflineStore = {
+    dbName: 'krishighor-offline',
+    version: 1,
+
+    // Object stores: queued requests and the session used to replay them
+    stores: {
+        outbox: 'outbox',
+        session: 'session'
+    },
+
+    dbPromise: null,
+
+    // Open (and create on first use) the database
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.stores.outbox)) {
+                    db.createObjectStore(this.stores.outbox, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(this.stores.session)) {
+                    db.createObjectStore(this.stores.session, { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    },
+
+    // Run a single request against a store and resolve with its result
+    async run(storeName, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = callback(tx.objectStore(storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    // Queue a request; resolves with the new entry id
+    addToOutbox(entry) {
+        return this.run(this.stores.outbox, 'readwrite', store => store.add({
+            ...entry,
+            createdAt: Date.now()
+        }));
+    },
+
+    // All queued requests, oldest first
+    getOutbox() {
+        return this.run(this.stores.outbox, 'readonly', store => store.getAll());
+    },
+
+    // Claim a queued request for sending: removes it and resolves with it, or
+    // with undefined when another tab or the service worker already took it
+    async takeFromOutbox(id) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.stores.outbox, 'readwrite');
+            const store = tx.objectStore(this.stores.outbox);
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                if (request.result) store.delete(id);
+            };
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    // Put a claimed request back under its id, so it keeps its place in the queue
+    restoreToOutbox(entry) {
+        return this.run(this.stores.outbox, 'readwrite', store => store.put(entry));
+    },
+
+    // Remember the token and user the outbox should be replayed with
+    setSession(token, userId) {
+        if (!token) {
+            return this.run(this.stores.session, 'readwrite', store => store.delete('current'));
+        }
+        return this.run(this.stores.session, 'readwrite', store => store.put({ key: 'current', token, userId }));
+    },
+
+    getSession() {
+        return this.run(this.stores.session, 'readonly', store => store.get('current'));
+    },
+
+    // Send queued requests in order. Stops at the first one that cannot be
+    // delivered yet (offline, server down or token expired) so order is kept.
+    // Tabs and the service worker replay one at a time, and each entry is
+    // claimed before it is sent, so no request goes out twice.
+    // Resolves with { results, complete }
+    replayOutbox(apiBase = '/api') {
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request('krishighor-outbox-replay', () => this.sendOutbox(apiBase));
+        }
+        return this.sendOutbox(apiBase);
+    },
+
+    async sendOutbox(apiBase) {
+        const session = await this.getSession();
+        const results = [];
+
+        if (!session) {
+            return { results, complete: false };
+        }
+
+        const entries = (await this.getOutbox()).filter(entry => entry.userId === session.userId);
+
+        for (const { id } of entries) {
+            const entry = await this.takeFromOutbox(id);
+            if (!entry) continue;
+
+            let response;
+            try {
+                response = await fetch(apiBase + entry.endpoint, {
+                    method: entry.method,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${session.token}`
+                    },
+                    body: JSON.stringify(entry.body)
+                });
+            } catch (error) {
+                await this.restoreToOutbox(entry);
+                return { results, complete: false };
+            }
+
+            // Keep the entry for a later attempt
+            if (response.status === 401 || response.status >= 500) {
+                await this.restoreToOutbox(entry);
+                return { results, complete: false };
+            }
+
+            let data = null;
+            try {
+                data = await response.json();
+            } catch (error) {
+                // Empty or non-JSON body
+            }
+
+            // Delivered - a 4xx means the server rejected it and retrying will not help
+            results.push({ entry, ok: response.ok, status: response.status, data });
+        }
+
+        return { results, complete: true };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineStore;
+}
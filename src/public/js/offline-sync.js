@@ -0,0 +1,238 @@
+/**
+ * Offline Sync Module
+ * Registers the service worker, queues mutating calls while offline and
+ * marks the cards that still have changes waiting to sync
+ */
+
+const OfflineSync = {
+    swUrl: '/sw.js',
+    syncTag: 'krishighor-outbox',
+    registration: null,
+
+    // Initialize offline support
+    async init() {
+        if (!this.isSupported()) return;
+
+        window.addEventListener('online', () => this.requestSync());
+        window.addEventListener('session-ended', () => this.clearUserData());
+        navigator.serviceWorker.addEventListener('message', (event) => this.handleMessage(event.data));
+
+        try {
+            this.registration = await navigator.serviceWorker.register(this.swUrl);
+        } catch (error) {
+            console.error('Service worker registration error:', error);
+        }
+
+        await this.saveSession();
+        this.refreshPendingIndicators();
+
+        if (navigator.onLine) {
+            this.requestSync();
+        }
+    },
+
+    isSupported() {
+        return 'serviceWorker' in navigator && 'indexedDB' in window;
+    },
+
+    // POST to the API; when the device is offline the call is queued and
+    // { queued: true } is returned instead of the response.
+    // meta.label names the change in notifications; meta.cardSelector marks
+    // existing cards, meta.containerId shows a placeholder card for new items
+    async send(endpoint, body = {}, meta = {}) {
+        try {
+            return await ApiClient.post(endpoint, body);
+        } catch (error) {
+            // Timeouts may have reached the server, so only true network failures are queued
+            if (!(error instanceof ApiError) || error.type !== ApiError.NETWORK || !this.isSupported()) {
+                throw error;
+            }
+
+            await this.enqueue(endpoint, body, meta);
+            return { queued: true };
+        }
+    },
+
+    // Store a call in the outbox and ask for a sync once online
+    async enqueue(endpoint, body, meta) {
+        const user = ApiClient.getUser();
+
+        await this.saveSession();
+        await OfflineStore.addToOutbox({
+            endpoint,
+            method: 'POST',
+            body,
+            meta,
+            userId: user ? user.id : null
+        });
+
+        this.refreshPendingIndicators();
+        this.requestSync();
+    },
+
+    // Replay the outbox - through background sync where available, otherwise from the page
+    async requestSync() {
+        await this.saveSession();
+
+        if (this.registration && 'sync' in this.registration) {
+            try {
+                await this.registration.sync.register(this.syncTag);
+                return;
+            } catch (error) {
+                console.error('Background sync registration error:', error);
+            }
+        }
+
+        if (!navigator.onLine) return;
+
+        try {
+            const { results } = await OfflineStore.replayOutbox(ApiClient.apiBase);
+            this.handleResults(results);
+        } catch (error) {
+            console.error('Outbox replay error:', error);
+        }
+    },
+
+    // Keep the token the service worker replays with up to date
+    async saveSession() {
+        const user = ApiClient.getUser();
+
+        try {
+            await OfflineStore.setSession(ApiClient.getToken(), user ? user.id : null);
+        } catch (error) {
+            console.error('Offline session save error:', error);
+        }
+    },
+
+    // Forget the session and this user's cached API data after logout
+    clearUserData() {
+        OfflineStore.setSession(null).catch(error => console.error('Offline session clear error:', error));
+
+        if (navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'clear-api-cache' });
+        }
+    },
+
+    handleMessage(message) {
+        if (message && message.type === 'outbox-replayed') {
+            this.handleResults(message.results);
+        }
+    },
+
+    // Report replayed calls and let the page modules reload their lists
+    handleResults(results) {
+        if (!results || results.length === 0) return;
+
+        results.forEach(({ entry, ok, data }) => {
+            const label = entry.meta && entry.meta.label ? entry.meta.label : 'অফলাইন পরিবর্তন';
+            if (ok) {
+                this.showNotification(`${label} সিঙ্ক হয়েছে`, 'success');
+            } else {
+                this.showNotification(`${label} সিঙ্ক ব্যর্থ: ${(data && data.error) || 'সার্ভার অনুরোধটি গ্রহণ করেনি'}`, 'error');
+            }
+        });
+
+        window.dispatchEvent(new CustomEvent('outbox-synced', { detail: { results } }));
+        this.refreshPendingIndicators();
+    },
+
+    // Mark cards that still have queued changes
+    async refreshPendingIndicators() {
+        if (!this.isSupported()) return;
+
+        let entries;
+        try {
+            entries = await OfflineStore.getOutbox();
+        } catch (error) {
+            console.error('Outbox read error:', error);
+            return;
+        }
+
+        document.querySelectorAll('.pending-sync-badge, .pending-sync-card').forEach(el => el.remove());
+
+        const user = ApiClient.getUser();
+        entries
+            .filter(entry => user && entry.userId === user.id)
+            .forEach(entry => {
+                const meta = entry.meta || {};
+
+                if (meta.cardSelector) {
+                    document.querySelectorAll(meta.cardSelector).forEach(card => {
+                        card.insertAdjacentHTML('afterbegin', this.createPendingBadge());
+                    });
+                } else if (meta.containerId) {
+                    const container = document.getElementById(meta.containerId);
+                    if (container) {
+                        container.prepend(this.createPendingCard(entry));
+                    }
+                }
+            });
+    },
+
+    createPendingBadge() {
+        return `
+            <div class="pending-sync-badge px-4 pt-3">
+                <span class="inline-flex items-center px-2 py-1 text-xs rounded bg-yellow-100 text-yellow-800">
+                    <i class="fas fa-sync-alt mr-1"></i>সিঙ্ক বাকি
+                </span>
+            </div>
+        `;
+    },
+
+    // Placeholder for an item created offline that has no server id yet
+    createPendingCard(entry) {
+        const card = document.createElement('div');
+        card.className = 'pending-sync-card bg-white rounded-lg shadow p-6 border-l-4 border-yellow-400 opacity-75';
+        card.innerHTML = `
+            <div class="flex justify-between items-start">
+                <div>
+                    <h3 class="text-lg font-semibold text-gray-900">${entry.meta.label}</h3>
+                    <p class="text-sm text-gray-500 mt-1">${new Date(entry.createdAt).toLocaleString('bn-BD')}</p>
+                </div>
+                <span class="inline-flex items-center px-2 py-1 text-xs rounded bg-yellow-100 text-yellow-800">
+                    <i class="fas fa-sync-alt mr-1"></i>সিঙ্ক বাকি
+                </span>
+            </div>
+            <p class="text-sm text-gray-600 mt-2">ইন্টারনেট সংযোগ ফিরলে স্বয়ংক্রিয়ভাবে পাঠানো হবে</p>
+        `;
+        return card;
+    },
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 ${
+            type === 'success' ? 'bg-green-500 text-white' :
+            type === 'error' ? 'bg-red-500 text-white' :
+            'bg-blue-500 text-white'
+        }`;
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <span>${message}</span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+};
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => OfflineSync.init());
+} else {
+    OfflineSync.init();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineSync;
+}
@@ -0,0 +1,358 @@
+/**
+ * Order Amendments Module
+ * Changes to an accepted order before dispatch: the farmer marks a shortfall
+ * as partial fulfilment, the buyer requests an amendment for the farmer to
+ * approve, and the order card lists the change history (OrderController
+ * amendments API). Totals, payment and invoice are recalculated server-side
+ */
+
+const OrderAmendments = {
+    // Orders on the page by id, for the forms opened from their cards
+    orders: new Map(),
+
+    amendableStatuses: ['confirmed', 'processing'],
+
+    types: {
+        'partial_fulfilment': 'আংশিক পূরণ',
+        'amendment': 'পরিবর্তনের অনুরোধ'
+    },
+
+    statuses: {
+        'pending': { label: 'অনুমোদনের অপেক্ষায়', badge: 'bg-yellow-100 text-yellow-800' },
+        'applied': { label: 'কার্যকর', badge: 'bg-green-100 text-green-800' },
+        'rejected': { label: 'প্রত্যাখ্যাত', badge: 'bg-red-100 text-red-800' }
+    },
+
+    // Which side of the order the signed-in user is on
+    myRole(order) {
+        const user = ApiClient.getUser();
+        if (!user) return null;
+        if (user.role === 'buyer' && order.buyer_id == user.id) return 'buyer';
+        if (user.role === 'farmer' && order.farmer_id == user.id) return 'farmer';
+        return null;
+    },
+
+    canAmend(order) {
+        return this.amendableStatuses.includes(order.order_status) && !!this.myRole(order);
+    },
+
+    pending(order) {
+        return (order.amendments || []).find(amendment => amendment.status === 'pending') || null;
+    },
+
+    // Lines of the order as the amendments API sees them
+    lines(order) {
+        if (Array.isArray(order.items) && order.items.length > 0) {
+            return order.items.map(item => ({
+                item_id: item.id,
+                product_name: item.product_name,
+                unit: item.unit,
+                quantity: parseFloat(item.quantity),
+                unit_price: parseFloat(item.unit_price)
+            }));
+        }
+        return [{
+            item_id: null,
+            product_name: order.product_name,
+            unit: order.unit,
+            quantity: parseFloat(order.quantity),
+            unit_price: parseFloat(order.unit_price)
+        }];
+    },
+
+    // Pending request and change history on the order card
+    cardHtml(order) {
+        this.orders.set(String(order.id), order);
+
+        const amendments = order.amendments || [];
+        if (amendments.length === 0) return '';
+
+        const pending = this.pending(order);
+        const role = this.myRole(order);
+
+        return `
+            <div class="mb-4">
+                ${pending ? `
+                    <div class="p-3 rounded border ${role === 'farmer' ? 'border-yellow-300 bg-yellow-50' : 'border-gray-200 bg-gray-50'} text-sm">
+                        <i class="fas fa-pen mr-1 ${role === 'farmer' ? 'text-yellow-600' : 'text-gray-500'}"></i>
+                        ${role === 'farmer' ? 'ক্রেতা অর্ডার পরিবর্তনের অনুরোধ করেছেন' : 'আপনার পরিবর্তনের অনুরোধ কৃষকের অনুমোদনের অপেক্ষায়'}:
+                        ${this.describeChanges(pending)}
+                        ${pending.reason ? `<p class="text-gray-600 mt-1">"${ApiClient.escapeHtml(pending.reason)}"</p>` : ''}
+                        ${role === 'farmer' && this.canAmend(order) ? `
+                            <div class="flex space-x-2 mt-2">
+                                <button type="button" onclick="OrderAmendments.respond(${order.id}, ${pending.id}, 'approve')"
+                                        class="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700">
+                                    <i class="fas fa-check mr-1"></i>অনুমোদন
+                                </button>
+                                <button type="button" onclick="OrderAmendments.respond(${order.id}, ${pending.id}, 'reject')"
+                                        class="px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700">
+                                    <i class="fas fa-times mr-1"></i>প্রত্যাখ্যান
+                                </button>
+                            </div>
+                        ` : ''}
+                    </div>
+                ` : ''}
+                <details class="mt-2 text-sm">
+                    <summary class="cursor-pointer text-gray-600">
+                        <i class="fas fa-history mr-1"></i>পরিবর্তনের ইতিহাস (${amendments.length})
+                    </summary>
+                    <ol class="mt-2 space-y-2 border-l-2 border-gray-200 pl-3">
+                        ${amendments.slice().reverse().map(amendment => this.renderEntry(amendment)).join('')}
+                    </ol>
+                </details>
+            </div>
+        `;
+    },
+
+    renderEntry(amendment) {
+        const status = this.statuses[amendment.status] || { label: amendment.status, badge: 'bg-gray-100 text-gray-600' };
+        const name = `${amendment.requester_first_name || ''} ${amendment.requester_last_name || ''}`.trim();
+        const totalChanged = amendment.total_after !== null && amendment.total_after !== undefined
+            && parseFloat(amendment.total_after) !== parseFloat(amendment.total_before);
+
+        return `
+            <li>
+                <div class="flex justify-between items-start">
+                    <span class="font-medium">
+                        ${this.types[amendment.type] || amendment.type}${name ? ` · ${ApiClient.escapeHtml(name)}` : ''}
+                    </span>
+                    <span class="px-2 py-0.5 text-xs rounded ${status.badge}">${status.label}</span>
+                </div>
+                <p class="text-gray-700">${this.describeChanges(amendment)}</p>
+                ${totalChanged ? `<p class="text-gray-700">মোট: <span class="line-through text-gray-400">৳${amendment.total_before}</span> → ৳${amendment.total_after}</p>` : ''}
+                ${amendment.reason ? `<p class="text-gray-600">"${ApiClient.escapeHtml(amendment.reason)}"</p>` : ''}
+                ${amendment.response_note ? `<p class="text-gray-600">কৃষকের মন্তব্য: "${ApiClient.escapeHtml(amendment.response_note)}"</p>` : ''}
+                <p class="text-xs text-gray-500">${new Date(amendment.created_at).toLocaleString('bn-BD')}</p>
+            </li>
+        `;
+    },
+
+    describeChanges(amendment) {
+        const changes = amendment.changes || {};
+        const parts = (changes.items || []).map(item =>
+            `${ApiClient.escapeHtml(item.product_name || 'পণ্য')}: ${item.from} → ${item.quantity} ${ApiClient.escapeHtml(item.unit || '')}`.trim()
+        );
+        if (changes.delivery_date) {
+            parts.push(`ডেলিভারি ${new Date(String(changes.delivery_date).slice(0, 10) + 'T00:00:00').toLocaleDateString('bn-BD')}`);
+        }
+        return parts.join(' · ');
+    },
+
+    // Card buttons for OrderManagement.getOrderActions
+    actionsHtml(order) {
+        if (!this.canAmend(order) || this.pending(order)) return '';
+
+        if (this.myRole(order) === 'farmer') {
+            return `
+                <button onclick="OrderAmendments.openForm(${order.id}, 'partial_fulfilment')"
+                        class="flex-1 bg-orange-500 text-white px-4 py-2 rounded hover:bg-orange-600">
+                    আংশিক পূরণ
+                </button>
+            `;
+        }
+
+        return `
+            <button onclick="OrderAmendments.openForm(${order.id}, 'amendment')"
+                    class="flex-1 bg-yellow-500 text-white px-4 py-2 rounded hover:bg-yellow-600">
+                পরিবর্তনের অনুরোধ
+            </button>
+        `;
+    },
+
+    openForm(orderId, type) {
+        const order = this.orders.get(String(orderId));
+        if (!order) return;
+
+        const partial = type === 'partial_fulfilment';
+        const lines = this.lines(order);
+        const minDate = new Date().toISOString().split('T')[0];
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-10 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-bold text-gray-900">অর্ডার #${order.id} - ${this.types[type]}</h3>
+                    <button type="button" onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+                        <i class="fas fa-times text-xl"></i>
+                    </button>
+                </div>
+                <form class="space-y-4" data-form="amendment">
+                    <p class="text-sm text-gray-600">
+                        ${partial
+                            ? 'যতটুকু সরবরাহ করতে পারবেন সেই পরিমাণ লিখুন। বাকিটা স্টকে ফিরে যাবে এবং মোট দাম, পেমেন্ট ও ইনভয়েস নতুন করে হিসাব হবে'
+                            : 'পরিমাণ বা ডেলিভারির তারিখ বদলান। কৃষক অনুমোদন করলে মোট দাম, পেমেন্ট ও ইনভয়েস নতুন করে হিসাব হবে'}
+                    </p>
+                    <div class="space-y-2">
+                        ${lines.map((line, index) => `
+                            <div class="flex items-center justify-between gap-3">
+                                <label class="text-sm flex-1">
+                                    ${ApiClient.escapeHtml(line.product_name || 'পণ্য')}
+                                    <span class="text-xs text-gray-500">(এখন ${line.quantity} ${ApiClient.escapeHtml(line.unit || '')}, ৳${line.unit_price}/${ApiClient.escapeHtml(line.unit || 'একক')})</span>
+                                </label>
+                                <input type="number" name="quantity_${index}" min="0" ${partial ? `max="${line.quantity}"` : ''} step="any"
+                                       value="${line.quantity}" data-line="${index}"
+                                       class="w-28 border border-gray-300 rounded px-3 py-2 text-sm">
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${partial ? '' : `
+                        <div>
+                            <label class="block text-xs text-gray-600 mb-1">ডেলিভারির তারিখ</label>
+                            <input type="date" name="delivery_date" min="${minDate}"
+                                   value="${order.delivery_date ? String(order.delivery_date).slice(0, 10) : ''}"
+                                   class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                        </div>
+                    `}
+                    <input type="text" name="reason" maxlength="500"
+                           placeholder="${partial ? 'কারণ (যেমন: ফলন কম হয়েছে)' : 'কারণ (ঐচ্ছিক)'}"
+                           class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                    <p class="text-sm">নতুন মোট: <span class="font-semibold text-green-600" data-role="new-total">৳${order.total_amount}</span></p>
+                    <div class="flex justify-end space-x-2">
+                        <button type="button" onclick="this.closest('.fixed').remove()"
+                                class="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 text-sm">বাতিল</button>
+                        <button type="submit" class="px-4 py-2 bg-emerald-600 text-white rounded hover:bg-emerald-700 text-sm">
+                            ${partial ? 'আংশিক পূরণ নিশ্চিত করুন' : 'অনুরোধ পাঠান'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('[data-form="amendment"]');
+        const totalEl = form.querySelector('[data-role="new-total"]');
+        form.addEventListener('input', () => {
+            const total = lines.reduce((sum, line, index) =>
+                sum + (parseFloat(form.elements[`quantity_${index}`].value) || 0) * line.unit_price, 0);
+            totalEl.textContent = `৳${total.toFixed(2)}`;
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit(modal, order, type, lines, form);
+        });
+    },
+
+    async submit(modal, order, type, lines, form) {
+        const partial = type === 'partial_fulfilment';
+        const quantities = lines.map((line, index) => parseFloat(form.elements[`quantity_${index}`].value));
+
+        if (quantities.some(quantity => isNaN(quantity) || quantity < 0)) {
+            this.showNotification('পরিমাণ শূন্য বা তার বেশি হতে হবে', 'error');
+            return;
+        }
+        if (quantities.every(quantity => quantity === 0)) {
+            this.showNotification('কিছুই সরবরাহ না হলে অর্ডারটি বাতিল করুন', 'error');
+            return;
+        }
+        if (partial && quantities.some((quantity, index) => quantity > lines[index].quantity)) {
+            this.showNotification('আংশিক পূরণে পরিমাণ শুধু কমানো যায়', 'error');
+            return;
+        }
+
+        const body = { reason: form.elements.reason.value.trim() || null };
+        if (lines[0].item_id === null) {
+            body.quantity = quantities[0];
+        } else {
+            body.items = lines.map((line, index) => ({ item_id: line.item_id, quantity: quantities[index] }));
+        }
+        if (!partial && form.elements.delivery_date.value) {
+            body.delivery_date = form.elements.delivery_date.value;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const result = await OfflineSync.send(`/orders/${order.id}/${partial ? 'partial-fulfilment' : 'amendments'}`, body, {
+                label: `অর্ডার #${order.id} ${this.types[type]}`,
+                cardSelector: `[data-order-id="${order.id}"]`
+            });
+
+            modal.remove();
+
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। পরিবর্তনটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
+            }
+
+            this.showNotification(partial ? 'অর্ডার আংশিক পূরণ হিসেবে হালনাগাদ হয়েছে' : 'পরিবর্তনের অনুরোধ পাঠানো হয়েছে', 'success');
+            OrderManagement.loadOrders();
+
+        } catch (error) {
+            console.error('Order amendment error:', error);
+            this.showNotification(ApiClient.errorMessage(error, 'অর্ডার পরিবর্তন করতে সমস্যা হয়েছে'), 'error');
+            submitBtn.disabled = false;
+            // Someone else changed the order first; show where it stands
+            if (error.status === 409) {
+                modal.remove();
+                OrderManagement.loadOrders();
+            }
+        }
+    },
+
+    // Farmer answers the buyer's pending request
+    async respond(orderId, amendmentId, action) {
+        let note = null;
+        if (action === 'approve') {
+            if (!confirm('অনুরোধ অনুযায়ী অর্ডার, পেমেন্ট ও ইনভয়েস বদলে যাবে। অনুমোদন করবেন?')) return;
+        } else {
+            note = prompt('প্রত্যাখ্যানের কারণ (ঐচ্ছিক):');
+            if (note === null) return;
+        }
+
+        try {
+            const result = await OfflineSync.send(`/orders/${orderId}/amendments/${amendmentId}/${action}`, { note: note ? note.trim() : null }, {
+                label: `অর্ডার #${orderId} পরিবর্তনের অনুরোধ ${action === 'approve' ? 'অনুমোদন' : 'প্রত্যাখ্যান'}`,
+                cardSelector: `[data-order-id="${orderId}"]`
+            });
+
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। উত্তরটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
+            }
+
+            this.showNotification(action === 'approve' ? 'পরিবর্তন অনুমোদিত, অর্ডার হালনাগাদ হয়েছে' : 'পরিবর্তনের অনুরোধ প্রত্যাখ্যান করা হয়েছে', 'success');
+            OrderManagement.loadOrders();
+
+        } catch (error) {
+            console.error('Respond to amendment error:', error);
+            this.showNotification(ApiClient.errorMessage(error, 'উত্তর পাঠাতে সমস্যা হয়েছে'), 'error');
+            if (error.status === 409) {
+                OrderManagement.loadOrders();
+            }
+        }
+    },
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 ${
+            type === 'success' ? 'bg-green-500 text-white' :
+            type === 'error' ? 'bg-red-500 text-white' :
+            'bg-blue-500 text-white'
+        }`;
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <span>${message}</span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderAmendments;
+}
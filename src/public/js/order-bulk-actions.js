@@ -0,0 +1,323 @@
+/**
+ * Order Bulk Actions Module
+ * Selection checkboxes on the order cards and a toolbar to accept, reject,
+ * request one transport for, or export the selected orders. Each order goes
+ * through the same endpoint as its card button, one at a time, and the run
+ * ends with a per-order result summary
+ */
+
+const OrderBulkActions = {
+    // Orders on the page by id and the ids ticked among them
+    orders: new Map(),
+    selected: new Set(),
+    running: false,
+
+    actions: {
+        'accept': { label: 'গ্রহণ', title: 'একসাথে গ্রহণ', status: 'pending' },
+        'reject': { label: 'প্রত্যাখ্যান', title: 'একসাথে প্রত্যাখ্যান', status: 'pending' },
+        'transport': { label: 'পরিবহন অনুরোধ', title: 'নির্বাচিত অর্ডারের পরিবহন অনুরোধ', status: 'confirmed' },
+        'export': { label: 'এক্সপোর্ট', title: 'নির্বাচিত অর্ডার এক্সপোর্ট' }
+    },
+
+    outcomes: {
+        'done': { label: 'সম্পন্ন', badge: 'bg-green-100 text-green-800' },
+        'queued': { label: 'সংযোগের অপেক্ষায়', badge: 'bg-blue-100 text-blue-800' },
+        'failed': { label: 'ব্যর্থ', badge: 'bg-red-100 text-red-800' },
+        'skipped': { label: 'বাদ', badge: 'bg-gray-100 text-gray-700' }
+    },
+
+    isFarmer() {
+        const user = ApiClient.getUser();
+        return !!user && user.role === 'farmer';
+    },
+
+    // Checkbox for the header of an order card
+    checkboxHtml(order) {
+        return `
+            <input type="checkbox" class="order-select h-4 w-4 mt-1.5 mr-3" data-select-order="${order.id}"
+                   ${this.selected.has(Number(order.id)) ? 'checked' : ''}
+                   onchange="OrderBulkActions.toggle(${order.id}, this.checked)"
+                   aria-label="অর্ডার #${order.id} নির্বাচন">
+        `;
+    },
+
+    // Toolbar above the cards; called by OrderManagement.displayOrders after each render
+    render(orders) {
+        this.orders = new Map((orders || []).map(order => [Number(order.id), order]));
+        this.selected = new Set([...this.selected].filter(id => this.orders.has(id)));
+
+        const container = document.getElementById('ordersContainer');
+        if (!container || this.orders.size === 0) return;
+
+        const toolbar = document.createElement('div');
+        toolbar.id = 'orderBulkToolbar';
+        toolbar.className = 'bg-white rounded-lg shadow px-4 py-3 flex flex-wrap items-center gap-3';
+        toolbar.innerHTML = `
+            <label class="flex items-center text-sm text-gray-700 cursor-pointer">
+                <input type="checkbox" id="orderSelectAll" class="h-4 w-4 mr-2" onchange="OrderBulkActions.toggleAll(this.checked)">
+                সব নির্বাচন
+            </label>
+            <span id="orderBulkCount" class="text-sm text-gray-500"></span>
+            <div class="flex flex-wrap gap-2 ml-auto">
+                ${this.isFarmer() ? `
+                    <button type="button" data-bulk-action="accept" onclick="OrderBulkActions.respond('accept')"
+                            class="bg-green-600 text-white px-3 py-1.5 rounded text-sm hover:bg-green-700 disabled:opacity-50">
+                        <i class="fas fa-check mr-1"></i>গ্রহণ
+                    </button>
+                    <button type="button" data-bulk-action="reject" onclick="OrderBulkActions.respond('reject')"
+                            class="bg-red-600 text-white px-3 py-1.5 rounded text-sm hover:bg-red-700 disabled:opacity-50">
+                        <i class="fas fa-times mr-1"></i>প্রত্যাখ্যান
+                    </button>
+                    ${typeof TransportManagement !== 'undefined' ? `
+                        <button type="button" data-bulk-action="transport" onclick="OrderBulkActions.requestTransport()"
+                                class="bg-blue-600 text-white px-3 py-1.5 rounded text-sm hover:bg-blue-700 disabled:opacity-50">
+                            <i class="fas fa-truck mr-1"></i>পরিবহন অনুরোধ
+                        </button>
+                    ` : ''}
+                ` : ''}
+                <button type="button" data-bulk-action="export" onclick="OrderBulkActions.exportSelected()"
+                        class="bg-gray-600 text-white px-3 py-1.5 rounded text-sm hover:bg-gray-700 disabled:opacity-50">
+                    <i class="fas fa-file-csv mr-1"></i>এক্সপোর্ট
+                </button>
+            </div>
+        `;
+
+        container.prepend(toolbar);
+        this.updateToolbar();
+    },
+
+    toggle(orderId, checked) {
+        if (checked) {
+            this.selected.add(Number(orderId));
+        } else {
+            this.selected.delete(Number(orderId));
+        }
+        this.updateToolbar();
+    },
+
+    toggleAll(checked) {
+        this.selected = checked ? new Set(this.orders.keys()) : new Set();
+        document.querySelectorAll('#ordersContainer [data-select-order]').forEach(input => {
+            input.checked = checked;
+        });
+        this.updateToolbar();
+    },
+
+    // Selection count, select-all state and which buttons have orders to act on
+    updateToolbar(progress = null) {
+        const count = document.getElementById('orderBulkCount');
+        if (!count) return;
+
+        const selected = this.selectedOrders();
+        count.textContent = progress || (selected.length > 0 ? `${selected.length} টি নির্বাচিত` : 'কোনো অর্ডার নির্বাচিত নয়');
+
+        const selectAll = document.getElementById('orderSelectAll');
+        selectAll.checked = selected.length > 0 && selected.length === this.orders.size;
+        selectAll.indeterminate = selected.length > 0 && selected.length < this.orders.size;
+
+        document.querySelectorAll('#orderBulkToolbar [data-bulk-action]').forEach(button => {
+            const status = this.actions[button.dataset.bulkAction].status;
+            button.disabled = this.running || !selected.some(order => !status || order.order_status === status);
+        });
+    },
+
+    selectedOrders() {
+        return [...this.selected].map(id => this.orders.get(id)).filter(Boolean);
+    },
+
+    // Accept or reject every selected pending order with a single confirmation
+    async respond(action) {
+        const { label, title, status } = this.actions[action];
+        const orders = this.selectedOrders();
+        const eligible = orders.filter(order => order.order_status === status);
+        if (this.running || eligible.length === 0) return;
+
+        if (!confirm(`নির্বাচিত ${eligible.length} টি অপেক্ষমাণ অর্ডার ${label} করতে চান?`)) {
+            return;
+        }
+
+        this.running = true;
+        const results = [];
+
+        for (const order of orders) {
+            if (order.order_status !== status) {
+                results.push(this.result(order, 'skipped', `স্ট্যাটাস: ${OrderManagement.translateOrderStatus(order.order_status)}`));
+                continue;
+            }
+
+            this.updateToolbar(`প্রক্রিয়াকরণ ${results.filter(row => row.outcome !== 'skipped').length + 1}/${eligible.length}...`);
+
+            try {
+                const response = await OfflineSync.send(`/orders/${order.id}/respond`, { action }, {
+                    label: `অর্ডার #${order.id} ${label}`,
+                    cardSelector: `[data-order-id="${order.id}"]`
+                });
+
+                results.push(response.queued
+                    ? this.result(order, 'queued', 'সংযোগ ফিরলে পাঠানো হবে')
+                    : this.result(order, 'done', `অর্ডার ${label} করা হয়েছে`));
+            } catch (error) {
+                console.error('Bulk respond error:', error);
+                results.push(this.result(order, 'failed', ApiClient.errorMessage(error, 'সমস্যা হয়েছে')));
+            }
+        }
+
+        this.finish(title, results);
+    },
+
+    // One trip for the selected confirmed orders through the transport request form
+    requestTransport() {
+        const orders = this.selectedOrders();
+        const eligible = orders.filter(order => order.order_status === this.actions.transport.status);
+        if (this.running || eligible.length === 0) return;
+
+        TransportManagement.showTransportRequestModal({
+            orderIds: eligible.map(order => Number(order.id)),
+            onRequested: (response, orderIds) => {
+                const sent = orderIds.map(Number);
+                const transport = response.transport;
+
+                this.finish(this.actions.transport.title, orders.map(order => {
+                    if (order.order_status !== this.actions.transport.status) {
+                        return this.result(order, 'skipped', `স্ট্যাটাস: ${OrderManagement.translateOrderStatus(order.order_status)}`);
+                    }
+                    if (!sent.includes(Number(order.id))) {
+                        return this.result(order, 'skipped', 'অনুরোধ ফর্মে বাদ দেওয়া হয়েছে');
+                    }
+                    if (response.queued) {
+                        return this.result(order, 'queued', 'সংযোগ ফিরলে পাঠানো হবে');
+                    }
+                    return this.result(order, 'done', transport && transport.tracking_number
+                        ? `ট্রিপে যুক্ত (ট্র্যাকিং: ${transport.tracking_number})`
+                        : 'ট্রিপে যুক্ত');
+                }));
+            }
+        });
+    },
+
+    // Download the selected orders as a CSV file (UTF-8 with BOM so spreadsheets read Bangla)
+    exportSelected() {
+        const orders = this.selectedOrders();
+        if (orders.length === 0) return;
+
+        const header = ['অর্ডার', 'তারিখ', 'পণ্য', 'পরিমাণ', 'মোট (৳)', 'স্ট্যাটাস', 'পেমেন্ট পদ্ধতি', 'পেমেন্ট স্ট্যাটাস', 'ক্রেতা', 'ডেলিভারি ঠিকানা'];
+        const rows = orders.map(order => [
+            order.id,
+            (order.created_at || '').slice(0, 10),
+            OrderManagement.describeProducts(order),
+            order.items && order.items.length > 1 ? `${order.items.length}টি পণ্য` : `${order.quantity} ${order.unit || ''}`.trim(),
+            order.total_amount,
+            OrderManagement.translateOrderStatus(order.order_status),
+            OrderManagement.translatePaymentMethod(order.payment_method),
+            OrderManagement.translatePaymentStatus(order.payment_status),
+            [order.buyer_first_name, order.buyer_last_name].filter(Boolean).join(' '),
+            order.delivery_address || ''
+        ]);
+
+        const csv = [header, ...rows].map(row => row.map(value => this.csvCell(value)).join(',')).join('\r\n');
+        const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `orders-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.showSummary(this.actions.export.title, orders.map(order => this.result(order, 'done', 'ফাইলে যুক্ত হয়েছে')));
+    },
+
+    // Quote a CSV value; a leading formula character is neutralised so spreadsheets show it as text
+    csvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    },
+
+    result(order, outcome, detail) {
+        return { order, outcome, detail };
+    },
+
+    // Clear the selection, refresh the list when anything changed and show the summary
+    finish(title, results) {
+        this.running = false;
+        this.selected = new Set(results.filter(row => row.outcome === 'failed').map(row => Number(row.order.id)));
+
+        if (results.some(row => row.outcome === 'done')) {
+            OrderManagement.loadOrders();
+        } else {
+            this.updateToolbar();
+        }
+
+        this.showSummary(title, results);
+    },
+
+    showSummary(title, results) {
+        const counts = Object.keys(this.outcomes)
+            .map(outcome => ({ outcome, count: results.filter(row => row.outcome === outcome).length }))
+            .filter(entry => entry.count > 0);
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-10 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-xl font-bold text-gray-900">${title}: ফলাফল</h3>
+                    <button onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+                        <i class="fas fa-times text-xl"></i>
+                    </button>
+                </div>
+
+                <div class="flex flex-wrap gap-2 mb-4">
+                    ${counts.map(entry => `
+                        <span class="px-2 py-1 text-xs rounded ${this.outcomes[entry.outcome].badge}">
+                            ${this.outcomes[entry.outcome].label}: ${entry.count}
+                        </span>
+                    `).join('')}
+                </div>
+
+                <div class="max-h-96 overflow-y-auto border border-gray-200 rounded">
+                    <table class="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-3 py-2 text-left font-medium text-gray-600">অর্ডার</th>
+                                <th class="px-3 py-2 text-left font-medium text-gray-600">পণ্য</th>
+                                <th class="px-3 py-2 text-left font-medium text-gray-600">ফলাফল</th>
+                                <th class="px-3 py-2 text-left font-medium text-gray-600">বিবরণ</th>
+                            </tr>
+                        </thead>
+                        <tbody class="divide-y divide-gray-200">
+                            ${results.map(row => `
+                                <tr data-result-order="${row.order.id}">
+                                    <td class="px-3 py-2 font-medium text-gray-900">#${row.order.id}</td>
+                                    <td class="px-3 py-2 text-gray-700">${ApiClient.escapeHtml(OrderManagement.describeProducts(row.order) || '')}</td>
+                                    <td class="px-3 py-2">
+                                        <span class="px-2 py-1 text-xs rounded ${this.outcomes[row.outcome].badge}">${this.outcomes[row.outcome].label}</span>
+                                    </td>
+                                    <td class="px-3 py-2 text-gray-600">${ApiClient.escapeHtml(row.detail)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="flex justify-end mt-4">
+                    <button onclick="this.closest('.fixed').remove()" class="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700">
+                        বন্ধ করুন
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderBulkActions;
+}
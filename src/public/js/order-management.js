@@ -4,11 +4,19 @@
  */
 
 const OrderManagement = {
-    // API base URL
-    apiBase: '/api',
+    // Payment methods offered at checkout
+    paymentMethods: [
+        { code: 'bkash', name: 'bKash', type: 'mobile_banking' },
+        { code: 'nagad', name: 'Nagad', type: 'mobile_banking' },
+        { code: 'rocket', name: 'Rocket', type: 'mobile_banking' },
+        { code: 'card', name: 'Card Payment', type: 'credit_card' },
+        { code: 'bank_transfer', name: 'Bank Transfer', type: 'bank_transfer' },
+        { code: 'cod', name: 'Cash on Delivery', type: 'cash_on_delivery' }
+    ],
     
     // Initialize order management
     init() {
+        window.addEventListener('outbox-synced', () => this.loadOrders());
         this.initOrderPlacement();
         this.initOrderListing();
         this.initPaymentMethods();
@@ -54,17 +62,7 @@ const OrderManagement = {
     // Initialize payment methods
     async initPaymentMethods() {
         try {
-            // In a real implementation, this would load available payment methods from API
-            const paymentMethods = [
-                { code: 'bkash', name: 'bKash', type: 'mobile_banking' },
-                { code: 'nagad', name: 'Nagad', type: 'mobile_banking' },
-                { code: 'rocket', name: 'Rocket', type: 'mobile_banking' },
-                { code: 'card', name: 'Card Payment', type: 'credit_card' },
-                { code: 'bank_transfer', name: 'Bank Transfer', type: 'bank_transfer' },
-                { code: 'cod', name: 'Cash on Delivery', type: 'cash_on_delivery' }
-            ];
-            
-            this.populatePaymentMethods(paymentMethods);
+            this.populatePaymentMethods(this.paymentMethods);
             
         } catch (error) {
             console.error('Error loading payment methods:', error);
@@ -137,32 +135,33 @@ const OrderManagement = {
                 notes: formData.get('notes')
             };
             
-            const response = await this.apiRequest('/orders', 'POST', orderData);
+            const result = await OfflineSync.send('/orders', orderData, {
+                label: 'নতুন অর্ডার',
+                containerId: 'ordersContainer'
+            });
             
-            if (response.ok) {
-                const result = await response.json();
-                
-                this.showSuccess('অর্ডার সফলভাবে প্লেস করা হয়েছে!');
-                
-                // Show order details
-                this.showOrderResult(result);
-                
-                // Reset form
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। অর্ডারটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
                 form.reset();
-                
-                // Reload orders if on the same page
-                if (document.getElementById('ordersContainer')) {
-                    this.loadOrders();
-                }
-                
-            } else {
-                const error = await response.json();
-                this.showError(error.error || 'অর্ডার প্লেস করতে সমস্যা হয়েছে');
+                return;
+            }
+            
+            this.showSuccess('অর্ডার সফলভাবে প্লেস করা হয়েছে!');
+            
+            // Show order details
+            this.showOrderResult(result);
+            
+            // Reset form
+            form.reset();
+            
+            // Reload orders if on the same page
+            if (document.getElementById('ordersContainer')) {
+                this.loadOrders();
             }
             
         } catch (error) {
             console.error('Place order error:', error);
-            this.showError('নেটওয়ার্ক সমস্যা হয়েছে');
+            this.showError(ApiClient.errorMessage(error, 'অর্ডার প্লেস করতে সমস্যা হয়েছে'));
         } finally {
             if (submitBtn) submitBtn.disabled = false;
             if (spinner) spinner.classList.add('hidden');
@@ -229,14 +228,8 @@ const OrderManagement = {
             const params = new URLSearchParams();
             if (status) params.append('status', status);
             
-            const response = await this.apiRequest(`/orders?${params}`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.displayOrders(data.orders);
-            } else {
-                throw new Error('Failed to load orders');
-            }
+            const data = await ApiClient.get(`/orders?${params}`);
+            this.displayOrders(data.orders);
             
         } catch (error) {
             console.error('Load orders error:', error);
@@ -251,6 +244,9 @@ const OrderManagement = {
         
         if (!orders || orders.length === 0) {
             container.innerHTML = '<p class="text-gray-500 text-center py-8">কোনো অর্ডার নেই</p>';
+            if (typeof OrderBulkActions !== 'undefined') {
+                OrderBulkActions.render([]);
+            }
             return;
         }
         
@@ -260,21 +256,32 @@ const OrderManagement = {
             const orderCard = this.createOrderCard(order);
             container.appendChild(orderCard);
         });
+        
+        // Selection toolbar for bulk accept, reject, transport and export
+        if (typeof OrderBulkActions !== 'undefined') {
+            OrderBulkActions.render(orders);
+        }
+        
+        OfflineSync.refreshPendingIndicators();
     },
     
     // Create order card
     createOrderCard(order) {
         const card = document.createElement('div');
         card.className = 'bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow';
+        card.setAttribute('data-order-id', order.id);
         
         const statusColor = this.getOrderStatusColor(order.order_status);
         const paymentStatusColor = this.getPaymentStatusColor(order.payment_status);
         
         card.innerHTML = `
             <div class="flex justify-between items-start mb-4">
-                <div>
-                    <h3 class="text-lg font-semibold text-gray-900">অর্ডার #${order.id}</h3>
-                    <p class="text-sm text-gray-600">${order.product_name}</p>
+                <div class="flex items-start">
+                    ${typeof OrderBulkActions !== 'undefined' ? OrderBulkActions.checkboxHtml(order) : ''}
+                    <div>
+                        <h3 class="text-lg font-semibold text-gray-900">অর্ডার #${order.id}</h3>
+                        <p class="text-sm text-gray-600">${ApiClient.escapeHtml(this.describeProducts(order))}</p>
+                    </div>
                 </div>
                 <div class="text-right">
                     <span class="px-2 py-1 text-xs rounded ${statusColor}">${this.translateOrderStatus(order.order_status)}</span>
@@ -285,7 +292,7 @@ const OrderManagement = {
             <div class="grid grid-cols-2 gap-4 mb-4">
                 <div>
                     <p class="text-sm text-gray-600">পরিমাণ</p>
-                    <p class="font-semibold">${order.quantity} ${order.unit}</p>
+                    <p class="font-semibold">${order.items && order.items.length > 1 ? `${order.items.length}টি পণ্য` : `${order.quantity} ${order.unit}`}</p>
                 </div>
                 <div>
                     <p class="text-sm text-gray-600">মোট পরিমাণ</p>
@@ -301,6 +308,12 @@ const OrderManagement = {
                 </div>
             </div>
             
+            ${SpoilageMeter.render(order.spoilage)}
+            
+            ${typeof OrderNegotiation !== 'undefined' ? OrderNegotiation.cardHtml(order) : ''}
+            
+            ${typeof OrderAmendments !== 'undefined' ? OrderAmendments.cardHtml(order) : ''}
+            
             ${order.delivery_address ? `
                 <div class="mb-4">
                     <p class="text-sm text-gray-600">ডেলিভারি ঠিকানা</p>
@@ -321,6 +334,15 @@ const OrderManagement = {
         return card;
     },
     
+    // Product name, or every product of an order placed from the cart (plain text; escape before innerHTML)
+    describeProducts(order) {
+        if (!order.items || order.items.length <= 1) {
+            return order.product_name;
+        }
+        
+        return order.items.map(item => `${item.product_name} (${item.quantity} ${item.unit})`).join(', ');
+    },
+    
     // Get order actions based on role and status
     getOrderActions(order) {
         const user = this.getCurrentUser();
@@ -348,6 +370,23 @@ const OrderManagement = {
             `;
         }
         
+        if (typeof OrderNegotiation !== 'undefined' && OrderNegotiation.canNegotiate(order)) {
+            actions += `
+                <button onclick="OrderManagement.viewOrderDetails(${order.id})" 
+                        class="flex-1 bg-yellow-500 text-white px-4 py-2 rounded hover:bg-yellow-600">
+                    দর-কষাকষি
+                </button>
+            `;
+        }
+        
+        if (typeof OrderAmendments !== 'undefined') {
+            actions += OrderAmendments.actionsHtml(order);
+        }
+        
+        if (typeof RecurringOrders !== 'undefined') {
+            actions += RecurringOrders.actionsHtml(order);
+        }
+        
         if (order.order_status === 'pending' || order.order_status === 'confirmed') {
             actions += `
                 <button onclick="OrderManagement.cancelOrder(${order.id})" 
@@ -363,14 +402,8 @@ const OrderManagement = {
     // View order details
     async viewOrderDetails(orderId) {
         try {
-            const response = await this.apiRequest(`/orders/${orderId}`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.showOrderDetailsModal(data.order);
-            } else {
-                throw new Error('Failed to load order details');
-            }
+            const data = await ApiClient.get(`/orders/${orderId}`);
+            this.showOrderDetailsModal(data.order);
             
         } catch (error) {
             console.error('View order details error:', error);
@@ -396,9 +429,13 @@ const OrderManagement = {
                     <div>
                         <h4 class="font-semibold mb-3">অর্ডার তথ্য</h4>
                         <div class="space-y-2 text-sm">
-                            <div><span class="font-medium">পণ্য:</span> ${order.product_name}</div>
-                            <div><span class="font-medium">পরিমাণ:</span> ${order.quantity} ${order.unit}</div>
-                            <div><span class="font-medium">একক দাম:</span> ৳${order.unit_price}</div>
+                            <div><span class="font-medium">পণ্য:</span> ${ApiClient.escapeHtml(this.describeProducts(order))}</div>
+                            ${order.items && order.items.length > 1 ? `
+                                <div><span class="font-medium">পরিমাণ:</span> ${order.items.length}টি পণ্য</div>
+                            ` : `
+                                <div><span class="font-medium">পরিমাণ:</span> ${order.quantity} ${order.unit}</div>
+                                <div><span class="font-medium">একক দাম:</span> ৳${order.unit_price}</div>
+                            `}
                             <div><span class="font-medium">মোট:</span> ৳${order.total_amount}</div>
                             <div><span class="font-medium">অর্ডার স্ট্যাটাস:</span> ${this.translateOrderStatus(order.order_status)}</div>
                             <div><span class="font-medium">পেমেন্ট স্ট্যাটাস:</span> ${this.translatePaymentStatus(order.payment_status)}</div>
@@ -417,6 +454,8 @@ const OrderManagement = {
                     </div>
                 </div>
                 
+                ${typeof OrderNegotiation !== 'undefined' ? OrderNegotiation.sectionHtml(order) : ''}
+                
                 <!-- Timeline -->
                 ${order.timeline && order.timeline.length > 0 ? `
                     <div class="mt-6">
@@ -461,6 +500,10 @@ const OrderManagement = {
         `;
         
         document.body.appendChild(modal);
+        
+        if (typeof OrderNegotiation !== 'undefined') {
+            OrderNegotiation.bind(modal, order);
+        }
     },
     
     // Respond to order (farmer accept/reject)
@@ -470,19 +513,22 @@ const OrderManagement = {
         }
         
         try {
-            const response = await this.apiRequest(`/orders/${orderId}/respond`, 'POST', { action });
+            const result = await OfflineSync.send(`/orders/${orderId}/respond`, { action }, {
+                label: `অর্ডার #${orderId} ${action === 'accept' ? 'গ্রহণ' : 'প্রত্যাখ্যান'}`,
+                cardSelector: `[data-order-id="${orderId}"]`
+            });
             
-            if (response.ok) {
-                this.showSuccess(`অর্ডার ${action === 'accept' ? 'গ্রহণ' : 'প্রত্যাখ্যান'} করা হয়েছে`);
-                this.loadOrders(); // Refresh orders
-            } else {
-                const error = await response.json();
-                this.showError(error.error || 'সমস্যা হয়েছে');
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। উত্তরটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
             }
             
+            this.showSuccess(`অর্ডার ${action === 'accept' ? 'গ্রহণ' : 'প্রত্যাখ্যান'} করা হয়েছে`);
+            this.loadOrders(); // Refresh orders
+            
         } catch (error) {
             console.error('Respond to order error:', error);
-            this.showError('নেটওয়ার্ক সমস্যা হয়েছে');
+            this.showError(ApiClient.errorMessage(error, 'সমস্যা হয়েছে'));
         }
     },
     
@@ -490,26 +536,19 @@ const OrderManagement = {
     async processPayment(orderId) {
         try {
             // In a real implementation, this would open payment gateway
-            const response = await this.apiRequest(`/orders/${orderId}/payment`, 'POST', {});
+            const result = await ApiClient.post(`/orders/${orderId}/payment`, {});
             
-            if (response.ok) {
-                const result = await response.json();
-                
-                if (result.payment && result.payment.payment_url) {
-                    window.open(result.payment.payment_url, '_blank');
-                } else {
-                    this.showSuccess('পেমেন্ট প্রক্রিয়া শুরু হয়েছে');
-                }
-                
-                this.loadOrders(); // Refresh orders
+            if (result.payment && result.payment.payment_url) {
+                window.open(result.payment.payment_url, '_blank');
             } else {
-                const error = await response.json();
-                this.showError(error.error || 'পেমেন্ট সমস্যা হয়েছে');
+                this.showSuccess('পেমেন্ট প্রক্রিয়া শুরু হয়েছে');
             }
             
+            this.loadOrders(); // Refresh orders
+            
         } catch (error) {
             console.error('Process payment error:', error);
-            this.showError('নেটওয়ার্ক সমস্যা হয়েছে');
+            this.showError(ApiClient.errorMessage(error, 'পেমেন্ট সমস্যা হয়েছে'));
         }
     },
     
@@ -519,19 +558,14 @@ const OrderManagement = {
         if (!reason) return;
         
         try {
-            const response = await this.apiRequest(`/orders/${orderId}`, 'DELETE', { reason });
+            await ApiClient.delete(`/orders/${orderId}`, { reason });
             
-            if (response.ok) {
-                this.showSuccess('অর্ডার বাতিল করা হয়েছে');
-                this.loadOrders(); // Refresh orders
-            } else {
-                const error = await response.json();
-                this.showError(error.error || 'অর্ডার বাতিল করতে সমস্যা হয়েছে');
-            }
+            this.showSuccess('অর্ডার বাতিল করা হয়েছে');
+            this.loadOrders(); // Refresh orders
             
         } catch (error) {
             console.error('Cancel order error:', error);
-            this.showError('নেটওয়ার্ক সমস্যা হয়েছে');
+            this.showError(ApiClient.errorMessage(error, 'অর্ডার বাতিল করতে সমস্যা হয়েছে'));
         }
     },
     
@@ -570,7 +604,14 @@ const OrderManagement = {
             'cancelled': 'বাতিল',
             'created': 'তৈরি',
             'payment_completed': 'পেমেন্ট সম্পন্ন',
-            'auto_cancelled': 'স্বয়ংক্রিয় বাতিল'
+            'auto_cancelled': 'স্বয়ংক্রিয় বাতিল',
+            'counter_offer': 'পাল্টা প্রস্তাব',
+            'partially_fulfilled': 'আংশিক পূরণ',
+            'amendment_requested': 'পরিবর্তনের অনুরোধ',
+            'amended': 'অর্ডার পরিবর্তিত',
+            'amendment_rejected': 'পরিবর্তন প্রত্যাখ্যাত',
+            'refunded': 'টাকা ফেরত',
+            'subscription_created': 'নিয়মিত অর্ডার চালু'
         };
         return translations[status] || status;
     },
@@ -599,30 +640,7 @@ const OrderManagement = {
     },
     
     getCurrentUser() {
-        const userStr = localStorage.getItem('user');
-        return userStr ? JSON.parse(userStr) : null;
-    },
-    
-    async apiRequest(endpoint, method = 'GET', data = null) {
-        const token = localStorage.getItem('authToken');
-        const headers = {
-            'Content-Type': 'application/json'
-        };
-        
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        const config = {
-            method,
-            headers
-        };
-        
-        if (data && method !== 'GET') {
-            config.body = JSON.stringify(data);
-        }
-        
-        return fetch(this.apiBase + endpoint, config);
+        return ApiClient.getUser();
     },
     
     showSuccess(message) {
@@ -0,0 +1,267 @@
+/**
+ * Order Negotiation Module
+ * Counter-offer thread on a pending order in the order details modal: either
+ * side proposes a unit price, quantity or delivery date, and the other side
+ * accepting the open offer confirms the order (OrderController offers API)
+ */
+
+const OrderNegotiation = {
+    roles: {
+        'buyer': 'ক্রেতা',
+        'farmer': 'কৃষক'
+    },
+
+    statuses: {
+        'open': { label: 'বিবেচনাধীন', badge: 'bg-yellow-100 text-yellow-800' },
+        'accepted': { label: 'গৃহীত', badge: 'bg-green-100 text-green-800' },
+        'superseded': { label: 'নতুন প্রস্তাবে বদলেছে', badge: 'bg-gray-100 text-gray-600' },
+        'closed': { label: 'বন্ধ', badge: 'bg-gray-100 text-gray-600' }
+    },
+
+    // Which side of the order the signed-in user is on
+    myRole(order) {
+        const user = ApiClient.getUser();
+        if (!user) return null;
+        if (user.role === 'buyer' && order.buyer_id == user.id) return 'buyer';
+        if (user.role === 'farmer' && order.farmer_id == user.id) return 'farmer';
+        return null;
+    },
+
+    canNegotiate(order) {
+        return order.order_status === 'pending' && !!this.myRole(order);
+    },
+
+    // Cart orders span several products, so only their delivery date is negotiable
+    dateOnly(order) {
+        return Array.isArray(order.items) && order.items.length > 1;
+    },
+
+    // Line on the order card while an offer waits for an answer
+    cardHtml(order) {
+        const offer = order.open_offer;
+        if (!offer) return '';
+
+        const fromMe = offer.proposer_role === this.myRole(order);
+
+        return `
+            <div class="mb-4 p-3 rounded border ${fromMe ? 'border-gray-200 bg-gray-50' : 'border-yellow-300 bg-yellow-50'} text-sm">
+                <i class="fas fa-handshake mr-1 ${fromMe ? 'text-gray-500' : 'text-yellow-600'}"></i>
+                ${fromMe ? 'আপনার প্রস্তাব উত্তরের অপেক্ষায়' : `${offer.proposer_role === 'buyer' ? 'ক্রেতার' : 'কৃষকের'} নতুন প্রস্তাব`}:
+                ${this.describeTerms(offer, order.unit)}
+            </div>
+        `;
+    },
+
+    describeTerms(terms, unit) {
+        const parts = [`৳${terms.unit_price}/${unit || 'একক'}`, `${terms.quantity} ${unit || ''}`.trim()];
+        if (terms.delivery_date) {
+            parts.push(`ডেলিভারি ${new Date(String(terms.delivery_date).slice(0, 10) + 'T00:00:00').toLocaleDateString('bn-BD')}`);
+        }
+        return parts.join(' · ');
+    },
+
+    // Section for showOrderDetailsModal; bind() wires its buttons
+    sectionHtml(order) {
+        const offers = order.offers || [];
+        if (offers.length === 0 && !this.canNegotiate(order)) return '';
+
+        return `
+            <div class="mt-6" data-section="negotiation">
+                <h4 class="font-semibold mb-3"><i class="fas fa-handshake mr-1 text-emerald-600"></i>দর-কষাকষি</h4>
+                ${offers.length > 0 ? `
+                    <ol class="space-y-3 mb-4">${offers.map(offer => this.renderOffer(order, offer)).join('')}</ol>
+                ` : `
+                    <p class="text-sm text-gray-500 mb-4">এখনো কোনো পাল্টা প্রস্তাব নেই। অর্ডারের শর্ত বদলাতে চাইলে নিচে প্রস্তাব দিন</p>
+                `}
+                ${this.canNegotiate(order) ? this.renderForm(order) : ''}
+            </div>
+        `;
+    },
+
+    renderOffer(order, offer) {
+        const status = this.statuses[offer.status] || { label: offer.status, badge: 'bg-gray-100 text-gray-600' };
+        const mine = offer.proposer_role === this.myRole(order);
+        const canAccept = offer.status === 'open' && !mine && this.canNegotiate(order);
+        const name = `${offer.proposer_first_name || ''} ${offer.proposer_last_name || ''}`.trim();
+
+        return `
+            <li class="border rounded-lg p-3 ${mine ? 'ml-8 bg-emerald-50 border-emerald-100' : 'mr-8 bg-white'}">
+                <div class="flex justify-between items-start text-sm">
+                    <span class="font-medium">
+                        ${this.roles[offer.proposer_role] || offer.proposer_role}${name ? ` (${ApiClient.escapeHtml(name)})` : ''}
+                    </span>
+                    <span class="px-2 py-0.5 text-xs rounded ${status.badge}">${status.label}</span>
+                </div>
+                <p class="text-sm mt-1">${this.describeTerms(offer, order.unit)}</p>
+                ${offer.message ? `<p class="text-sm text-gray-600 mt-1">"${ApiClient.escapeHtml(offer.message)}"</p>` : ''}
+                <div class="flex justify-between items-center mt-2">
+                    <span class="text-xs text-gray-500">${new Date(offer.created_at).toLocaleString('bn-BD')}</span>
+                    ${canAccept ? `
+                        <button type="button" data-accept-offer="${offer.id}"
+                                class="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700">
+                            <i class="fas fa-check mr-1"></i>গ্রহণ করে অর্ডার নিশ্চিত করুন
+                        </button>
+                    ` : ''}
+                </div>
+            </li>
+        `;
+    },
+
+    // Counter-offer form, filled with the open offer's terms or the order's
+    renderForm(order) {
+        const open = (order.offers || []).find(offer => offer.status === 'open');
+        const current = open || order;
+        const dateOnly = this.dateOnly(order);
+        const minDate = new Date().toISOString().split('T')[0];
+
+        return `
+            <form class="border-t pt-4 space-y-3" data-form="counter-offer">
+                <p class="text-sm font-medium text-gray-700">পাল্টা প্রস্তাব দিন</p>
+                ${dateOnly ? '<p class="text-xs text-gray-500">একাধিক পণ্যের অর্ডারে শুধু ডেলিভারির তারিখ নিয়ে প্রস্তাব দেওয়া যায়</p>' : ''}
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <div>
+                        <label class="block text-xs text-gray-600 mb-1">একক দাম (৳/${order.unit || 'একক'})</label>
+                        <input type="number" name="unit_price" min="0.01" step="0.01" value="${current.unit_price}" ${dateOnly ? 'disabled' : ''}
+                               class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                    </div>
+                    <div>
+                        <label class="block text-xs text-gray-600 mb-1">পরিমাণ (${order.unit || ''})</label>
+                        <input type="number" name="quantity" min="0.01" step="any" value="${current.quantity}" ${dateOnly ? 'disabled' : ''}
+                               class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                    </div>
+                    <div>
+                        <label class="block text-xs text-gray-600 mb-1">ডেলিভারির তারিখ</label>
+                        <input type="date" name="delivery_date" min="${minDate}" value="${current.delivery_date ? String(current.delivery_date).slice(0, 10) : ''}"
+                               class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                    </div>
+                </div>
+                <input type="text" name="message" maxlength="500" placeholder="বার্তা (ঐচ্ছিক)"
+                       class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                <div class="text-right">
+                    <button type="submit" class="px-4 py-2 bg-emerald-600 text-white rounded hover:bg-emerald-700 text-sm">
+                        <i class="fas fa-paper-plane mr-1"></i>প্রস্তাব পাঠান
+                    </button>
+                </div>
+            </form>
+        `;
+    },
+
+    bind(modal, order) {
+        const form = modal.querySelector('[data-form="counter-offer"]');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.propose(modal, order, form);
+            });
+        }
+
+        modal.querySelectorAll('[data-accept-offer]').forEach(button => {
+            button.addEventListener('click', () => this.accept(modal, order, button.dataset.acceptOffer));
+        });
+    },
+
+    async propose(modal, order, form) {
+        const body = {
+            delivery_date: form.elements.delivery_date.value || null,
+            message: form.elements.message.value.trim() || null
+        };
+        if (!this.dateOnly(order)) {
+            body.unit_price = parseFloat(form.elements.unit_price.value);
+            body.quantity = parseFloat(form.elements.quantity.value);
+            if (!(body.unit_price > 0) || !(body.quantity > 0)) {
+                this.showNotification('দাম ও পরিমাণ শূন্যের বেশি হতে হবে', 'error');
+                return;
+            }
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const result = await OfflineSync.send(`/orders/${order.id}/offers`, body, {
+                label: `অর্ডার #${order.id} পাল্টা প্রস্তাব`,
+                cardSelector: `[data-order-id="${order.id}"]`
+            });
+
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। প্রস্তাবটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                modal.remove();
+                return;
+            }
+
+            this.showNotification('প্রস্তাব পাঠানো হয়েছে', 'success');
+            this.refresh(modal, order.id);
+
+        } catch (error) {
+            console.error('Counter-offer error:', error);
+            this.showNotification(ApiClient.errorMessage(error, 'প্রস্তাব পাঠাতে সমস্যা হয়েছে'), 'error');
+            submitBtn.disabled = false;
+        }
+    },
+
+    async accept(modal, order, offerId) {
+        if (!confirm('এই প্রস্তাবের শর্তে অর্ডারটি নিশ্চিত হবে। গ্রহণ করবেন?')) return;
+
+        try {
+            const result = await OfflineSync.send(`/orders/${order.id}/offers/${offerId}/accept`, {}, {
+                label: `অর্ডার #${order.id} প্রস্তাব গ্রহণ`,
+                cardSelector: `[data-order-id="${order.id}"]`
+            });
+
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। উত্তরটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                modal.remove();
+                return;
+            }
+
+            this.showNotification('প্রস্তাব গ্রহণ করা হয়েছে, অর্ডার নিশ্চিত', 'success');
+            this.refresh(modal, order.id);
+
+        } catch (error) {
+            console.error('Accept offer error:', error);
+            this.showNotification(ApiClient.errorMessage(error, 'প্রস্তাব গ্রহণ করতে সমস্যা হয়েছে'), 'error');
+            // The thread moved on (a newer offer or an answer); show where it stands
+            if (error.status === 409) {
+                this.refresh(modal, order.id);
+            }
+        }
+    },
+
+    // Reopen the details with the updated thread and refresh the order list
+    refresh(modal, orderId) {
+        modal.remove();
+        OrderManagement.viewOrderDetails(orderId);
+        OrderManagement.loadOrders();
+    },
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 ${
+            type === 'success' ? 'bg-green-500 text-white' :
+            type === 'error' ? 'bg-red-500 text-white' :
+            'bg-blue-500 text-white'
+        }`;
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <span>${message}</span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderNegotiation;
+}
@@ -0,0 +1,48 @@
+/**
+ * Photo Capture Module
+ * Turns camera or gallery photos into small JPEG data URLs that can be
+ * posted as JSON and kept in the offline outbox
+ */
+
+const PhotoCapture = {
+    // Longest side in pixels and JPEG quality of the uploaded copy
+    maxSize: 1280,
+    quality: 0.7,
+
+    // File input attributes that open the rear camera on phones
+    inputAttributes: 'type="file" accept="image/*" capture="environment"',
+
+    // Scale a photo down to maxSize and re-encode it as JPEG
+    compress(file, { maxSize = this.maxSize, quality = this.quality } = {}) {
+        return new Promise((resolve, reject) => {
+            if (!file || !file.type.startsWith('image/')) {
+                reject(new Error('Not an image'));
+                return;
+            }
+
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+
+            image.onload = () => {
+                const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                resolve(canvas.toDataURL('image/jpeg', quality));
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read image'));
+            };
+
+            image.src = url;
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhotoCapture;
+}
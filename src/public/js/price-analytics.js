@@ -4,14 +4,15 @@
  */
 
 const PriceAnalytics = {
-    // API base URL
-    apiBase: '/api',
-    
     // Current chart instances
     charts: {},
     
+    // Anomaly auto-refresh timer
+    anomalyTimer: null,
+    
     // Initialize price analytics
     init() {
+        window.addEventListener('session-ended', () => this.stopAnomalyMonitoring());
         this.initPriceCategory();
         this.initWhereToSellForm();
         this.initAnomalyMonitoring();
@@ -42,7 +43,7 @@ const PriceAnalytics = {
     // Initialize anomaly monitoring
     initAnomalyMonitoring() {
         // Auto-refresh anomaly alerts every 5 minutes
-        setInterval(() => {
+        this.anomalyTimer = setInterval(() => {
             this.checkForAnomalies();
         }, 5 * 60 * 1000);
         
@@ -50,6 +51,14 @@ const PriceAnalytics = {
         this.checkForAnomalies();
     },
     
+    // Stop the anomaly auto-refresh
+    stopAnomalyMonitoring() {
+        if (this.anomalyTimer) {
+            clearInterval(this.anomalyTimer);
+            this.anomalyTimer = null;
+        }
+    },
+    
     // Load initial data
     loadInitialData() {
         this.loadCurrentPrices();
@@ -60,10 +69,7 @@ const PriceAnalytics = {
     // Load current market prices
     async loadCurrentPrices() {
         try {
-            const response = await fetch(`${this.apiBase}/prices/current`);
-            if (!response.ok) throw new Error('Failed to fetch current prices');
-            
-            const data = await response.json();
+            const data = await ApiClient.get('/prices/current');
             this.displayCurrentPrices(data.current_prices);
             
         } catch (error) {
@@ -122,10 +128,7 @@ const PriceAnalytics = {
     async loadRegionalComparison() {
         try {
             const category = document.getElementById('priceCategory')?.value || 'rice';
-            const response = await fetch(`${this.apiBase}/prices/regional-comparison?category=${category}`);
-            if (!response.ok) throw new Error('Failed to fetch regional comparison');
-            
-            const data = await response.json();
+            const data = await ApiClient.get(`/prices/regional-comparison?category=${category}`);
             this.displayRegionalComparison(data.regional_comparison);
             
         } catch (error) {
@@ -204,10 +207,7 @@ const PriceAnalytics = {
             const category = document.getElementById('priceCategory')?.value || 'rice';
             const location = 'Dhaka'; // Default location
             
-            const response = await fetch(`${this.apiBase}/prices/forecast?category=${category}&location=${location}&days=7`);
-            if (!response.ok) throw new Error('Failed to fetch forecast');
-            
-            const data = await response.json();
+            const data = await ApiClient.get(`/prices/forecast?category=${category}&location=${location}&days=7`);
             this.displayForecastChart(data.forecast);
             
         } catch (error) {
@@ -324,10 +324,7 @@ const PriceAnalytics = {
                 quantity
             });
             
-            const response = await fetch(`${this.apiBase}/prices/where-to-sell?${params}`);
-            if (!response.ok) throw new Error('Failed to get recommendations');
-            
-            const data = await response.json();
+            const data = await ApiClient.get(`/prices/where-to-sell?${params}`);
             this.displayWhereToSellResults(data.recommendations);
             
         } catch (error) {
@@ -412,10 +409,7 @@ const PriceAnalytics = {
     async checkForAnomalies() {
         try {
             const category = 'rice'; // Check for rice anomalies as default
-            const response = await fetch(`${this.apiBase}/prices/anomalies?category=${category}`);
-            if (!response.ok) return; // Fail silently for background checks
-            
-            const data = await response.json();
+            const data = await ApiClient.get(`/prices/anomalies?category=${category}`);
             if (data.anomalies && data.anomalies.anomalies.length > 0) {
                 this.displayAnomalyAlert(data.anomalies);
             }
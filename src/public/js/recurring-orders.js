@@ -0,0 +1,521 @@
+/**
+ * Recurring Orders Module
+ * Buyers turn a past order into a weekly, fortnightly or monthly schedule
+ * (the /orders payload placed again until an end date), and skip or edit a
+ * run after the pre-confirmation reminder. Farmers see the demand coming
+ * from active schedules on their dashboard (OrderController subscriptions API)
+ */
+
+const RecurringOrders = {
+    // Keep in step with OrderSubscription::REMINDER_LEAD_DAYS
+    reminderLeadDays: 3,
+
+    subscriptions: new Map(),
+    // Orders on the page by id, for the form opened from their cards
+    orders: new Map(),
+
+    frequencies: {
+        'weekly': 'সাপ্তাহিক',
+        'fortnightly': 'পাক্ষিক',
+        'monthly': 'মাসিক'
+    },
+
+    statuses: {
+        'active': { label: 'চালু', badge: 'bg-green-100 text-green-800' },
+        'ended': { label: 'শেষ', badge: 'bg-gray-100 text-gray-600' },
+        'cancelled': { label: 'বাতিল', badge: 'bg-red-100 text-red-800' }
+    },
+
+    init() {
+        const user = ApiClient.getUser();
+        if (!user) return;
+
+        if (user.role === 'buyer' && document.getElementById('recurringOrdersContainer')) {
+            const newBtn = document.getElementById('newRecurringOrderBtn');
+            if (newBtn) {
+                newBtn.addEventListener('click', () => this.openCreate());
+            }
+            window.addEventListener('outbox-synced', () => this.loadSubscriptions());
+            this.loadSubscriptions();
+        }
+
+        if (user.role === 'farmer' && document.getElementById('subscriptionDemandContainer')) {
+            const daysSelect = document.getElementById('subscriptionDemandDays');
+            if (daysSelect) {
+                daysSelect.addEventListener('change', () => this.loadDemand());
+            }
+            this.loadDemand();
+        }
+    },
+
+    // Buyer's button on an order card (OrderManagement.getOrderActions)
+    actionsHtml(order) {
+        const user = ApiClient.getUser();
+        if (!user || user.role !== 'buyer' || order.buyer_id != user.id || order.order_status === 'cancelled') return '';
+
+        this.orders.set(String(order.id), order);
+
+        return `
+            <button onclick="RecurringOrders.openCreate(${order.id})"
+                    class="flex-1 bg-emerald-600 text-white px-4 py-2 rounded hover:bg-emerald-700">
+                নিয়মিত করুন
+            </button>
+        `;
+    },
+
+    async loadSubscriptions() {
+        const container = document.getElementById('recurringOrdersContainer');
+        if (!container) return;
+
+        try {
+            const data = await ApiClient.get('/orders/subscriptions');
+            this.subscriptions = new Map(data.subscriptions.map(subscription => [String(subscription.id), subscription]));
+            this.renderSubscriptions(container, data.subscriptions);
+
+        } catch (error) {
+            console.error('Load recurring orders error:', error);
+            container.innerHTML = '<p class="text-red-500 text-center py-4">নিয়মিত অর্ডার লোড করতে সমস্যা হয়েছে</p>';
+        }
+    },
+
+    renderSubscriptions(container, subscriptions) {
+        if (subscriptions.length === 0) {
+            container.innerHTML = `
+                <p class="text-slate-500 text-center py-4">
+                    এখনো কোনো নিয়মিত অর্ডার নেই। পুরনো অর্ডার থেকে সাপ্তাহিক, পাক্ষিক বা মাসিক অর্ডার চালু করুন
+                </p>
+            `;
+            return;
+        }
+
+        container.innerHTML = subscriptions.map(subscription => this.renderSubscription(subscription)).join('');
+        OfflineSync.refreshPendingIndicators();
+    },
+
+    renderSubscription(subscription) {
+        const status = this.statuses[subscription.status] || { label: subscription.status, badge: 'bg-gray-100 text-gray-600' };
+        const payload = subscription.payload || {};
+        const active = subscription.status === 'active';
+        const farmer = `${subscription.farmer_first_name || ''} ${subscription.farmer_last_name || ''}`.trim();
+
+        return `
+            <div class="border rounded-xl p-4 ${subscription.reminder_due ? 'border-yellow-300 bg-yellow-50' : 'border-slate-200'}" data-subscription-id="${subscription.id}">
+                <div class="flex justify-between items-start">
+                    <div>
+                        <p class="font-semibold text-slate-900">
+                            ${ApiClient.escapeHtml(subscription.product_name_bn || subscription.product_name || 'পণ্য')} - ${payload.quantity} ${ApiClient.escapeHtml(subscription.unit || '')}
+                        </p>
+                        <p class="text-sm text-slate-600">
+                            ${this.frequencies[subscription.frequency] || subscription.frequency}${farmer ? ` · ${ApiClient.escapeHtml(farmer)}` : ''}
+                            · শেষ ${this.formatDate(subscription.end_date)}
+                        </p>
+                    </div>
+                    <span class="px-2 py-1 text-xs rounded ${status.badge}">${status.label}</span>
+                </div>
+                ${active ? `
+                    <p class="text-sm mt-2">
+                        <i class="fas fa-calendar-alt mr-1 text-emerald-600"></i>
+                        পরের ডেলিভারি ${this.formatDate(subscription.next_delivery_date)}
+                        <span class="text-slate-500">(অর্ডার দেওয়া হবে ${this.formatDate(subscription.order_date)})</span>
+                    </p>
+                ` : ''}
+                ${subscription.reminder_due ? `
+                    <p class="text-sm text-yellow-800 mt-1">
+                        <i class="fas fa-bell mr-1"></i>পরের অর্ডার শীঘ্রই যাবে। দরকার হলে এখনই বাদ দিন বা বদলান
+                    </p>
+                ` : ''}
+                ${subscription.last_error ? `
+                    <p class="text-sm text-red-600 mt-1">
+                        <i class="fas fa-exclamation-triangle mr-1"></i>আগের অর্ডার দেওয়া যায়নি: ${ApiClient.escapeHtml(subscription.last_error)}
+                    </p>
+                ` : ''}
+                ${active ? `
+                    <div class="flex flex-wrap gap-2 mt-3">
+                        <button type="button" onclick="RecurringOrders.skip(${subscription.id})"
+                                class="px-3 py-1 text-sm bg-yellow-500 text-white rounded hover:bg-yellow-600">
+                            <i class="fas fa-forward mr-1"></i>পরেরটা বাদ দিন
+                        </button>
+                        <button type="button" onclick="RecurringOrders.openEdit(${subscription.id})"
+                                class="px-3 py-1 text-sm bg-sky-600 text-white rounded hover:bg-sky-700">
+                            <i class="fas fa-edit mr-1"></i>বদলান
+                        </button>
+                        <button type="button" onclick="RecurringOrders.cancel(${subscription.id})"
+                                class="px-3 py-1 text-sm bg-gray-600 text-white rounded hover:bg-gray-700">
+                            <i class="fas fa-stop mr-1"></i>বন্ধ করুন
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    // New schedule from an order card, or from a list of the buyer's past orders
+    async openCreate(orderId = null) {
+        let orders = [];
+        if (orderId !== null && this.orders.has(String(orderId))) {
+            orders = [this.orders.get(String(orderId))];
+        } else {
+            try {
+                const data = await ApiClient.get('/orders?limit=50');
+                orders = data.orders.filter(order => order.order_status !== 'cancelled');
+            } catch (error) {
+                console.error('Load past orders error:', error);
+                this.showNotification(ApiClient.errorMessage(error, 'পুরনো অর্ডার লোড করতে সমস্যা হয়েছে'), 'error');
+                return;
+            }
+        }
+
+        if (orders.length === 0) {
+            this.showNotification('নিয়মিত করার মতো কোনো অর্ডার নেই', 'error');
+            return;
+        }
+
+        const options = [];
+        orders.forEach(order => {
+            const lines = order.items && order.items.length > 1
+                ? order.items
+                : [{ product_id: order.product_id, product_name: order.product_name, quantity: order.quantity, unit: order.unit }];
+            lines.forEach(line => options.push({ order, line }));
+        });
+
+        const modal = this.openModal('নিয়মিত অর্ডার চালু করুন', `
+            <div>
+                <label class="block text-xs text-gray-600 mb-1">কোন অর্ডারের পণ্য</label>
+                <select name="source" class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                    ${options.map((option, index) => `
+                        <option value="${index}">
+                            #${option.order.id} · ${ApiClient.escapeHtml(option.line.product_name || 'পণ্য')} (${option.line.quantity} ${ApiClient.escapeHtml(option.line.unit || '')})
+                        </option>
+                    `).join('')}
+                </select>
+            </div>
+            ${this.scheduleFields({
+                frequency: 'weekly',
+                next_delivery_date: this.offsetDate(7),
+                end_date: this.offsetDate(90)
+            }, 'প্রথম ডেলিভারি', this.offsetDate(this.reminderLeadDays))}
+            ${this.payloadFields(this.payloadFrom(options[0]))}
+        `, 'চালু করুন');
+
+        const form = modal.querySelector('form');
+        // Refill the order fields when another order is picked
+        form.elements.source.addEventListener('change', () => {
+            const payload = this.payloadFrom(options[form.elements.source.value]);
+            form.elements.quantity.value = payload.quantity;
+            form.elements.delivery_address.value = payload.delivery_address || '';
+            form.elements.payment_method.value = payload.payment_method;
+            form.elements.notes.value = payload.notes || '';
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const option = options[form.elements.source.value];
+            const body = Object.assign({
+                source_order_id: option.order.id,
+                product_id: option.line.product_id,
+                start_date: form.elements.next_delivery_date.value
+            }, this.readForm(form));
+            delete body.next_delivery_date;
+
+            this.submit(modal, form, '/orders/subscriptions', body, 'নিয়মিত অর্ডার চালু', 'নিয়মিত অর্ডার চালু হয়েছে');
+        });
+    },
+
+    openEdit(subscriptionId) {
+        const subscription = this.subscriptions.get(String(subscriptionId));
+        if (!subscription) return;
+
+        const modal = this.openModal('নিয়মিত অর্ডার বদলান', `
+            <p class="text-sm text-gray-600">
+                ${ApiClient.escapeHtml(subscription.product_name_bn || subscription.product_name || 'পণ্য')} ·
+                বদল পরের অর্ডার থেকে কার্যকর হবে
+            </p>
+            ${this.scheduleFields(subscription, 'পরের ডেলিভারি')}
+            ${this.payloadFields(subscription.payload || {})}
+        `, 'সংরক্ষণ করুন');
+
+        const form = modal.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit(modal, form, `/orders/subscriptions/${subscription.id}`, this.readForm(form),
+                `নিয়মিত অর্ডার #${subscription.id} বদল`, 'নিয়মিত অর্ডার হালনাগাদ হয়েছে');
+        });
+    },
+
+    // minDate is left off when editing, so a run already inside the reminder window keeps its date
+    scheduleFields(values, dateLabel, minDate = null) {
+        return `
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div>
+                    <label class="block text-xs text-gray-600 mb-1">কত দিন পরপর</label>
+                    <select name="frequency" class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                        ${Object.entries(this.frequencies).map(([value, label]) => `
+                            <option value="${value}" ${values.frequency === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-xs text-gray-600 mb-1">${dateLabel}</label>
+                    <input type="date" name="next_delivery_date" required ${minDate ? `min="${minDate}"` : ''}
+                           value="${String(values.next_delivery_date || '').slice(0, 10)}"
+                           class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                </div>
+                <div>
+                    <label class="block text-xs text-gray-600 mb-1">শেষ তারিখ</label>
+                    <input type="date" name="end_date" required value="${String(values.end_date || '').slice(0, 10)}"
+                           class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                </div>
+            </div>
+        `;
+    },
+
+    payloadFields(payload) {
+        const methods = typeof OrderManagement !== 'undefined' ? OrderManagement.paymentMethods : [{ code: 'cod', name: 'Cash on Delivery' }];
+
+        return `
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                    <label class="block text-xs text-gray-600 mb-1">পরিমাণ</label>
+                    <input type="number" name="quantity" min="0.01" step="any" required value="${payload.quantity || ''}"
+                           class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                </div>
+                <div>
+                    <label class="block text-xs text-gray-600 mb-1">পেমেন্ট পদ্ধতি</label>
+                    <select name="payment_method" class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+                        ${methods.map(method => `
+                            <option value="${method.code}" ${payload.payment_method === method.code ? 'selected' : ''}>${method.name}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <div>
+                <label class="block text-xs text-gray-600 mb-1">ডেলিভারি ঠিকানা</label>
+                <textarea name="delivery_address" rows="2" required
+                          class="w-full border border-gray-300 rounded px-3 py-2 text-sm">${ApiClient.escapeHtml(payload.delivery_address || '')}</textarea>
+            </div>
+            <input type="text" name="notes" placeholder="নোট (ঐচ্ছিক)" value="${ApiClient.escapeHtml(payload.notes || '')}"
+                   class="w-full border border-gray-300 rounded px-3 py-2 text-sm">
+        `;
+    },
+
+    payloadFrom(option) {
+        return {
+            quantity: option.line.quantity,
+            delivery_address: option.order.delivery_address,
+            payment_method: option.order.payment_method,
+            notes: option.order.notes
+        };
+    },
+
+    readForm(form) {
+        return {
+            frequency: form.elements.frequency.value,
+            next_delivery_date: form.elements.next_delivery_date.value,
+            end_date: form.elements.end_date.value,
+            quantity: parseFloat(form.elements.quantity.value),
+            delivery_address: form.elements.delivery_address.value.trim(),
+            payment_method: form.elements.payment_method.value,
+            notes: form.elements.notes.value.trim() || null
+        };
+    },
+
+    openModal(title, fieldsHtml, submitLabel) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-10 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-bold text-gray-900">${title}</h3>
+                    <button type="button" onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+                        <i class="fas fa-times text-xl"></i>
+                    </button>
+                </div>
+                <form class="space-y-4">
+                    ${fieldsHtml}
+                    <p class="text-xs text-gray-500">
+                        প্রতিটি অর্ডার ডেলিভারির দুই দিন আগে দেওয়া হবে। তার আগের দিন রিমাইন্ডার পাবেন, তখন বাদ দিতে বা বদলাতে পারবেন
+                    </p>
+                    <div class="flex justify-end space-x-2">
+                        <button type="button" onclick="this.closest('.fixed').remove()"
+                                class="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 text-sm">বাতিল</button>
+                        <button type="submit" class="px-4 py-2 bg-emerald-600 text-white rounded hover:bg-emerald-700 text-sm">${submitLabel}</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        return modal;
+    },
+
+    async submit(modal, form, endpoint, body, label, successMessage) {
+        if (!(body.quantity > 0)) {
+            this.showNotification('পরিমাণ শূন্যের বেশি হতে হবে', 'error');
+            return;
+        }
+        if (body.end_date < (body.start_date || body.next_delivery_date)) {
+            this.showNotification('শেষ তারিখ ডেলিভারির তারিখের আগে হতে পারে না', 'error');
+            return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const result = await OfflineSync.send(endpoint, body, {
+                label,
+                containerId: 'recurringOrdersContainer'
+            });
+
+            modal.remove();
+
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। পরিবর্তনটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
+            }
+
+            this.showNotification(successMessage, 'success');
+            this.loadSubscriptions();
+
+        } catch (error) {
+            console.error('Recurring order error:', error);
+            this.showNotification(ApiClient.errorMessage(error, 'নিয়মিত অর্ডার সংরক্ষণ করতে সমস্যা হয়েছে'), 'error');
+            submitBtn.disabled = false;
+        }
+    },
+
+    async skip(subscriptionId) {
+        const subscription = this.subscriptions.get(String(subscriptionId));
+        if (!subscription) return;
+        if (!confirm(`${this.formatDate(subscription.next_delivery_date)} তারিখের ডেলিভারি বাদ দেবেন?`)) return;
+
+        await this.change(subscriptionId, 'skip', 'পরের ডেলিভারি বাদ দেওয়া হয়েছে');
+    },
+
+    async cancel(subscriptionId) {
+        if (!confirm('এই নিয়মিত অর্ডার বন্ধ করবেন? আর কোনো অর্ডার দেওয়া হবে না')) return;
+
+        await this.change(subscriptionId, 'cancel', 'নিয়মিত অর্ডার বন্ধ করা হয়েছে');
+    },
+
+    async change(subscriptionId, action, successMessage) {
+        try {
+            const result = await OfflineSync.send(`/orders/subscriptions/${subscriptionId}/${action}`, {}, {
+                label: `নিয়মিত অর্ডার #${subscriptionId} ${action === 'skip' ? 'বাদ' : 'বন্ধ'}`,
+                cardSelector: `[data-subscription-id="${subscriptionId}"]`
+            });
+
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। পরিবর্তনটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
+            }
+
+            this.showNotification(successMessage, 'success');
+            this.loadSubscriptions();
+
+        } catch (error) {
+            console.error('Change recurring order error:', error);
+            this.showNotification(ApiClient.errorMessage(error, 'সমস্যা হয়েছে'), 'error');
+        }
+    },
+
+    // Farmer dashboard: quantities active schedules will order, per product and week
+    async loadDemand() {
+        const container = document.getElementById('subscriptionDemandContainer');
+        if (!container) return;
+
+        const daysSelect = document.getElementById('subscriptionDemandDays');
+        const days = daysSelect ? daysSelect.value : 28;
+
+        try {
+            const data = await ApiClient.get(`/orders/subscriptions/demand?days=${days}`);
+            this.renderDemand(container, data);
+
+        } catch (error) {
+            console.error('Load subscription demand error:', error);
+            container.innerHTML = '<p class="text-red-500 text-center py-4">আগাম চাহিদা লোড করতে সমস্যা হয়েছে</p>';
+        }
+    },
+
+    renderDemand(container, data) {
+        if (!data.products || data.products.length === 0) {
+            container.innerHTML = '<p class="text-slate-500 text-center py-4">আপনার পণ্যে এখন কোনো চালু নিয়মিত অর্ডার নেই</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="overflow-x-auto">
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-slate-500 border-b">
+                            <th class="py-2 pr-4">পণ্য</th>
+                            <th class="py-2 pr-4">ক্রেতা</th>
+                            <th class="py-2 pr-4">পরের ডেলিভারি</th>
+                            ${data.weeks.map(week => `<th class="py-2 pr-4">${this.formatDate(week)} থেকে</th>`).join('')}
+                            <th class="py-2">মোট</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.products.map(product => `
+                            <tr class="border-b last:border-0">
+                                <td class="py-2 pr-4 font-medium">${ApiClient.escapeHtml(product.product_name_bn || product.product_name || 'পণ্য')}</td>
+                                <td class="py-2 pr-4">${product.buyers}</td>
+                                <td class="py-2 pr-4">${product.next_delivery_date ? this.formatDate(product.next_delivery_date) : '-'}</td>
+                                ${product.weekly.map(quantity => `<td class="py-2 pr-4">${quantity ? `${quantity} ${ApiClient.escapeHtml(product.unit || '')}` : '-'}</td>`).join('')}
+                                <td class="py-2 font-semibold text-emerald-700">${product.total_quantity} ${ApiClient.escapeHtml(product.unit || '')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    offsetDate(days) {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        return date.toISOString().split('T')[0];
+    },
+
+    formatDate(value) {
+        return new Date(String(value).slice(0, 10) + 'T00:00:00').toLocaleDateString('bn-BD');
+    },
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 ${
+            type === 'success' ? 'bg-green-500 text-white' :
+            type === 'error' ? 'bg-red-500 text-white' :
+            'bg-blue-500 text-white'
+        }`;
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <span>${message}</span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+};
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => RecurringOrders.init());
+} else {
+    RecurringOrders.init();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecurringOrders;
+}
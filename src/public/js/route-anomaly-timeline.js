@@ -0,0 +1,368 @@
+/**
+ * Route Anomaly Timeline Module
+ * Detours, long stops and speed anomalies (RouteAnomalyService) as a timeline
+ * in the tracking modals, where the buyer or farmer acknowledges or escalates
+ * each one, and the escalation queue on admin/transport.html
+ */
+
+const RouteAnomalyTimeline = {
+    types: {
+        'route_deviation': { label: 'পথ থেকে সরে যাওয়া (ঘুরপথ)', icon: 'fa-route' },
+        'stall_detection': { label: 'দীর্ঘ সময় থেমে থাকা', icon: 'fa-hourglass-half' },
+        'stop_patterns': { label: 'ঘন ঘন থামা', icon: 'fa-map-pin' },
+        'speed_anomaly': { label: 'অস্বাভাবিক গতি', icon: 'fa-tachometer-alt' }
+    },
+
+    severities: {
+        'low': { label: 'কম', border: 'border-gray-300', badge: 'bg-gray-100 text-gray-700', icon: 'text-gray-500' },
+        'medium': { label: 'মাঝারি', border: 'border-yellow-400', badge: 'bg-yellow-100 text-yellow-800', icon: 'text-yellow-600' },
+        'high': { label: 'উচ্চ', border: 'border-orange-500', badge: 'bg-orange-100 text-orange-800', icon: 'text-orange-600' },
+        'critical': { label: 'গুরুতর', border: 'border-red-600', badge: 'bg-red-100 text-red-800', icon: 'text-red-600' }
+    },
+
+    statuses: {
+        'open': { label: 'নতুন', badge: 'bg-blue-100 text-blue-800' },
+        'acknowledged': { label: 'দেখা হয়েছে', badge: 'bg-gray-100 text-gray-700' },
+        'escalated': { label: 'অ্যাডমিনকে জানানো হয়েছে', badge: 'bg-purple-100 text-purple-800' },
+        'resolved': { label: 'সমাধান হয়েছে', badge: 'bg-green-100 text-green-800' }
+    },
+
+    // Last rendered state of each entry, to redraw it after an action
+    entries: new Map(),
+
+    // Section markup for a tracking modal; fill it with load() or update()
+    sectionHtml() {
+        return `
+            <div class="mt-6 rounded-lg border border-gray-200 p-4" data-section="anomalies">
+                <h4 class="font-semibold mb-3">
+                    <i class="fas fa-exclamation-circle mr-1 text-orange-500"></i>
+                    রুট অসঙ্গতি
+                </h4>
+                <div data-field="anomaly_timeline">
+                    <p class="text-sm text-gray-500">লোড হচ্ছে...</p>
+                </div>
+            </div>
+        `;
+    },
+
+    // Fetch and render the timeline of a transport into the modal's section
+    async load(modal, transportId) {
+        try {
+            const data = await ApiClient.get(`/transport/${transportId}/anomalies`);
+            this.update(modal, data.anomalies);
+        } catch (error) {
+            console.error('Load route anomalies error:', error);
+            const list = modal.querySelector('[data-field="anomaly_timeline"]');
+            if (list) {
+                list.innerHTML = '<p class="text-sm text-red-600">রুট অসঙ্গতি লোড করতে সমস্যা হয়েছে</p>';
+            }
+        }
+    },
+
+    // Re-render from a tracking update; payloads without a timeline leave it as is
+    update(modal, anomalies) {
+        const list = modal.querySelector('[data-field="anomaly_timeline"]');
+        if (!list || !Array.isArray(anomalies)) return;
+
+        if (anomalies.length === 0) {
+            list.innerHTML = `
+                <p class="text-sm text-green-700">
+                    <i class="fas fa-check-circle mr-1"></i>
+                    এখন পর্যন্ত কোনো অসঙ্গতি পাওয়া যায়নি
+                </p>
+            `;
+            return;
+        }
+
+        list.innerHTML = `<ol class="space-y-3">${anomalies.map(anomaly => this.renderEntry(anomaly)).join('')}</ol>`;
+    },
+
+    renderEntry(anomaly) {
+        const type = this.types[anomaly.type] || { label: anomaly.type, icon: 'fa-exclamation-triangle' };
+        const severity = this.severities[anomaly.severity] || this.severities.medium;
+        const status = this.statuses[anomaly.status] || this.statuses.open;
+        this.entries.set(String(anomaly.id), anomaly);
+
+        return `
+            <li class="border-l-4 ${severity.border} bg-gray-50 rounded-r-lg p-3" data-anomaly-id="${anomaly.id}">
+                <div class="flex justify-between items-start gap-2">
+                    <div>
+                        <p class="text-sm font-medium text-gray-900">
+                            <i class="fas ${type.icon} ${severity.icon} mr-1"></i>
+                            ${type.label}
+                        </p>
+                        <p class="text-xs text-gray-500 mt-0.5">${this.formatPeriod(anomaly.detected_at, anomaly.last_seen_at)}</p>
+                    </div>
+                    <div class="flex flex-wrap justify-end gap-1">
+                        <span class="px-2 py-0.5 text-xs rounded ${severity.badge}">${severity.label}</span>
+                        <span class="px-2 py-0.5 text-xs rounded ${status.badge}">${status.label}</span>
+                    </div>
+                </div>
+
+                ${this.describe(anomaly)}
+
+                ${anomaly.escalation_note ? `
+                    <p class="text-xs text-gray-600 mt-2"><span class="font-medium">অভিযোগ:</span> ${ApiClient.escapeHtml(anomaly.escalation_note)}</p>
+                ` : ''}
+                ${anomaly.resolution_notes ? `
+                    <p class="text-xs text-green-700 mt-1"><span class="font-medium">অ্যাডমিন:</span> ${ApiClient.escapeHtml(anomaly.resolution_notes)}</p>
+                ` : ''}
+
+                ${this.canAct() ? this.renderActions(anomaly) : ''}
+            </li>
+        `;
+    },
+
+    // What the detector measured, in words
+    describe(anomaly) {
+        const details = anomaly.details || {};
+        const facts = [];
+
+        switch (anomaly.type) {
+            case 'route_deviation':
+                if (details.deviation_distance_km > 0) {
+                    facts.push(`নির্ধারিত পথ থেকে ${Number(details.deviation_distance_km).toFixed(1)} কিমি দূরে`);
+                }
+                if (details.route_length_ratio > 1) {
+                    facts.push(`পথ প্রত্যাশার চেয়ে ${Math.round((details.route_length_ratio - 1) * 100)}% দীর্ঘ`);
+                }
+                break;
+            case 'stall_detection':
+                if (details.longest_stall_minutes) {
+                    facts.push(`সবচেয়ে দীর্ঘ বিরতি ${Math.round(details.longest_stall_minutes)} মিনিট`);
+                }
+                if (details.total_stalls) {
+                    facts.push(`মোট ${details.total_stalls} বার থেমেছে`);
+                }
+                break;
+            case 'stop_patterns':
+                if (details.stops_per_hour) {
+                    facts.push(`ঘণ্টায় ${details.stops_per_hour} বার থামা`);
+                }
+                if (details.unusual_stops) {
+                    facts.push(`${details.unusual_stops}টি অস্বাভাবিক স্থানে থামা`);
+                }
+                break;
+            case 'speed_anomaly':
+                if (details.max_speed) {
+                    facts.push(`সর্বোচ্চ গতি ${details.max_speed} km/h`);
+                }
+                if (details.avg_speed) {
+                    facts.push(`গড় গতি ${details.avg_speed} km/h`);
+                }
+                break;
+        }
+
+        return facts.length ? `<p class="text-xs text-gray-700 mt-2">${facts.join(' · ')}</p>` : '';
+    },
+
+    renderActions(anomaly) {
+        if (!['open', 'acknowledged'].includes(anomaly.status)) return '';
+
+        return `
+            <div class="flex justify-end gap-2 mt-2">
+                ${anomaly.status === 'open' ? `
+                    <button type="button" onclick="RouteAnomalyTimeline.acknowledge(${anomaly.id})"
+                            class="px-2 py-1 text-xs bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-100">
+                        <i class="fas fa-check mr-1"></i>
+                        দেখেছি
+                    </button>
+                ` : ''}
+                <button type="button" onclick="RouteAnomalyTimeline.escalate(${anomaly.id})"
+                        class="px-2 py-1 text-xs bg-purple-600 text-white rounded hover:bg-purple-700">
+                    <i class="fas fa-flag mr-1"></i>
+                    অ্যাডমিনকে জানান
+                </button>
+            </div>
+        `;
+    },
+
+    // Buyers and farmers act on anomalies; admins resolve them from the queue
+    canAct() {
+        const user = ApiClient.getUser();
+        return !!user && ['buyer', 'farmer'].includes(user.role);
+    },
+
+    async acknowledge(anomalyId) {
+        await this.sendAction(anomalyId, 'acknowledge', {}, {
+            label: `রুট অসঙ্গতি #${anomalyId} স্বীকার`,
+            status: 'acknowledged',
+            success: 'অসঙ্গতিটি দেখা হয়েছে হিসেবে চিহ্নিত হয়েছে',
+            failure: 'অসঙ্গতি স্বীকার করতে সমস্যা হয়েছে'
+        });
+    },
+
+    async escalate(anomalyId) {
+        const note = prompt('অ্যাডমিনকে কী জানাতে চান? (ঐচ্ছিক)');
+        if (note === null) return;
+
+        await this.sendAction(anomalyId, 'escalate', { note: note.trim() }, {
+            label: `রুট অসঙ্গতি #${anomalyId} অ্যাডমিনকে পাঠানো`,
+            status: 'escalated',
+            success: 'অসঙ্গতিটি অ্যাডমিনকে জানানো হয়েছে',
+            failure: 'অ্যাডমিনকে জানাতে সমস্যা হয়েছে'
+        });
+    },
+
+    // Send an acknowledge/escalate and redraw the entry wherever it is shown
+    async sendAction(anomalyId, action, body, messages) {
+        try {
+            const result = await OfflineSync.send(`/transport/anomalies/${anomalyId}/${action}`, body, {
+                label: messages.label,
+                cardSelector: `[data-anomaly-id="${anomalyId}"]`
+            });
+
+            if (result.queued) {
+                this.replaceEntry(anomalyId, anomaly => ({ ...anomaly, status: messages.status }));
+                this.showNotification('ইন্টারনেট সংযোগ নেই। পরিবর্তনটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
+            }
+
+            this.replaceEntry(anomalyId, () => result.anomaly);
+            this.showNotification(messages.success, 'success');
+
+        } catch (error) {
+            console.error(`Route anomaly ${action} error:`, error);
+            // Someone else already acted on it: show where it stands now
+            if (error.status === 409 && error.data && error.data.anomaly) {
+                this.replaceEntry(anomalyId, () => error.data.anomaly);
+            }
+            this.showNotification(ApiClient.errorMessage(error, messages.failure), 'error');
+        }
+    },
+
+    replaceEntry(anomalyId, change) {
+        document.querySelectorAll(`[data-anomaly-id="${anomalyId}"]`).forEach(element => {
+            const anomaly = change(this.entries.get(String(anomalyId)) || { id: anomalyId });
+            element.outerHTML = this.renderEntry(anomaly);
+        });
+    },
+
+    formatTime(timestamp) {
+        return new Date(String(timestamp).replace(' ', 'T')).toLocaleString('bn-BD');
+    },
+
+    formatPeriod(from, to) {
+        if (!to || to === from) return this.formatTime(from);
+        return `${this.formatTime(from)} – ${new Date(String(to).replace(' ', 'T')).toLocaleTimeString('bn-BD')}`;
+    },
+
+    // Admin: escalated anomalies on admin/transport.html
+    async loadEscalations() {
+        const container = document.getElementById('anomalyEscalations');
+        if (!container) return;
+
+        try {
+            const data = await ApiClient.get('/transport/anomalies/escalated');
+            const anomalies = data.anomalies || [];
+            const waiting = anomalies.filter(anomaly => anomaly.status === 'escalated').length;
+
+            const count = document.getElementById('anomalyEscalationCount');
+            if (count) {
+                count.textContent = waiting;
+                count.classList.toggle('hidden', waiting === 0);
+            }
+
+            container.innerHTML = anomalies.length === 0 ? `
+                <tr><td colspan="6" class="p-4 text-center text-slate-500">কোনো এস্কেলেশন নেই</td></tr>
+            ` : anomalies.map(anomaly => this.renderEscalationRow(anomaly)).join('');
+
+        } catch (error) {
+            console.error('Load anomaly escalations error:', error);
+            container.innerHTML = `
+                <tr><td colspan="6" class="p-4 text-center text-red-600">${ApiClient.errorMessage(error, 'এস্কেলেশন লোড করতে সমস্যা হয়েছে')}</td></tr>
+            `;
+        }
+    },
+
+    renderEscalationRow(anomaly) {
+        const type = this.types[anomaly.type] || { label: anomaly.type, icon: 'fa-exclamation-triangle' };
+        const severity = this.severities[anomaly.severity] || this.severities.medium;
+        const status = this.statuses[anomaly.status] || this.statuses.escalated;
+        const reporter = [anomaly.escalated_by_first_name, anomaly.escalated_by_last_name].filter(Boolean).join(' ');
+
+        return `
+            <tr class="border-b border-slate-100 hover:bg-slate-50">
+                <td class="p-4">
+                    <p class="font-medium text-slate-900">#${anomaly.transport_id}</p>
+                    <p class="text-sm text-slate-500">${anomaly.tracking_number || ''} · অর্ডার #${anomaly.order_id}</p>
+                </td>
+                <td class="p-4">
+                    <p class="text-slate-900"><i class="fas ${type.icon} ${severity.icon} mr-1"></i>${type.label}</p>
+                    ${this.describe(anomaly)}
+                </td>
+                <td class="p-4">
+                    <span class="px-2 py-0.5 text-xs rounded ${severity.badge}">${severity.label}</span>
+                </td>
+                <td class="p-4">
+                    <p class="text-slate-600">${ApiClient.escapeHtml(reporter) || 'N/A'} ${anomaly.escalated_by_role === 'buyer' ? '(ক্রেতা)' : anomaly.escalated_by_role === 'farmer' ? '(কৃষক)' : ''}</p>
+                    <p class="text-sm text-slate-500">${anomaly.escalated_at ? this.formatTime(anomaly.escalated_at) : ''}</p>
+                    ${anomaly.escalation_note ? `<p class="text-sm text-slate-600 mt-1">${ApiClient.escapeHtml(anomaly.escalation_note)}</p>` : ''}
+                </td>
+                <td class="p-4">
+                    <span class="px-2 py-0.5 text-xs rounded ${status.badge}">${status.label}</span>
+                </td>
+                <td class="p-4">
+                    ${anomaly.status === 'escalated' ? `
+                        <button onclick="RouteAnomalyTimeline.resolve(${anomaly.id})" class="btn-sm btn-primary">
+                            <i class="fas fa-check mr-1"></i>
+                            সমাধান
+                        </button>
+                    ` : `<p class="text-sm text-slate-500">${ApiClient.escapeHtml(anomaly.resolution_notes || '')}</p>`}
+                </td>
+            </tr>
+        `;
+    },
+
+    async resolve(anomalyId) {
+        const notes = prompt('সমাধানের বিবরণ লিখুন (ক্রেতা ও কৃষক দেখতে পাবেন):');
+        if (notes === null) return;
+
+        try {
+            await ApiClient.post(`/transport/anomalies/${anomalyId}/resolve`, { resolution_notes: notes.trim() });
+            this.showNotification('এস্কেলেশনটি সমাধান হিসেবে চিহ্নিত হয়েছে', 'success');
+            this.loadEscalations();
+        } catch (error) {
+            console.error('Resolve anomaly error:', error);
+            this.showNotification(ApiClient.errorMessage(error, 'সমাধান সংরক্ষণ করতে সমস্যা হয়েছে'), 'error');
+        }
+    },
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 ${
+            type === 'success' ? 'bg-green-500 text-white' :
+            type === 'error' ? 'bg-red-500 text-white' :
+            'bg-blue-500 text-white'
+        }`;
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <span>${message}</span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+};
+
+// Admin page: load the escalation queue when it is on the page
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => RouteAnomalyTimeline.loadEscalations());
+} else {
+    RouteAnomalyTimeline.loadEscalations();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteAnomalyTimeline;
+}
@@ -0,0 +1,152 @@
+/**
+ * Route Guard Module
+ * Checks the logged-in user's role against a per-page manifest before a
+ * dashboard page is used, and hides sidebar links the role cannot open
+ */
+
+const RouteGuard = {
+    // Roles allowed on each dashboard page (paths without .html)
+    manifest: {
+        '/dashboard/farmer': ['farmer'],
+        '/dashboard/farmer/products': ['farmer'],
+        '/dashboard/farmer/orders': ['farmer'],
+        '/dashboard/farmer/transport': ['farmer'],
+        '/dashboard/farmer/pricing': ['farmer'],
+        '/dashboard/farmer/analytics': ['farmer'],
+        '/dashboard/farmer/profile': ['farmer'],
+
+        '/dashboard/buyer': ['buyer'],
+        '/dashboard/buyer/browse': ['buyer'],
+        '/dashboard/buyer/orders': ['buyer'],
+        '/dashboard/buyer/deliveries': ['buyer'],
+        '/dashboard/buyer/wishlist': ['buyer'],
+        '/dashboard/buyer/prices': ['buyer'],
+        '/dashboard/buyer/suppliers': ['buyer'],
+
+        '/dashboard/driver': ['driver'],
+
+        '/dashboard/admin': ['admin'],
+        '/dashboard/admin/users': ['admin'],
+        '/dashboard/admin/products': ['admin'],
+        '/dashboard/admin/orders': ['admin'],
+        '/dashboard/admin/pricing': ['admin'],
+        '/dashboard/admin/transport': ['admin'],
+        '/dashboard/admin/payments': ['admin'],
+        '/dashboard/admin/analytics': ['admin'],
+        '/dashboard/admin/settings': ['admin']
+    },
+
+    // Messages by i18n key, used when I18n is not loaded on the page
+    messages: {
+        'error.login_required': 'এই পৃষ্ঠা দেখতে লগইন করুন',
+        'error.access_denied': 'এই পৃষ্ঠায় আপনার প্রবেশাধিকার নেই'
+    },
+
+    // Run the guard for the current page
+    init() {
+        if (!this.checkAccess()) return;
+
+        this.hideRestrictedLinks();
+        this.showPendingNotice();
+    },
+
+    // Redirect away if the current page is not allowed; returns true if access is granted
+    checkAccess() {
+        const roles = this.getAllowedRoles(window.location.pathname);
+        if (!roles) return true;
+
+        if (!Forms.isAuthenticated()) {
+            sessionStorage.setItem(Forms.returnToKey,
+                window.location.pathname + window.location.search + window.location.hash);
+            this.redirect(ApiClient.loginUrl, 'error.login_required');
+            return false;
+        }
+
+        const user = Forms.getCurrentUser();
+        if (!roles.includes(user.role)) {
+            // A role with no dashboard of its own would bounce between guarded
+            // pages; end its session and send it to the login page instead
+            const home = Forms.getRedirectUrl(user.role);
+            if (!this.canAccess(home, user.role)) {
+                ApiClient.clearSession();
+                this.redirect(ApiClient.loginUrl, 'error.access_denied');
+                return false;
+            }
+
+            this.redirect(home, 'error.access_denied');
+            return false;
+        }
+
+        return true;
+    },
+
+    // Roles for a path, or null if the page is not guarded
+    getAllowedRoles(path) {
+        const page = path.replace(/\.html$/, '').replace(/\/+$/, '');
+        return this.manifest[page] || null;
+    },
+
+    // Check whether a role may open the given path
+    canAccess(path, role) {
+        const roles = this.getAllowedRoles(path);
+        return !roles || roles.includes(role);
+    },
+
+    // Hide sidebar links that lead to pages the role cannot open
+    hideRestrictedLinks() {
+        const user = Forms.getCurrentUser();
+        if (!user) return;
+
+        document.querySelectorAll('.sidebar-link[href]').forEach(link => {
+            const path = new URL(link.getAttribute('href'), window.location.origin).pathname;
+            if (!this.canAccess(path, user.role)) {
+                link.classList.add('hidden');
+            }
+        });
+    },
+
+    // Leave the page, remembering why
+    redirect(url, reasonKey) {
+        sessionStorage.setItem(Forms.noticeKey, reasonKey);
+        window.location.replace(url);
+    },
+
+    // Show the reason for a redirect that landed on this page
+    showPendingNotice() {
+        const reasonKey = sessionStorage.getItem(Forms.noticeKey);
+        if (!reasonKey) return;
+        sessionStorage.removeItem(Forms.noticeKey);
+
+        const message = typeof I18n !== 'undefined'
+            ? I18n.get(reasonKey, this.messages[reasonKey])
+            : this.messages[reasonKey] || reasonKey;
+
+        const notification = document.createElement('div');
+        notification.className = 'fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 bg-yellow-500 text-white';
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <span>${message}</span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+};
+
+// Run as soon as the script loads so restricted pages redirect before they are used
+RouteGuard.init();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteGuard;
+}
@@ -8,8 +8,7 @@ const Search = {
     config: {
         minQueryLength: 2,
         debounceDelay: 300,
-        maxSuggestions: 10,
-        apiBase: '/api'
+        maxSuggestions: 10
     },
     
     // Debounce timer
@@ -148,13 +147,7 @@ const Search = {
     // Fetch search suggestions from API
     async fetchSuggestions(query, suggestionsContainer) {
         try {
-            const response = await fetch(`${this.config.apiBase}/products/search-suggestions?q=${encodeURIComponent(query)}&limit=${this.config.maxSuggestions}`);
-            
-            if (!response.ok) {
-                throw new Error('Failed to fetch suggestions');
-            }
-            
-            const data = await response.json();
+            const data = await ApiClient.get(`/products/search-suggestions?q=${encodeURIComponent(query)}&limit=${this.config.maxSuggestions}`);
             this.displaySuggestions(data.suggestions, suggestionsContainer, query);
             
         } catch (error) {
@@ -365,13 +358,7 @@ const Search = {
             params.set('offset', '0');
             
             // Fetch results
-            const response = await fetch(`${this.config.apiBase}/products?${params.toString()}`);
-            
-            if (!response.ok) {
-                throw new Error('Search failed');
-            }
-            
-            const data = await response.json();
+            const data = await ApiClient.get(`/products?${params.toString()}`);
             this.displaySearchResults(data.products, resultsContainer);
             
         } catch (error) {
@@ -442,12 +429,28 @@ const Search = {
                         বিস্তারিত দেখুন
                     </button>
                 </div>
+                
+                ${this.canAddToCart(product) ? `
+                    <button class="mt-4 w-full bg-emerald-600 hover:bg-emerald-700 text-white px-4 py-2 rounded text-sm transition-colors" data-action="add-to-cart">
+                        <i class="fas fa-cart-plus mr-1"></i>কার্টে যোগ করুন
+                    </button>
+                ` : ''}
             </div>
         `;
         
+        const cartButton = card.querySelector('[data-action="add-to-cart"]');
+        if (cartButton) {
+            cartButton.addEventListener('click', () => Cart.add(product));
+        }
+        
         return card;
     },
     
+    // Buyers on a page with the cart can add products that are still for sale
+    canAddToCart(product) {
+        return typeof Cart !== 'undefined' && Cart.canUse() && product.status === 'available' && product.quantity > 0;
+    },
+    
     // Get status color class
     getStatusColor(status) {
         const colors = {
@@ -0,0 +1,109 @@
+/**
+ * Spoilage Meter Module
+ * Shelf-life meter and cold-chain advice for order and transport cards,
+ * from the spoilage outlook the API attaches (PerishabilityRiskService)
+ */
+
+const SpoilageMeter = {
+    levels: {
+        'low': { label: 'কম', bar: 'bg-green-500', badge: 'bg-green-100 text-green-800' },
+        'medium': { label: 'মাঝারি', bar: 'bg-yellow-500', badge: 'bg-yellow-100 text-yellow-800' },
+        'high': { label: 'উচ্চ', bar: 'bg-orange-500', badge: 'bg-orange-100 text-orange-800' },
+        'critical': { label: 'অতি উচ্চ', bar: 'bg-red-600', badge: 'bg-red-100 text-red-800' }
+    },
+
+    temperatures: {
+        'very_hot': 'খুব গরম (৩৫°C+)',
+        'hot': 'গরম (৩০-৩৫°C)',
+        'warm': 'উষ্ণ (২৫-৩০°C)',
+        'normal': 'স্বাভাবিক (২০-২৫°C)',
+        'cool': 'ঠান্ডা (১৫-২০°C)',
+        'cold': 'শীতল (১৫°C এর নিচে)'
+    },
+
+    vehicles: {
+        'refrigerated_truck': 'রেফ্রিজারেটেড ট্রাক',
+        'truck': 'ট্রাক',
+        'van': 'ভ্যান',
+        'pickup': 'পিকআপ',
+        'motorbike': 'মোটরবাইক'
+    },
+
+    issues: {
+        'needs_refrigeration': 'এই পণ্য দ্রুত নষ্ট হয়, রেফ্রিজারেটেড যান প্রয়োজন',
+        'needs_ventilation': 'আর্দ্রতায় নষ্ট হয়, বাতাস চলাচলের ব্যবস্থা আছে এমন যান প্রয়োজন',
+        'exposed_to_heat': 'পূর্বাভাস অনুযায়ী গরম, খোলা যানে পণ্য তাপে নষ্ট হতে পারে'
+    },
+
+    // Meter with forecast and advice; empty when the card has no outlook
+    render(outlook) {
+        if (!outlook) return '';
+
+        const level = this.levels[outlook.risk_level] || this.levels.medium;
+        const used = Math.min(100, outlook.used_percent);
+        const byArrival = Math.max(0, Math.min(100, outlook.used_at_arrival_percent) - used);
+
+        return `
+            <div class="mb-4 rounded-lg border border-gray-200 p-3">
+                <div class="flex justify-between items-center mb-2">
+                    <p class="text-sm text-gray-600">
+                        <i class="fas fa-temperature-high mr-1"></i>
+                        পচনের ঝুঁকি
+                    </p>
+                    <span class="px-2 py-0.5 text-xs rounded ${level.badge}">${level.label}</span>
+                </div>
+
+                <div class="w-full h-2 rounded-full bg-gray-200 flex overflow-hidden" title="শেলফ লাইফ ব্যবহার">
+                    <div class="${level.bar} h-2" style="width: ${used}%"></div>
+                    <div class="${level.bar} h-2 opacity-40" style="width: ${byArrival}%"></div>
+                </div>
+
+                <p class="text-xs text-gray-500 mt-1">
+                    শেলফ লাইফের ${Math.round(used)}% ব্যবহৃত, পৌঁছানো পর্যন্ত ${Math.round(outlook.used_at_arrival_percent)}%
+                    · পূর্বাভাস: ${ApiClient.escapeHtml(this.temperatures[outlook.forecast.temperature] || outlook.forecast.temperature)}
+                </p>
+
+                ${this.renderAdvice(outlook)}
+            </div>
+        `;
+    },
+
+    // Vehicle and departure advice, plus why the chosen vehicle does not suit
+    renderAdvice(outlook) {
+        const advice = [];
+
+        if (outlook.transport_suitability && !outlook.transport_suitability.suitable) {
+            outlook.transport_suitability.issues.forEach(issue => {
+                advice.push(`<li class="text-red-700"><i class="fas fa-exclamation-triangle mr-1"></i>${ApiClient.escapeHtml(this.issues[issue] || issue)}</li>`);
+            });
+        }
+        if (outlook.recommended_vehicle) {
+            advice.push(`<li><i class="fas fa-truck mr-1"></i>প্রস্তাবিত যান: ${ApiClient.escapeHtml(this.vehicles[outlook.recommended_vehicle] || outlook.recommended_vehicle)}</li>`);
+        }
+        if (outlook.recommended_departure) {
+            advice.push(`<li><i class="far fa-clock mr-1"></i>ঠান্ডা সময়ে রওনা দিন: ${new Date(outlook.recommended_departure.replace(' ', 'T')).toLocaleString('bn-BD')}</li>`);
+        }
+
+        return advice.length ? `<ul class="text-xs text-gray-700 mt-2 space-y-1">${advice.join('')}</ul>` : '';
+    },
+
+    // Request form warning when the chosen vehicle does not suit the produce
+    renderSuitabilityWarning(outlook, transportType) {
+        if (!outlook || !outlook.transport_suitability || outlook.transport_suitability.suitable) return '';
+
+        return `
+            <div class="bg-red-50 border border-red-200 rounded-lg p-3">
+                <p class="text-sm font-semibold text-red-800 mb-1">
+                    <i class="fas fa-exclamation-triangle mr-1"></i>
+                    ${outlook.product_name ? `${ApiClient.escapeHtml(outlook.product_name)} এর` : 'এই পণ্যের'} জন্য ${ApiClient.escapeHtml(this.vehicles[transportType] || transportType)} উপযুক্ত নয়
+                </p>
+                ${this.renderAdvice(outlook)}
+            </div>
+        `;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpoilageMeter;
+}
@@ -0,0 +1,256 @@
+/**
+ * Tracking Channel Module
+ * One Server-Sent Events connection for every tracked transport on the page.
+ * Subscribers register per transport id; updates are multiplexed over the
+ * stream, which reconnects with backoff and falls back to polling
+ */
+
+const TrackingChannel = {
+    // Push endpoint and the endpoint issuing its short-lived tickets (relative to ApiClient.apiBase)
+    streamEndpoint: '/transport/stream',
+    ticketEndpoint: '/transport/stream-ticket',
+
+    // Polling interval used when push is not available (30 seconds)
+    pollInterval: 30000,
+
+    // Reconnect backoff: 1s doubling up to 30s
+    backoff: {
+        initial: 1000,
+        max: 30000
+    },
+
+    // Consecutive failed connects before switching to polling
+    maxRetries: 5,
+
+    // While polling, try the push channel again every 2 minutes
+    pushRetryInterval: 120000,
+
+    // transport id -> Set of callbacks
+    subscribers: new Map(),
+
+    // 'idle' | 'connecting' | 'open' | 'polling'
+    state: 'idle',
+    source: null,
+    retries: 0,
+    reconnectTimer: null,
+    pollTimer: null,
+    pushRetryTimer: null,
+    connectTimer: null,
+    // Bumped on every connect, so a ticket that arrives late is not used
+    connectId: 0,
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        window.addEventListener('session-ended', () => this.closeAll());
+        window.addEventListener('online', () => {
+            if (this.state === 'polling') this.connect();
+        });
+    },
+
+    // Receive updates for a transport; returns a function that unsubscribes
+    subscribe(transportId, callback) {
+        this.init();
+
+        const id = String(transportId);
+        const isNew = !this.subscribers.has(id);
+        if (isNew) {
+            this.subscribers.set(id, new Set());
+        }
+        this.subscribers.get(id).add(callback);
+
+        if (isNew) {
+            this.scheduleConnect();
+        }
+
+        return () => this.unsubscribe(transportId, callback);
+    },
+
+    unsubscribe(transportId, callback) {
+        const id = String(transportId);
+        const callbacks = this.subscribers.get(id);
+        if (!callbacks) return;
+
+        callbacks.delete(callback);
+        if (callbacks.size === 0) {
+            this.subscribers.delete(id);
+            this.scheduleConnect();
+        }
+    },
+
+    // The subscribed ids are part of the stream URL, so batch changes
+    // made in the same tick into a single reconnect
+    scheduleConnect() {
+        clearTimeout(this.connectTimer);
+        this.connectTimer = setTimeout(() => {
+            if (this.state === 'polling') {
+                this.poll();
+            } else {
+                this.connect();
+            }
+        }, 0);
+    },
+
+    // Open (or reopen) the stream for the current subscriptions
+    async connect() {
+        this.closeStream();
+        clearTimeout(this.reconnectTimer);
+        const connectId = ++this.connectId;
+
+        if (this.subscribers.size === 0 || !ApiClient.getToken()) {
+            this.stopPolling();
+            this.state = 'idle';
+            return;
+        }
+
+        if (typeof EventSource === 'undefined') {
+            this.startPolling();
+            return;
+        }
+
+        this.state = 'connecting';
+
+        // EventSource cannot send headers; a short-lived ticket travels in the
+        // query string so the session token stays out of server and proxy logs
+        let ticket;
+        try {
+            ({ ticket } = await ApiClient.post(this.ticketEndpoint, {}));
+        } catch (error) {
+            if (connectId === this.connectId) {
+                this.handleStreamError();
+            }
+            return;
+        }
+        if (connectId !== this.connectId) return;
+
+        const params = new URLSearchParams({
+            ids: [...this.subscribers.keys()].join(','),
+            ticket
+        });
+
+        this.source = new EventSource(`${ApiClient.apiBase}${this.streamEndpoint}?${params}`);
+
+        this.source.onopen = () => {
+            this.state = 'open';
+            this.retries = 0;
+            this.stopPolling();
+        };
+
+        this.source.addEventListener('tracking', (event) => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                console.error('Tracking stream parse error:', error);
+                return;
+            }
+            this.dispatch(data.transport_id, data);
+        });
+
+        this.source.onerror = () => this.handleStreamError();
+    },
+
+    // Closed or failed - retry with backoff, or poll after too many failures
+    handleStreamError() {
+        this.closeStream();
+
+        if (this.subscribers.size === 0) {
+            this.state = 'idle';
+            return;
+        }
+
+        this.retries++;
+        if (this.retries > this.maxRetries) {
+            this.startPolling();
+            return;
+        }
+
+        const delay = Math.min(this.backoff.initial * 2 ** (this.retries - 1), this.backoff.max);
+        const jitter = Math.random() * delay * 0.2;
+
+        this.state = 'connecting';
+        this.reconnectTimer = setTimeout(() => this.connect(), delay + jitter);
+    },
+
+    closeStream() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    },
+
+    // Fallback: one timer polls every subscribed transport
+    startPolling() {
+        if (this.state !== 'polling') {
+            console.warn('Tracking push unavailable, falling back to polling');
+        }
+
+        this.state = 'polling';
+        this.retries = 0;
+        this.poll();
+
+        if (!this.pollTimer) {
+            this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+        }
+
+        if (!this.pushRetryTimer && typeof EventSource !== 'undefined') {
+            this.pushRetryTimer = setInterval(() => this.connect(), this.pushRetryInterval);
+        }
+    },
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        clearInterval(this.pushRetryTimer);
+        this.pollTimer = null;
+        this.pushRetryTimer = null;
+    },
+
+    async poll() {
+        if (this.subscribers.size === 0) {
+            this.stopPolling();
+            this.state = 'idle';
+            return;
+        }
+
+        await Promise.all([...this.subscribers.keys()].map(async (id) => {
+            try {
+                const data = await ApiClient.get(`/transport/${id}/tracking`);
+                this.dispatch(id, data);
+            } catch (error) {
+                console.error('Tracking poll error:', error);
+            }
+        }));
+    },
+
+    // Hand an update to everyone subscribed to that transport
+    dispatch(transportId, data) {
+        const callbacks = this.subscribers.get(String(transportId));
+        if (!callbacks) return;
+
+        callbacks.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error('Tracking subscriber error:', error);
+            }
+        });
+    },
+
+    // Drop every subscription and connection (e.g. after logout)
+    closeAll() {
+        this.connectId++;
+        this.subscribers.clear();
+        this.closeStream();
+        this.stopPolling();
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.connectTimer);
+        this.state = 'idle';
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackingChannel;
+}
@@ -0,0 +1,209 @@
+/**
+ * Tracking Map Module
+ * Leaflet map for the tracking modals: vehicle position, pickup and
+ * drop-off pins, and the breadcrumb trail from recent_updates
+ */
+
+const TrackingMap = {
+    // Self-hosted tiles so maps work without a CDN (see SETUP.md)
+    tiles: {
+        url: '/tiles/{z}/{x}/{y}.png',
+        attribution: '&copy; OpenStreetMap contributors',
+        minZoom: 6,
+        maxZoom: 16
+    },
+
+    // Shown when there is no position yet (Dhaka)
+    defaultCenter: [23.8103, 90.4125],
+    defaultZoom: 11,
+
+    colors: {
+        vehicle: '#2563eb',
+        pickup: '#059669',
+        dropoff: '#dc2626',
+        trail: '#2563eb'
+    },
+
+    isAvailable() {
+        return typeof L !== 'undefined';
+    },
+
+    // Draw a map into the container; returns { update(data), destroy() }
+    create(container, trackingData) {
+        if (!this.isAvailable()) {
+            container.innerHTML = `
+                <div class="h-full flex items-center justify-center bg-gray-100 text-sm text-gray-500">
+                    <i class="fas fa-map-marked-alt mr-2"></i>
+                    মানচিত্র লোড করা যায়নি
+                </div>
+            `;
+            return { update() {}, destroy() {} };
+        }
+
+        const map = L.map(container, {
+            center: this.defaultCenter,
+            zoom: this.defaultZoom,
+            minZoom: this.tiles.minZoom,
+            maxZoom: this.tiles.maxZoom
+        });
+
+        L.tileLayer(this.tiles.url, {
+            attribution: this.tiles.attribution,
+            minZoom: this.tiles.minZoom,
+            maxZoom: this.tiles.maxZoom
+        }).addTo(map);
+
+        const layers = {
+            trail: L.polyline([], { color: this.colors.trail, weight: 3, opacity: 0.6, dashArray: '4 6' }).addTo(map),
+            breadcrumbs: L.layerGroup().addTo(map),
+            pickup: null,
+            dropoff: null,
+            vehicle: null
+        };
+
+        let fitted = false;
+
+        const update = (data) => {
+            this.drawStop(map, layers, 'pickup', data.pickup_location, 'পিকআপ');
+            this.drawStop(map, layers, 'dropoff', data.delivery_location, 'ডেলিভারি');
+            this.drawTrail(layers, data.recent_updates);
+            this.drawVehicle(map, layers, data);
+
+            // Frame the whole route once; later updates keep the user's zoom
+            if (!fitted) {
+                fitted = this.fitRoute(map, layers);
+            }
+        };
+
+        update(trackingData);
+
+        // The modal may still be laying out when the map is created
+        setTimeout(() => map.invalidateSize(), 0);
+
+        return {
+            update,
+            destroy: () => map.remove()
+        };
+    },
+
+    // Key shown under the map
+    legendHtml() {
+        const item = (color, label) => `
+            <span class="flex items-center">
+                <span class="inline-block w-3 h-3 rounded-full mr-1" style="background:${color}"></span>${label}
+            </span>
+        `;
+
+        return `
+            <div class="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+                ${item(this.colors.vehicle, 'গাড়ি')}
+                ${item(this.colors.pickup, 'পিকআপ')}
+                ${item(this.colors.dropoff, 'ডেলিভারি')}
+                <span class="flex items-center">
+                    <span class="inline-block w-5 border-t-2 border-dashed mr-1" style="border-color:${this.colors.trail}"></span>যাত্রাপথ
+                </span>
+            </div>
+        `;
+    },
+
+    // Pickup / drop-off pin, created once
+    drawStop(map, layers, key, location, label) {
+        const point = this.toLatLng(location);
+        if (!point || layers[key]) return;
+
+        layers[key] = L.marker(point, { icon: this.createPinIcon(this.colors[key]) })
+            .bindPopup(`<strong>${label}</strong>${location.address ? `<br>${ApiClient.escapeHtml(location.address)}` : ''}`)
+            .addTo(map);
+    },
+
+    // Breadcrumbs are the recent updates that carry a position, oldest first
+    drawTrail(layers, updates) {
+        const points = (updates || [])
+            .filter(update => this.toLatLng(update))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        layers.trail.setLatLngs(points.map(update => this.toLatLng(update)));
+        layers.breadcrumbs.clearLayers();
+
+        points.forEach(update => {
+            L.circleMarker(this.toLatLng(update), {
+                radius: 4,
+                color: this.colors.trail,
+                weight: 1,
+                fillColor: '#ffffff',
+                fillOpacity: 1
+            })
+                .bindTooltip(`${ApiClient.escapeHtml(update.message)}<br>${new Date(update.timestamp).toLocaleTimeString('bn-BD')}`)
+                .addTo(layers.breadcrumbs);
+        });
+    },
+
+    // Vehicle marker, moved in place and rotated to its bearing
+    drawVehicle(map, layers, data) {
+        const point = this.toLatLng(data.current_location);
+        if (!point) return;
+
+        const icon = this.createVehicleIcon(data.bearing);
+        const popup = `<strong>${data.driver_info?.vehicle_number || 'গাড়ি'}</strong><br>গতি: ${data.current_speed || 0} km/h`;
+
+        if (layers.vehicle) {
+            layers.vehicle.setLatLng(point).setIcon(icon).setPopupContent(popup);
+        } else {
+            layers.vehicle = L.marker(point, { icon, zIndexOffset: 1000 }).bindPopup(popup).addTo(map);
+        }
+    },
+
+    fitRoute(map, layers) {
+        const points = [layers.pickup, layers.dropoff, layers.vehicle]
+            .filter(Boolean)
+            .map(marker => marker.getLatLng())
+            .concat(layers.trail.getLatLngs());
+
+        if (points.length === 0) return false;
+
+        if (points.length === 1) {
+            map.setView(points[0], 14);
+        } else {
+            map.fitBounds(L.latLngBounds(points), { padding: [30, 30], maxZoom: 15 });
+        }
+        return true;
+    },
+
+    // Markers are drawn with CSS so no image assets are needed
+    createPinIcon(color) {
+        return L.divIcon({
+            className: '',
+            html: `<div style="width:18px;height:18px;background:${color};border:3px solid #fff;border-radius:50% 50% 50% 0;transform:rotate(-45deg);box-shadow:0 1px 4px rgba(0,0,0,0.4)"></div>`,
+            iconSize: [18, 18],
+            iconAnchor: [9, 18],
+            popupAnchor: [0, -18]
+        });
+    },
+
+    createVehicleIcon(bearing) {
+        return L.divIcon({
+            className: '',
+            html: `
+                <div style="width:32px;height:32px;border-radius:50%;background:${this.colors.vehicle};border:3px solid #fff;box-shadow:0 1px 6px rgba(0,0,0,0.4);display:flex;align-items:center;justify-content:center">
+                    <i class="fas fa-location-arrow" style="color:#fff;font-size:13px;transform:rotate(${(Number(bearing) || 0) - 45}deg)"></i>
+                </div>
+            `,
+            iconSize: [32, 32],
+            iconAnchor: [16, 16],
+            popupAnchor: [0, -16]
+        });
+    },
+
+    toLatLng(location) {
+        if (!location) return null;
+
+        const lat = parseFloat(location.latitude);
+        const lng = parseFloat(location.longitude);
+        return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackingMap;
+}
@@ -0,0 +1,74 @@
+/**
+ * Tracking Modal Module
+ * Shared lifecycle of the live tracking modals (buyer deliveries, farmer
+ * transports): map, tracking channel subscription and route anomalies, all
+ * released when the modal is closed, plus the field patching that highlights
+ * what changed between updates
+ */
+
+const TrackingModal = {
+    // Wire an appended modal to live updates. render(data, previous) patches a
+    // payload into the modal and returns the state to diff the next one against.
+    // Buttons marked data-close-modal close it; returns the close function
+    attach(modal, trackingData, render) {
+        const trackingMap = TrackingMap.create(modal.querySelector('.tracking-map'), trackingData);
+
+        // First render fills every field without highlighting
+        let previous = render(trackingData, null);
+        RouteAnomalyTimeline.load(modal, trackingData.transport_id);
+
+        let closed = false;
+        let unsubscribe = null;
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            if (unsubscribe) unsubscribe();
+            trackingMap.destroy();
+            modal.remove();
+        };
+
+        unsubscribe = TrackingChannel.subscribe(trackingData.transport_id, (updatedData) => {
+            // Removed some other way (e.g. the page swapped its content)
+            if (!document.body.contains(modal)) {
+                close();
+                return;
+            }
+            trackingMap.update(updatedData);
+            previous = render(updatedData, previous);
+            RouteAnomalyTimeline.update(modal, updatedData.anomaly_timeline);
+        });
+
+        modal.querySelectorAll('[data-close-modal]').forEach(button => {
+            button.addEventListener('click', close);
+        });
+
+        return close;
+    },
+
+    // Set each [data-field] element's text; changes after the first render are highlighted
+    patchFields(modal, fields, highlight) {
+        Object.entries(fields).forEach(([field, value]) => {
+            const element = modal.querySelector(`[data-field="${field}"]`);
+            if (!element || element.textContent === value) return;
+
+            element.textContent = value;
+            if (highlight) {
+                this.highlightChange(element);
+            }
+        });
+    },
+
+    // Briefly tint an element that just changed
+    highlightChange(element) {
+        element.classList.add('bg-yellow-100', 'rounded', 'transition-colors', 'duration-1000');
+        clearTimeout(element.highlightTimer);
+        element.highlightTimer = setTimeout(() => {
+            element.classList.remove('bg-yellow-100');
+        }, 2000);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackingModal;
+}
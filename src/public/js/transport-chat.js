@@ -0,0 +1,344 @@
+/**
+ * Transport Chat Module
+ * In-app chat between buyer, farmer and driver for one transport, so
+ * nobody has to share a phone number. History, read receipts, Bengali
+ * quick replies and pickup/drop-off photos
+ */
+
+const TransportChat = {
+    // How often the open chat checks for new messages and receipts
+    pollInterval: 5000,
+
+    // Must match TransportController::sendMessage
+    maxLength: 1000,
+
+    quickReplies: {
+        buyer: ['আপনি এখন কোথায়?', 'কখন পৌঁছাবেন?', 'আমি গেটে অপেক্ষা করছি', 'পণ্য সাবধানে আনবেন', 'ধন্যবাদ'],
+        farmer: ['পণ্য প্রস্তুত আছে', 'কখন পিকআপ করবেন?', 'পিকআপের ছবি পাঠান', 'ধন্যবাদ'],
+        driver: ['পিকআপ সম্পন্ন', 'রাস্তায় আছি', '১০ মিনিটে পৌঁছাব', 'পৌঁছে গেছি', 'যানজটে আটকে আছি'],
+        admin: ['আমরা বিষয়টি দেখছি', 'ধন্যবাদ']
+    },
+
+    photoKinds: {
+        pickup: 'পিকআপের ছবি',
+        dropoff: 'ডেলিভারির ছবি'
+    },
+
+    roleLabels: {
+        buyer: 'ক্রেতা',
+        farmer: 'কৃষক',
+        driver: 'চালক',
+        admin: 'অ্যাডমিন'
+    },
+
+    // State of the open chat (one at a time)
+    transportId: null,
+    panel: null,
+    messages: [],
+    pending: [],
+    pollTimer: null,
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        window.addEventListener('session-ended', () => this.close());
+
+        // Queued messages went out - show them as sent
+        window.addEventListener('outbox-synced', () => {
+            if (this.panel) {
+                this.pending = [];
+                this.load();
+            }
+        });
+
+        // Catch up as soon as the user comes back to the tab
+        document.addEventListener('visibilitychange', () => {
+            if (this.panel && !document.hidden) {
+                this.load();
+            }
+        });
+    },
+
+    // Open the chat panel for a transport
+    open(transportId, title = `পরিবহন #${transportId}`) {
+        this.init();
+        this.close();
+
+        this.transportId = transportId;
+        this.messages = [];
+        this.pending = [];
+
+        const role = ApiClient.getUser()?.role;
+        const replies = this.quickReplies[role] || [];
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 h-full w-full z-50';
+        this.panel.innerHTML = `
+            <div class="absolute right-0 top-0 h-full w-full max-w-md bg-white shadow-lg flex flex-col">
+                <div class="flex justify-between items-center p-4 border-b">
+                    <div>
+                        <h3 class="text-lg font-bold text-gray-900">চ্যাট</h3>
+                        <p class="text-sm text-gray-500">${title}</p>
+                    </div>
+                    <button onclick="TransportChat.close()" class="text-gray-400 hover:text-gray-600">
+                        <i class="fas fa-times text-xl"></i>
+                    </button>
+                </div>
+
+                <div id="chatMessages" class="flex-1 overflow-y-auto p-4 space-y-3 bg-gray-50">
+                    <p class="text-gray-500 text-center py-8">লোড হচ্ছে...</p>
+                </div>
+
+                ${replies.length > 0 ? `
+                    <div class="flex gap-2 overflow-x-auto px-4 py-2 border-t">
+                        ${replies.map(reply => `
+                            <button type="button" data-quick-reply="${reply}"
+                                    class="whitespace-nowrap px-3 py-1 bg-green-50 text-green-800 border border-green-200 rounded-full text-sm hover:bg-green-100">
+                                ${reply}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                <form id="chatForm" class="flex items-center gap-2 p-4 border-t">
+                    <div class="relative">
+                        <button type="button" id="chatPhotoBtn" class="text-gray-500 hover:text-gray-700 px-2 py-2" title="ছবি পাঠান">
+                            <i class="fas fa-camera text-lg"></i>
+                        </button>
+                        <div id="chatPhotoMenu" class="hidden absolute bottom-full left-0 mb-2 bg-white border rounded shadow-lg w-40">
+                            ${Object.entries(this.photoKinds).map(([kind, label]) => `
+                                <label class="block px-3 py-2 text-sm hover:bg-gray-50 cursor-pointer">
+                                    ${label}
+                                    <input ${PhotoCapture.inputAttributes} class="hidden" data-photo-kind="${kind}">
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <input type="text" name="message" maxlength="${this.maxLength}" autocomplete="off"
+                           class="flex-1 border border-gray-300 rounded-full px-4 py-2" placeholder="বার্তা লিখুন...">
+                    <button type="submit" class="bg-green-600 text-white rounded-full w-10 h-10 hover:bg-green-700">
+                        <i class="fas fa-paper-plane"></i>
+                    </button>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(this.panel);
+        this.bindPanelEvents();
+
+        this.load();
+        this.pollTimer = setInterval(() => {
+            if (!document.hidden) this.load();
+        }, this.pollInterval);
+    },
+
+    bindPanelEvents() {
+        const form = this.panel.querySelector('#chatForm');
+        const photoMenu = this.panel.querySelector('#chatPhotoMenu');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = form.elements.message;
+            const text = input.value.trim();
+            if (!text) return;
+
+            input.value = '';
+            this.send({ message: text });
+        });
+
+        this.panel.querySelectorAll('[data-quick-reply]').forEach(button => {
+            button.addEventListener('click', () => this.send({ message: button.dataset.quickReply }));
+        });
+
+        this.panel.querySelector('#chatPhotoBtn').addEventListener('click', () => {
+            photoMenu.classList.toggle('hidden');
+        });
+
+        this.panel.querySelectorAll('[data-photo-kind]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                photoMenu.classList.add('hidden');
+                this.sendPhoto(e.target.files[0], e.target.dataset.photoKind);
+                e.target.value = '';
+            });
+        });
+
+        // Clicking the dimmed area closes the chat
+        this.panel.addEventListener('click', (e) => {
+            if (e.target === this.panel) this.close();
+        });
+    },
+
+    close() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.transportId = null;
+    },
+
+    // Fetch history; re-render only when messages or receipts changed
+    async load() {
+        const transportId = this.transportId;
+        if (!transportId) return;
+
+        try {
+            const data = await ApiClient.get(`/transport/${transportId}/messages`);
+            if (transportId !== this.transportId) return;
+
+            const messages = data.messages || [];
+            const changed = JSON.stringify(messages.map(m => [m.id, m.read_at])) !==
+                            JSON.stringify(this.messages.map(m => [m.id, m.read_at]));
+
+            this.messages = messages;
+            if (changed) {
+                this.render();
+            }
+
+            if (data.unread > 0) {
+                this.markRead();
+            }
+        } catch (error) {
+            console.error('Load chat error:', error);
+            // The chat may have been closed or switched while the request was in flight
+            const container = this.panel?.querySelector('#chatMessages');
+            if (container && transportId === this.transportId && this.messages.length === 0) {
+                container.innerHTML =
+                    '<p class="text-red-500 text-center py-8">বার্তা লোড করতে সমস্যা হয়েছে</p>';
+            }
+        }
+    },
+
+    render() {
+        const container = this.panel?.querySelector('#chatMessages');
+        if (!container) return;
+
+        const nearBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 80;
+        const all = [...this.messages, ...this.pending];
+
+        container.innerHTML = all.length === 0
+            ? '<p class="text-gray-500 text-center py-8">এখনও কোনো বার্তা নেই। নিচের দ্রুত উত্তর ব্যবহার করে শুরু করুন।</p>'
+            : all.map(message => this.renderMessage(message)).join('');
+
+        if (nearBottom || this.pending.length > 0) {
+            container.scrollTop = container.scrollHeight;
+        }
+    },
+
+    renderMessage(message) {
+        const userId = ApiClient.getUser()?.id;
+        const mine = message.pending || message.sender_id == userId;
+        const time = message.created_at ? new Date(message.created_at).toLocaleTimeString('bn-BD', { hour: '2-digit', minute: '2-digit' }) : '';
+
+        // Sent, read by the other side, or still waiting in the offline queue
+        const receipt = message.pending
+            ? '<i class="fas fa-clock" title="অপেক্ষমাণ"></i>'
+            : message.read_at
+                ? '<i class="fas fa-check-double text-blue-500" title="পড়া হয়েছে"></i>'
+                : '<i class="fas fa-check" title="পাঠানো হয়েছে"></i>';
+
+        return `
+            <div class="flex ${mine ? 'justify-end' : 'justify-start'}">
+                <div class="max-w-[80%] rounded-lg px-3 py-2 shadow-sm ${mine ? 'bg-green-100' : 'bg-white'}">
+                    ${!mine ? `<div class="text-xs font-medium text-gray-500 mb-1">${this.roleLabels[message.sender_role] || ''} ${ApiClient.escapeHtml(message.sender_first_name || '')}</div>` : ''}
+                    ${message.photo_url ? `
+                        <div class="text-xs text-gray-500 mb-1"><i class="fas fa-camera mr-1"></i>${this.photoKinds[message.photo_kind] || 'ছবি'}</div>
+                        <a href="${ApiClient.escapeHtml(message.photo_url)}" target="_blank" rel="noopener">
+                            <img src="${ApiClient.escapeHtml(message.photo_url)}" alt="${this.photoKinds[message.photo_kind] || 'ছবি'}" class="rounded max-h-48 mb-1">
+                        </a>
+                    ` : ''}
+                    ${message.message ? `<p class="text-sm text-gray-900 whitespace-pre-wrap break-words">${ApiClient.escapeHtml(message.message)}</p>` : ''}
+                    <div class="flex justify-end items-center gap-1 text-xs text-gray-400 mt-1">
+                        <span>${time}</span>
+                        ${mine ? receipt : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    // Send text and/or a photo; offline messages wait in the outbox
+    async send(body) {
+        const transportId = this.transportId;
+        if (!transportId) return;
+
+        const placeholder = {
+            pending: true,
+            message: body.message || null,
+            photo_url: body.photo || null,
+            photo_kind: body.photo_kind || null,
+            created_at: new Date().toISOString()
+        };
+        this.pending.push(placeholder);
+        this.render();
+
+        try {
+            const result = await OfflineSync.send(`/transport/${transportId}/messages`, body, {
+                label: 'চ্যাট বার্তা'
+            });
+
+            // Keep queued messages on screen (with the clock) until the outbox syncs
+            if (!result.queued) {
+                this.pending = this.pending.filter(message => message !== placeholder);
+                await this.load();
+                this.render();
+            }
+        } catch (error) {
+            console.error('Send message error:', error);
+            this.pending = this.pending.filter(message => message !== placeholder);
+            this.render();
+            this.showError(ApiClient.errorMessage(error, 'বার্তা পাঠাতে সমস্যা হয়েছে'));
+        }
+    },
+
+    async sendPhoto(file, photoKind) {
+        if (!file) return;
+
+        try {
+            const photo = await PhotoCapture.compress(file);
+            this.send({ photo, photo_kind: photoKind });
+        } catch (error) {
+            console.error('Chat photo error:', error);
+            this.showError('ছবি লোড করতে সমস্যা হয়েছে');
+        }
+    },
+
+    async markRead() {
+        try {
+            await ApiClient.post(`/transport/${this.transportId}/messages/read`, {});
+        } catch (error) {
+            console.error('Mark read error:', error);
+        }
+    },
+
+    showError(message) {
+        const notification = document.createElement('div');
+        notification.className = 'fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 bg-red-500 text-white';
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <span>${message}</span>
+                <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransportChat;
+}
@@ -4,20 +4,29 @@
  */
 
 const TransportManagement = {
-    // API base URL
-    apiBase: '/api',
+    // Active tracking subscriptions (transport id -> unsubscribe)
+    activeTracking: new Map(),
     
-    // Tracking update interval (30 seconds)
-    trackingInterval: 30000,
+    // Route plan and price estimate refresh while the request form is edited
+    quoteTimer: null,
+    quoteRequestId: 0,
     
-    // Active tracking intervals
-    activeTracking: new Map(),
+    // Estimated total the farmer has seen; the server asks again if its final quote differs
+    quoteEstimate: null,
+    
+    // Preselected orders and callback of the open request form
+    requestOptions: {},
+    
+    // Chart.js instances of the analytics section by canvas id
+    analyticsCharts: {},
     
     // Initialize transport management
     init() {
+        window.addEventListener('session-ended', () => this.stopTracking());
+        window.addEventListener('outbox-synced', () => this.loadTransports());
         this.initTransportRequests();
-        this.initTrackingSystem();
         this.loadTransports();
+        this.initAnalyticsFilters();
         this.loadAnalytics();
     },
     
@@ -45,16 +54,17 @@ const TransportManagement = {
         }
     },
     
-    // Initialize real-time tracking system
-    initTrackingSystem() {
-        // Start periodic tracking updates for active transports
-        setInterval(() => {
-            this.updateActiveTracking();
-        }, this.trackingInterval);
+    // Drop every tracking subscription (e.g. after the session ends in another tab)
+    stopTracking() {
+        this.activeTracking.forEach(unsubscribe => unsubscribe());
+        this.activeTracking.clear();
     },
     
-    // Show transport request modal
-    showTransportRequestModal() {
+    // Show transport request modal. options.orderIds are ticked up front and
+    // options.onRequested(result, orderIds) runs once the request is sent or queued
+    showTransportRequestModal(options = {}) {
+        this.requestOptions = options;
+        
         const modal = document.createElement('div');
         modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
         modal.innerHTML = `
@@ -67,30 +77,35 @@ const TransportManagement = {
                 </div>
                 
                 <form id="transportRequestForm">
-                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-                        <div>
-                            <label class="block text-sm font-medium text-gray-700 mb-1">অর্ডার নির্বাচন করুন</label>
-                            <select name="order_id" required class="w-full border border-gray-300 rounded px-3 py-2">
-                                <option value="">অর্ডার নির্বাচন করুন</option>
-                                <!-- Orders will be loaded here -->
-                            </select>
+                    <div class="mb-4">
+                        <label class="block text-sm font-medium text-gray-700 mb-1">অর্ডার নির্বাচন করুন</label>
+                        <p class="text-xs text-gray-500 mb-2">একই এলাকার একাধিক অর্ডার একসাথে এক ট্রিপে পাঠাতে পারেন</p>
+                        <div id="transportOrderList" class="border border-gray-300 rounded max-h-48 overflow-y-auto divide-y">
+                            <p class="text-sm text-gray-500 p-3">লোড হচ্ছে...</p>
                         </div>
+                    </div>
+                    
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
                         <div>
                             <label class="block text-sm font-medium text-gray-700 mb-1">পরিবহনের ধরন</label>
                             <select name="transport_type" required class="w-full border border-gray-300 rounded px-3 py-2">
                                 <option value="">ধরন নির্বাচন করুন</option>
                                 <option value="truck">ট্রাক</option>
+                                <option value="refrigerated_truck">রেফ্রিজারেটেড ট্রাক</option>
                                 <option value="van">ভ্যান</option>
                                 <option value="pickup">পিকআপ</option>
                                 <option value="motorbike">মোটরবাইক</option>
                             </select>
                         </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">পিকআপ ঠিকানা</label>
+                            <textarea name="pickup_address" required rows="2" class="w-full border border-gray-300 rounded px-3 py-2" placeholder="বিস্তারিত পিকআপ ঠিকানা লিখুন"></textarea>
+                        </div>
                     </div>
                     
-                    <div class="mb-4">
-                        <label class="block text-sm font-medium text-gray-700 mb-1">পিকআপ ঠিকানা</label>
-                        <textarea name="pickup_address" required rows="2" class="w-full border border-gray-300 rounded px-3 py-2" placeholder="বিস্তারিত পিকআপ ঠিকানা লিখুন"></textarea>
-                    </div>
+                    <div id="transportSuitabilityPanel" class="hidden mb-4"></div>
+                    <div id="routePlanPanel" class="hidden mb-4"></div>
+                    <div id="transportQuotePanel" class="hidden mb-4"></div>
                     
                     <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
                         <div>
@@ -124,10 +139,19 @@ const TransportManagement = {
         document.body.appendChild(modal);
         
         // Load available orders
-        this.loadAvailableOrders();
+        this.loadAvailableOrders(options.orderIds || []);
         
-        // Handle form submission
+        // Refresh the suggested route and quote as orders, vehicle, pickup or dates change
+        this.quoteEstimate = null;
         const form = document.getElementById('transportRequestForm');
+        form.addEventListener('change', (e) => {
+            if (['order_ids', 'transport_type', 'preferred_date', 'delivery_date'].includes(e.target.name)) {
+                this.scheduleQuote(form);
+            }
+        });
+        form.elements.pickup_address.addEventListener('input', () => this.scheduleQuote(form));
+        
+        // Handle form submission
         form.addEventListener('submit', (e) => {
             e.preventDefault();
             this.submitTransportRequest(form);
@@ -135,32 +159,232 @@ const TransportManagement = {
     },
     
     // Load available orders for transport request
-    async loadAvailableOrders() {
+    async loadAvailableOrders(preselected = []) {
+        const list = document.getElementById('transportOrderList');
+        
         try {
-            const response = await this.apiRequest('/orders?status=confirmed');
+            const data = await ApiClient.get('/orders?status=confirmed');
+            if (!list) return;
             
-            if (response.ok) {
-                const data = await response.json();
-                const select = document.querySelector('select[name="order_id"]');
-                
-                if (select) {
-                    select.innerHTML = '<option value="">অর্ডার নির্বাচন করুন</option>';
-                    
-                    data.orders.forEach(order => {
-                        const option = document.createElement('option');
-                        option.value = order.id;
-                        option.textContent = `অর্ডার #${order.id} - ${order.product_name} (${order.quantity} ${order.unit})`;
-                        select.appendChild(option);
-                    });
-                }
+            if (data.orders.length === 0) {
+                list.innerHTML = '<p class="text-sm text-gray-500 p-3">পরিবহনের জন্য কোনো নিশ্চিত অর্ডার নেই</p>';
+                return;
+            }
+            
+            list.innerHTML = data.orders.map(order => `
+                <label class="flex items-start p-3 hover:bg-gray-50 cursor-pointer">
+                    <input type="checkbox" name="order_ids" value="${order.id}" class="mt-1 mr-3" ${preselected.includes(Number(order.id)) ? 'checked' : ''}>
+                    <span>
+                        <span class="block text-sm font-medium text-gray-900">অর্ডার #${order.id} - ${order.items && order.items.length > 1 ? `${order.items.length}টি পণ্য` : `${ApiClient.escapeHtml(order.product_name)} (${order.quantity} ${ApiClient.escapeHtml(order.unit)})`}</span>
+                        <span class="block text-xs text-gray-500">${ApiClient.escapeHtml(order.delivery_address || '')}</span>
+                    </span>
+                </label>
+            `).join('');
+            
+            if (preselected.length > 0) {
+                this.scheduleQuote(document.getElementById('transportRequestForm'));
             }
         } catch (error) {
             console.error('Load available orders error:', error);
+            if (list) {
+                list.innerHTML = '<p class="text-sm text-red-600 p-3">অর্ডার লোড করতে সমস্যা হয়েছে</p>';
+            }
         }
     },
     
-    // Submit transport request
-    async submitTransportRequest(form) {
+    // Selected order ids in the request form
+    getSelectedOrderIds(form) {
+        return Array.from(form.querySelectorAll('input[name="order_ids"]:checked')).map(input => parseInt(input.value));
+    },
+    
+    // Wait for typing to pause before asking for a new route plan and quote
+    scheduleQuote(form) {
+        this.quoteEstimate = null;
+        clearTimeout(this.quoteTimer);
+        this.quoteTimer = setTimeout(() => this.updateQuote(form), 600);
+    },
+    
+    // Suggested stop order and price estimate for the selected orders
+    async updateQuote(form) {
+        const panel = document.getElementById('routePlanPanel');
+        const quotePanel = document.getElementById('transportQuotePanel');
+        const suitabilityPanel = document.getElementById('transportSuitabilityPanel');
+        if (!panel || !quotePanel || !suitabilityPanel) return;
+        
+        const orderIds = this.getSelectedOrderIds(form);
+        const pickupAddress = form.elements.pickup_address.value.trim();
+        const requestId = ++this.quoteRequestId;
+        
+        quotePanel.classList.add('hidden');
+        quotePanel.innerHTML = '';
+        suitabilityPanel.classList.add('hidden');
+        suitabilityPanel.innerHTML = '';
+        
+        if (orderIds.length === 0 || !pickupAddress) {
+            panel.classList.add('hidden');
+            panel.innerHTML = '';
+            return;
+        }
+        
+        panel.classList.remove('hidden');
+        panel.innerHTML = '<p class="text-sm text-gray-500">রুট ও ভাড়া হিসাব করা হচ্ছে...</p>';
+        
+        try {
+            const data = await ApiClient.post('/transport/route-plan', {
+                order_ids: orderIds,
+                pickup_address: pickupAddress,
+                transport_type: form.elements.transport_type.value || 'auto',
+                preferred_date: form.elements.preferred_date.value || null,
+                delivery_date: form.elements.delivery_date.value || null
+            });
+            
+            // A newer edit has already asked for another plan
+            if (requestId !== this.quoteRequestId) return;
+            
+            panel.innerHTML = this.renderRoutePlan(data.route_plan, pickupAddress);
+            quotePanel.innerHTML = this.renderQuote(data.quote, 'আনুমানিক ভাড়া');
+            quotePanel.classList.remove('hidden');
+            this.quoteEstimate = data.quote.total;
+            
+            // Warn when the chosen vehicle does not suit the produce
+            const warning = SpoilageMeter.renderSuitabilityWarning(data.spoilage, form.elements.transport_type.value);
+            suitabilityPanel.innerHTML = warning;
+            suitabilityPanel.classList.toggle('hidden', !warning);
+        } catch (error) {
+            if (requestId !== this.quoteRequestId) return;
+            
+            console.error('Route plan error:', error);
+            panel.innerHTML = `
+                <p class="text-sm text-gray-500">
+                    ${ApiClient.errorMessage(error, 'এখন রুট হিসাব করা যায়নি। অনুরোধ পাঠালে স্টপের ক্রম স্বয়ংক্রিয়ভাবে ঠিক করা হবে।')}
+                </p>
+            `;
+        }
+    },
+    
+    // Quote split into its charges; the total is what the farmer agrees to
+    renderQuote(quote, title) {
+        const lines = [
+            ['মূল ভাড়া', quote.breakdown.base_fare, this.translateTransportType(quote.transport_type)],
+            ['দূরত্ব', quote.breakdown.distance, `${quote.distance_km} কিমি`],
+            ['পচনশীলতা সারচার্জ', quote.breakdown.perishability_surcharge, `ঝুঁকি: ${quote.risk_level}`],
+            ['ওজন', quote.breakdown.weight, `${quote.weight_kg} কেজি`]
+        ];
+        if (quote.breakdown.provider_adjustment) {
+            lines.push(['সেবাদাতার চার্জ', quote.breakdown.provider_adjustment, 'উচ্চ রেটিং']);
+        }
+        
+        return `
+            <div class="border border-green-200 bg-green-50 rounded-lg p-4">
+                <h4 class="font-semibold text-gray-900 mb-3">
+                    <i class="fas fa-receipt text-green-600 mr-2"></i>
+                    ${title}
+                </h4>
+                <div class="space-y-1 text-sm">
+                    ${lines.map(([label, amount, detail]) => `
+                        <div class="flex justify-between">
+                            <span class="text-gray-700">${label} <span class="text-xs text-gray-500">(${detail})</span></span>
+                            <span>৳${Number(amount).toFixed(2)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="flex justify-between font-bold text-gray-900 border-t border-green-200 mt-2 pt-2">
+                    <span>মোট</span>
+                    <span>৳${Number(quote.total).toFixed(2)}</span>
+                </div>
+            </div>
+        `;
+    },
+    
+    // The assigned provider's final quote differs from the estimate: ask before booking at the new price
+    confirmQuoteChange(form, data) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+        modal.innerHTML = `
+            <div class="relative top-20 mx-auto p-5 border w-full max-w-md shadow-lg rounded-md bg-white">
+                <h3 class="text-lg font-bold text-gray-900 mb-2">ভাড়া পরিবর্তিত হয়েছে</h3>
+                <p class="text-sm text-gray-600 mb-4">
+                    আনুমানিক ভাড়া ছিল ৳${Number(data.quoted_total).toFixed(2)}, চূড়ান্ত ভাড়া ৳${Number(data.quote.total).toFixed(2)}।
+                    এই ভাড়ায় অনুরোধ পাঠাবেন?
+                </p>
+                
+                ${this.renderQuote(data.quote, 'চূড়ান্ত ভাড়া')}
+                
+                <div class="flex justify-end space-x-3 mt-4">
+                    <button type="button" data-action="cancel" class="px-4 py-2 text-gray-500 hover:text-gray-700">বাতিল</button>
+                    <button type="button" data-action="confirm" class="px-6 py-2 bg-green-600 text-white rounded hover:bg-green-700">নিশ্চিত করুন</button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        modal.querySelector('[data-action="cancel"]').addEventListener('click', () => modal.remove());
+        modal.querySelector('[data-action="confirm"]').addEventListener('click', () => {
+            modal.remove();
+            this.submitTransportRequest(form, data.quote.total);
+        });
+    },
+    
+    renderRoutePlan(plan, pickupAddress) {
+        return `
+            <div class="bg-gray-50 border border-gray-200 rounded-lg p-4">
+                <div class="flex justify-between items-center mb-3">
+                    <h4 class="font-semibold text-gray-900">
+                        <i class="fas fa-route text-green-600 mr-2"></i>
+                        প্রস্তাবিত রুট
+                    </h4>
+                    <span class="text-xs text-gray-500">${plan.stops.length} টি স্টপ</span>
+                </div>
+                
+                <ol class="space-y-2 mb-3">
+                    <li class="flex items-start text-sm">
+                        <span class="flex-shrink-0 w-6 h-6 rounded-full bg-gray-700 text-white text-xs flex items-center justify-center mr-3">
+                            <i class="fas fa-warehouse"></i>
+                        </span>
+                        <span class="text-gray-700">${ApiClient.escapeHtml(pickupAddress)}</span>
+                    </li>
+                    ${plan.stops.map(stop => `
+                        <li class="flex items-start text-sm">
+                            <span class="flex-shrink-0 w-6 h-6 rounded-full bg-green-600 text-white text-xs flex items-center justify-center mr-3">${stop.sequence}</span>
+                            <span class="flex-1">
+                                <span class="block font-medium text-gray-900">অর্ডার #${stop.order_id} · ${ApiClient.escapeHtml(stop.buyer_name || '')}</span>
+                                <span class="block text-xs text-gray-500">${ApiClient.escapeHtml(stop.product_name)} (${stop.quantity} ${ApiClient.escapeHtml(stop.unit || '')}) · ${ApiClient.escapeHtml(stop.delivery_address)}</span>
+                            </span>
+                            <span class="text-xs text-gray-600 text-right ml-2">
+                                ${stop.distance_km} কিমি<br>৳${stop.estimated_cost}
+                            </span>
+                        </li>
+                    `).join('')}
+                </ol>
+                
+                <div class="grid grid-cols-3 gap-2 text-center border-t border-gray-200 pt-3">
+                    <div>
+                        <p class="text-xs text-gray-500">মোট দূরত্ব</p>
+                        <p class="font-semibold">${plan.total_distance_km} কিমি</p>
+                    </div>
+                    <div>
+                        <p class="text-xs text-gray-500">আনুমানিক খরচ</p>
+                        <p class="font-semibold">৳${plan.estimated_cost}</p>
+                    </div>
+                    <div>
+                        <p class="text-xs text-gray-500">আনুমানিক সময়</p>
+                        <p class="font-semibold">${plan.estimated_hours} ঘণ্টা</p>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+    
+    // Submit transport request (the server visits the orders in the suggested route order).
+    // quotedTotal is the price the farmer has seen; without one the final quote is accepted as is
+    async submitTransportRequest(form, quotedTotal = this.quoteEstimate) {
+        const orderIds = this.getSelectedOrderIds(form);
+        if (orderIds.length === 0) {
+            this.showError('অন্তত একটি অর্ডার নির্বাচন করুন');
+            return;
+        }
+        
         const submitBtn = form.querySelector('button[type="submit"]');
         const submitText = submitBtn.querySelector('.submit-text');
         const loadingIcon = submitBtn.querySelector('.loading-icon');
@@ -173,38 +397,52 @@ const TransportManagement = {
         try {
             const formData = new FormData(form);
             const requestData = {
-                order_id: parseInt(formData.get('order_id')),
+                order_ids: orderIds,
                 transport_type: formData.get('transport_type'),
                 pickup_address: formData.get('pickup_address'),
                 preferred_date: formData.get('preferred_date'),
                 delivery_date: formData.get('delivery_date') || null,
                 notes: formData.get('notes') || null
             };
+            if (quotedTotal !== null) {
+                requestData.quoted_total = quotedTotal;
+            }
             
-            const response = await this.apiRequest('/transport/request', 'POST', requestData);
+            const result = await OfflineSync.send('/transport/request', requestData, {
+                label: orderIds.length > 1
+                    ? `${orderIds.length} টি অর্ডারের পরিবহন অনুরোধ`
+                    : `অর্ডার #${orderIds[0]} এর পরিবহন অনুরোধ`,
+                containerId: 'transportContainer'
+            });
             
-            if (response.ok) {
-                const result = await response.json();
-                
-                this.showSuccess('পরিবহন অনুরোধ সফলভাবে পাঠানো হয়েছে!');
-                
-                // Close modal
-                form.closest('.fixed').remove();
-                
-                // Reload transports
-                this.loadTransports();
-                
-                // Show request result
-                this.showTransportRequestResult(result);
-                
-            } else {
-                const error = await response.json();
-                this.showError(error.error || 'পরিবহন অনুরোধ পাঠাতে সমস্যা হয়েছে');
+            // Close modal
+            form.closest('.fixed').remove();
+            
+            if (this.requestOptions.onRequested) {
+                this.requestOptions.onRequested(result, orderIds);
             }
             
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। অনুরোধটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
+            }
+            
+            this.showSuccess('পরিবহন অনুরোধ সফলভাবে পাঠানো হয়েছে!');
+            
+            // Reload transports
+            this.loadTransports();
+            
+            // Show request result
+            this.showTransportRequestResult(result);
+            
         } catch (error) {
+            if (error instanceof ApiError && error.status === 409 && error.data && error.data.quote) {
+                this.confirmQuoteChange(form, error.data);
+                return;
+            }
+            
             console.error('Submit transport request error:', error);
-            this.showError('নেটওয়ার্ক সমস্যা হয়েছে');
+            this.showError(ApiClient.errorMessage(error, 'পরিবহন অনুরোধ পাঠাতে সমস্যা হয়েছে'));
         } finally {
             submitBtn.disabled = false;
             submitText.textContent = 'অনুরোধ পাঠান';
@@ -230,6 +468,8 @@ const TransportManagement = {
                             <div>${result.transport.id}</div>
                             <div><strong>ট্র্যাকিং নম্বর:</strong></div>
                             <div>${result.transport.tracking_number || 'N/A'}</div>
+                            <div><strong>ভাড়া:</strong></div>
+                            <div>${result.quote ? `৳${Number(result.quote.total).toFixed(2)}` : 'N/A'}</div>
                             <div><strong>আনুমানিক সময়:</strong></div>
                             <div>${result.eta_prediction?.estimated_duration_minutes || 'N/A'} মিনিট</div>
                             <div><strong>ঝুঁকি স্তর:</strong></div>
@@ -237,6 +477,15 @@ const TransportManagement = {
                         </div>
                     </div>
                     
+                    ${result.route_plan && result.route_plan.stops.length > 1 ? `
+                        <div class="text-left bg-green-50 rounded-lg p-4 mb-4 text-sm">
+                            <p class="font-semibold text-gray-900 mb-2">${result.route_plan.stops.length} টি স্টপ · ${result.route_plan.total_distance_km} কিমি · ৳${result.route_plan.estimated_cost}</p>
+                            <ol class="list-decimal list-inside text-gray-700 space-y-1">
+                                ${result.route_plan.stops.map(stop => `<li>অর্ডার #${stop.order_id} - ${ApiClient.escapeHtml(stop.delivery_address)}</li>`).join('')}
+                            </ol>
+                        </div>
+                    ` : ''}
+                    
                     ${result.risk_assessment?.risk_level === 'high' ? `
                         <div class="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4">
                             <div class="flex">
@@ -278,14 +527,8 @@ const TransportManagement = {
             const params = new URLSearchParams();
             if (status) params.append('status', status);
             
-            const response = await this.apiRequest(`/transport?${params}`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.displayTransports(data.transports);
-            } else {
-                throw new Error('Failed to load transports');
-            }
+            const data = await ApiClient.get(`/transport?${params}`);
+            this.displayTransports(data.transports);
             
         } catch (error) {
             console.error('Load transports error:', error);
@@ -310,6 +553,8 @@ const TransportManagement = {
             container.appendChild(transportCard);
         });
         
+        OfflineSync.refreshPendingIndicators();
+        
         // Start tracking for active transports
         this.startTrackingForActiveTransports(transports);
     },
@@ -318,6 +563,7 @@ const TransportManagement = {
     createTransportCard(transport) {
         const card = document.createElement('div');
         card.className = 'bg-white rounded-lg shadow hover:shadow-lg transition-shadow border-l-4 border-blue-500';
+        card.setAttribute('data-transport-id', transport.id);
         
         const statusColor = this.getTransportStatusColor(transport.status);
         const riskColor = this.getRiskColor(transport.risk_level);
@@ -353,6 +599,22 @@ const TransportManagement = {
                     </div>
                 </div>
                 
+                ${SpoilageMeter.render(transport.spoilage)}
+                
+                ${transport.stops && transport.stops.length > 1 ? `
+                    <div class="mb-4">
+                        <p class="text-sm text-gray-600 mb-1">${transport.stops.length} টি ডেলিভারি স্টপ</p>
+                        <ol class="text-sm space-y-1">
+                            ${transport.stops.map(stop => `
+                                <li class="flex items-start">
+                                    <span class="flex-shrink-0 w-5 h-5 rounded-full bg-blue-100 text-blue-800 text-xs flex items-center justify-center mr-2">${stop.sequence}</span>
+                                    <span>অর্ডার #${stop.order_id} · ${ApiClient.escapeHtml(stop.buyer_first_name || '')} - ${ApiClient.escapeHtml(stop.delivery_address)}</span>
+                                </li>
+                            `).join('')}
+                        </ol>
+                    </div>
+                ` : ''}
+                
                 ${transport.current_location ? `
                     <div class="mb-4">
                         <p class="text-sm text-gray-600">বর্তমান অবস্থান</p>
@@ -368,6 +630,14 @@ const TransportManagement = {
                         ট্র্যাকিং দেখুন
                     </button>
                     
+                    <button onclick="TransportChat.open(${transport.id}, 'পরিবহন #${transport.id}')" 
+                            class="relative bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700" title="চ্যাট">
+                        <i class="fas fa-comments"></i>
+                        ${transport.unread_messages > 0 ? `
+                            <span class="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full px-1.5">${transport.unread_messages}</span>
+                        ` : ''}
+                    </button>
+                    
                     ${this.getTransportActions(transport)}
                 </div>
                 
@@ -425,14 +695,8 @@ const TransportManagement = {
     // View tracking details
     async viewTrackingDetails(transportId) {
         try {
-            const response = await this.apiRequest(`/transport/${transportId}/tracking`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.showTrackingModal(data);
-            } else {
-                throw new Error('Failed to load tracking data');
-            }
+            const data = await ApiClient.get(`/transport/${transportId}/tracking`);
+            this.showTrackingModal({ transport_id: transportId, ...data });
             
         } catch (error) {
             console.error('View tracking details error:', error);
@@ -448,24 +712,27 @@ const TransportManagement = {
             <div class="relative top-10 mx-auto p-5 border w-full max-w-4xl shadow-lg rounded-md bg-white">
                 <div class="flex justify-between items-center mb-4">
                     <h3 class="text-xl font-bold text-gray-900">রিয়েল-টাইম ট্র্যাকিং - পরিবহন #${trackingData.transport_id}</h3>
-                    <button onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+                    <button data-close-modal class="text-gray-400 hover:text-gray-600">
                         <i class="fas fa-times text-xl"></i>
                     </button>
                 </div>
                 
+                <!-- Live Map -->
+                <div class="mb-6">
+                    <div class="tracking-map h-72 rounded-lg overflow-hidden border border-gray-200"></div>
+                    ${TrackingMap.legendHtml()}
+                </div>
+                
                 <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
                     <!-- Current Status -->
                     <div class="bg-gray-50 rounded-lg p-4">
                         <h4 class="font-semibold mb-3">বর্তমান অবস্থা</h4>
                         <div class="space-y-2 text-sm">
-                            <div><span class="font-medium">স্ট্যাটাস:</span> ${this.translateTransportStatus(trackingData.current_status)}</div>
-                            <div><span class="font-medium">গতি:</span> ${trackingData.current_speed || 0} km/h</div>
-                            <div><span class="font-medium">দিক:</span> ${trackingData.bearing || 'N/A'}°</div>
-                            ${trackingData.current_location ? `
-                                <div><span class="font-medium">অবস্থান:</span> ${trackingData.current_location.latitude?.toFixed(4)}, ${trackingData.current_location.longitude?.toFixed(4)}</div>
-                                <div><span class="font-medium">নির্ভুলতা:</span> ${trackingData.current_location.accuracy || 'N/A'}m</div>
-                            ` : ''}
-                            <div><span class="font-medium">সর্বশেষ আপডেট:</span> ${trackingData.last_updated ? new Date(trackingData.last_updated).toLocaleString('bn-BD') : 'N/A'}</div>
+                            <div><span class="font-medium">স্ট্যাটাস:</span> <span data-field="status"></span></div>
+                            <div><span class="font-medium">গতি:</span> <span data-field="speed"></span></div>
+                            <div><span class="font-medium">দিক:</span> <span data-field="bearing"></span></div>
+                            <div><span class="font-medium">নির্ভুলতা:</span> <span data-field="accuracy"></span></div>
+                            <div><span class="font-medium">সর্বশেষ আপডেট:</span> <span data-field="last_updated"></span></div>
                         </div>
                     </div>
                     
@@ -473,49 +740,46 @@ const TransportManagement = {
                     <div class="bg-gray-50 rounded-lg p-4">
                         <h4 class="font-semibold mb-3">যাত্রার পরিসংখ্যান</h4>
                         <div class="space-y-2 text-sm">
-                            <div><span class="font-medium">মোট দূরত্ব:</span> ${trackingData.journey_statistics?.total_distance || 0} km</div>
-                            <div><span class="font-medium">গড় গতি:</span> ${trackingData.journey_statistics?.average_speed || 0} km/h</div>
-                            <div><span class="font-medium">থামার সংখ্যা:</span> ${trackingData.journey_statistics?.stops_count || 0}</div>
-                            <div><span class="font-medium">ট্র্যাকিং মান:</span> ${trackingData.tracking_quality || 'N/A'}</div>
+                            <div><span class="font-medium">মোট দূরত্ব:</span> <span data-field="total_distance"></span></div>
+                            <div><span class="font-medium">গড় গতি:</span> <span data-field="average_speed"></span></div>
+                            <div><span class="font-medium">থামার সংখ্যা:</span> <span data-field="stops_count"></span></div>
+                            <div><span class="font-medium">ট্র্যাকিং মান:</span> <span data-field="tracking_quality"></span></div>
                         </div>
                     </div>
                 </div>
                 
                 <!-- Real-time Metrics -->
-                ${trackingData.real_time_metrics ? `
-                    <div class="mt-6 bg-blue-50 rounded-lg p-4">
-                        <h4 class="font-semibold mb-3">রিয়েল-টাইম মেট্রিক্স</h4>
-                        <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-                            <div>
-                                <div class="font-medium">আপডেটেড ETA</div>
-                                <div>${trackingData.real_time_metrics.eta_updated || 'N/A'}</div>
-                            </div>
-                            <div>
-                                <div class="font-medium">অগ্রগতি</div>
-                                <div>${trackingData.real_time_metrics.progress_percentage || 0}%</div>
-                            </div>
+                <div class="mt-6 bg-blue-50 rounded-lg p-4 hidden" data-section="metrics">
+                    <h4 class="font-semibold mb-3">রিয়েল-টাইম মেট্রিক্স</h4>
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                        <div>
+                            <div class="font-medium">আপডেটেড ETA</div>
+                            <div data-field="eta_updated"></div>
+                        </div>
+                        <div>
+                            <div class="font-medium">অগ্রগতি</div>
+                            <div data-field="progress"></div>
                         </div>
                     </div>
-                ` : ''}
+                </div>
+                
+                <!-- Estimated Arrival -->
+                <div class="mt-6 bg-purple-50 rounded-lg p-4 hidden" data-section="eta">
+                    <h4 class="font-semibold mb-1">আনুমানিক পৌঁছানোর সময়</h4>
+                    <div data-field="eta_band"></div>
+                </div>
                 
                 <!-- Active Alerts -->
-                ${trackingData.active_alerts && trackingData.active_alerts.length > 0 ? `
-                    <div class="mt-6 bg-red-50 rounded-lg p-4">
-                        <h4 class="font-semibold mb-3 text-red-800">সক্রিয় সতর্কতা</h4>
-                        <div class="space-y-2">
-                            ${trackingData.active_alerts.map(alert => `
-                                <div class="flex items-center text-sm">
-                                    <i class="fas fa-exclamation-triangle text-red-500 mr-2"></i>
-                                    <span>${alert.message}</span>
-                                    <span class="ml-auto text-xs text-gray-500">${new Date(alert.created_at).toLocaleString('bn-BD')}</span>
-                                </div>
-                            `).join('')}
-                        </div>
-                    </div>
-                ` : ''}
+                <div class="mt-6 bg-red-50 rounded-lg p-4 hidden" data-section="alerts">
+                    <h4 class="font-semibold mb-3 text-red-800">সক্রিয় সতর্কতা</h4>
+                    <div class="space-y-2" data-field="active_alerts"></div>
+                </div>
+                
+                <!-- Route Anomalies -->
+                ${RouteAnomalyTimeline.sectionHtml()}
                 
                 <div class="mt-6 flex justify-end">
-                    <button onclick="this.closest('.fixed').remove()" 
+                    <button data-close-modal
                             class="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700">
                         বন্ধ করুন
                     </button>
@@ -525,90 +789,124 @@ const TransportManagement = {
         
         document.body.appendChild(modal);
         
-        // Start real-time updates for this modal
-        const updateInterval = setInterval(async () => {
-            if (!document.body.contains(modal)) {
-                clearInterval(updateInterval);
-                return;
-            }
-            
-            try {
-                const response = await this.apiRequest(`/transport/${trackingData.transport_id}/tracking`);
-                if (response.ok) {
-                    const updatedData = await response.json();
-                    // Update modal content with new data
-                    // Implementation would update specific elements
-                }
-            } catch (error) {
-                console.error('Real-time update error:', error);
-            }
-        }, this.trackingInterval);
+        // Receive real-time updates until the modal is closed
+        TrackingModal.attach(modal, trackingData, (data, previous) => this.renderTracking(modal, data, previous));
+    },
+    
+    // Display values for the tracking modal, keyed by data-field
+    getTrackingFields(trackingData) {
+        const journey = trackingData.journey_statistics || {};
+        const metrics = trackingData.real_time_metrics || {};
+        
+        return {
+            status: this.translateTransportStatus(trackingData.current_status),
+            speed: `${trackingData.current_speed || 0} km/h`,
+            bearing: `${trackingData.bearing || 'N/A'}°`,
+            accuracy: `${trackingData.current_location?.accuracy || 'N/A'}m`,
+            last_updated: trackingData.last_updated ? new Date(trackingData.last_updated).toLocaleString('bn-BD') : 'N/A',
+            total_distance: `${journey.total_distance || 0} km`,
+            average_speed: `${journey.average_speed || 0} km/h`,
+            stops_count: String(journey.stops_count || 0),
+            tracking_quality: String(trackingData.tracking_quality || 'N/A'),
+            eta_updated: String(metrics.eta_updated || 'N/A'),
+            progress: `${metrics.progress_percentage || 0}%`
+        };
+    },
+    
+    // Patch a tracking payload into the open modal, highlighting what changed.
+    // Returns the rendered state to diff the next payload against
+    renderTracking(modal, trackingData, previous) {
+        TrackingModal.patchFields(modal, this.getTrackingFields(trackingData), !!previous);
+        
+        modal.querySelector('[data-section="metrics"]').classList.toggle('hidden', !trackingData.real_time_metrics);
+        modal.querySelector('[data-section="eta"]').classList.toggle('hidden', !trackingData.eta_prediction);
+        EtaBand.update(modal.querySelector('[data-field="eta_band"]'), trackingData.eta_prediction);
+        
+        const alerts = trackingData.active_alerts || [];
+        modal.querySelector('[data-section="alerts"]').classList.toggle('hidden', alerts.length === 0);
+        
+        // Only redraw the alert list when its contents change
+        const alertKeys = alerts.map(alert => `${alert.created_at}|${alert.message}`).join('\n');
+        if (previous && previous.alertKeys === alertKeys) {
+            return { alertKeys };
+        }
+        
+        const list = modal.querySelector('[data-field="active_alerts"]');
+        list.innerHTML = alerts.map(alert => `
+            <div class="flex items-center text-sm">
+                <i class="fas fa-exclamation-triangle text-red-500 mr-2"></i>
+                <span>${ApiClient.escapeHtml(alert.message)}</span>
+                <span class="ml-auto text-xs text-gray-500">${new Date(alert.created_at).toLocaleString('bn-BD')}</span>
+            </div>
+        `).join('');
+        if (previous) {
+            TrackingModal.highlightChange(list);
+        }
+        
+        return { alertKeys };
     },
     
     // Update transport status
     async updateTransportStatus(transportId, newStatus) {
+        // Delivery needs the buyer's handover code, a signature and a photo
+        if (newStatus === 'delivered') {
+            DeliveryHandover.showCaptureModal({ id: transportId }, (result) => {
+                if (!result.queued) {
+                    this.loadTransports();
+                }
+            });
+            return;
+        }
+        
         if (!confirm(`আপনি কি পরিবহনের স্ট্যাটাস "${this.translateTransportStatus(newStatus)}" এ পরিবর্তন করতে চান?`)) {
             return;
         }
         
         try {
-            const response = await this.apiRequest(`/transport/${transportId}/update`, 'POST', {
+            const result = await OfflineSync.send(`/transport/${transportId}/update`, {
                 status: newStatus,
                 notes: `Status updated to ${newStatus} by farmer`
+            }, {
+                label: `পরিবহন #${transportId} স্ট্যাটাস পরিবর্তন`,
+                cardSelector: `[data-transport-id="${transportId}"]`
             });
             
-            if (response.ok) {
-                this.showSuccess('পরিবহনের স্ট্যাটাস আপডেট করা হয়েছে');
-                this.loadTransports(); // Refresh transports
-            } else {
-                const error = await response.json();
-                this.showError(error.error || 'স্ট্যাটাস আপডেট করতে সমস্যা হয়েছে');
+            if (result.queued) {
+                this.showNotification('ইন্টারনেট সংযোগ নেই। পরিবর্তনটি সংরক্ষিত হয়েছে, সংযোগ ফিরলে পাঠানো হবে');
+                return;
             }
             
+            this.showSuccess('পরিবহনের স্ট্যাটাস আপডেট করা হয়েছে');
+            this.loadTransports(); // Refresh transports
+            
         } catch (error) {
             console.error('Update transport status error:', error);
-            this.showError('নেটওয়ার্ক সমস্যা হয়েছে');
+            this.showError(ApiClient.errorMessage(error, 'স্ট্যাটাস আপডেট করতে সমস্যা হয়েছে'));
         }
     },
     
     // Start tracking for active transports
     startTrackingForActiveTransports(transports) {
         // Stop existing tracking
-        this.activeTracking.forEach((interval, transportId) => {
-            clearInterval(interval);
-        });
+        this.activeTracking.forEach(unsubscribe => unsubscribe());
         this.activeTracking.clear();
         
-        // Start tracking for active transports
+        // Subscribe active transports to the shared tracking channel
         transports.forEach(transport => {
             if (['assigned', 'pickup_pending', 'picked_up', 'in_transit'].includes(transport.status)) {
-                const interval = setInterval(() => {
-                    this.updateTransportTracking(transport.id);
-                }, this.trackingInterval);
+                const unsubscribe = TrackingChannel.subscribe(transport.id, (data) => {
+                    this.updateTransportCardTracking(transport.id, data);
+                });
                 
-                this.activeTracking.set(transport.id, interval);
+                this.activeTracking.set(transport.id, unsubscribe);
             }
         });
     },
     
-    // Update transport tracking
-    async updateTransportTracking(transportId) {
-        try {
-            const response = await this.apiRequest(`/transport/${transportId}/tracking`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                // Update UI with new tracking data
-                this.updateTransportCardTracking(transportId, data);
-            }
-            
-        } catch (error) {
-            console.error('Update transport tracking error:', error);
-        }
-    },
-    
     // Update transport card tracking info
     updateTransportCardTracking(transportId, trackingData) {
+        EtaBand.notifyIfLate(transportId, trackingData.eta_prediction);
+        
         // Implementation would update specific elements in the transport card
         // This is a simplified version
         const card = document.querySelector(`[data-transport-id="${transportId}"]`);
@@ -620,22 +918,32 @@ const TransportManagement = {
         }
     },
     
-    // Update active tracking
-    updateActiveTracking() {
-        // This method is called periodically to refresh tracking data
-        // Implementation would batch update all active transports
+    // Bind the analytics date range and region filters
+    initAnalyticsFilters() {
+        const form = document.getElementById('transportAnalyticsFilters');
+        if (!form) return;
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadAnalytics(true);
+        });
     },
     
-    // Load analytics
-    async loadAnalytics() {
+    // Load analytics; the first load lets the server pick the farmer's own region
+    async loadAnalytics(filtered = false) {
         try {
-            const response = await this.apiRequest('/transport/analytics');
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.updateAnalyticsDisplay(data);
+            const params = new URLSearchParams();
+            const form = document.getElementById('transportAnalyticsFilters');
+            if (form) {
+                const { start_date: dateFrom, end_date: dateTo, region } = form.elements;
+                if (dateFrom.value) params.append('start_date', dateFrom.value);
+                if (dateTo.value) params.append('end_date', dateTo.value);
+                if (filtered) params.append('region', region.value);
             }
             
+            const data = await ApiClient.get(`/transport/analytics?${params}`);
+            this.updateAnalyticsDisplay(data);
+        
         } catch (error) {
             console.error('Load analytics error:', error);
         }
@@ -643,28 +951,144 @@ const TransportManagement = {
     
     // Update analytics display
     updateAnalyticsDisplay(analytics) {
-        const elements = {
-            totalTransports: document.getElementById('totalTransports'),
-            onTimeDeliveries: document.getElementById('onTimeDeliveries'),
-            avgDeliveryTime: document.getElementById('avgDeliveryTime'),
-            customerSatisfaction: document.getElementById('customerSatisfaction')
+        const dashboard = analytics.dashboard;
+        const own = dashboard ? dashboard.summary : {
+            total_deliveries: analytics.delivery_performance?.total_deliveries,
+            on_time_rate: analytics.delivery_performance?.on_time_percentage,
+            avg_delivery_hours: analytics.delivery_performance?.avg_delivery_time,
+            avg_rating: analytics.delivery_performance?.avg_customer_satisfaction
         };
+        const region = dashboard ? dashboard.regional_average : null;
+        const fixed = (value, digits) => value === null || value === undefined ? null : Number(value).toFixed(digits);
         
-        if (elements.totalTransports) {
-            elements.totalTransports.textContent = analytics.delivery_performance?.total_deliveries || 0;
-        }
+        const figures = {
+            totalTransports: [own.total_deliveries || 0, region && region.total_deliveries],
+            onTimeDeliveries: [`${fixed(own.on_time_rate, 1) || 0}%`, region && fixed(region.on_time_rate, 1) && `${fixed(region.on_time_rate, 1)}%`],
+            avgDeliveryTime: [`${fixed(own.avg_delivery_hours, 1) || 0}h`, region && fixed(region.avg_delivery_hours, 1) && `${fixed(region.avg_delivery_hours, 1)}h`],
+            customerSatisfaction: [fixed(own.avg_rating, 1) || 'N/A', region && fixed(region.avg_rating, 1)]
+        };
         
-        if (elements.onTimeDeliveries) {
-            elements.onTimeDeliveries.textContent = `${analytics.delivery_performance?.on_time_percentage?.toFixed(1) || 0}%`;
-        }
+        Object.entries(figures).forEach(([id, [value, regionValue]]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = value;
+            }
+            
+            const comparison = document.getElementById(`${id}Region`);
+            if (comparison) {
+                comparison.textContent = regionValue !== null && regionValue !== undefined && regionValue !== false
+                    ? `অঞ্চলের গড়: ${regionValue}`
+                    : '';
+            }
+        });
         
-        if (elements.avgDeliveryTime) {
-            elements.avgDeliveryTime.textContent = `${analytics.delivery_performance?.avg_delivery_time?.toFixed(1) || 0}h`;
+        if (dashboard) {
+            this.updateAnalyticsFilters(dashboard);
+            this.renderAnalyticsCharts(dashboard);
         }
+    },
+    
+    // Reflect the range and region the server used, and list the known regions
+    updateAnalyticsFilters(dashboard) {
+        const form = document.getElementById('transportAnalyticsFilters');
+        if (!form) return;
+        
+        const { start_date: dateFrom, end_date: dateTo, region } = form.elements;
+        dateFrom.value = dashboard.filters.date_from;
+        dateTo.value = dashboard.filters.date_to;
+        
+        region.innerHTML = '<option value="">সব অঞ্চল</option>';
+        dashboard.regions.forEach(name => region.add(new Option(name, name)));
+        region.value = dashboard.filters.region || '';
+    },
+    
+    // On-time and cost trends against the region, delivery times per vehicle and ratings
+    renderAnalyticsCharts(dashboard) {
+        if (typeof Chart === 'undefined') return;
+        
+        const ownLabel = 'আমার ডেলিভারি';
+        const regionLabel = dashboard.filters.region ? `${dashboard.filters.region} অঞ্চলের গড়` : 'সব অঞ্চলের গড়';
+        const periodLabel = period => new Date(`${period}T00:00:00`).toLocaleDateString('bn-BD',
+            dashboard.filters.period === 'month' ? { month: 'short', year: 'numeric' } : { day: 'numeric', month: 'short' });
+        
+        // Own and regional points share one axis of every period either has
+        const trendData = trend => {
+            const periods = [...new Set([...trend.own, ...trend.region].map(point => point.period_start))].sort();
+            const valuesOf = points => periods.map(period => {
+                const point = points.find(p => p.period_start === period);
+                return point ? point.value : null;
+            });
+            return {
+                labels: periods.map(periodLabel),
+                datasets: [
+                    { label: ownLabel, data: valuesOf(trend.own), borderColor: 'rgb(16, 185, 129)', backgroundColor: 'rgba(16, 185, 129, 0.1)', tension: 0.2, spanGaps: true },
+                    { label: regionLabel, data: valuesOf(trend.region), borderColor: 'rgb(148, 163, 184)', borderDash: [6, 4], tension: 0.2, spanGaps: true }
+                ]
+            };
+        };
+        
+        const typeColors = ['#10b981', '#0ea5e9', '#f59e0b', '#8b5cf6', '#ef4444', '#64748b'];
+        const distribution = dashboard.delivery_time_distribution;
+        const deliveryTimeData = {
+            labels: distribution.buckets.map(bucket => `${bucket} ঘণ্টা`),
+            datasets: Object.entries(distribution.by_transport_type).map(([type, counts], index) => ({
+                label: this.translateTransportType(type),
+                data: distribution.buckets.map(bucket => counts[bucket] || 0),
+                backgroundColor: typeColors[index % typeColors.length]
+            }))
+        };
+        
+        // Ratings as a share of rated trips so a farmer compares fairly with the whole region
+        const stars = [1, 2, 3, 4, 5];
+        const shares = counts => {
+            const total = stars.reduce((sum, star) => sum + (counts[star] || 0), 0);
+            return stars.map(star => total ? Math.round((counts[star] || 0) / total * 1000) / 10 : 0);
+        };
+        const ratingData = {
+            labels: stars.map(star => `${star} ★`),
+            datasets: [
+                { label: ownLabel, data: shares(dashboard.rating_distribution.own), backgroundColor: '#8b5cf6' },
+                { label: regionLabel, data: shares(dashboard.rating_distribution.region), backgroundColor: '#cbd5e1' }
+            ]
+        };
+        
+        const percentTicks = { callback: value => `${value}%` };
+        this.drawAnalyticsChart('transportOnTimeChart', 'line', trendData(dashboard.on_time_trend), {
+            y: { beginAtZero: true, max: 100, ticks: percentTicks }
+        });
+        this.drawAnalyticsChart('transportCostChart', 'line', trendData(dashboard.cost_per_km_trend), {
+            y: { beginAtZero: true, ticks: { callback: value => `৳${value}/কিমি` } }
+        });
+        this.drawAnalyticsChart('transportDeliveryTimeChart', 'bar', deliveryTimeData, {
+            x: { stacked: true },
+            y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } }
+        });
+        this.drawAnalyticsChart('transportRatingChart', 'bar', ratingData, {
+            y: { beginAtZero: true, max: 100, ticks: percentTicks }
+        });
+    },
+    
+    // Replace the chart on a canvas; Chart.js refuses to draw twice on one canvas
+    drawAnalyticsChart(canvasId, type, data, scales) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
         
-        if (elements.customerSatisfaction) {
-            elements.customerSatisfaction.textContent = analytics.delivery_performance?.avg_customer_satisfaction?.toFixed(1) || 'N/A';
+        if (this.analyticsCharts[canvasId]) {
+            this.analyticsCharts[canvasId].destroy();
         }
+        
+        this.analyticsCharts[canvasId] = new Chart(canvas, {
+            type,
+            data,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales,
+                plugins: {
+                    legend: { position: 'bottom' }
+                }
+            }
+        });
     },
     
     // Utility methods
@@ -710,39 +1134,19 @@ const TransportManagement = {
     translateTransportType(type) {
         const translations = {
             'truck': 'ট্রাক',
+            'refrigerated_truck': 'রেফ্রিজারেটেড ট্রাক',
             'van': 'ভ্যান',
             'pickup': 'পিকআপ',
             'motorbike': 'মোটরবাইক',
+            'motorcycle': 'মোটরবাইক',
+            'rickshaw': 'রিকশা',
             'bicycle': 'সাইকেল'
         };
         return translations[type] || type;
     },
     
     getCurrentUser() {
-        const userStr = localStorage.getItem('user');
-        return userStr ? JSON.parse(userStr) : null;
-    },
-    
-    async apiRequest(endpoint, method = 'GET', data = null) {
-        const token = localStorage.getItem('authToken');
-        const headers = {
-            'Content-Type': 'application/json'
-        };
-        
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        const config = {
-            method,
-            headers
-        };
-        
-        if (data && method !== 'GET') {
-            config.body = JSON.stringify(data);
-        }
-        
-        return fetch(this.apiBase + endpoint, config);
+        return ApiClient.getUser();
     },
     
     showSuccess(message) {
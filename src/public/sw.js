@@ -0,0 +1,185 @@
+/**
+ * KrishiGhor Service Worker
+ * Caches the dashboard shells and the last good API responses so the
+ * dashboards keep working offline, and replays queued calls on reconnect
+ */
+
+importScripts('/js/offline-store.js');
+
+const SHELL_CACHE = 'krishighor-shell-v17';
+const API_CACHE = 'krishighor-api-v1';
+const TILE_CACHE = 'krishighor-tiles-v1';
+const SYNC_TAG = 'krishighor-outbox';
+const OFFLINE_PAGE = '/offline.html';
+
+// Pages and assets needed to open a dashboard without a connection
+const SHELL_URLS = [
+    OFFLINE_PAGE,
+    '/manifest.webmanifest',
+    '/assets/icons/icon-192.png',
+    '/assets/icons/icon-512.png',
+    '/dashboard/farmer',
+    '/dashboard/farmer.html',
+    '/dashboard/farmer/orders.html',
+    '/dashboard/farmer/transport.html',
+    '/dashboard/buyer',
+    '/dashboard/buyer.html',
+    '/dashboard/buyer/orders.html',
+    '/dashboard/buyer/deliveries.html',
+    '/dashboard/driver',
+    '/dashboard/driver.html',
+    '/dashboard/admin',
+    '/dashboard/admin.html',
+    '/css/app.css',
+    '/assets/logo.png',
+    '/vendor/leaflet/leaflet.css',
+    '/vendor/leaflet/leaflet.js',
+    '/vendor/qrcode/qrcode.js',
+    '/js/api-client.js',
+    '/js/i18n.js',
+    '/js/forms.js',
+    '/js/route-guard.js',
+    '/js/offline-store.js',
+    '/js/offline-sync.js',
+    '/js/dashboard.js',
+    '/js/charts.js',
+    '/js/search.js',
+    '/js/price-analytics.js',
+    '/js/spoilage-meter.js',
+    '/js/order-management.js',
+    '/js/order-negotiation.js',
+    '/js/order-amendments.js',
+    '/js/recurring-orders.js',
+    '/js/order-bulk-actions.js',
+    '/js/cart.js',
+    '/js/tracking-channel.js',
+    '/js/tracking-map.js',
+    '/js/transport-management.js',
+    '/js/photo-capture.js',
+    '/js/delivery-issues.js',
+    '/js/transport-chat.js',
+    '/js/delivery-handover.js',
+    '/js/eta-band.js',
+    '/js/route-anomaly-timeline.js',
+    '/js/tracking-modal.js',
+    '/js/buyer-delivery-tracking.js',
+    '/js/driver-console.js',
+    '/js/logout.js'
+];
+
+// API reads whose last good response is served when offline
+const CACHED_API_PATHS = [
+    '/api/prices/current',
+    '/api/orders',
+    '/api/transport'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => Promise.all(
+            // One missing file should not stop the worker from installing
+            SHELL_URLS.map(url => cache.add(url).catch(error => {
+                console.warn('Shell cache miss:', url, error);
+            }))
+        )).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys().then(keys => Promise.all(
+            keys.filter(key => ![SHELL_CACHE, API_CACHE, TILE_CACHE].includes(key))
+                .map(key => caches.delete(key))
+        )).then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Mutations are queued by the page; other origins are left alone
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (CACHED_API_PATHS.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, API_CACHE));
+    } else if (url.pathname.startsWith('/tiles/')) {
+        event.respondWith(cacheFirst(request, TILE_CACHE));
+    } else if (!url.pathname.startsWith('/api/')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(replayOutbox());
+    }
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    // Cached API data belongs to the user who fetched it
+    if (message.type === 'clear-api-cache') {
+        event.waitUntil(caches.delete(API_CACHE));
+    }
+});
+
+// Fresh data when online, the last good copy when not
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+
+        // Pages never visited online get the offline page with the cached orders and deliveries
+        if (request.mode === 'navigate') {
+            const offline = await caches.match(OFFLINE_PAGE);
+            if (offline) {
+                return offline;
+            }
+        }
+        throw error;
+    }
+}
+
+// Map tiles never change, so once seen they are served from the cache
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Send queued calls and report the outcome to every open page
+async function replayOutbox() {
+    const { results, complete } = await OfflineStore.replayOutbox();
+
+    if (results.length) {
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'outbox-replayed', results }));
+    }
+
+    // Rejecting makes the browser retry the sync later
+    if (!complete) {
+        throw new Error('Outbox not fully replayed');
+    }
+}
@@ -5,9 +5,17 @@
  */
 
 require_once __DIR__ . '/../config/database.php';
+require_once __DIR__ . '/../models/EtaHistory.php';
 
 class ETAPredictionService {
+    // A new history entry is kept when the arrival moves by at least this many minutes
+    const ETA_SHIFT_MINUTES = 5;
+    
+    // Narrowest earliest-to-latest band, either side of the estimate
+    const MIN_BAND_MINUTES = 5;
+    
     private $db;
+    private $historyModel;
     
     // Kalman filter parameters
     private $kalmanState = [
@@ -56,6 +64,7 @@ class ETAPredictionService {
     
     public function __construct() {
         $this->db = Database::getInstance()->getConnection();
+        $this->historyModel = new EtaHistory();
     }
     
     /**
@@ -143,15 +152,26 @@ class ETAPredictionService {
             // Update stored prediction
             $this->updateStoredPrediction($transportId, $remainingPrediction);
             
+            $band = $this->calculateArrivalBand($remainingPrediction);
+            $this->recordShift($transportId, $remainingPrediction, $band, $remainingRoute['distance']);
+            
             return [
                 'transport_id' => $transportId,
                 'remaining_duration_minutes' => $remainingPrediction['duration_minutes'],
+                'estimated_duration_minutes' => round($remainingPrediction['duration_minutes']),
                 'updated_arrival_time' => $remainingPrediction['arrival_time'],
+                'estimated_arrival' => $remainingPrediction['arrival_time'],
+                'earliest_arrival' => $band['earliest'],
+                'latest_arrival' => $band['latest'],
+                'departed_at' => $transport['pickup_date'] ?: $transport['created_at'],
                 'current_location' => $currentLocation,
                 'current_speed_kmh' => $currentSpeed,
                 'remaining_distance_km' => $remainingRoute['distance'],
+                'remaining_distance' => $remainingRoute['distance'],
                 'confidence' => $remainingPrediction['confidence'],
+                'confidence_level' => (int) round($remainingPrediction['confidence'] * 100),
                 'delay_probability' => $remainingPrediction['delay_probability'],
+                'history' => $this->historyModel->getByTransport($transportId),
                 'updated_at' => date('Y-m-d H:i:s')
             ];
             
@@ -731,6 +751,46 @@ class ETAPredictionService {
         }
     }
     
+    /**
+     * Earliest and latest likely arrival around a remaining-time prediction.
+     * Lower confidence widens the band; the delay probability stretches the late side
+     */
+    private function calculateArrivalBand($prediction) {
+        $spread = max(self::MIN_BAND_MINUTES, $prediction['duration_minutes'] * (1 - $prediction['confidence']));
+        $arrival = strtotime($prediction['arrival_time']);
+        
+        return [
+            'earliest' => date('Y-m-d H:i:s', $arrival - (int) round($spread * 60)),
+            'latest' => date('Y-m-d H:i:s', $arrival + (int) round($spread * (1 + $prediction['delay_probability']) * 60))
+        ];
+    }
+    
+    // Keep the estimate in the trip's ETA history when it moved noticeably
+    private function recordShift($transportId, $prediction, $band, $remainingDistance) {
+        try {
+            $latest = $this->historyModel->findLatest($transportId);
+            $shiftMinutes = $latest
+                ? abs(strtotime($prediction['arrival_time']) - strtotime($latest['estimated_arrival'])) / 60
+                : null;
+            
+            if ($latest && $shiftMinutes < self::ETA_SHIFT_MINUTES) {
+                return;
+            }
+            
+            $this->historyModel->create([
+                'transport_id' => $transportId,
+                'estimated_arrival' => $prediction['arrival_time'],
+                'earliest_arrival' => $band['earliest'],
+                'latest_arrival' => $band['latest'],
+                'confidence' => $prediction['confidence'],
+                'remaining_distance_km' => $remainingDistance
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("Record ETA shift error: " . $e->getMessage());
+        }
+    }
+    
     public function getCurrentETA($transportId) {
         try {
             $sql = "SELECT * FROM transport_predictions WHERE transport_id = :transport_id ORDER BY created_at DESC LIMIT 1";
@@ -5,16 +5,20 @@
  */
 
 require_once __DIR__ . '/../config/database.php';
+require_once __DIR__ . '/../models/OrderItem.php';
 
 class InvoiceService {
     private $db;
+    private $orderItemModel;
     
     public function __construct() {
         $this->db = Database::getInstance()->getConnection();
+        $this->orderItemModel = new OrderItem();
     }
     
     /**
-     * Generate invoice for an order
+     * Generate invoice for an order. An order that already has one (its terms
+     * changed) gets it recalculated under the same invoice number
      */
     public function generateInvoice($orderId) {
         try {
@@ -25,16 +29,33 @@ class InvoiceService {
             }
             
             // Generate invoice number
-            $invoiceNumber = $this->generateInvoiceNumber();
+            $existing = $this->findInvoiceRecord($orderId);
+            $invoiceNumber = $existing ? $existing['invoice_number'] : $this->generateInvoiceNumber();
+            
+            // Cart orders are billed per line, single-product orders for the one product
+            $items = array_map(function($line) {
+                return [
+                    'description' => $line['product_name'] . ($line['product_name_bn'] ? ' (' . $line['product_name_bn'] . ')' : ''),
+                    'quantity' => $line['quantity'],
+                    'unit' => $line['unit'],
+                    'unit_price' => $line['unit_price'],
+                    'total' => $line['quantity'] * $line['unit_price']
+                ];
+            }, $this->orderItemModel->getByOrder($orderId) ?: [$order]);
             
             // Calculate totals
-            $subtotal = $order['quantity'] * $order['unit_price'];
+            $subtotal = array_sum(array_column($items, 'total'));
             $taxRate = 0.15; // 15% VAT
             $taxAmount = $subtotal * $taxRate;
             $totalAmount = $subtotal + $taxAmount;
             
             // Create invoice record
-            $invoiceId = $this->createInvoiceRecord($orderId, $invoiceNumber, $subtotal, $taxAmount, $totalAmount);
+            if ($existing) {
+                $invoiceId = $existing['id'];
+                $this->updateInvoiceTotals($invoiceId, $subtotal, $taxAmount, $totalAmount);
+            } else {
+                $invoiceId = $this->createInvoiceRecord($orderId, $invoiceNumber, $subtotal, $taxAmount, $totalAmount);
+            }
             
             // Generate invoice data
             $invoiceData = [
@@ -54,15 +75,7 @@ class InvoiceService {
                     'email' => $order['farmer_email'],
                     'phone' => $order['farmer_phone']
                 ],
-                'items' => [
-                    [
-                        'description' => $order['product_name'] . ($order['product_name_bn'] ? ' (' . $order['product_name_bn'] . ')' : ''),
-                        'quantity' => $order['quantity'],
-                        'unit' => $order['unit'],
-                        'unit_price' => $order['unit_price'],
-                        'total' => $subtotal
-                    ]
-                ],
+                'items' => $items,
                 'subtotal' => $subtotal,
                 'tax_rate' => $taxRate,
                 'tax_amount' => $taxAmount,
@@ -335,6 +348,28 @@ class InvoiceService {
         return $stmt->fetch()['id'];
     }
     
+    private function findInvoiceRecord($orderId) {
+        $sql = "SELECT id, invoice_number FROM invoices WHERE order_id = :order_id ORDER BY id ASC LIMIT 1";
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':order_id' => $orderId]);
+        
+        return $stmt->fetch();
+    }
+    
+    private function updateInvoiceTotals($invoiceId, $subtotal, $taxAmount, $totalAmount) {
+        $sql = "UPDATE invoices
+                SET subtotal = :subtotal, tax_amount = :tax_amount, total_amount = :total_amount, updated_at = NOW()
+                WHERE id = :id";
+        $stmt = $this->db->prepare($sql);
+        
+        $stmt->execute([
+            ':id' => $invoiceId,
+            ':subtotal' => $subtotal,
+            ':tax_amount' => $taxAmount,
+            ':total_amount' => $totalAmount
+        ]);
+    }
+    
     private function updateInvoiceData($invoiceId, $invoiceData) {
         $sql = "UPDATE invoices SET invoice_data = :data, updated_at = NOW() WHERE id = :id";
         $stmt = $this->db->prepare($sql);
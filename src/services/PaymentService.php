@@ -435,9 +435,9 @@ class PaymentService {
     }
     
     /**
-     * Process refund
+     * Process refund; without an amount, whatever was paid and not yet refunded
      */
-    public function processRefund($orderId, $reason = null) {
+    public function processRefund($orderId, $reason = null, $amount = null) {
         try {
             $payment = $this->getPaymentByOrderId($orderId);
             if (!$payment) {
@@ -448,14 +448,20 @@ class PaymentService {
                 throw new Exception("Cannot refund incomplete payment");
             }
             
+            $refundable = $payment['amount'] - $this->getRefundedAmount($payment['id']);
+            $amount = $amount ?? $refundable;
+            if ($amount <= 0 || $amount > $refundable) {
+                throw new Exception("Refund amount exceeds the refundable balance");
+            }
+            
             // Create refund record
-            $refundId = $this->createRefundRecord($payment['id'], $payment['amount'], $reason);
+            $refundId = $this->createRefundRecord($payment['id'], $amount, $reason);
             
             $result = [
                 'success' => false,
                 'refund_id' => $refundId,
                 'payment_id' => $payment['id'],
-                'amount' => $payment['amount']
+                'amount' => $amount
             ];
             
             // Process refund based on payment method
@@ -506,6 +512,56 @@ class PaymentService {
         }
     }
     
+    /**
+     * Follow a changed order total. An unpaid payment takes the new amount; a
+     * completed one is refunded the difference, and cannot be raised
+     */
+    public function adjustAmount($orderId, $newAmount, $reason = null) {
+        try {
+            $payment = $this->getPaymentByOrderId($orderId);
+            if (!$payment) {
+                return ['success' => true, 'action' => 'none'];
+            }
+            
+            if ($payment['status'] !== 'completed') {
+                $sql = "UPDATE payments SET amount = :amount, updated_at = NOW() WHERE id = :id";
+                $stmt = $this->db->prepare($sql);
+                $stmt->execute([':id' => $payment['id'], ':amount' => $newAmount]);
+                
+                return [
+                    'success' => true,
+                    'action' => 'updated',
+                    'previous_amount' => $payment['amount'],
+                    'amount' => $newAmount
+                ];
+            }
+            
+            $paid = $payment['amount'] - $this->getRefundedAmount($payment['id']);
+            if ($newAmount > $paid) {
+                throw new Exception("Cannot raise the amount of a completed payment");
+            }
+            
+            if ($newAmount == $paid) {
+                return ['success' => true, 'action' => 'none'];
+            }
+            
+            $refund = $this->processRefund($orderId, $reason, $paid - $newAmount);
+            
+            return [
+                'success' => $refund['success'],
+                'action' => 'refund',
+                'refund' => $refund
+            ];
+        
+        } catch (Exception $e) {
+            error_log("Payment adjustment error: " . $e->getMessage());
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+    
     /**
      * Get payment information for an order
      */
@@ -627,6 +683,16 @@ class PaymentService {
         return $stmt->fetch();
     }
     
+    private function getRefundedAmount($paymentId) {
+        $sql = "SELECT COALESCE(SUM(amount), 0) as refunded FROM refunds
+                WHERE payment_id = :payment_id AND status != 'failed'";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute([':payment_id' => $paymentId]);
+        
+        return (float) $stmt->fetch()['refunded'];
+    }
+    
     private function createRefundRecord($paymentId, $amount, $reason) {
         $sql = "INSERT INTO refunds (payment_id, amount, reason, status, created_at, updated_at)
                 VALUES (:payment_id, :amount, :reason, 'pending', NOW(), NOW())
@@ -219,6 +219,75 @@ class PerishabilityRiskService {
         }
     }
     
+    /**
+     * Spoilage meter for a load: share of shelf life used so far and by arrival,
+     * the forecast temperature, and a suitable vehicle and departure time
+     */
+    public function getSpoilageOutlook($productCategory, $startTime, $arrivalTime = null, $transportType = null) {
+        $productProfile = $this->getProductProfile($productCategory ?? 'unknown');
+        
+        $now = time();
+        $start = strtotime($startTime) ?: $now;
+        $departure = max($now, $start);
+        $arrival = $arrivalTime ? strtotime($arrivalTime) : false;
+        if (!$arrival || $arrival < $departure) {
+            $arrival = $departure + $this->estimateDeliveryDuration('', '') * 3600;
+        }
+        
+        $conditions = $this->getEnvironmentalConditions('', '', date('Y-m-d H:i:s', $departure));
+        $vehicle = $this->transportTypes[$transportType] ?? null;
+        
+        // Refrigerated loads stay cold whatever the weather
+        $temperatureFactor = $vehicle && $vehicle['refrigerated']
+            ? $this->environmentalFactors['temperature']['cold']
+            : $this->environmentalFactors['temperature'][$conditions['temperature']];
+        
+        $effectiveShelfLife = $productProfile['shelf_life'];
+        if ($productProfile['temp_sensitive']) {
+            $effectiveShelfLife /= $temperatureFactor;
+        }
+        if ($productProfile['humidity_sensitive']) {
+            $effectiveShelfLife /= $this->environmentalFactors['humidity'][$conditions['humidity']];
+        }
+        
+        $elapsedHours = max(0, ($now - $start) / 3600);
+        $tripHours = ($arrival - $departure) / 3600;
+        $usedPercent = min(100, $elapsedHours / $effectiveShelfLife * 100);
+        $usedAtArrivalPercent = min(100, ($elapsedHours + $tripHours) / $effectiveShelfLife * 100);
+        $remainingPercent = 100 - $usedAtArrivalPercent;
+        
+        if ($remainingPercent < 10) {
+            $riskLevel = 'critical';
+        } elseif ($remainingPercent < 25) {
+            $riskLevel = 'high';
+        } elseif ($remainingPercent < 50) {
+            $riskLevel = 'medium';
+        } else {
+            $riskLevel = 'low';
+        }
+        
+        return [
+            'product_category' => $productCategory,
+            'shelf_life_hours' => round($productProfile['shelf_life'], 1),
+            'effective_shelf_life_hours' => round($effectiveShelfLife, 1),
+            'elapsed_hours' => round($elapsedHours, 1),
+            'trip_hours' => round($tripHours, 1),
+            'used_percent' => round($usedPercent, 1),
+            'used_at_arrival_percent' => round($usedAtArrivalPercent, 1),
+            'risk_level' => $riskLevel,
+            'forecast' => [
+                'temperature' => $conditions['temperature'],
+                'humidity' => $conditions['humidity'],
+                'season' => $conditions['season']
+            ],
+            'recommended_vehicle' => $this->recommendVehicle($productProfile),
+            'recommended_departure' => $this->recommendDeparture($productProfile, $departure),
+            'transport_suitability' => $transportType
+                ? $this->checkTransportSuitability($productProfile, $transportType, $conditions)
+                : null
+        ];
+    }
+    
     /**
      * Schedule monitoring for high-risk deliveries
      */
@@ -363,13 +432,7 @@ class PerishabilityRiskService {
         }
         
         // Determine temperature based on time and season
-        if ($season === 'summer') {
-            $temperature = $hour >= 10 && $hour <= 16 ? 'very_hot' : 'hot';
-        } elseif ($season === 'winter') {
-            $temperature = $hour >= 12 && $hour <= 15 ? 'warm' : 'cool';
-        } else {
-            $temperature = $hour >= 11 && $hour <= 15 ? 'warm' : 'normal';
-        }
+        $temperature = $this->estimateTemperature($hour, $season);
         
         // Estimate humidity
         $humidity = $season === 'monsoon' ? 'very_high' : ($season === 'summer' ? 'high' : 'normal');
@@ -383,6 +446,66 @@ class PerishabilityRiskService {
         ];
     }
     
+    private function estimateTemperature($hour, $season) {
+        if ($season === 'summer') {
+            return $hour >= 10 && $hour <= 16 ? 'very_hot' : 'hot';
+        }
+        if ($season === 'winter') {
+            return $hour >= 12 && $hour <= 15 ? 'warm' : 'cool';
+        }
+        return $hour >= 11 && $hour <= 15 ? 'warm' : 'normal';
+    }
+    
+    // Vehicle the produce needs, or null when any vehicle will do
+    private function recommendVehicle($productProfile) {
+        if ($productProfile['temp_sensitive'] && $productProfile['shelf_life'] <= 72) {
+            return 'refrigerated_truck';
+        }
+        if ($productProfile['humidity_sensitive']) {
+            return 'van';
+        }
+        return null;
+    }
+    
+    // Next cooler hour (within a day) for heat-sensitive produce, or null if now is fine
+    private function recommendDeparture($productProfile, $departure) {
+        if (!$productProfile['temp_sensitive']) {
+            return null;
+        }
+        
+        for ($hours = 0; $hours < 24; $hours++) {
+            $time = $departure + $hours * 3600;
+            $conditions = $this->getEnvironmentalConditions('', '', date('Y-m-d H:i:s', $time));
+            if ($this->environmentalFactors['temperature'][$conditions['temperature']] <= 1.0) {
+                return $hours === 0 ? null : date('Y-m-d H:00:00', $time);
+            }
+        }
+        
+        // Hot all day (summer): the early morning is the least bad
+        return date('Y-m-d 05:00:00', $departure + 86400);
+    }
+    
+    private function checkTransportSuitability($productProfile, $transportType, $conditions) {
+        $vehicle = $this->transportTypes[$transportType] ?? null;
+        if (!$vehicle) {
+            return ['suitable' => true, 'issues' => []];
+        }
+        
+        $issues = [];
+        if ($productProfile['temp_sensitive'] && $productProfile['shelf_life'] <= 72 && !$vehicle['refrigerated']) {
+            $issues[] = 'needs_refrigeration';
+        }
+        if ($productProfile['humidity_sensitive'] && !$vehicle['ventilated']) {
+            $issues[] = 'needs_ventilation';
+        }
+        if ($productProfile['temp_sensitive'] && !$vehicle['insulated']
+            && in_array($conditions['temperature'], ['hot', 'very_hot'])) {
+            $issues[] = 'exposed_to_heat';
+        }
+        
+        return ['suitable' => empty($issues), 'issues' => $issues];
+    }
+    
     private function calculateBaseSpoilageRisk($productProfile, $estimatedDuration) {
         // Calculate risk based on delivery duration vs shelf life
         $durationRatio = $estimatedDuration / $productProfile['shelf_life'];
@@ -131,6 +131,47 @@ class ReminderService {
         }
     }
     
+    /**
+     * Tell the buyer a recurring order is about to be placed, while it can
+     * still be skipped or edited
+     */
+    public function sendSubscriptionReminder($subscription, $orderDate) {
+        try {
+            $payload = $subscription['payload'];
+            $deliveryDate = substr($subscription['next_delivery_date'], 0, 10);
+            $message = "আপনার নিয়মিত অর্ডার ({$subscription['product_name']} - {$payload['quantity']} {$subscription['unit']}) "
+                . "{$orderDate} তারিখে দেওয়া হবে, ডেলিভারি {$deliveryDate}। "
+                . "বাদ দিতে বা পরিমাণ বদলাতে ড্যাশবোর্ডের 'নিয়মিত অর্ডার' অংশে যান।";
+            
+            $notificationId = $this->createNotification([
+                'user_id' => $subscription['buyer_id'],
+                'type' => 'subscription_reminder',
+                'title' => 'নিয়মিত অর্ডার রিমাইন্ডার',
+                'message' => $message,
+                'data' => json_encode([
+                    'subscription_id' => $subscription['id'],
+                    'order_date' => $orderDate,
+                    'delivery_date' => $deliveryDate
+                ])
+            ]);
+            
+            // Email and SMS (placeholders)
+            error_log("SEND SUBSCRIPTION REMINDER: subscription #{$subscription['id']} to user #{$subscription['buyer_id']}");
+            
+            return [
+                'success' => true,
+                'notification_id' => $notificationId
+            ];
+        
+        } catch (Exception $e) {
+            error_log("Send subscription reminder error: " . $e->getMessage());
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+    
     /**
      * Process due reminders (called by cron job)
      */
@@ -395,7 +436,8 @@ class ReminderService {
     // Message generation methods
     
     private function generatePaymentReminderMessage($type, $order) {
-        $orderTotal = $order['quantity'] * $order['unit_price'];
+        // total_amount covers every line of a cart order, not just the one on the row
+        $orderTotal = $order['total_amount'];
         
         switch ($type) {
             case 'first_reminder':
@@ -5,9 +5,11 @@
  */
 
 require_once __DIR__ . '/../config/database.php';
+require_once __DIR__ . '/../models/RouteAnomaly.php';
 
 class RouteAnomalyService {
     private $db;
+    private $anomalyModel;
     
     // Anomaly detection thresholds
     private $thresholds = [
@@ -39,6 +41,7 @@ class RouteAnomalyService {
     
     public function __construct() {
         $this->db = Database::getInstance()->getConnection();
+        $this->anomalyModel = new RouteAnomaly();
     }
     
     /**
@@ -114,6 +117,7 @@ class RouteAnomalyService {
             // Store anomaly detection results
             if ($isAnomalous) {
                 $this->storeAnomalyDetection($transportId, $anomalies, $totalAnomalyScore, $severity);
+                $this->recordTimeline($transportId, $anomalies, $currentLocation);
             }
             
             // Generate recommendations
@@ -788,6 +792,32 @@ class RouteAnomalyService {
         }
     }
     
+    // Detours, long stops and speed anomalies go on the delivery's timeline
+    private function recordTimeline($transportId, $anomalies, $currentLocation) {
+        foreach ($anomalies as $anomaly) {
+            if (!in_array($anomaly['type'], RouteAnomaly::TYPES)) {
+                continue;
+            }
+            
+            try {
+                // Individual stall points are too bulky to keep per entry
+                $details = $anomaly['data'] ?? [];
+                unset($details['stalls']);
+                
+                $this->anomalyModel->record(
+                    $transportId,
+                    $anomaly['type'],
+                    $this->determineSeverity($anomaly['severity_score']),
+                    $anomaly['reasons'],
+                    $details,
+                    $currentLocation
+                );
+            } catch (Exception $e) {
+                error_log("Record anomaly timeline error: " . $e->getMessage());
+            }
+        }
+    }
+    
     /**
      * Get route analytics for reporting
      */
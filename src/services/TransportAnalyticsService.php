@@ -0,0 +1,238 @@
+<?php
+/**
+ * Transport Analytics Service
+ * On-time rate, delivery times, cost per km and ratings of delivered trips,
+ * for one farmer next to the averages of their region
+ */
+
+require_once __DIR__ . '/../config/database.php';
+
+class TransportAnalyticsService {
+    // Range used when no dates are given, and the longest range still shown week by week
+    const DEFAULT_RANGE_DAYS = 90;
+    const WEEKLY_RANGE_DAYS = 90;
+    
+    // Delivery time buckets in hours: [key, from, to)
+    private $deliveryHourBuckets = [
+        ['0-2', 0, 2],
+        ['2-4', 2, 4],
+        ['4-8', 4, 8],
+        ['8-12', 8, 12],
+        ['12-24', 12, 24],
+        ['24+', 24, null]
+    ];
+    
+    private $db;
+    
+    public function __construct() {
+        $this->db = Database::getInstance()->getConnection();
+    }
+    
+    /**
+     * Dashboard for a farmer (or every farmer when $farmerId is null) with the
+     * same figures for all delivered trips in the region as comparison.
+     * Without a region filter a farmer is compared with their own region
+     */
+    public function getDashboard($farmerId, $filters = []) {
+        $dateTo = !empty($filters['date_to']) ? date('Y-m-d', strtotime($filters['date_to'])) : date('Y-m-d');
+        $dateFrom = !empty($filters['date_from'])
+            ? date('Y-m-d', strtotime($filters['date_from']))
+            : date('Y-m-d', strtotime($dateTo . ' -' . self::DEFAULT_RANGE_DAYS . ' days'));
+        $region = array_key_exists('region', $filters)
+            ? ($filters['region'] ?: null)
+            : ($farmerId !== null ? $this->getFarmerRegion($farmerId) : null);
+        
+        $rangeDays = (strtotime($dateTo) - strtotime($dateFrom)) / 86400;
+        $period = $rangeDays > self::WEEKLY_RANGE_DAYS ? 'month' : 'week';
+        
+        $regionTrips = $this->getDeliveredTrips($dateFrom, $dateTo, $region);
+        $ownTrips = $farmerId === null ? $regionTrips : array_values(array_filter($regionTrips, function($trip) use ($farmerId) {
+            return $trip['farmer_id'] == $farmerId;
+        }));
+        
+        return [
+            'filters' => [
+                'date_from' => $dateFrom,
+                'date_to' => $dateTo,
+                'region' => $region,
+                'period' => $period
+            ],
+            'regions' => $this->getRegions(),
+            'summary' => $this->summarize($ownTrips),
+            'regional_average' => $this->summarize($regionTrips),
+            'on_time_trend' => [
+                'own' => $this->trend($ownTrips, $period, 'on_time'),
+                'region' => $this->trend($regionTrips, $period, 'on_time')
+            ],
+            'cost_per_km_trend' => [
+                'own' => $this->trend($ownTrips, $period, 'cost_per_km'),
+                'region' => $this->trend($regionTrips, $period, 'cost_per_km')
+            ],
+            'delivery_time_distribution' => $this->deliveryTimeDistribution($ownTrips),
+            'rating_distribution' => [
+                'own' => $this->ratingDistribution($ownTrips),
+                'region' => $this->ratingDistribution($regionTrips)
+            ]
+        ];
+    }
+    
+    // Delivered trips in the range, with when they left and arrived, distance and rating
+    private function getDeliveredTrips($dateFrom, $dateTo, $region = null) {
+        $sql = "SELECT * FROM (
+                    SELECT t.id, t.transport_type, t.cost, t.pickup_date, t.created_at,
+                           o.farmer_id, o.delivery_date as order_delivery_date,
+                           f.region,
+                           COALESCE(t.distance_km, (SELECT SUM(s.distance_km) FROM transport_stops s WHERE s.transport_id = t.id)) as distance_km,
+                           (SELECT MIN(tl.created_at) FROM transport_timeline tl
+                            WHERE tl.transport_id = t.id AND tl.status IN ('picked_up', 'in_transit')) as departed_at,
+                           (SELECT MIN(tl.created_at) FROM transport_timeline tl
+                            WHERE tl.transport_id = t.id AND tl.status = 'delivered') as delivered_at,
+                           (SELECT r.overall_rating FROM transport_ratings r WHERE r.transport_id = t.id LIMIT 1) as rating
+                    FROM transport t
+                    JOIN orders o ON t.order_id = o.id
+                    JOIN users f ON o.farmer_id = f.id
+                    WHERE t.status = 'delivered'";
+        $params = [];
+        
+        if ($region) {
+            $sql .= " AND LOWER(f.region) = LOWER(:region)";
+            $params[':region'] = $region;
+        }
+        
+        $sql .= ") trips
+                WHERE delivered_at >= :date_from AND delivered_at < (CAST(:date_to AS DATE) + INTERVAL '1 day')
+                ORDER BY delivered_at ASC";
+        $params[':date_from'] = $dateFrom;
+        $params[':date_to'] = $dateTo;
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute($params);
+        
+        return array_map([$this, 'describeTrip'], $stmt->fetchAll());
+    }
+    
+    // Derived figures of one trip; null where the data to judge is missing
+    private function describeTrip($trip) {
+        $departedAt = $trip['departed_at'] ?: ($trip['pickup_date'] ?: $trip['created_at']);
+        $hours = (strtotime($trip['delivered_at']) - strtotime($departedAt)) / 3600;
+        
+        $trip['delivery_hours'] = $hours >= 0 ? round($hours, 2) : null;
+        $trip['on_time'] = $trip['order_delivery_date']
+            ? date('Y-m-d', strtotime($trip['delivered_at'])) <= date('Y-m-d', strtotime($trip['order_delivery_date']))
+            : null;
+        $trip['cost_per_km'] = $trip['cost'] && $trip['distance_km'] > 0
+            ? round($trip['cost'] / $trip['distance_km'], 2)
+            : null;
+        
+        return $trip;
+    }
+    
+    private function summarize($trips) {
+        $onTime = $this->known($trips, 'on_time');
+        $hours = $this->known($trips, 'delivery_hours');
+        $costPerKm = $this->known($trips, 'cost_per_km');
+        $ratings = $this->known($trips, 'rating');
+        
+        return [
+            'total_deliveries' => count($trips),
+            'on_time_rate' => $onTime ? round(count(array_filter($onTime)) / count($onTime) * 100, 1) : null,
+            'avg_delivery_hours' => $hours ? round(array_sum($hours) / count($hours), 1) : null,
+            'avg_cost_per_km' => $costPerKm ? round(array_sum($costPerKm) / count($costPerKm), 2) : null,
+            'avg_rating' => $ratings ? round(array_sum($ratings) / count($ratings), 1) : null
+        ];
+    }
+    
+    // Per week or month: on-time rate (%) or average cost per km
+    private function trend($trips, $period, $metric) {
+        $groups = [];
+        foreach ($trips as $trip) {
+            $time = strtotime($trip['delivered_at']);
+            $key = $period === 'month'
+                ? date('Y-m-01', $time)
+                : date('Y-m-d', strtotime('monday this week', $time));
+            $groups[$key][] = $trip;
+        }
+        ksort($groups);
+        
+        $points = [];
+        foreach ($groups as $start => $groupTrips) {
+            $values = $this->known($groupTrips, $metric);
+            if (!$values) {
+                continue;
+            }
+            
+            $points[] = [
+                'period_start' => $start,
+                'deliveries' => count($values),
+                'value' => $metric === 'on_time'
+                    ? round(count(array_filter($values)) / count($values) * 100, 1)
+                    : round(array_sum($values) / count($values), 2)
+            ];
+        }
+        
+        return $points;
+    }
+    
+    // Trip counts per delivery time bucket, for each transport type
+    private function deliveryTimeDistribution($trips) {
+        $distribution = [];
+        foreach ($trips as $trip) {
+            if ($trip['delivery_hours'] === null) {
+                continue;
+            }
+            
+            $type = $trip['transport_type'];
+            if (!isset($distribution[$type])) {
+                $distribution[$type] = array_fill_keys(array_column($this->deliveryHourBuckets, 0), 0);
+            }
+            
+            foreach ($this->deliveryHourBuckets as [$key, $from, $to]) {
+                if ($trip['delivery_hours'] >= $from && ($to === null || $trip['delivery_hours'] < $to)) {
+                    $distribution[$type][$key]++;
+                    break;
+                }
+            }
+        }
+        
+        return [
+            'buckets' => array_column($this->deliveryHourBuckets, 0),
+            'by_transport_type' => $distribution
+        ];
+    }
+    
+    // Number of trips rated 1 to 5 stars
+    private function ratingDistribution($trips) {
+        $counts = array_fill_keys(range(1, 5), 0);
+        foreach ($this->known($trips, 'rating') as $rating) {
+            $stars = max(1, min(5, (int) round($rating)));
+            $counts[$stars]++;
+        }
+        
+        return $counts;
+    }
+    
+    private function known($trips, $field) {
+        return array_values(array_filter(array_column($trips, $field), function($value) {
+            return $value !== null;
+        }));
+    }
+    
+    private function getFarmerRegion($farmerId) {
+        $stmt = $this->db->prepare("SELECT region FROM users WHERE id = :id");
+        $stmt->execute([':id' => $farmerId]);
+        $farmer = $stmt->fetch();
+        
+        return $farmer && $farmer['region'] ? $farmer['region'] : null;
+    }
+    
+    private function getRegions() {
+        $sql = "SELECT DISTINCT region FROM users
+                WHERE role = 'farmer' AND region IS NOT NULL AND region != ''
+                ORDER BY region";
+        
+        $stmt = $this->db->prepare($sql);
+        $stmt->execute();
+        
+        return array_column($stmt->fetchAll(), 'region');
+    }
+}
@@ -12,6 +12,7 @@ class TransportCostService {
     // Transport rates per km (in BDT)
     private $transportRates = [
         'truck' => 3.5,      // Heavy truck
+        'refrigerated_truck' => 5.0, // Cold-chain truck
         'pickup' => 2.8,     // Light pickup
         'van' => 2.2,        // Small van
         'motorcycle' => 1.5,  // Motorcycle
@@ -41,6 +42,22 @@ class TransportCostService {
         'loading_unloading_fee' => 200.0     // BDT flat fee
     ];
     
+    // Flat fare per trip in transport request quotes (BDT)
+    private $baseFares = [
+        'truck' => 800.0,
+        'refrigerated_truck' => 1400.0,
+        'pickup' => 600.0,
+        'van' => 450.0,
+        'motorcycle' => 150.0,
+        'rickshaw' => 80.0
+    ];
+    
+    // Quote surcharges: per kg carried, and a share of fare + distance by perishability risk
+    private $quoteRates = [
+        'weight_per_kg' => 0.5,
+        'perishability' => ['low' => 0.0, 'medium' => 0.1, 'high' => 0.25, 'critical' => 0.35]
+    ];
+    
     public function __construct() {
         $this->db = Database::getInstance()->getConnection();
     }
@@ -103,6 +120,39 @@ class TransportCostService {
         }
     }
     
+    /**
+     * Price quote for a transport request, split into base fare, distance,
+     * perishability surcharge and weight
+     */
+    public function quoteTransport($distance, $weightKg, $transportType = 'auto', $riskLevel = 'low') {
+        if (!isset($this->baseFares[$transportType])) {
+            $transportType = $this->determineOptimalTransport($weightKg, $distance);
+        }
+        
+        $baseFare = $this->baseFares[$transportType];
+        $distanceCharge = $distance * ($this->transportRates[$transportType] + $this->baseCosts['vehicle_maintenance_per_km'])
+            + $this->calculateFuelCost($distance, $transportType);
+        $surchargeRate = $this->quoteRates['perishability'][$riskLevel] ?? 0.0;
+        $perishabilitySurcharge = ($baseFare + $distanceCharge) * $surchargeRate;
+        $weightCharge = $weightKg * $this->quoteRates['weight_per_kg'];
+        
+        return [
+            'transport_type' => $transportType,
+            'distance_km' => round($distance, 1),
+            'weight_kg' => round($weightKg, 1),
+            'risk_level' => $riskLevel,
+            'breakdown' => [
+                'base_fare' => round($baseFare, 2),
+                'distance' => round($distanceCharge, 2),
+                'perishability_surcharge' => round($perishabilitySurcharge, 2),
+                'weight' => round($weightCharge, 2)
+            ],
+            'total' => round($baseFare + $distanceCharge + $perishabilitySurcharge + $weightCharge, 2),
+            'currency' => 'BDT',
+            'quoted_at' => date('Y-m-d H:i:s')
+        ];
+    }
+    
     /**
      * Calculate distance between two locations using Haversine formula
      */
@@ -201,6 +251,7 @@ class TransportCostService {
     private function calculateFuelCost($distance, $transportType) {
         $fuelEfficiency = [
             'truck' => 8,      // km per liter
+            'refrigerated_truck' => 6, // km per liter (cooling unit included)
             'pickup' => 12,    // km per liter
             'van' => 15,       // km per liter
             'motorcycle' => 35, // km per liter
@@ -332,8 +383,9 @@ class TransportCostService {
     
     /**
      * Calculate route optimization for multiple destinations
+     * Each leg keeps the key of its destination in $destinations
      */
-    public function optimizeRoute($startLocation, $destinations, $quantity = 100) {
+    public function optimizeRoute($startLocation, $destinations, $quantity = 100, $transportType = 'auto') {
         $optimizedRoute = [];
         $totalCost = 0;
         $totalDistance = 0;
@@ -357,10 +409,11 @@ class TransportCostService {
             }
             
             if ($nearestDestination) {
-                $segmentCost = $this->calculateCost($currentLocation, $nearestDestination, $quantity);
+                $segmentCost = $this->calculateCost($currentLocation, $nearestDestination, $quantity, $transportType);
                 $optimizedRoute[] = [
                     'from' => $currentLocation,
                     'to' => $nearestDestination,
+                    'destination_key' => $shortestDistanceIndex,
                     'cost' => $segmentCost,
                     'sequence' => count($optimizedRoute) + 1
                 ];
@@ -370,7 +423,6 @@ class TransportCostService {
                 $currentLocation = $nearestDestination;
                 
                 unset($remainingDestinations[$shortestDistanceIndex]);
-                $remainingDestinations = array_values($remainingDestinations);
             }
         }
         